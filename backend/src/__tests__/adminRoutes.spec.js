@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest'
+import mongoose from 'mongoose'
+
+import router from '../routes/admin.js'
+
+// Denied requests are logged as security events; keep them out of logs/
+vi.mock('../middleware/securityLogger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  logSecurityEvent: vi.fn(),
+}))
+
+const routes = router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) =>
+    Object.keys(layer.route.methods).map((method) => ({
+      method: method.toUpperCase(),
+      path: layer.route.path,
+      // Each admin route checks its permission before validating anything
+      check: layer.route.stack[0].handle,
+    })),
+  )
+
+const findRoute = (method, path) => {
+  const route = routes.find((entry) => entry.method === method && entry.path === path)
+  if (!route) throw new Error(`No route ${method} ${path}`)
+  return route
+}
+
+const user = (...roles) => ({ _id: new mongoose.Types.ObjectId(), username: 'someone', roles })
+
+// What a route's permission check does for a request from `requester`
+const attempt = (route, requester) => {
+  const res = {
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+  }
+  const next = vi.fn()
+  route.check(
+    { user: requester, method: route.method, originalUrl: `/api/admin${route.path}` },
+    res,
+    next,
+  )
+  return next.mock.calls.length > 0 ? 'allowed' : res.status.mock.calls[0]?.[0]
+}
+
+describe('admin routes', () => {
+  it('turn away signed-in users without an admin role on every route', () => {
+    expect(routes.length).toBeGreaterThan(0)
+    for (const route of routes) {
+      expect(attempt(route, user('user')), `${route.method} ${route.path}`).toBe(403)
+      expect(attempt(route, user()), `${route.method} ${route.path}`).toBe(403)
+    }
+  })
+
+  it('let admins through on every route', () => {
+    for (const route of routes) {
+      expect(attempt(route, user('user', 'admin')), `${route.method} ${route.path}`).toBe('allowed')
+    }
+  })
+
+  describe('duplicate review queue', () => {
+    const merging = [
+      ['POST', '/duplicates/scan'],
+      ['POST', '/duplicates/:id/accept'],
+      ['POST', '/duplicates/:id/reject'],
+    ]
+
+    it('leaves merging titles to admins, as a merge deletes the merged-away title', () => {
+      for (const [method, path] of merging) {
+        const route = findRoute(method, path)
+        expect(attempt(route, user('user', 'moderator')), `${method} ${path}`).toBe(403)
+        expect(attempt(route, user('user', 'admin')), `${method} ${path}`).toBe('allowed')
+      }
+    })
+
+    it('lets moderators see the queue', () => {
+      expect(attempt(findRoute('GET', '/duplicates'), user('user', 'moderator'))).toBe('allowed')
+    })
+  })
+
+  describe('trash', () => {
+    it('leaves trashing, restoring and purging titles to admins', () => {
+      for (const [method, path] of [
+        ['DELETE', '/content/:id'],
+        ['POST', '/trash/:id/restore'],
+        ['POST', '/trash/purge'],
+      ]) {
+        const route = findRoute(method, path)
+        expect(attempt(route, user('user', 'moderator')), `${method} ${path}`).toBe(403)
+        expect(attempt(route, user('user', 'admin')), `${method} ${path}`).toBe('allowed')
+      }
+    })
+  })
+
+  describe('content management', () => {
+    it('lets moderators and admins, and no one else, create, edit and restore titles', () => {
+      for (const [method, path] of [
+        ['POST', '/content'],
+        ['PATCH', '/content/:id'],
+        ['POST', '/content/bulk'],
+        ['POST', '/content/:id/refetch'],
+        ['POST', '/content/:id/revisions/:revisionId/restore'],
+      ]) {
+        const route = findRoute(method, path)
+        expect(attempt(route, user('user')), `${method} ${path}`).toBe(403)
+        expect(attempt(route, user('user', 'moderator')), `${method} ${path}`).toBe('allowed')
+        expect(attempt(route, user('user', 'admin')), `${method} ${path}`).toBe('allowed')
+      }
+    })
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import Content from '../models/Content.js'
+import contentIdService from '../services/contentIdService.js'
+
+describe('canonical content IDs', () => {
+  // The title another query finds holding an ID, if any
+  let holder
+
+  beforeEach(() => {
+    holder = null
+    vi.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function () {
+      return this.op === 'findOne' ? holder : []
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("derives a new title's ID from its external IDs, TMDB first", async () => {
+    const both = new Content({ title: 'Mushishi', contentType: 'tv', tmdbId: 4624, malId: 457 })
+    const malOnly = new Content({ title: 'Mushishi', contentType: 'tv', malId: 457 })
+    const local = new Content({ title: 'Mushishi', contentType: 'tv' })
+
+    await Promise.all([both.validate(), malOnly.validate(), local.validate()])
+
+    expect(both.internalId).toBe('tmdb-tv-4624')
+    expect(malOnly.internalId).toBe('mal-457')
+    expect(local.internalId).toBe(`local-${local._id}`)
+    expect(both.slug).toBe('mushishi')
+  })
+
+  it("keeps a title's ID when its external IDs are filled in or edited later", async () => {
+    const content = Content.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Mushishi',
+      contentType: 'tv',
+      malId: 457,
+      internalId: 'mal-457',
+      slug: 'mushishi',
+    })
+
+    content.tmdbId = 4624
+    await content.validate()
+    expect(content.internalId).toBe('mal-457')
+
+    content.malId = 24701
+    await content.validate()
+    expect(content.internalId).toBe('mal-457')
+  })
+
+  it('gives a new title a local ID when a title that moved to other external IDs holds its ID', async () => {
+    holder = { contentType: 'tv', tmdbId: 4624, malId: 24701 }
+    const content = new Content({ title: 'Mushishi', contentType: 'tv', malId: 457 })
+
+    await content.validate()
+
+    expect(content.internalId).toBe(`local-${content._id}`)
+  })
+
+  it('leaves a new title with the same external IDs as another to the unique index', async () => {
+    holder = { contentType: 'tv', malId: 457 }
+    const content = new Content({ title: 'Mushishi', contentType: 'tv', malId: 457 })
+
+    await content.validate()
+
+    expect(content.internalId).toBe('mal-457')
+  })
+
+  it('tells canonical IDs from the old timestamped ones', () => {
+    expect(contentIdService.isCanonical('tmdb-movie-129')).toBe(true)
+    expect(contentIdService.isCanonical('mal-457')).toBe(true)
+    expect(contentIdService.isCanonical(`local-${new mongoose.Types.ObjectId()}`)).toBe(true)
+    expect(contentIdService.isCanonical('movie-spirited-away-tmdb-129-1712345678901-x4k2')).toBe(
+      false,
+    )
+    expect(contentIdService.isCanonical(undefined)).toBe(false)
+  })
+})
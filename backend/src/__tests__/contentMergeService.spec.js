@@ -0,0 +1,245 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import Activity from '../models/Activity.js'
+import Content from '../models/Content.js'
+import ContentRedirect from '../models/ContentRedirect.js'
+import Episode from '../models/Episode.js'
+import Season from '../models/Season.js'
+import User from '../models/User.js'
+import contentMergeService from '../services/contentMergeService.js'
+import scoreService from '../services/scoreService.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const day = (n) => new Date(Date.UTC(2024, 0, n))
+
+const title = (fields) =>
+  Content.hydrate({
+    _id: id(),
+    contentType: 'tv',
+    relationships: { sequels: [], prequels: [], related: [] },
+    ...fields,
+  })
+
+const user = (watchlist = [], ratings = []) =>
+  User.hydrate({
+    _id: id(),
+    username: 'viewer',
+    watchlist: watchlist.map((entry) => ({ _id: id(), ...entry })),
+    ratings: ratings.map((entry) => ({ _id: id(), ...entry })),
+  })
+
+describe('contentMergeService.absorb', () => {
+  let session
+  let users
+  let ratingStats
+  let redirects
+  let primary
+  let secondary
+
+  beforeEach(() => {
+    session = {
+      startTransaction: vi.fn(),
+      commitTransaction: vi.fn().mockResolvedValue(),
+      abortTransaction: vi.fn().mockResolvedValue(),
+      endSession: vi.fn(),
+    }
+    vi.spyOn(mongoose, 'startSession').mockResolvedValue(session)
+
+    users = []
+    ratingStats = []
+    vi.spyOn(User, 'find').mockReturnValue({ session: async () => users })
+    vi.spyOn(User, 'aggregate').mockReturnValue({ session: async () => ratingStats })
+    vi.spyOn(User.prototype, 'save').mockImplementation(async function () {
+      return this
+    })
+
+    vi.spyOn(Activity, 'updateMany').mockResolvedValue({})
+    vi.spyOn(Content, 'updateMany').mockResolvedValue({})
+    vi.spyOn(Content, 'deleteOne').mockResolvedValue({ deletedCount: 1 })
+    vi.spyOn(Content.prototype, 'save').mockImplementation(async function () {
+      return this
+    })
+    vi.spyOn(Season, 'deleteMany').mockResolvedValue({})
+    vi.spyOn(Episode, 'deleteMany').mockResolvedValue({})
+
+    // Redirects kept in memory, so they can be followed
+    redirects = []
+    vi.spyOn(ContentRedirect, 'updateMany').mockImplementation(async (filter, update) => {
+      for (const redirect of redirects) {
+        if (redirect.to.equals(filter.to)) redirect.to = update.$set.to
+      }
+    })
+    vi.spyOn(ContentRedirect, 'create').mockImplementation(async (docs) => {
+      redirects.push(...docs.map((doc) => ({ ...doc })))
+    })
+    vi.spyOn(ContentRedirect, 'findOne').mockImplementation((query) => ({
+      sort: () => ({
+        lean: async () => redirects.findLast((redirect) => redirect.from.equals(query.from)),
+      }),
+    }))
+
+    primary = title({
+      title: 'Mushishi',
+      internalId: 'tmdb-tv-4624',
+      slug: 'mushishi',
+      voteAverage: 8.5,
+      voteCount: 500,
+    })
+    secondary = title({
+      title: 'Mushishi Zoku Shou',
+      internalId: 'mal-21939',
+      slug: 'mushishi-zoku-shou',
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('keeps the watchlist entry with more progress and the earliest date it was added', async () => {
+    const viewer = user([
+      { content: primary._id, status: 'watching', currentEpisode: 3, addedAt: day(10) },
+      { content: secondary._id, status: 'completed', addedAt: day(1), notes: 'Rewatch' },
+    ])
+    users.push(viewer)
+
+    const { movedUsers } = await contentMergeService.absorb(primary, secondary)
+
+    expect(movedUsers).toBe(1)
+    expect(viewer.watchlist).toHaveLength(1)
+    const [entry] = viewer.watchlist
+    expect(entry.content.equals(primary._id)).toBe(true)
+    expect(entry.status).toBe('completed')
+    expect(entry.addedAt).toEqual(day(1))
+    expect(entry.notes).toBe('Rewatch')
+    expect(User.prototype.save).toHaveBeenCalledWith({ session })
+  })
+
+  it('keeps the entry already on the kept title when it is further along', async () => {
+    const viewer = user([
+      { content: primary._id, status: 'watching', currentSeason: 2, currentEpisode: 1 },
+      { content: secondary._id, status: 'watching', currentSeason: 1, currentEpisode: 12 },
+    ])
+    users.push(viewer)
+
+    await contentMergeService.absorb(primary, secondary)
+
+    expect(viewer.watchlist).toHaveLength(1)
+    expect(viewer.watchlist[0]).toMatchObject({ currentSeason: 2, currentEpisode: 1 })
+  })
+
+  it('compares progress after adjusting the moved entry', async () => {
+    const viewer = user([
+      { content: primary._id, status: 'watching', currentSeason: 1, currentEpisode: 12 },
+      { content: secondary._id, status: 'watching', currentSeason: 1, currentEpisode: 4 },
+    ])
+    users.push(viewer)
+
+    // The merged-away title was the series' second season
+    await contentMergeService.absorb(primary, secondary, {
+      adjustEntry: (entry) => {
+        entry.currentSeason = 2
+      },
+    })
+
+    expect(viewer.watchlist).toHaveLength(1)
+    expect(viewer.watchlist[0]).toMatchObject({ currentSeason: 2, currentEpisode: 4 })
+  })
+
+  it('keeps the latest rating, with the older review when the latest has none', async () => {
+    const viewer = user(
+      [],
+      [
+        { content: primary._id, rating: 7, review: 'Quiet and strange', watchedAt: day(1) },
+        { content: secondary._id, rating: 9, watchedAt: day(20) },
+      ],
+    )
+    users.push(viewer)
+
+    await contentMergeService.absorb(primary, secondary)
+
+    expect(viewer.ratings).toHaveLength(1)
+    const [rating] = viewer.ratings
+    expect(rating.content.equals(primary._id)).toBe(true)
+    expect(rating.rating).toBe(9)
+    expect(rating.review).toBe('Quiet and strange')
+  })
+
+  it('moves entries and ratings of users who only had the merged-away title', async () => {
+    const viewer = user(
+      [{ content: secondary._id, status: 'plan_to_watch' }],
+      [{ content: secondary._id, rating: 8, watchedAt: day(3) }],
+    )
+    users.push(viewer)
+
+    await contentMergeService.absorb(primary, secondary)
+
+    expect(viewer.watchlist[0].content.equals(primary._id)).toBe(true)
+    expect(viewer.ratings[0].content.equals(primary._id)).toBe(true)
+  })
+
+  it("recounts the kept title's user ratings and rescores it", async () => {
+    ratingStats = [{ _id: null, average: 8, count: 6 }]
+
+    await contentMergeService.absorb(primary, secondary)
+
+    const [pipeline] = User.aggregate.mock.calls[0]
+    expect(pipeline[0]).toEqual({ $match: { 'ratings.content': primary._id } })
+    expect(primary.userRatingAverage).toBe(8)
+    expect(primary.userRatingCount).toBe(6)
+    expect(primary.unifiedScore).toBe(scoreService.forContent(primary))
+    expect(Content.prototype.save).toHaveBeenCalledWith({ session })
+  })
+
+  it('clears the user ratings of a kept title no one has rated', async () => {
+    primary.userRatingAverage = 6
+    primary.userRatingCount = 2
+
+    await contentMergeService.absorb(primary, secondary)
+
+    expect(primary.userRatingAverage).toBeNull()
+    expect(primary.userRatingCount).toBe(0)
+  })
+
+  it('leaves a redirect, and points earlier redirects to the merged-away title at the kept one', async () => {
+    const third = title({
+      title: 'Mushishi Special',
+      internalId: 'mal-9999',
+      slug: 'mushishi-special',
+    })
+
+    await contentMergeService.absorb(secondary, third)
+    await contentMergeService.absorb(primary, secondary)
+
+    expect(String(await ContentRedirect.resolve({ id: third._id }))).toBe(String(primary._id))
+    expect(String(await ContentRedirect.resolve({ id: secondary._id }))).toBe(String(primary._id))
+    expect(redirects.at(-1)).toMatchObject({
+      fromSlug: 'mushishi-zoku-shou',
+      fromInternalId: 'mal-21939',
+    })
+  })
+
+  it('deletes the merged-away title with its episode lists, and drops links to it', async () => {
+    primary.relationships.sequels = [secondary._id]
+
+    await contentMergeService.absorb(primary, secondary)
+
+    expect(Content.deleteOne).toHaveBeenCalledWith({ _id: secondary._id }, { session })
+    expect(Season.deleteMany).toHaveBeenCalledWith({ content: secondary._id }, { session })
+    expect(Episode.deleteMany).toHaveBeenCalledWith({ content: secondary._id }, { session })
+    expect(primary.relationships.sequels).toHaveLength(0)
+    expect(session.commitTransaction).toHaveBeenCalled()
+  })
+
+  it('rolls everything back when a step fails', async () => {
+    Content.deleteOne.mockRejectedValue(new Error('Write conflict'))
+
+    await expect(contentMergeService.absorb(primary, secondary)).rejects.toThrow('Write conflict')
+
+    expect(session.abortTransaction).toHaveBeenCalled()
+    expect(session.commitTransaction).not.toHaveBeenCalled()
+    expect(session.endSession).toHaveBeenCalled()
+    expect(primary.$session()).toBeNull()
+  })
+})
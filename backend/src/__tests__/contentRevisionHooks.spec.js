@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import Content from '../models/Content.js'
+import ContentRevision from '../models/ContentRevision.js'
+import revisionService from '../services/revisionService.js'
+
+// Run a write's query middleware without a database
+const runPre = (query) =>
+  new Promise((resolve, reject) =>
+    query._queryMiddleware.execPre(query.op, query, [], (error) =>
+      error ? reject(error) : resolve(),
+    ),
+  )
+const runPost = (query) =>
+  new Promise((resolve, reject) =>
+    query._queryMiddleware.execPost(query.op, query, [{}], {}, (error) =>
+      error ? reject(error) : resolve(),
+    ),
+  )
+
+const title = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Mushishi',
+  contentType: 'tv',
+  ...fields,
+})
+
+describe('Content revision hooks', () => {
+  const maxBulkRevisions = revisionService.maxBulkRevisions
+  let reads
+  let results
+  let insertMany
+
+  beforeEach(() => {
+    reads = []
+    results = []
+    // Each read the hooks make gets the next result
+    vi.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function () {
+      reads.push(this)
+      return results.shift() ?? []
+    })
+    insertMany = vi.spyOn(ContentRevision, 'insertMany').mockResolvedValue([])
+  })
+
+  afterEach(() => {
+    revisionService.maxBulkRevisions = maxBulkRevisions
+    vi.restoreAllMocks()
+  })
+
+  it('snapshots a bulk update without the internal fields', async () => {
+    const query = Content.updateMany({ format: 'ova' }, { $set: { format: 'special' } })
+
+    await runPre(query)
+
+    expect(reads).toHaveLength(1)
+    expect(reads[0].getFilter()).toEqual({ format: 'ova' })
+    expect(reads[0].getOptions().limit).toBe(maxBulkRevisions + 1)
+    expect(reads[0].projection()).toMatchObject({
+      searchGrams: 0,
+      rankingScores: 0,
+      provenance: 0,
+      normalizedTitles: 0,
+    })
+  })
+
+  it('refuses a bulk write changing more titles than can be recorded at once', async () => {
+    revisionService.maxBulkRevisions = 2
+    results.push([title(), title(), title()])
+
+    await expect(runPre(Content.deleteMany({}))).rejects.toThrow(/more than 2 titles/)
+  })
+
+  it('loads only the document a single-document write changes', async () => {
+    await runPre(Content.updateOne({ studios: 'Artland' }, { $set: { title: 'Mushi-shi' } }))
+    await runPre(
+      Content.findOneAndUpdate(
+        { studios: 'Artland' },
+        { $set: { title: 'Mushi-shi' } },
+        { sort: { releaseDate: -1 } },
+      ),
+    )
+
+    expect(reads.map((read) => read.getOptions().limit)).toEqual([1, 1])
+    expect(reads[1].getOptions().sort).toEqual({ releaseDate: -1 })
+  })
+
+  it("doesn't load anything for updates to scores and bookkeeping only", async () => {
+    await runPre(Content.updateMany({}, { $set: { unifiedScore: 7.5, lastUpdated: new Date() } }))
+
+    expect(reads).toHaveLength(0)
+  })
+
+  it('records the changed fields of each updated title', async () => {
+    const before = title()
+    results.push([before], [{ ...before, title: 'Mushi-shi' }])
+    const query = Content.updateMany({}, { $set: { title: 'Mushi-shi' } })
+
+    await runPre(query)
+    await runPost(query)
+
+    expect(reads[1].getFilter()).toEqual({ _id: { $in: [before._id] } })
+    expect(reads[1].projection()).toMatchObject({ searchGrams: 0, provenance: 0 })
+    const [revisions] = insertMany.mock.calls[0]
+    expect(revisions).toHaveLength(1)
+    expect(revisions[0]).toMatchObject({
+      content: before._id,
+      action: 'update',
+      changes: [{ field: 'title', before: 'Mushishi', after: 'Mushi-shi' }],
+    })
+  })
+
+  it('checks only which titles a delete removed, recording their last snapshot', async () => {
+    const deleted = title()
+    const kept = title()
+    results.push([deleted, kept], [{ _id: kept._id }])
+    const query = Content.deleteMany({ contentType: 'tv' })
+
+    await runPre(query)
+    await runPost(query)
+
+    expect(reads[1].projection()).toEqual({ _id: 1 })
+    const [revisions] = insertMany.mock.calls[0]
+    expect(revisions).toHaveLength(1)
+    expect(revisions[0]).toMatchObject({ content: deleted._id, action: 'delete' })
+    expect(revisions[0].snapshot.title).toBe('Mushishi')
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+import Activity from '../models/Activity.js'
+import Content from '../models/Content.js'
+import trendingService from '../services/trendingService.js'
+
+// Run a read's middleware without a database
+const runQueryPre = (query) =>
+  new Promise((resolve, reject) =>
+    query._queryMiddleware.execPre(query.op, query, [], (error) =>
+      error ? reject(error) : resolve(),
+    ),
+  )
+const runAggregatePre = (aggregate) =>
+  new Promise((resolve, reject) =>
+    Content.hooks.execPre('aggregate', aggregate, (error) => (error ? reject(error) : resolve())),
+  )
+
+const trashFilter = { $match: { deletedAt: null } }
+
+describe('trashed titles', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('are left out of finds and counts', async () => {
+    const find = Content.find({ contentType: 'tv' })
+    const count = Content.countDocuments({})
+
+    await runQueryPre(find)
+    await runQueryPre(count)
+
+    expect(find.getFilter()).toEqual({ contentType: 'tv', deletedAt: null })
+    expect(count.getFilter()).toEqual({ deletedAt: null })
+  })
+
+  it('are left out of aggregations, before any other stage', async () => {
+    const aggregate = Content.aggregate([
+      { $match: { contentType: 'tv' } },
+      { $sort: { popularity: -1 } },
+    ])
+
+    await runAggregatePre(aggregate)
+
+    expect(aggregate.pipeline()).toEqual([
+      trashFilter,
+      { $match: { contentType: 'tv' } },
+      { $sort: { popularity: -1 } },
+    ])
+  })
+
+  it('are still left out when only a later stage matches on deletedAt', async () => {
+    const aggregate = Content.aggregate([
+      { $sort: { popularity: -1 } },
+      { $match: { deletedAt: { $ne: null } } },
+    ])
+
+    await runAggregatePre(aggregate)
+
+    expect(aggregate.pipeline()[0]).toEqual(trashFilter)
+  })
+
+  it('are read by aggregations starting with a $match on deletedAt, or passing withDeleted', async () => {
+    const trash = Content.aggregate([{ $match: { deletedAt: { $ne: null } } }])
+    const everything = Content.aggregate([{ $group: { _id: '$contentType' } }]).option({
+      withDeleted: true,
+    })
+
+    await runAggregatePre(trash)
+    await runAggregatePre(everything)
+
+    expect(trash.pipeline()).toEqual([{ $match: { deletedAt: { $ne: null } } }])
+    expect(everything.pipeline()).toEqual([{ $group: { _id: '$contentType' } }])
+    expect(everything.options.withDeleted).toBeUndefined()
+  })
+
+  it('are left out of lookups into contents, before the lookup pipeline runs', () => {
+    const stage = Content.lookup({
+      localField: 'content',
+      foreignField: '_id',
+      as: 'content',
+      pipeline: [{ $project: { title: 1 } }],
+    })
+
+    expect(stage).toEqual({
+      $lookup: {
+        from: Content.collection.name,
+        localField: 'content',
+        foreignField: '_id',
+        as: 'content',
+        pipeline: [trashFilter, { $project: { title: 1 } }],
+      },
+    })
+  })
+
+  it('are left out of trending content', async () => {
+    const aggregate = vi.spyOn(Activity, 'aggregate').mockResolvedValue([])
+    trendingService.cache.clear()
+
+    await trendingService.getTrending({ contentType: 'tv' })
+
+    const [pipeline] = aggregate.mock.calls[0]
+    const lookup = pipeline.find((stage) => stage.$lookup)
+    expect(lookup.$lookup.from).toBe(Content.collection.name)
+    expect(lookup.$lookup.pipeline[0]).toEqual(trashFilter)
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import mongoose from 'mongoose'
+
+import cursorService from '../services/cursorService.js'
+
+const sortSpec = { unifiedScore: -1, releaseDate: -1, _id: 1 }
+const encode = (object) => Buffer.from(JSON.stringify(object)).toString('base64url')
+
+describe('cursorService', () => {
+  it('decodes a cursor back to the sort values it was encoded from', () => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      unifiedScore: 8.7,
+      releaseDate: new Date('2013-04-07T00:00:00Z'),
+    }
+
+    const cursor = cursorService.encode(doc, sortSpec, 'next', 'search:score')
+    const decoded = cursorService.decode(cursor, sortSpec, 'search:score')
+
+    expect(decoded.direction).toBe('next')
+    expect(decoded.values[0]).toBe(8.7)
+    expect(decoded.values[1]).toBeInstanceOf(Date)
+    expect(decoded.values[1].getTime()).toBe(doc.releaseDate.getTime())
+    expect(decoded.values[2]).toBeInstanceOf(mongoose.Types.ObjectId)
+    expect(decoded.values[2].equals(doc._id)).toBe(true)
+  })
+
+  it('encodes missing values and nested fields', () => {
+    const spec = { 'ratings.count': -1, title: 1 }
+    const cursor = cursorService.encode({ ratings: { count: 3 } }, spec, 'prev', 'list')
+
+    expect(cursorService.decode(cursor, spec, 'list')).toEqual({
+      direction: 'prev',
+      values: [3, null],
+    })
+  })
+
+  it('produces URL-safe cursors', () => {
+    const cursor = cursorService.encode({ title: '進撃の巨人???>>>' }, { title: 1 }, 'next', 'x')
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/)
+  })
+
+  it('rejects a cursor issued for another scope', () => {
+    const cursor = cursorService.encode({ unifiedScore: 8 }, sortSpec, 'next', 'search:score')
+
+    expect(cursorService.decode(cursor, sortSpec, 'search:newest')).toBeNull()
+  })
+
+  it("rejects a cursor whose values don't fit the sort", () => {
+    const cursor = cursorService.encode({ unifiedScore: 8 }, sortSpec, 'next', 'scope')
+
+    expect(cursorService.decode(cursor, { unifiedScore: -1, _id: 1 }, 'scope')).toBeNull()
+  })
+
+  it('rejects malformed cursors', () => {
+    expect(cursorService.decode('not a cursor', sortSpec, 'scope')).toBeNull()
+    expect(cursorService.decode('', sortSpec, 'scope')).toBeNull()
+    expect(
+      cursorService.decode(encode({ s: 'scope', d: 'sideways', v: [1, 2, 3] }), sortSpec, 'scope'),
+    ).toBeNull()
+    expect(
+      cursorService.decode(encode({ s: 'scope', d: 'next', v: 'abc' }), sortSpec, 'scope'),
+    ).toBeNull()
+  })
+
+  it('rejects values that are objects but not tagged dates or IDs', () => {
+    const cursor = encode({ s: 'scope', d: 'next', v: [{ $gt: 0 }, null, null] })
+
+    expect(cursorService.decode(cursor, sortSpec, 'scope')).toBeNull()
+  })
+
+  it('reverses the sort when paging backwards', () => {
+    expect(cursorService.getSort(sortSpec, 'next')).toEqual(sortSpec)
+    expect(cursorService.getSort(sortSpec, 'prev')).toEqual({
+      unifiedScore: 1,
+      releaseDate: 1,
+      _id: -1,
+    })
+  })
+})
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+import duplicateService from '../services/duplicateService.js'
+import idMappingService from '../services/idMappingService.js'
+
+const movie = (fields) => ({
+  contentType: 'movie',
+  releaseDate: new Date('2019-07-19'),
+  runtime: 120,
+  ...fields,
+})
+
+describe('duplicateService.scorePair', () => {
+  beforeEach(() => {
+    // No cross-references unless a test sets one up
+    vi.spyOn(idMappingService, 'findForMal').mockResolvedValue(null)
+    vi.spyOn(idMappingService, 'findForTmdb').mockResolvedValue([])
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('queues the same title from the same year with nothing else known', async () => {
+    const result = await duplicateService.scorePair(
+      movie({ title: 'Weathering with You' }),
+      movie({ title: 'Weathering With You', runtime: 112 }),
+    )
+
+    expect(result.signals).toEqual({ title: 1, year: 1, type: 1, length: 0.5, externalIds: 0.5 })
+    expect(result.score).toBe(0.875)
+    expect(result.score).toBeGreaterThanOrEqual(duplicateService.threshold)
+  })
+
+  it('leaves different titles from different years below the threshold', async () => {
+    const result = await duplicateService.scorePair(
+      movie({ title: 'Your Name' }),
+      movie({ title: 'Weathering with You', releaseDate: new Date('2016-08-26') }),
+    )
+
+    expect(result.signals.year).toBe(0)
+    expect(result.score).toBeLessThan(duplicateService.threshold)
+  })
+
+  it('scores release years a year apart lower than the same year', () => {
+    const a = movie({ title: 'A Silent Voice' })
+    expect(duplicateService.yearSignal(a, movie({ releaseDate: new Date('2019-12-31') }))).toBe(1)
+    expect(duplicateService.yearSignal(a, movie({ releaseDate: new Date('2020-01-01') }))).toBe(0.6)
+    expect(duplicateService.yearSignal(a, movie({ releaseDate: new Date('2021-01-01') }))).toBe(0)
+    expect(duplicateService.yearSignal(a, movie({ releaseDate: null }))).toBe(0.5)
+  })
+
+  it('compares runtimes for movies and episode counts for shows', () => {
+    expect(duplicateService.lengthSignal(movie({ runtime: 100 }), movie({ runtime: 105 }))).toBe(1)
+    expect(duplicateService.lengthSignal(movie({ runtime: 100 }), movie({ runtime: 115 }))).toBe(
+      0.5,
+    )
+    expect(duplicateService.lengthSignal(movie({ runtime: 100 }), movie({ runtime: 130 }))).toBe(0)
+
+    const show = (fields) => ({ contentType: 'tv', ...fields })
+    expect(
+      duplicateService.lengthSignal(show({ episodeCount: 12 }), show({ malEpisodes: 12 })),
+    ).toBe(1)
+    expect(
+      duplicateService.lengthSignal(show({ episodeCount: 12 }), show({ episodeCount: 13 })),
+    ).toBe(0.7)
+    expect(
+      duplicateService.lengthSignal(show({ episodeCount: 12 }), show({ episodeCount: 24 })),
+    ).toBe(0)
+    expect(duplicateService.lengthSignal(show({ episodeCount: 12 }), movie())).toBe(0.5)
+  })
+
+  it('settles a pair sharing a TMDB ID whatever the other signals say', async () => {
+    const result = await duplicateService.scorePair(
+      movie({ title: 'Kimi no Na wa', tmdbId: 372058 }),
+      movie({ title: 'Your Name', tmdbId: 372058, releaseDate: new Date('2016-08-26') }),
+    )
+
+    expect(result.signals.externalIds).toBe(1)
+    expect(result.score).toBe(0.95)
+  })
+
+  it('rules out pairs with different IDs from the same source', async () => {
+    const a = movie({ title: 'Your Name', malId: 32281 })
+    const b = movie({ title: 'Your Name', malId: 38826 })
+
+    expect(await duplicateService.scorePair(a, b)).toBeNull()
+  })
+
+  it('links a MAL title to a TMDB title through the ID cross-reference table', async () => {
+    idMappingService.findForMal.mockResolvedValue({ tmdbId: 372058, tmdbType: 'movie' })
+
+    const result = await duplicateService.scorePair(
+      movie({ title: 'Kimi no Na wa', malId: 32281 }),
+      movie({ title: 'Your Name', tmdbId: 372058 }),
+    )
+
+    expect(result.signals.externalIds).toBe(1)
+    expect(result.score).toBe(0.95)
+  })
+
+  it('rules out pairs the ID cross-reference table maps elsewhere', async () => {
+    idMappingService.findForMal.mockResolvedValue({ tmdbId: 1, tmdbType: 'movie' })
+
+    const result = await duplicateService.scorePair(
+      movie({ title: 'Your Name', malId: 32281 }),
+      movie({ title: 'Your Name', tmdbId: 372058 }),
+    )
+
+    expect(result).toBeNull()
+  })
+})
+
+describe('duplicateService.candidatePairs', () => {
+  const maxBlockSize = duplicateService.maxBlockSize
+
+  afterEach(() => {
+    duplicateService.maxBlockSize = maxBlockSize
+  })
+
+  it('pairs titles that are the same without spaces and punctuation', () => {
+    const pairs = duplicateService.candidatePairs([
+      { title: 'Attack on Titan' },
+      { title: 'Cowboy Bebop' },
+      { title: 'ATTACK ON TITAN!' },
+    ])
+
+    expect(pairs).toEqual([[0, 2]])
+  })
+
+  it('pairs titles sharing their longest word', () => {
+    const pairs = duplicateService.candidatePairs([
+      { title: 'Shingeki no Kyojin' },
+      { title: 'Cowboy Bebop' },
+      { title: 'Shingeki no Kyojin: The Final Season' },
+    ])
+
+    expect(pairs).toEqual([[0, 2]])
+  })
+
+  it("doesn't block on words shorter than four letters", () => {
+    expect(duplicateService.candidatePairs([{ title: 'Ran' }, { title: 'Ran Ran' }])).toEqual([])
+  })
+
+  it('pairs titles sharing an external ID, TMDB IDs only within a content type', () => {
+    const pairs = duplicateService.candidatePairs([
+      { title: 'Kimi no Na wa', malId: 32281 },
+      { title: 'Your Name', malId: 32281 },
+      { title: 'Frieren', contentType: 'tv', tmdbId: 209867 },
+      { title: 'Something Else', contentType: 'movie', tmdbId: 209867 },
+    ])
+
+    expect(pairs).toEqual([[0, 1]])
+  })
+
+  it('skips word blocks that are too common but not exact title blocks', () => {
+    duplicateService.maxBlockSize = 2
+    const pairs = duplicateService.candidatePairs([
+      { title: 'Gundam Wing' },
+      { title: 'Gundam Seed' },
+      { title: 'Gundam Unicorn' },
+      { title: 'Gundam  Wing' },
+    ])
+
+    expect(pairs).toEqual([[0, 3]])
+  })
+
+  it('lists each pair once however many blocks it shares', () => {
+    const pairs = duplicateService.candidatePairs([
+      { title: 'Frieren', originalTitle: 'Sousou no Frieren', malId: 52991 },
+      { title: 'Frieren', originalTitle: 'Sousou no Frieren', malId: 52991 },
+    ])
+
+    expect(pairs).toEqual([[0, 1]])
+  })
+})
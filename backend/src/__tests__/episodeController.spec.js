@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import Content from '../models/Content.js'
+import Job from '../models/Job.js'
+import Season from '../models/Season.js'
+import { getSeasonEpisodes, getSeasons } from '../controllers/episodeController.js'
+import episodeService from '../services/episodeService.js'
+import jobService from '../services/jobService.js'
+
+const response = () => ({
+  status: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+})
+
+describe('season and episode lists', () => {
+  let show
+  let pending
+  let enqueue
+  let sync
+
+  const request = (params = {}) => ({ params: { id: String(show._id), ...params } })
+
+  beforeEach(() => {
+    show = { _id: new mongoose.Types.ObjectId(), contentType: 'tv', tmdbId: 4624 }
+    pending = null
+    vi.spyOn(Content, 'findById').mockImplementation(() => ({
+      select: () => ({ lean: async () => show }),
+    }))
+    vi.spyOn(Job, 'findOne').mockImplementation(async () => pending)
+    enqueue = vi.spyOn(jobService, 'enqueue').mockImplementation(async (name, data) => ({
+      name,
+      data,
+    }))
+    sync = vi.spyOn(episodeService, 'sync').mockResolvedValue(true)
+    vi.spyOn(Season, 'find').mockReturnValue({
+      sort: () => ({ lean: async () => [{ seasonNumber: 1, episodeCount: 20 }] }),
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('queue a fetch for a show never fetched, and answer 202 without waiting for it', async () => {
+    const res = response()
+
+    await getSeasons(request(), res)
+
+    expect(sync).not.toHaveBeenCalled()
+    expect(enqueue).toHaveBeenCalledWith('sync-episodes', { content: show._id })
+    expect(res.status).toHaveBeenCalledWith(202)
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ data: [], syncing: true }))
+  })
+
+  it('answer 202 for the episodes of a show never fetched', async () => {
+    const res = response()
+
+    await getSeasonEpisodes(request({ seasonNumber: '1' }), res)
+
+    expect(res.status).toHaveBeenCalledWith(202)
+    expect(res.json.mock.calls[0][0].data).toEqual({ season: null, episodes: [] })
+  })
+
+  it('queue one fetch per show however many requests ask', async () => {
+    pending = { name: 'sync-episodes', status: 'queued' }
+
+    await getSeasons(request(), response())
+
+    expect(enqueue).not.toHaveBeenCalled()
+    expect(Job.findOne.mock.calls[0][0]).toMatchObject({
+      name: 'sync-episodes',
+      'data.content': show._id,
+    })
+  })
+
+  it('serve stale seasons of an airing show while it is fetched again', async () => {
+    show.malStatus = 'currently_airing'
+    show.episodesSyncedAt = new Date(Date.now() - 2 * episodeService.airingRefreshInterval)
+    const res = response()
+
+    await getSeasons(request(), res)
+
+    expect(enqueue).toHaveBeenCalled()
+    expect(res.status).not.toHaveBeenCalled()
+    expect(res.json.mock.calls[0][0].data).toEqual([{ seasonNumber: 1, episodeCount: 20 }])
+  })
+
+  it('serve fetched seasons without queueing anything', async () => {
+    show.episodesSyncedAt = new Date()
+
+    await getSeasons(request(), response())
+
+    expect(Job.findOne).not.toHaveBeenCalled()
+    expect(enqueue).not.toHaveBeenCalled()
+  })
+
+  it('serve an empty list for a show no source had episodes for', async () => {
+    show.episodeSyncFailedAt = new Date()
+    show.episodeSyncFailures = 1
+    const res = response()
+
+    await getSeasons(request(), res)
+
+    expect(enqueue).not.toHaveBeenCalled()
+    expect(res.status).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,370 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import Job from '../models/Job.js'
+import jobService from '../services/jobService.js'
+
+const now = new Date('2025-03-01T12:00:00Z')
+
+const runningJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'test-job',
+  data: {},
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 3,
+  backoff: 1000,
+  lockedBy: jobService.workerId,
+  lockedUntil: new Date(now.getTime() + 3000),
+  ...fields,
+})
+
+// Resolves once the handler's signal aborts
+const aborted = (signal) =>
+  new Promise((resolve) => signal.addEventListener('abort', () => resolve(), { once: true }))
+
+describe('jobService', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    // Failed jobs are logged
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    jobService.handlers.delete('test-job')
+    jobService.active.clear()
+  })
+
+  describe('claim', () => {
+    it("takes a due queued job or one whose lease ran out, under this worker's lease", async () => {
+      const claimed = runningJob()
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(claimed)
+      jobService.define('test-job', vi.fn(), { lease: 3000 })
+
+      const job = await jobService.claim('test-job', jobService.definition('test-job'))
+
+      expect(job).toBe(claimed)
+      const [filter, update, options] = findOneAndUpdate.mock.calls[0]
+      expect(filter).toEqual({
+        name: 'test-job',
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } },
+        ],
+      })
+      expect(update).toEqual({
+        $set: {
+          status: 'running',
+          lockedBy: jobService.workerId,
+          lockedUntil: new Date(now.getTime() + 3000),
+        },
+        $currentDate: { startedAt: true },
+        $inc: { attempts: 1 },
+      })
+      expect(options).toEqual({ sort: { runAt: 1 }, new: true })
+    })
+
+    it('gives back a claimed job when other instances already run as many as the kind allows', async () => {
+      const claimed = runningJob({ startedAt: now })
+      vi.spyOn(mongoose.connection, 'readyState', 'get').mockReturnValue(1)
+      vi.spyOn(Job, 'countDocuments')
+        .mockResolvedValueOnce(0) // hasRoom before claiming
+        .mockResolvedValueOnce(1) // withinLimit: another run started first
+      vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(claimed)
+      const updateOne = vi.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 })
+      const handler = vi.fn()
+      jobService.define('test-job', handler)
+
+      await jobService.poll()
+
+      expect(handler).not.toHaveBeenCalled()
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: claimed._id, status: 'running', lockedBy: jobService.workerId },
+        {
+          $set: { status: 'queued' },
+          $unset: { lockedBy: 1, lockedUntil: 1, startedAt: 1 },
+          $inc: { attempts: -1 },
+        },
+      )
+    })
+  })
+
+  describe('leases', () => {
+    it("extends the lease while the job is still this worker's", async () => {
+      jobService.define('test-job', vi.fn(), { lease: 3000 })
+      const updateOne = vi.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 })
+      const controller = new AbortController()
+      const lease = { until: now.getTime() + 1000 }
+      const job = runningJob()
+
+      await jobService.renew(job, jobService.definition('test-job'), controller, lease)
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: job._id, status: 'running', lockedBy: jobService.workerId },
+        { $set: { lockedUntil: new Date(now.getTime() + 3000) } },
+      )
+      expect(lease.until).toBe(now.getTime() + 3000)
+      expect(controller.signal.aborted).toBe(false)
+    })
+
+    it('aborts the job when another worker took it over', async () => {
+      jobService.define('test-job', vi.fn(), { lease: 3000 })
+      vi.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 })
+      const controller = new AbortController()
+
+      await jobService.renew(runningJob(), jobService.definition('test-job'), controller, {
+        until: now.getTime() + 1000,
+      })
+
+      expect(controller.signal.aborted).toBe(true)
+    })
+
+    it('aborts the job without renewing once the lease ran out', async () => {
+      jobService.define('test-job', vi.fn(), { lease: 3000 })
+      const updateOne = vi.spyOn(Job, 'updateOne')
+      const controller = new AbortController()
+
+      await jobService.renew(runningJob(), jobService.definition('test-job'), controller, {
+        until: now.getTime(),
+      })
+
+      expect(updateOne).not.toHaveBeenCalled()
+      expect(controller.signal.aborted).toBe(true)
+    })
+
+    it('stops a running handler when a renewal finds the job taken over', async () => {
+      let signal
+      jobService.define(
+        'test-job',
+        async (data, context) => {
+          signal = context.signal
+          await aborted(signal)
+          throw new Error('Stopped')
+        },
+        { lease: 3000 },
+      )
+      vi.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 })
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+      const job = runningJob()
+
+      const execution = jobService.execute(job, jobService.definition('test-job'))
+      await vi.advanceTimersByTimeAsync(1000)
+      await execution
+
+      expect(signal.aborted).toBe(true)
+      // The failure is only recorded if the job is still this worker's
+      expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: job._id,
+        status: 'running',
+        lockedBy: jobService.workerId,
+      })
+      expect(jobService.active.size).toBe(0)
+    })
+
+    it('stops a running handler when the job is cancelled', async () => {
+      let signal
+      jobService.define('test-job', async (data, context) => {
+        signal = context.signal
+        await aborted(signal)
+      })
+      const job = runningJob()
+      vi.spyOn(Job, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ ...job, status: 'cancelled' }) // cancel
+        .mockResolvedValue(null) // complete finds the job no longer running
+
+      const execution = jobService.execute(job, jobService.definition('test-job'))
+      await jobService.cancel(job._id)
+      await execution
+
+      expect(signal.aborted).toBe(true)
+    })
+  })
+
+  describe('retries', () => {
+    it('queues a failed attempt again after its backoff, doubling each time', async () => {
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+
+      await jobService.fail(runningJob({ attempts: 1 }), new Error('Timed out'))
+      await jobService.fail(runningJob({ attempts: 2 }), new Error('Timed out'))
+
+      const [first, second] = findOneAndUpdate.mock.calls.map(([, update]) => update)
+      expect(first.$set).toEqual({
+        status: 'queued',
+        runAt: new Date(now.getTime() + 1000),
+        lastError: 'Timed out',
+      })
+      expect(second.$set.runAt).toEqual(new Date(now.getTime() + 2000))
+      expect(second.$push).toEqual({ failures: { attempt: 2, message: 'Timed out', at: now } })
+      expect(second.$unset).toEqual({ lockedBy: 1, lockedUntil: 1 })
+    })
+
+    it('fails the job for good after its last attempt', async () => {
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+
+      await jobService.fail(runningJob({ attempts: 3 }), new Error('Timed out'))
+
+      expect(findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+        status: 'failed',
+        finishedAt: now,
+        lastError: 'Timed out',
+      })
+    })
+
+    it('records a failure in the handler as a failed attempt', async () => {
+      jobService.define('test-job', async () => {
+        throw new Error('Source unavailable')
+      })
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+
+      await jobService.execute(runningJob(), jobService.definition('test-job'))
+
+      expect(findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        status: 'queued',
+        lastError: 'Source unavailable',
+      })
+    })
+
+    it('fails a job claimed back from a dead worker on its last attempt without running it', async () => {
+      const handler = vi.fn()
+      jobService.define('test-job', handler)
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+
+      await jobService.execute(
+        runningJob({ attempts: 4, maxAttempts: 3 }),
+        jobService.definition('test-job'),
+      )
+
+      expect(handler).not.toHaveBeenCalled()
+      expect(findOneAndUpdate.mock.calls[0][1].$set.status).toBe('failed')
+    })
+
+    it('queues a failed or cancelled job again with fresh attempts, off its schedule', async () => {
+      const findOneAndUpdate = vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null)
+      const id = new mongoose.Types.ObjectId()
+
+      await jobService.retry(id)
+
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: id, status: { $in: ['failed', 'cancelled'] } },
+        {
+          $set: { status: 'queued', runAt: now, attempts: 0 },
+          $unset: { every: 1, scheduleKey: 1, finishedAt: 1, cancelledBy: 1 },
+        },
+        { new: true },
+      )
+    })
+  })
+
+  describe('recurring jobs', () => {
+    const hour = 60 * 60 * 1000
+
+    it('queues the first run when no run of the schedule is pending', async () => {
+      jobService.define('test-job', vi.fn(), { maxAttempts: 2 })
+      vi.spyOn(Job, 'findOne').mockResolvedValue(null)
+      const create = vi.spyOn(Job, 'create').mockImplementation(async (doc) => doc)
+      const firstRunAt = new Date(now.getTime() + hour)
+
+      await jobService.schedule('test-job', hour, { firstRunAt })
+
+      expect(create).toHaveBeenCalledWith({
+        name: 'test-job',
+        data: {},
+        runAt: firstRunAt,
+        scheduledFor: firstRunAt,
+        every: hour,
+        scheduleKey: 'test-job',
+        maxAttempts: 2,
+        backoff: 60 * 1000,
+      })
+    })
+
+    it('keeps the pending run when an instance schedules again, updating its interval', async () => {
+      jobService.define('test-job', vi.fn())
+      const pending = runningJob({ status: 'queued', every: hour, scheduleKey: 'test-job' })
+      vi.spyOn(Job, 'findOne').mockResolvedValue(pending)
+      const create = vi.spyOn(Job, 'create')
+      const updateOne = vi.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 })
+
+      expect(await jobService.schedule('test-job', hour)).toBe(pending)
+      expect(updateOne).not.toHaveBeenCalled()
+
+      await jobService.schedule('test-job', 2 * hour)
+      expect(updateOne).toHaveBeenCalledWith({ _id: pending._id }, { $set: { every: 2 * hour } })
+      expect(create).not.toHaveBeenCalled()
+    })
+
+    it('returns the run another instance queued at the same time', async () => {
+      jobService.define('test-job', vi.fn())
+      const queued = runningJob({ status: 'queued', scheduleKey: 'test-job' })
+      vi.spyOn(Job, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(queued)
+      vi.spyOn(Job, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }))
+
+      expect(await jobService.schedule('test-job', hour)).toBe(queued)
+    })
+
+    it('queues the next run at the first scheduled time still ahead', async () => {
+      const create = vi.spyOn(Job, 'create').mockImplementation(async (doc) => doc)
+      // Scheduled for 09:00 hourly; the run finished at 12:00, so 10:00-12:00 are skipped
+      const scheduledFor = new Date(now.getTime() - 3 * hour)
+
+      const next = await jobService.queueNext(
+        runningJob({ status: 'completed', every: hour, scheduledFor, scheduleKey: 'test-job' }),
+      )
+
+      expect(next.runAt).toEqual(new Date(now.getTime() + hour))
+      expect(next.scheduledFor).toEqual(new Date(now.getTime() + hour))
+      expect(create.mock.calls[0][0]).toMatchObject({ every: hour, scheduleKey: 'test-job' })
+    })
+
+    it('counts from the scheduled time, not the retry that ran late', async () => {
+      vi.spyOn(Job, 'create').mockImplementation(async (doc) => doc)
+      const scheduledFor = new Date(now.getTime() - 10 * 60 * 1000)
+
+      const next = await jobService.queueNext(
+        runningJob({
+          every: hour,
+          scheduledFor,
+          runAt: new Date(now.getTime() - 60 * 1000),
+          scheduleKey: 'test-job',
+        }),
+      )
+
+      expect(next.runAt).toEqual(new Date(scheduledFor.getTime() + hour))
+    })
+
+    it('leaves queueing the next run to the instance that got there first', async () => {
+      vi.spyOn(Job, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }))
+
+      expect(
+        await jobService.queueNext(
+          runningJob({ every: hour, scheduledFor: now, scheduleKey: 'test-job' }),
+        ),
+      ).toBeNull()
+    })
+
+    it('queues nothing after a one-off job', async () => {
+      const create = vi.spyOn(Job, 'create')
+
+      expect(await jobService.queueNext(runningJob())).toBeNull()
+      expect(create).not.toHaveBeenCalled()
+    })
+
+    it('queues the next run when a recurring job completes', async () => {
+      jobService.define('test-job', async () => ({ done: true }))
+      const job = runningJob({
+        every: hour,
+        scheduledFor: now,
+        scheduleKey: 'test-job',
+      })
+      vi.spyOn(Job, 'findOneAndUpdate').mockResolvedValue({ ...job, status: 'completed' })
+      const create = vi.spyOn(Job, 'create').mockImplementation(async (doc) => doc)
+
+      await jobService.execute(job, jobService.definition('test-job'))
+
+      expect(create.mock.calls[0][0].runAt).toEqual(new Date(now.getTime() + hour))
+    })
+  })
+})
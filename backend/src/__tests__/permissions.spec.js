@@ -0,0 +1,248 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import RoleChange from '../models/RoleChange.js'
+import User from '../models/User.js'
+import { grantRole, revokeRole } from '../controllers/userRoleController.js'
+import { requirePermission } from '../middleware/permissions.js'
+import { logSecurityEvent } from '../middleware/securityLogger.js'
+import permissionService from '../services/permissionService.js'
+
+// Denied requests are logged as security events; keep them out of logs/
+vi.mock('../middleware/securityLogger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  logSecurityEvent: vi.fn(),
+}))
+
+const account = (username, ...roles) => ({
+  _id: new mongoose.Types.ObjectId(),
+  username,
+  roles,
+})
+
+const response = () => ({
+  status: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+})
+
+describe('permissionService', () => {
+  it('grants moderators content editing and bans, but not merging or deleting', () => {
+    const moderator = account('mod', 'user', 'moderator')
+
+    expect(permissionService.can(moderator, 'content:edit')).toBe(true)
+    expect(permissionService.can(moderator, 'bans:write')).toBe(true)
+    expect(permissionService.can(moderator, 'content:merge')).toBe(false)
+    expect(permissionService.can(moderator, 'content:delete')).toBe(false)
+    expect(permissionService.can(moderator, 'roles:write')).toBe(false)
+  })
+
+  it('grants admins every permission', () => {
+    const admin = account('admin', 'user', 'admin')
+
+    expect(permissionService.permissionsOf(admin).sort()).toEqual(
+      [...permissionService.permissions].sort(),
+    )
+  })
+
+  it("combines the permissions of all of a user's roles once each", () => {
+    const permissions = permissionService.permissionsOf(account('both', 'moderator', 'admin'))
+
+    expect(permissions).toHaveLength(new Set(permissions).size)
+    expect(permissions).toContain('jobs:write')
+  })
+
+  it('treats accounts from before roles existed as plain users', () => {
+    expect(permissionService.rolesOf({ username: 'old' })).toEqual(['user'])
+    expect(permissionService.rolesOf(account('old'))).toEqual(['user'])
+    expect(permissionService.permissionsOf({ username: 'old' })).toEqual([])
+  })
+
+  it('ignores roles it does not know', () => {
+    expect(permissionService.permissionsOf(account('odd', 'superuser'))).toEqual([])
+  })
+})
+
+describe('requirePermission', () => {
+  const check = requirePermission('content:merge')
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('answers 401 when no one is signed in', () => {
+    const res = response()
+    const next = vi.fn()
+
+    check({ method: 'POST', originalUrl: '/api/admin/duplicates/1/accept' }, res, next)
+
+    expect(res.status).toHaveBeenCalledWith(401)
+    expect(next).not.toHaveBeenCalled()
+    expect(logSecurityEvent).not.toHaveBeenCalled()
+  })
+
+  it('answers 403 and logs the attempt when the user lacks the permission', () => {
+    const moderator = account('mod', 'user', 'moderator')
+    const res = response()
+    const next = vi.fn()
+
+    check(
+      { user: moderator, method: 'POST', originalUrl: '/api/admin/duplicates/1/accept' },
+      res,
+      next,
+    )
+
+    expect(res.status).toHaveBeenCalledWith(403)
+    expect(next).not.toHaveBeenCalled()
+    expect(logSecurityEvent).toHaveBeenCalledWith(
+      'UNAUTHORIZED_ACCESS',
+      expect.objectContaining({ userId: moderator._id, permission: 'content:merge' }),
+    )
+  })
+
+  it('lets users with the permission through', () => {
+    const res = response()
+    const next = vi.fn()
+
+    check({ user: account('admin', 'user', 'admin') }, res, next)
+
+    expect(next).toHaveBeenCalled()
+    expect(res.status).not.toHaveBeenCalled()
+  })
+})
+
+describe('grantRole', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('grants a role and records who granted it', async () => {
+    const admin = account('admin', 'user', 'admin')
+    const viewer = account('viewer', 'user')
+    vi.spyOn(User, 'findByIdAndUpdate').mockReturnValue({
+      select: async () => User.hydrate({ ...viewer, roles: ['user', 'moderator'] }),
+    })
+    const create = vi.spyOn(RoleChange, 'create').mockResolvedValue({})
+    const res = response()
+
+    await grantRole({ user: admin, params: { id: String(viewer._id), role: 'moderator' } }, res)
+
+    expect(res.status).not.toHaveBeenCalled()
+    expect(create).toHaveBeenCalledWith({
+      user: viewer._id,
+      role: 'moderator',
+      action: 'grant',
+      changedBy: admin._id,
+    })
+  })
+
+  it('refuses roles that cannot be granted', async () => {
+    const res = response()
+
+    await grantRole({ user: account('admin', 'admin'), params: { id: '1', role: 'user' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+  })
+})
+
+describe('revokeRole', () => {
+  // Stored accounts, updated the way MongoDB would
+  let accounts
+  let create
+
+  const stored = (id) => accounts.find((entry) => entry._id.equals(id))
+  const revoke = async (requester, target, role) => {
+    const res = response()
+    await revokeRole({ user: requester, params: { id: String(target._id), role } }, res)
+    return res
+  }
+
+  beforeEach(() => {
+    accounts = []
+    vi.spyOn(User, 'findById').mockImplementation((id) => ({
+      select: async () => {
+        const entry = stored(id)
+        return entry && User.hydrate({ ...entry, roles: [...entry.roles] })
+      },
+    }))
+    vi.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      const entry = stored(filter._id)
+      if (!entry || (filter.roles && !entry.roles.includes(filter.roles))) {
+        return { modifiedCount: 0 }
+      }
+      if (update.$pull) entry.roles = entry.roles.filter((role) => role !== update.$pull.roles)
+      if (update.$addToSet && !entry.roles.includes(update.$addToSet.roles)) {
+        entry.roles.push(update.$addToSet.roles)
+      }
+      return { modifiedCount: 1 }
+    })
+    vi.spyOn(User, 'exists').mockImplementation(async (filter) =>
+      accounts.some((entry) => entry.roles.includes(filter.roles)),
+    )
+    create = vi.spyOn(RoleChange, 'create').mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('takes a role away', async () => {
+    const admin = account('admin', 'user', 'admin')
+    const moderator = account('mod', 'user', 'moderator')
+    accounts.push(admin, moderator)
+
+    const res = await revoke(admin, moderator, 'moderator')
+
+    expect(res.status).not.toHaveBeenCalled()
+    expect(stored(moderator._id).roles).toEqual(['user'])
+    expect(res.json.mock.calls[0][0].data.user.roles).toEqual(['user'])
+    expect(create).toHaveBeenCalledWith({
+      user: moderator._id,
+      role: 'moderator',
+      action: 'revoke',
+      changedBy: admin._id,
+    })
+  })
+
+  it('leaves the last admin their role', async () => {
+    const admin = account('admin', 'user', 'admin')
+    accounts.push(admin)
+
+    const res = await revoke(admin, admin, 'admin')
+
+    expect(res.status).toHaveBeenCalledWith(409)
+    expect(stored(admin._id).roles).toContain('admin')
+    expect(create).not.toHaveBeenCalled()
+  })
+
+  it('lets one of two admins go', async () => {
+    const first = account('first', 'user', 'admin')
+    const second = account('second', 'user', 'admin')
+    accounts.push(first, second)
+
+    const res = await revoke(first, second, 'admin')
+
+    expect(res.status).not.toHaveBeenCalled()
+    expect(stored(first._id).roles).toContain('admin')
+    expect(stored(second._id).roles).not.toContain('admin')
+  })
+
+  it('keeps an admin when the last two revoke each other at the same time', async () => {
+    const first = account('first', 'user', 'admin')
+    const second = account('second', 'user', 'admin')
+    accounts.push(first, second)
+
+    await Promise.all([revoke(first, second, 'admin'), revoke(second, first, 'admin')])
+
+    expect(accounts.some((entry) => entry.roles.includes('admin'))).toBe(true)
+  })
+
+  it('answers 404 for a role the user does not have', async () => {
+    const admin = account('admin', 'user', 'admin')
+    const viewer = account('viewer', 'user')
+    accounts.push(admin, viewer)
+
+    const res = await revoke(admin, viewer, 'moderator')
+
+    expect(res.status).toHaveBeenCalledWith(404)
+  })
+})
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import mongoose from 'mongoose'
+
+import Job from '../models/Job.js'
+import { deleteRankingProfile, saveRankingProfile } from '../controllers/rankingController.js'
+import jobService from '../services/jobService.js'
+import rankingScoreService from '../services/rankingScoreService.js'
+import rankingService from '../services/rankingService.js'
+
+const response = () => ({
+  status: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+})
+
+describe('ranking profile changes', () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', roles: ['admin'] }
+  let pending
+  let enqueue
+
+  beforeEach(() => {
+    pending = null
+    vi.spyOn(Job, 'findOne').mockImplementation(async () => pending)
+    enqueue = vi.spyOn(jobService, 'enqueue').mockImplementation(async (name) => ({ name }))
+    vi.spyOn(rankingService, 'getProfile').mockResolvedValue(null)
+    vi.spyOn(rankingService, 'saveProfile').mockImplementation(async (name, data) => ({
+      name,
+      ...data,
+    }))
+    vi.spyOn(rankingService, 'deleteProfile').mockResolvedValue(true)
+    vi.spyOn(rankingScoreService, 'ensureIndexes').mockResolvedValue()
+    vi.spyOn(rankingScoreService, 'dropIndexes').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('queue a repair job to re-score content when a profile is saved', async () => {
+    const res = response()
+
+    await saveRankingProfile(
+      { user: admin, params: { name: 'cosy' }, body: { weights: { popularity: 2 } } },
+      res,
+    )
+
+    expect(enqueue).toHaveBeenCalledWith('repair-ranking-scores', {}, { createdBy: admin._id })
+    expect(res.json.mock.calls[0][0].data.job).toEqual({ name: 'repair-ranking-scores' })
+  })
+
+  it('queue a repair job when a profile is deleted', async () => {
+    const res = response()
+
+    await deleteRankingProfile({ user: admin, params: { name: 'cosy' } }, res)
+
+    expect(enqueue).toHaveBeenCalledWith('repair-ranking-scores', {}, { createdBy: admin._id })
+  })
+
+  it("reuse a repair that is due but hasn't started", async () => {
+    pending = { name: 'repair-ranking-scores', status: 'queued' }
+    const res = response()
+
+    await deleteRankingProfile({ user: admin, params: { name: 'cosy' } }, res)
+
+    expect(enqueue).not.toHaveBeenCalled()
+    expect(res.json.mock.calls[0][0].data.job).toBe(pending)
+    const [filter] = Job.findOne.mock.calls[0]
+    expect(filter).toMatchObject({ name: 'repair-ranking-scores', status: 'queued' })
+  })
+})
+
+describe('rankingService.buildScoreStages', () => {
+  it('reports the stored score lists are sorted on next to the live breakdown', () => {
+    const profile = rankingService.normalizeProfile('fresh', rankingService.builtInProfiles.fresh)
+
+    const stages = rankingService.buildScoreStages(profile, { explain: true })
+
+    const { rankingBreakdown } = stages.find(
+      (stage) => stage.$addFields?.rankingBreakdown,
+    ).$addFields
+    expect(rankingBreakdown.storedScore).toEqual({ $ifNull: ['$rankingScores.fresh', null] })
+    expect(rankingBreakdown.storedAt).toEqual({ $ifNull: ['$rankingScoredAt', null] })
+    expect(Object.keys(rankingBreakdown.components)).toContain('recency')
+  })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+import Content from '../models/Content.js'
+import refreshService from '../services/refreshService.js'
+
+const day = 24 * 60 * 60 * 1000
+const now = new Date(Date.UTC(2025, 5, 1))
+const daysAgo = (days) => new Date(now - days * day)
+
+describe('refreshService', () => {
+  beforeEach(() => {
+    vi.spyOn(Content, 'countDocuments').mockResolvedValue(0)
+    vi.spyOn(Content, 'aggregate').mockResolvedValue([])
+    vi.spyOn(Content, 'find')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('asks for due titles by their tier and when the source was last checked', () => {
+    const query = refreshService.dueQuery('mal', now)
+
+    expect(query['dataSources.mal.hasData']).toBe(true)
+    expect(query.malId).toEqual({ $ne: null })
+    const [removed, airing, recent, finished] = query.$or
+    // Removed titles wait the finished interval, whatever their tier
+    expect(removed['dataSources.mal.removedAt']).toEqual({ $ne: null })
+    expect(removed.$or[0]).toEqual({ 'dataSources.mal.checkedAt': { $lte: daysAgo(30) } })
+    expect(airing.$and).toEqual([
+      refreshService.tierQuery('airing', now),
+      refreshService.staleQuery('mal', day, now),
+    ])
+    expect(recent.$and[1].$or[0]).toEqual({ 'dataSources.mal.checkedAt': { $lte: daysAgo(7) } })
+    expect(finished.$and[0]).toEqual(refreshService.tierQuery('finished', now))
+  })
+
+  it('treats a title never checked as due, going by when its data was stored', () => {
+    expect(refreshService.staleQuery('tmdb', 7 * day, now).$or).toEqual([
+      { 'dataSources.tmdb.checkedAt': { $lte: daysAgo(7) } },
+      { 'dataSources.tmdb.checkedAt': null, 'dataSources.tmdb.lastUpdated': { $lte: daysAgo(7) } },
+      { 'dataSources.tmdb.checkedAt': null, 'dataSources.tmdb.lastUpdated': null },
+    ])
+  })
+
+  it('splits tiers the same way for queries and single titles', () => {
+    const airing = refreshService.tierQuery('airing', now)
+    const recent = refreshService.tierQuery('recent', now)
+    const finished = refreshService.tierQuery('finished', now)
+
+    expect(refreshService.tier({ malStatus: 'currently_airing' }, now)).toBe('airing')
+    expect(airing.$or).toContainEqual({ malStatus: { $in: refreshService.airingStatuses.mal } })
+    expect(refreshService.tier({ releaseDate: daysAgo(89) }, now)).toBe('recent')
+    expect(recent).toEqual({ $nor: [airing], releaseDate: { $gt: daysAgo(90) } })
+    expect(refreshService.tier({ releaseDate: daysAgo(91) }, now)).toBe('finished')
+    expect(finished).toEqual({ $nor: [airing, { releaseDate: { $gt: daysAgo(90) } }] })
+  })
+
+  it('loads only the stalest titles within the budget', async () => {
+    vi.spyOn(refreshService, 'budget').mockReturnValue(25)
+    vi.spyOn(refreshService, 'hasKey').mockReturnValue(true)
+
+    await refreshService.plan(now)
+
+    expect(Content.find).not.toHaveBeenCalled()
+    const [pipeline] = Content.aggregate.mock.calls[0]
+    expect(pipeline[0]).toEqual({ $match: refreshService.dueQuery('tmdb', now) })
+    expect(pipeline.slice(-2)).toEqual([{ $sort: { lastChecked: 1, _id: 1 } }, { $limit: 25 }])
+  })
+
+  it('skips loading titles for a source without a key', async () => {
+    vi.spyOn(refreshService, 'hasKey').mockReturnValue(false)
+
+    const plan = await refreshService.plan(now)
+
+    expect(Content.aggregate).not.toHaveBeenCalled()
+    expect(plan.tmdb).toEqual({ budget: 0, due: 0, titles: [] })
+  })
+
+  it('counts due titles per tier without loading them', async () => {
+    Content.countDocuments.mockImplementation(async (filter) => (filter.$and ? 2 : 6))
+
+    const summary = await refreshService.dueSummary(now)
+
+    expect(Content.find).not.toHaveBeenCalled()
+    expect(Content.aggregate).not.toHaveBeenCalled()
+    expect(summary.mal).toEqual({ total: 6, airing: 2, recent: 2, finished: 2 })
+    expect(Content.countDocuments).toHaveBeenCalledWith({
+      $and: [refreshService.dueQuery('mal', now), refreshService.tierQuery('airing', now)],
+    })
+  })
+})
@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest'
+
+import searchService from '../services/searchService.js'
+
+describe('searchService.buildConditions', () => {
+  it('bounds release years in UTC, whatever the server time zone', () => {
+    const { year } = searchService.buildConditions({ yearMin: 2005, yearMax: 2006 })
+
+    expect(year).toEqual({
+      releaseDate: {
+        $gte: new Date('2005-01-01T00:00:00Z'),
+        $lt: new Date('2007-01-01T00:00:00Z'),
+      },
+    })
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+
+import titleNormalizationService from '../services/titleNormalizationService.js'
+
+const normalize = (text) => titleNormalizationService.normalize(text)
+
+describe('titleNormalizationService', () => {
+  it('transliterates hiragana and katakana to Hepburn romaji', () => {
+    expect(titleNormalizationService.kanaToRomaji('しんげきのきょじん')).toBe('shingekinokyojin')
+    expect(titleNormalizationService.kanaToRomaji('チェンソーマン')).toBe('chensooman')
+    expect(titleNormalizationService.kanaToRomaji('ファイト')).toBe('faito')
+    expect(titleNormalizationService.kanaToRomaji('がっこう')).toBe('gakkou')
+    expect(titleNormalizationService.kanaToRomaji('まっちゃ')).toBe('matcha')
+  })
+
+  it('leaves text other than kana untouched when transliterating', () => {
+    expect(titleNormalizationService.kanaToRomaji('東京 Ghoul')).toBe('東京 Ghoul')
+  })
+
+  it('gives kana, macron and spelled-out long vowels the same form', () => {
+    const forms = ['とうきょう', 'トウキョウ', 'Tōkyō', 'Toukyou', 'Tookyoo', 'TOKYO'].map(
+      normalize,
+    )
+    expect(new Set(forms)).toEqual(new Set(['tokyo']))
+
+    expect(normalize('Ookami to Koushinryou')).toBe(normalize('Ōkami to Kōshinryō'))
+    expect(normalize('Kuuchuu Buranko')).toBe('kuchu buranko')
+  })
+
+  it('keeps the long vowels of English words', () => {
+    expect(normalize('Soul Eater')).toBe('soul eater')
+    expect(normalize('The Book of Bantorra')).toBe('the book of bantorra')
+    expect(normalize('Tokyo Ghoul')).not.toBe(normalize('Tokyo Ghol'))
+  })
+
+  it('folds full-width characters, accents, case and punctuation', () => {
+    expect(normalize('ＦＵＬＬＭＥＴＡＬ　ＡＬＣＨＥＭＩＳＴ')).toBe('fullmetal alchemist')
+    expect(normalize('Pokémon: The Movie!')).toBe('pokemon the movie')
+    expect(normalize('  Re:Zero −  Starting Life… ')).toBe('re zero starting life')
+  })
+
+  it('normalizes a normalized title to itself', () => {
+    for (const title of [
+      'とうきょう',
+      'Tōkyō Ghoul:re',
+      'Ookami to Koushinryou',
+      'Soul Eater',
+      'ＦＵＬＬＭＥＴＡＬ',
+      'Kimi no Na wa.',
+    ]) {
+      const once = normalize(title)
+      expect(normalize(once)).toBe(once)
+    }
+  })
+
+  it('returns an empty string for missing titles', () => {
+    expect(normalize(null)).toBe('')
+    expect(normalize(undefined)).toBe('')
+    expect(normalize('!!!')).toBe('')
+  })
+
+  it('lists each normalized form once and drops empty ones', () => {
+    expect(
+      titleNormalizationService.normalizeAll(['Tōkyō', 'Tokyo', 'とうきょう', '', '...']),
+    ).toEqual(['tokyo'])
+  })
+})
@@ -6,6 +6,7 @@ import path from 'path'
 import fs from 'fs'
 import { logLoginAttempt, logAccountLockout, logFileUpload } from '../middleware/securityLogger.js'
 import { banIPForBruteForce } from '../middleware/ipBan.js'
+import permissionService from '../services/permissionService.js'
 
 export const register = async (req, res) => {
   try {
@@ -188,8 +189,11 @@ export const getProfile = async (req, res) => {
           email: user.email,
           profilePicture: user.profilePicture,
           createdAt: user.createdAt,
-          watchlist: user.watchlist,
-          ratings: user.ratings,
+          roles: permissionService.rolesOf(user),
+          permissions: permissionService.permissionsOf(user),
+          // Trashed titles don't populate
+          watchlist: user.watchlist.filter((item) => item.content),
+          ratings: user.ratings.filter((item) => item.content),
           preferences: user.preferences,
         },
       },
@@ -0,0 +1,262 @@
+import { validationResult } from 'express-validator'
+import Content from '../models/Content.js'
+import contentAdminService from '../services/contentAdminService.js'
+import refreshService from '../services/refreshService.js'
+
+const listFields =
+  'title originalTitle contentType format releaseDate posterPath slug tmdbId malId franchise unifiedScore lockedFields dataSources lastUpdated'
+
+// Answer 400 for fields the API doesn't edit; true when all fields are editable
+const checkEditable = (data, res) => {
+  const unknown = Object.keys(data).filter((field) => !contentAdminService.isEditable(field))
+  if (unknown.length === 0) return true
+
+  res.status(400).json({
+    success: false,
+    message: `Fields can't be edited: ${unknown.join(', ')}`,
+  })
+  return false
+}
+
+// Answer 400/409 for save errors the admin can fix, 500 for the rest
+const sendSaveError = (error, res, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    })
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Another title already has the same external ID or slug',
+    })
+  }
+  res.status(500).json({
+    success: false,
+    message,
+  })
+}
+
+// Titles for the admin list, most recently updated first
+export const getAdminContent = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+    const query = {}
+    if (req.query.type) query.contentType = req.query.type
+    if (req.query.q) {
+      const escaped = req.query.q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      query.title = { $regex: escaped, $options: 'i' }
+    }
+
+    const [contents, total] = await Promise.all([
+      Content.find(query)
+        .select(listFields)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Content.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        contents,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Error getting admin content:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving content',
+    })
+  }
+}
+
+export const getAdminContentById = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const content = await Content.findById(req.params.id)
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { content },
+    })
+  } catch (error) {
+    console.error('Error getting admin content item:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving content',
+    })
+  }
+}
+
+// Enter a title by hand; `lock: true` keeps syncs from overwriting what was entered
+export const createContent = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { lock = false, ...data } = req.body
+    if (!checkEditable(data, res)) return
+
+    const content = await contentAdminService.create(data, { lock, userId: req.user._id })
+
+    res.status(201).json({
+      success: true,
+      message: `${content.title} created`,
+      data: { content },
+    })
+  } catch (error) {
+    console.error('Error creating content:', error)
+    sendSaveError(error, res, 'Error creating content')
+  }
+}
+
+// Change some fields of a title; `lock: true` also locks the changed fields
+export const updateContent = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { lock = false, ...data } = req.body
+    if (!checkEditable(data, res)) return
+
+    const content = await Content.findById(req.params.id).select('+provenance')
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    await contentAdminService.update(content, data, { lock, userId: req.user._id })
+
+    res.json({
+      success: true,
+      message: `${content.title} updated`,
+      data: { content },
+    })
+  } catch (error) {
+    console.error('Error updating content:', error)
+    sendSaveError(error, res, 'Error updating content')
+  }
+}
+
+// Set the franchise, or add and remove studios and genres, on many titles
+export const bulkEditContent = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { ids, franchise, studios, genres } = req.body
+    const result = await contentAdminService.bulkEdit(ids, { franchise, studios, genres })
+
+    res.json({
+      success: true,
+      message: `${result.updated} of ${ids.length} titles updated`,
+      data: result,
+    })
+  } catch (error) {
+    console.error('Error bulk editing content:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error bulk editing content',
+    })
+  }
+}
+
+// Fetch a title from TMDB or MAL again; locked fields keep their values
+export const refetchContent = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { source } = req.body
+    const content = await Content.findById(req.params.id).select('+provenance')
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    const externalId = source === 'tmdb' ? content.tmdbId : content.malId
+    if (!externalId) {
+      return res.status(400).json({
+        success: false,
+        message: `${content.title} has no ${source.toUpperCase()} ID`,
+      })
+    }
+
+    const result = await refreshService.refresh(content, source, { overwrite: true })
+    if (result === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: `${source.toUpperCase()} no longer has ${content.title}; it has been flagged as removed`,
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `${content.title} re-fetched from ${source.toUpperCase()}`,
+      data: { content },
+    })
+  } catch (error) {
+    console.error('Error re-fetching content:', error)
+    if (error.response) {
+      return res.status(502).json({
+        success: false,
+        message: `${req.body.source.toUpperCase()} answered ${error.response.status}`,
+      })
+    }
+    sendSaveError(error, res, 'Error re-fetching content')
+  }
+}
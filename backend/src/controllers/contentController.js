@@ -1,77 +1,124 @@
 import Content from '../models/Content.js'
+import ContentRedirect from '../models/ContentRedirect.js'
 import User from '../models/User.js'
+import Activity from '../models/Activity.js'
+import Season from '../models/Season.js'
 import unifiedContentService from '../services/unifiedContentService.js'
 import geminiService from '../services/geminiService.js'
 import relationshipService from '../services/relationshipService.js'
+import searchService from '../services/searchService.js'
+import cursorService from '../services/cursorService.js'
+import rankingService from '../services/rankingService.js'
+import scoreService from '../services/scoreService.js'
+import trendingService from '../services/trendingService.js'
+import formatService from '../services/formatService.js'
+import seriesMappingService from '../services/seriesMappingService.js'
+import contentIdService from '../services/contentIdService.js'
 import { validationResult } from 'express-validator'
 import mongoose from 'mongoose'
 
 // Get all content with pagination
+// Prefers opaque keyset cursors; page/skip is kept for older clients
 export const getContent = async (req, res) => {
   const startTime = Date.now()
   try {
     const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 20
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
     const contentType = req.query.type || 'all'
-    const skip = (page - 1) * limit
+    const formats = searchService.parseList(req.query.format)
+    const explain = req.query.explain === 'true'
+
+    const invalidFormat = formats.find((format) => !formatService.isValidFormat(format))
+    if (invalidFormat) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown format: ${invalidFormat}`,
+      })
+    }
+
+    const profile = await rankingService.getProfile(req.query.profile || undefined)
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown ranking profile: ${req.query.profile}`,
+      })
+    }
+
+    // Sort on the materialised score so the browse query is an index walk
+    const scoreField = rankingService.getScoreField(profile)
+    const sortSpec = { [scoreField]: -1, _id: -1 }
+    const cursorScope = `content:${contentType}:${formats.join(',')}:${rankingService.getVersion(profile)}`
+
+    let cursor = null
+    if (req.query.cursor) {
+      cursor = cursorService.decode(req.query.cursor, sortSpec, cursorScope)
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired cursor',
+        })
+      }
+    }
+    const skip = cursor ? 0 : parseInt(req.query.skip) || (page - 1) * limit
+
+    // Stored scores are needed for the cursors, and removed further down
+    const projection = Content.internalFieldsProjection()
+    delete projection.rankingScores
 
     let query = {}
     if (contentType !== 'all') {
       query.contentType = contentType
     }
+    if (formats.length > 0) {
+      query.format = { $in: formats }
+    }
 
     // Get total count for pagination
     const total = await Content.countDocuments(query)
 
     const totalPages = Math.ceil(total / limit)
 
-    // Use aggregation to add TMDB boost for visibility without overshadowing MAL content
-    const content = await Content.aggregate([
-      { $match: query },
+    // Rank with the selected profile; the live score is only computed for an explained page
+    const results = await Content.aggregate([
       {
-        $addFields: {
-          // Keep original scores unchanged for user display
-          boostedScore: { $ifNull: ['$unifiedScore', 0] },
-          // Create a hidden sorting score that boosts TMDB content visibility
-          hiddenSortScore: {
-            $add: [
-              { $ifNull: ['$unifiedScore', 0] },
-              // Add significant boost to TMDB content for better visibility (user cannot see this)
-              { $cond: [{ $ne: ['$tmdbId', null] }, 1.0, 0] },
-              // Add popularity boost for TMDB content
-              {
-                $cond: [
-                  { $ne: ['$tmdbId', null] },
-                  { $multiply: [{ $ifNull: ['$popularity', 0] }, 0.05] },
-                  0,
-                ],
-              },
-            ],
-          },
-        },
+        $match: cursor ? { $and: [query, cursorService.buildIndexMatch(sortSpec, cursor)] } : query,
       },
-      { $sort: { hiddenSortScore: -1, _id: -1 } },
+      { $sort: cursorService.getSort(sortSpec, cursor?.direction) },
       { $skip: skip },
-      { $limit: limit },
+      // One extra row tells us whether another page exists
+      { $limit: limit + 1 },
+      ...(explain ? rankingService.buildScoreStages(profile, { explain }) : []),
+      { $project: projection },
+    ])
+
+    const { items, nextCursor, prevCursor, hasNextPage, hasPrevPage } = cursorService.paginate(
+      results,
       {
-        $project: {
-          boostedScore: 0, // Remove the temporary field from output
-          hiddenSortScore: 0, // Remove the hidden sorting field from output
-        },
+        sortSpec,
+        limit,
+        direction: cursor?.direction,
+        hasPrevious: !!cursor || skip > 0,
+        scope: cursorScope,
       },
-    ])
+    )
+
+    // Stored scores are only needed for the cursors
+    items.forEach((item) => delete item.rankingScores)
 
     res.json({
       success: true,
-      data: content,
+      data: items,
       pagination: {
         currentPage: page,
         totalPages,
         totalItems: total,
         itemsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
+        hasNextPage,
+        hasPrevPage,
+        nextCursor,
+        prevCursor,
       },
+      ranking: { profile: profile.name },
     })
   } catch (error) {
     const totalTime = Date.now() - startTime
@@ -88,7 +135,13 @@ export const getContent = async (req, res) => {
 export const getContentById = async (req, res) => {
   try {
     const { id } = req.params
-    const content = await Content.findById(id)
+    let content = await Content.findById(id)
+
+    // IDs of titles merged into another one
+    if (!content) {
+      const target = await ContentRedirect.resolve({ id })
+      if (target) content = await Content.findById(target)
+    }
 
     if (!content) {
       return res.status(404).json({
@@ -110,6 +163,43 @@ export const getContentById = async (req, res) => {
   }
 }
 
+// Get content by its URL slug
+export const getContentBySlug = async (req, res) => {
+  try {
+    const { slug } = req.params
+    if (!contentIdService.isSlug(slug)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid slug format',
+      })
+    }
+
+    let content = await Content.findOne({ slug })
+    if (!content) {
+      const target = await ContentRedirect.resolve({ slug })
+      if (target) content = await Content.findById(target)
+    }
+
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    res.json({
+      success: true,
+      data: content,
+    })
+  } catch (error) {
+    console.error('Error fetching content by slug:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching content',
+    })
+  }
+}
+
 // Get content by external ID (TMDB or MAL)
 export const getContentByExternalId = async (req, res) => {
   try {
@@ -129,11 +219,11 @@ export const getContentByExternalId = async (req, res) => {
     if (source === 'tmdb') {
       content = await Content.findOne({ tmdbId: parsedId })
     } else if (source === 'mal') {
-      content = await Content.findOne({ malId: parsedId })
+      content = await Content.findByExternalId(parsedId, 'mal')
     } else {
       // Try both sources
       content = await Content.findOne({
-        $or: [{ tmdbId: parsedId }, { malId: parsedId }],
+        $or: [{ tmdbId: parsedId }, { malId: parsedId }, { 'malSeasons.malId': parsedId }],
       })
     }
 
@@ -157,39 +247,41 @@ export const getContentByExternalId = async (req, res) => {
   }
 }
 
-// Search content
+// Search content with server-side filters and facet counts
 export const searchContent = async (req, res) => {
   try {
-    const { query, type, limit = 20, page = 1 } = req.query
-
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required',
-      })
+    const { query, sort = 'relevance' } = req.query
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+    const filters = searchService.parseFilters(req.query)
+
+    let cursor = null
+    if (req.query.cursor) {
+      cursor = searchService.decodeCursor(req.query.cursor, { query, filters, sort })
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired cursor',
+        })
+      }
     }
 
-    const skip = (page - 1) * limit
+    // A text query narrows the candidate set to ranked title matches, filters apply on top
+    const matches = query ? await searchService.findMatches(query) : null
 
-    // Search in database first
-    const dbResults = await Content.find({
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { overview: { $regex: query, $options: 'i' } },
-        { alternativeTitles: { $regex: query, $options: 'i' } },
-      ],
-      ...(type && type !== 'all' ? { contentType: type } : {}),
-    })
-      .sort({ popularity: -1, unifiedScore: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+    const {
+      content: dbResults,
+      facets,
+      pagination,
+    } = await searchService.facetedSearch(filters, { query, page, limit, sort, matches, cursor })
 
-    // If not enough results, search external APIs
+    // External results can't honour facet filters, so only use them for plain title searches
+    const onlyTypeFilter = Object.keys(filters).every((key) => key === 'type')
     let externalResults = []
-    if (dbResults.length < limit) {
+    if (query && page === 1 && !cursor && onlyTypeFilter && dbResults.length < limit) {
       try {
         externalResults = await unifiedContentService.searchContent(query, {
-          contentType: type || 'all',
+          contentType: filters.type || 'all',
           limit: limit - dbResults.length,
         })
       } catch (error) {
@@ -218,22 +310,12 @@ export const searchContent = async (req, res) => {
       }
     }
 
-    // Recalculate total after deduplication
-    const total = uniqueResults.length
-    const totalPages = Math.ceil(total / limit)
-
     res.json({
       success: true,
       data: {
-        content: uniqueResults.slice(skip, skip + parseInt(limit)),
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages,
-          totalItems: total, // Use actual unique count
-          itemsPerPage: parseInt(limit),
-          hasNextPage: parseInt(page) < totalPages,
-          hasPrevPage: parseInt(page) > 1,
-        },
+        content: uniqueResults.slice(0, limit),
+        facets,
+        pagination,
       },
     })
   } catch (error) {
@@ -245,6 +327,27 @@ export const searchContent = async (req, res) => {
   }
 }
 
+// Typeahead suggestions: a handful of prefix matches on titles
+export const getSearchSuggestions = async (req, res) => {
+  try {
+    const { q } = req.query
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20)
+
+    const suggestions = q ? await searchService.suggest(q, limit) : []
+
+    res.json({
+      success: true,
+      data: suggestions,
+    })
+  } catch (error) {
+    console.error('Error getting search suggestions:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error getting search suggestions',
+    })
+  }
+}
+
 // Get popular content
 export const getPopularContent = async (req, res) => {
   try {
@@ -256,39 +359,22 @@ export const getPopularContent = async (req, res) => {
       query.contentType = type
     }
 
-    // Use aggregation to add TMDB boost for popular content
+    const explain = req.query.explain === 'true'
+    const profile = await rankingService.getProfile(req.query.profile || undefined)
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown ranking profile: ${req.query.profile}`,
+      })
+    }
+
+    // Rank with the selected profile, sorting on its materialised score
     const dbContent = await Content.aggregate([
       { $match: query },
-      {
-        $addFields: {
-          // Keep original scores unchanged for user display
-          boostedScore: { $ifNull: ['$unifiedScore', 0] },
-          // Create a hidden sorting score that boosts TMDB content visibility
-          hiddenSortScore: {
-            $add: [
-              { $ifNull: ['$unifiedScore', 0] },
-              // Add significant boost to TMDB content for better visibility (user cannot see this)
-              { $cond: [{ $ne: ['$tmdbId', null] }, 1.0, 0] },
-              // Add popularity boost for TMDB content
-              {
-                $cond: [
-                  { $ne: ['$tmdbId', null] },
-                  { $multiply: [{ $ifNull: ['$popularity', 0] }, 0.05] },
-                  0,
-                ],
-              },
-            ],
-          },
-        },
-      },
-      { $sort: { hiddenSortScore: -1, _id: -1 } },
+      { $sort: { [rankingService.getScoreField(profile)]: -1, _id: -1 } },
       { $limit: parseInt(limit) },
-      {
-        $project: {
-          boostedScore: 0, // Remove the temporary field from output
-          hiddenSortScore: 0, // Remove the hidden sorting field from output
-        },
-      },
+      ...(explain ? rankingService.buildScoreStages(profile, { explain }) : []),
+      { $project: Content.internalFieldsProjection() },
     ])
 
     // If not enough content, get from external APIs
@@ -328,6 +414,7 @@ export const getPopularContent = async (req, res) => {
     res.json({
       success: true,
       data: uniqueContent.slice(0, limit),
+      ranking: { profile: profile.name },
     })
   } catch (error) {
     console.error('Error fetching popular content:', error)
@@ -338,6 +425,43 @@ export const getPopularContent = async (req, res) => {
   }
 }
 
+// Get content trending with our users, ranked by recent in-app activity
+export const getTrendingContent = async (req, res) => {
+  try {
+    const window = req.query.window || trendingService.defaultWindow
+    const contentType = req.query.type || 'all'
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50)
+
+    if (!trendingService.isValidWindow(window)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid window. Use one of: ${Object.keys(trendingService.windows).join(', ')}`,
+      })
+    }
+    if (!['all', 'movie', 'tv'].includes(contentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid content type',
+      })
+    }
+
+    const content = await trendingService.getTrending({ window, contentType, limit })
+
+    res.json({
+      success: true,
+      data: content,
+      window,
+      windows: Object.keys(trendingService.windows),
+    })
+  } catch (error) {
+    console.error('Error getting trending content:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trending content',
+    })
+  }
+}
+
 // Get similar content
 export const getSimilarContent = async (req, res) => {
   try {
@@ -434,6 +558,27 @@ export const aiChat = async (req, res) => {
   }
 }
 
+// Episode and season limits for watchlist progress. Progress on a multi-season show counts
+// episodes within the current season, sized from the synced season list or mapped MAL entries.
+async function getProgressLimits(content, seasonNumber, session) {
+  const maxSeasons = content.seasonCount || 1
+  let maxEpisodes =
+    content.episodeCount || content.malEpisodes || (content.contentType === 'movie' ? 1 : 0)
+
+  if (content.contentType === 'tv' && maxSeasons > 1) {
+    const season = await Season.findOne({ content: content._id, seasonNumber })
+      .select('episodeCount')
+      .session(session)
+      .lean()
+    maxEpisodes =
+      season?.episodeCount ||
+      seriesMappingService.seasonEpisodeCount(content.malSeasons, seasonNumber) ||
+      maxEpisodes
+  }
+
+  return { maxEpisodes, maxSeasons }
+}
+
 // Add to watchlist
 export const addToWatchlist = async (req, res) => {
   const session = await mongoose.startSession()
@@ -471,12 +616,16 @@ export const addToWatchlist = async (req, res) => {
       })
     }
 
-    // Get max episodes from content
-    const maxEpisodes =
-      content.episodeCount || content.malEpisodes || (content.contentType === 'movie' ? 1 : 0)
+    // Check if already in watchlist
+    const existingItem = user.watchlist.find((item) => item.content.toString() === contentId)
+    const activity = []
 
-    // Get max seasons from content (default to 1 if not specified)
-    const maxSeasons = content.seasonCount || 1
+    // Episode limits are per season, so use the season the progress will be on
+    const { maxEpisodes, maxSeasons } = await getProgressLimits(
+      content,
+      currentSeason ?? existingItem?.currentSeason ?? 1,
+      session,
+    )
 
     // Validate currentEpisode doesn't exceed max episodes
     if (currentEpisode !== undefined && currentEpisode > maxEpisodes) {
@@ -496,10 +645,9 @@ export const addToWatchlist = async (req, res) => {
       })
     }
 
-    // Check if already in watchlist
-    const existingItem = user.watchlist.find((item) => item.content.toString() === contentId)
-
     if (existingItem) {
+      activity.push(Activity.forStatusChange(userId, contentId, existingItem.status, status))
+
       // Update existing item
       existingItem.status = status || existingItem.status
       existingItem.rating = rating !== undefined ? rating : existingItem.rating
@@ -525,9 +673,13 @@ export const addToWatchlist = async (req, res) => {
         addedAt: new Date(),
         updatedAt: new Date(),
       })
+
+      activity.push({ user: userId, content: contentId, type: 'watchlist_add' })
+      activity.push(Activity.forStatusChange(userId, contentId, null, status))
     }
 
     await user.save({ session })
+    await Activity.record(activity, session)
     await session.commitTransaction()
 
     res.json({
@@ -550,6 +702,86 @@ export const addToWatchlist = async (req, res) => {
   }
 }
 
+// Add several titles to the watchlist at once; titles already on it are left alone
+export const bulkAddToWatchlist = async (req, res) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      await session.abortTransaction()
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { contentIds, status = 'plan_to_watch' } = req.body
+    const userId = req.user._id
+
+    const user = await User.findById(userId).session(session)
+    if (!user) {
+      await session.abortTransaction()
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      })
+    }
+
+    const existingIds = new Set(user.watchlist.map((item) => item.content.toString()))
+    const newIds = [...new Set(contentIds)].filter((id) => !existingIds.has(id))
+
+    const contents = await Content.find({ _id: { $in: newIds } })
+      .select('contentType episodeCount malEpisodes seasonCount malSeasons')
+      .session(session)
+
+    const activity = []
+    for (const content of contents) {
+      const { maxEpisodes, maxSeasons } = await getProgressLimits(content, 1, session)
+      user.watchlist.push({
+        content: content._id,
+        status,
+        currentEpisode: 0,
+        currentSeason: 1,
+        totalEpisodes: maxEpisodes,
+        totalSeasons: maxSeasons,
+        notes: '',
+        addedAt: new Date(),
+        updatedAt: new Date(),
+      })
+
+      activity.push({ user: userId, content: content._id, type: 'watchlist_add' })
+      activity.push(Activity.forStatusChange(userId, content._id, null, status))
+    }
+
+    await user.save({ session })
+    await Activity.record(activity, session)
+    await session.commitTransaction()
+
+    const addedIds = contents.map((content) => content._id.toString())
+    res.json({
+      success: true,
+      message: `Added ${addedIds.length} title${addedIds.length === 1 ? '' : 's'} to watchlist`,
+      data: {
+        added: addedIds,
+        skipped: contentIds.filter((id) => !addedIds.includes(id)),
+        status,
+      },
+    })
+  } catch (error) {
+    await session.abortTransaction()
+    console.error('Error bulk adding to watchlist:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error adding to watchlist',
+    })
+  } finally {
+    session.endSession()
+  }
+}
+
 // Get user watchlist
 export const getWatchlist = async (req, res) => {
   try {
@@ -570,9 +802,10 @@ export const getWatchlist = async (req, res) => {
       })
     }
 
+    // Trashed titles don't populate
     res.json({
       success: true,
-      data: user.watchlist,
+      data: user.watchlist.filter((item) => item.content),
     })
   } catch (error) {
     console.error('Error fetching watchlist:', error)
@@ -651,12 +884,11 @@ export const updateWatchlistItem = async (req, res) => {
       })
     }
 
-    // Get max episodes from content
-    const maxEpisodes =
-      content.episodeCount || content.malEpisodes || (content.contentType === 'movie' ? 1 : 0)
-
-    // Get max seasons from content (default to 1 if not specified)
-    const maxSeasons = content.seasonCount || 1
+    const { maxEpisodes, maxSeasons } = await getProgressLimits(
+      content,
+      currentSeason ?? watchlistItem.currentSeason ?? 1,
+      session,
+    )
 
     // Validate currentEpisode doesn't exceed max episodes
     if (currentEpisode !== undefined && currentEpisode > maxEpisodes) {
@@ -676,19 +908,22 @@ export const updateWatchlistItem = async (req, res) => {
       })
     }
 
+    const activity = Activity.forStatusChange(userId, contentId, watchlistItem.status, status)
+
     if (status) watchlistItem.status = status
     if (rating !== undefined) watchlistItem.rating = rating
     if (currentEpisode !== undefined) watchlistItem.currentEpisode = currentEpisode
     if (currentSeason !== undefined) watchlistItem.currentSeason = currentSeason
     if (notes !== undefined) watchlistItem.notes = notes
 
-    // Update total episodes and seasons if not set
-    if (!watchlistItem.totalEpisodes) watchlistItem.totalEpisodes = maxEpisodes
-    if (!watchlistItem.totalSeasons) watchlistItem.totalSeasons = maxSeasons
+    // Totals follow the current season, so refresh them on every update
+    watchlistItem.totalEpisodes = maxEpisodes
+    watchlistItem.totalSeasons = maxSeasons
 
     watchlistItem.updatedAt = new Date()
 
     await user.save({ session })
+    await Activity.record(activity, session)
     await session.commitTransaction()
 
     res.json({
@@ -708,52 +943,6 @@ export const updateWatchlistItem = async (req, res) => {
   }
 }
 
-// Calculate unified score including user ratings
-function calculateUnifiedScoreWithUserRatings(
-  tmdbScore,
-  tmdbVotes,
-  malScore,
-  malVotes,
-  userRatingAverage,
-  userRatingCount,
-) {
-  const scores = []
-  const weights = []
-
-  // Determine if we have multiple sources (for threshold flexibility)
-  const hasMultipleSources = (tmdbScore && malScore) || (tmdbScore && userRatingAverage) || (malScore && userRatingAverage)
-
-  // Add TMDB score if available
-  // For single-source: use any votes. For multi-source: require > 10 votes for quality
-  if (tmdbScore && tmdbVotes && (hasMultipleSources ? tmdbVotes > 10 : tmdbVotes > 0)) {
-    scores.push(tmdbScore)
-    weights.push(Math.log10(Math.max(tmdbVotes, 1)))
-  }
-
-  // Add MAL score if available
-  // For single-source: use any votes. For multi-source: require > 100 votes for quality
-  if (malScore && malVotes && (hasMultipleSources ? malVotes > 100 : malVotes > 0)) {
-    scores.push(malScore)
-    weights.push(Math.log10(Math.max(malVotes, 1)))
-  }
-
-  // Add user rating if available (require at least 5 user ratings)
-  if (userRatingAverage && userRatingCount >= 5) {
-    scores.push(userRatingAverage)
-    // Give user ratings moderate weight (less than external sources initially)
-    weights.push(Math.log10(Math.max(userRatingCount, 1)) * 0.8)
-  }
-
-  if (scores.length === 0) return null
-
-  // Calculate weighted average
-  const totalWeight = weights.reduce((sum, w) => sum + w, 0)
-  if (totalWeight === 0) return scores.reduce((sum, s) => sum + s, 0) / scores.length
-
-  const weightedSum = scores.reduce((sum, score, i) => sum + score * weights[i], 0)
-  return weightedSum / totalWeight
-}
-
 // Helper function to update content's user rating statistics
 async function updateContentUserRatings(content, oldRating, newRating, isUpdate, session) {
   if (!content.userRatingCount) {
@@ -778,15 +967,9 @@ async function updateContentUserRatings(content, oldRating, newRating, isUpdate,
   }
 
   // Recalculate unifiedScore to include user ratings
-  content.unifiedScore = calculateUnifiedScoreWithUserRatings(
-    content.voteAverage,
-    content.voteCount,
-    content.malScore,
-    content.malScoredBy,
-    content.userRatingAverage,
-    content.userRatingCount,
-  )
+  content.unifiedScore = scoreService.forContent(content)
 
+  // Saving also refreshes the materialised ranking scores
   await content.save({ session })
 }
 
@@ -856,6 +1039,7 @@ export const voteContent = async (req, res) => {
 
     // Save user
     await user.save({ session })
+    await Activity.record({ user: userId, content: contentId, type: 'vote' }, session)
     await session.commitTransaction()
 
     // Get updated content
@@ -1024,13 +1208,17 @@ export const getFranchiseContent = async (req, res) => {
 export default {
   getContent,
   getContentById,
+  getContentBySlug,
   getContentByExternalId,
   searchContent,
+  getSearchSuggestions,
   getPopularContent,
+  getTrendingContent,
   getSimilarContent,
   aiSearch,
   aiChat,
   addToWatchlist,
+  bulkAddToWatchlist,
   getWatchlist,
   removeFromWatchlist,
   updateWatchlistItem,
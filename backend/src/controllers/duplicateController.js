@@ -0,0 +1,201 @@
+import { validationResult } from 'express-validator'
+import Content from '../models/Content.js'
+import DuplicateCandidate from '../models/DuplicateCandidate.js'
+import contentMergeService from '../services/contentMergeService.js'
+import duplicateService from '../services/duplicateService.js'
+
+const titleFields =
+  'title originalTitle contentType format releaseDate runtime episodeCount malEpisodes tmdbId malId posterPath slug'
+
+// Review queue of likely duplicate titles, most likely first
+export const getDuplicates = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const status = req.query.status || 'pending'
+
+    const query = { status }
+    const sort = status === 'pending' ? { score: -1, _id: 1 } : { resolvedAt: -1 }
+
+    const [candidates, total] = await Promise.all([
+      DuplicateCandidate.find(query)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('contentA', titleFields)
+        .populate('contentB', titleFields)
+        .populate('resolvedBy', 'username')
+        .lean(),
+      DuplicateCandidate.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        candidates,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Error getting duplicate candidates:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving duplicate candidates',
+    })
+  }
+}
+
+// Score the catalogue again and refresh the queue
+export const scanDuplicates = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { threshold, dryRun = false } = req.body
+    const { found, ...stats } = await duplicateService.scan({ threshold, dryRun })
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${found.length} likely duplicates found`
+        : `${stats.added} new likely duplicates queued`,
+      data: { ...stats, found: found.length },
+    })
+  } catch (error) {
+    console.error('Error scanning for duplicates:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error scanning for duplicates',
+    })
+  }
+}
+
+// Load a pending candidate, answering 404/400 itself when there is none
+const findPending = async (req, res) => {
+  const candidate = await DuplicateCandidate.findById(req.params.id)
+  if (!candidate) {
+    res.status(404).json({
+      success: false,
+      message: 'Duplicate candidate not found',
+    })
+    return null
+  }
+  if (candidate.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `This pair was already ${candidate.status}`,
+    })
+    return null
+  }
+  return candidate
+}
+
+// Merge the pair. Optionally pick the title to keep and, per field, which title's value wins
+export const acceptDuplicate = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const candidate = await findPending(req, res)
+    if (!candidate) return
+
+    const { primaryId = String(candidate.contentA), fields = {}, note } = req.body
+    const pair = [String(candidate.contentA), String(candidate.contentB)]
+    if (!pair.includes(primaryId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'primaryId must be one of the two titles in the pair',
+      })
+    }
+
+    const unknownFields = Object.keys(fields).filter(
+      (field) => !contentMergeService.choosableFields.includes(field),
+    )
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Fields that can't be chosen: ${unknownFields.join(', ')}`,
+      })
+    }
+
+    const secondaryId = pair.find((id) => id !== primaryId)
+    const [primary, secondary] = await Promise.all([
+      Content.findById(primaryId).select('+provenance'),
+      Content.findById(secondaryId).select('+provenance'),
+    ])
+    if (!primary || !secondary) {
+      return res.status(404).json({
+        success: false,
+        message: 'One of the titles no longer exists',
+      })
+    }
+
+    const result = await duplicateService.accept(
+      candidate,
+      primary,
+      secondary,
+      { fields, note },
+      req.user._id,
+    )
+
+    res.json({
+      success: true,
+      message: `Merged "${secondary.title}" into "${primary.title}"`,
+      data: { candidate, content: primary, movedUsers: result.movedUsers },
+    })
+  } catch (error) {
+    console.error('Error merging duplicate:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error merging duplicate',
+    })
+  }
+}
+
+// Mark the pair as distinct titles; it is never proposed again
+export const rejectDuplicate = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const candidate = await findPending(req, res)
+    if (!candidate) return
+
+    await duplicateService.reject(candidate, req.user._id, req.body.note)
+
+    res.json({
+      success: true,
+      message: 'Pair marked as distinct titles',
+      data: { candidate },
+    })
+  } catch (error) {
+    console.error('Error rejecting duplicate:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting duplicate',
+    })
+  }
+}
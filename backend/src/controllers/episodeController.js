@@ -0,0 +1,121 @@
+import Content from '../models/Content.js'
+import Episode from '../models/Episode.js'
+import Season from '../models/Season.js'
+import episodeService from '../services/episodeService.js'
+
+// Load a TV show, queueing a fetch of its episode data when it's due one. Requests never
+// wait for the fetch: shows that were never fetched answer 202 with no seasons until the
+// sync-episodes job has run, and stale data is served while it runs.
+async function findShow(req, res) {
+  const content = await Content.findById(req.params.id).select(episodeService.syncFields).lean()
+
+  if (!content) {
+    res.status(404).json({
+      success: false,
+      message: 'Content not found',
+    })
+    return null
+  }
+
+  if (content.contentType !== 'tv') {
+    res.status(400).json({
+      success: false,
+      message: 'Only TV shows have seasons',
+    })
+    return null
+  }
+
+  if (episodeService.needsSync(content)) {
+    try {
+      await episodeService.queueSync(content)
+    } catch (error) {
+      console.error('Error queueing episode sync:', error)
+    }
+  }
+
+  return content
+}
+
+// Whether a show's episode data is still on its way: never fetched, and not given up on
+const isSyncing = (content) => !content.episodesSyncedAt && !content.episodeSyncFailedAt
+
+// List a show's seasons
+export const getSeasons = async (req, res) => {
+  try {
+    const content = await findShow(req, res)
+    if (!content) return
+
+    if (isSyncing(content)) {
+      return res.status(202).json({
+        success: true,
+        message: 'Episode data is being fetched',
+        data: [],
+        syncing: true,
+      })
+    }
+
+    const seasons = await Season.find({ content: content._id }).sort({ seasonNumber: 1 }).lean()
+
+    res.json({
+      success: true,
+      data: seasons,
+    })
+  } catch (error) {
+    console.error('Error getting seasons:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching seasons',
+    })
+  }
+}
+
+// List the episodes of one season
+export const getSeasonEpisodes = async (req, res) => {
+  try {
+    const seasonNumber = Number(req.params.seasonNumber)
+    if (!Number.isInteger(seasonNumber) || seasonNumber < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid season number',
+      })
+    }
+
+    const content = await findShow(req, res)
+    if (!content) return
+
+    if (isSyncing(content)) {
+      return res.status(202).json({
+        success: true,
+        message: 'Episode data is being fetched',
+        data: { season: null, episodes: [] },
+        syncing: true,
+      })
+    }
+
+    const season = await Season.findOne({ content: content._id, seasonNumber }).lean()
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: 'Season not found',
+      })
+    }
+
+    const episodes = await Episode.find({ content: content._id, seasonNumber })
+      .sort({ episodeNumber: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: {
+        season,
+        episodes,
+      },
+    })
+  } catch (error) {
+    console.error('Error getting episodes:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching episodes',
+    })
+  }
+}
@@ -0,0 +1,33 @@
+import Content from '../models/Content.js'
+import Genre from '../models/Genre.js'
+
+// List the canonical genre taxonomy with how many titles use each genre
+export const getGenres = async (req, res) => {
+  try {
+    const [genres, counts] = await Promise.all([
+      Genre.find().select('slug name').sort({ name: 1 }).lean(),
+      Content.aggregate([
+        { $unwind: '$genres' },
+        { $group: { _id: '$genres.slug', count: { $sum: 1 } } },
+      ]),
+    ])
+
+    const titleCounts = new Map(counts.map(({ _id, count }) => [_id, count]))
+    const data = genres.map(({ slug, name }) => ({
+      slug,
+      name,
+      titleCount: titleCounts.get(slug) || 0,
+    }))
+
+    res.json({
+      success: true,
+      data: req.query.includeEmpty === 'true' ? data : data.filter((genre) => genre.titleCount > 0),
+    })
+  } catch (error) {
+    console.error('Error getting genres:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching genres',
+    })
+  }
+}
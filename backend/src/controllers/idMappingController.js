@@ -0,0 +1,100 @@
+import { validationResult } from 'express-validator'
+import IdMapping from '../models/IdMapping.js'
+import idMappingService from '../services/idMappingService.js'
+
+// List TMDB/MAL cross-references, optionally filtered by either ID or by source
+export const getIdMappings = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+
+    const query = {}
+    if (req.query.malId) query.malId = parseInt(req.query.malId)
+    if (req.query.tmdbId) query.tmdbId = parseInt(req.query.tmdbId)
+    if (req.query.source) query.source = req.query.source
+
+    const [mappings, total] = await Promise.all([
+      IdMapping.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      IdMapping.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        mappings,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Error getting ID mappings:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving ID mappings',
+    })
+  }
+}
+
+// Set the TMDB title a MAL entry is the same as; a null tmdbId marks it as having none
+export const saveIdMapping = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const malId = parseInt(req.params.malId)
+    const { tmdbId = null, tmdbType, note } = req.body
+    const mapping = await idMappingService.save(malId, { tmdbId, tmdbType, note }, req.user._id)
+
+    res.json({
+      success: true,
+      message: `MAL ${malId} mapping saved`,
+      data: { mapping },
+    })
+  } catch (error) {
+    console.error('Error saving ID mapping:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error saving ID mapping',
+    })
+  }
+}
+
+// Remove a mapping, so the MAL entry is matched by title again
+export const deleteIdMapping = async (req, res) => {
+  try {
+    const malId = parseInt(req.params.malId)
+    const mapping = await idMappingService.remove(malId)
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'ID mapping not found',
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `MAL ${malId} mapping removed`,
+    })
+  } catch (error) {
+    console.error('Error deleting ID mapping:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting ID mapping',
+    })
+  }
+}
@@ -0,0 +1,217 @@
+import { validationResult } from 'express-validator'
+import Job from '../models/Job.js'
+import jobService from '../services/jobService.js'
+
+// Jobs, next to run first for queued ones and most recent first for the rest
+export const getJobs = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+    const query = {}
+    if (req.query.status) query.status = req.query.status
+    if (req.query.name) query.name = req.query.name
+
+    const [jobs, total, counts] = await Promise.all([
+      Job.find(query)
+        .select('-failures')
+        .sort(req.query.status === 'queued' ? { runAt: 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy cancelledBy', 'username')
+        .lean(),
+      Job.countDocuments(query),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+        names: jobService.names(),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Error getting jobs:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving jobs',
+    })
+  }
+}
+
+// One job with its failed attempts
+export const getJob = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const job = await Job.findById(req.params.id).populate('createdBy cancelledBy', 'username')
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { job },
+    })
+  } catch (error) {
+    console.error('Error getting job:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving job',
+    })
+  }
+}
+
+// Queue a maintenance job, now or after `delay` seconds
+export const createJob = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { name, data = {}, delay = 0 } = req.body
+    if (!jobService.isDefined(name)) {
+      return res.status(400).json({
+        success: false,
+        message: `Job must be one of: ${jobService.names().join(', ')}`,
+      })
+    }
+
+    const job = await jobService.enqueue(name, data, {
+      delay: delay * 1000,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `${name} queued`,
+      data: { job },
+    })
+  } catch (error) {
+    console.error('Error queueing job:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing job',
+    })
+  }
+}
+
+export const retryJob = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const existing = await Job.findById(req.params.id).select('name status')
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      })
+    }
+    if (!jobService.isDefined(existing.name)) {
+      return res.status(400).json({
+        success: false,
+        message: `${existing.name} jobs no longer exist`,
+      })
+    }
+
+    const job = await jobService.retry(existing._id)
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed or cancelled jobs can be retried; this one is ${existing.status}`,
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `${job.name} queued again`,
+      data: { job },
+    })
+  } catch (error) {
+    console.error('Error retrying job:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying job',
+    })
+  }
+}
+
+export const cancelJob = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const existing = await Job.findById(req.params.id).select('status')
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      })
+    }
+
+    const job = await jobService.cancel(existing._id, req.user._id)
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `Only queued or running jobs can be cancelled; this one is ${existing.status}`,
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `${job.name} cancelled`,
+      data: { job },
+    })
+  } catch (error) {
+    console.error('Error cancelling job:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling job',
+    })
+  }
+}
@@ -0,0 +1,138 @@
+import { validationResult } from 'express-validator'
+import Content from '../models/Content.js'
+import provenanceService from '../services/provenanceService.js'
+
+// Answer 400 for fields whose sources aren't tracked; true when the field is fine
+const checkLockable = (field, res) => {
+  if (provenanceService.isTracked(field)) return true
+
+  res.status(400).json({
+    success: false,
+    message: `Field must be one of: ${provenanceService.trackedFields.join(', ')}`,
+  })
+  return false
+}
+
+// Where each field of a title came from, what TMDB and MAL say, and where they disagree
+export const getContentSources = async (req, res) => {
+  try {
+    const content = await Content.findById(req.params.id).select('+provenance')
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        contentId: content._id,
+        title: content.title,
+        dataSources: content.dataSources,
+        fields: provenanceService.report(content),
+        conflicts: provenanceService.conflicts(content),
+      },
+    })
+  } catch (error) {
+    console.error('Error getting content sources:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving content sources',
+    })
+  }
+}
+
+// Set a field to a manual value and lock it against syncs
+export const lockField = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { field } = req.params
+    if (!checkLockable(field, res)) return
+
+    const content = await Content.findById(req.params.id).select('+provenance')
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    const { value, reason } = req.body
+    provenanceService.lock(content, field, value, req.user._id, reason)
+    await content.save()
+
+    res.json({
+      success: true,
+      message: `${field} locked`,
+      data: { field, value: content.get(field), lockedFields: content.lockedFields },
+    })
+  } catch (error) {
+    console.error('Error locking content field:', error)
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error locking content field',
+    })
+  }
+}
+
+// Release a lock; the field goes back to the latest synced value
+export const unlockField = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { field } = req.params
+    if (!checkLockable(field, res)) return
+
+    const content = await Content.findById(req.params.id).select('+provenance')
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    if (!provenanceService.isLocked(content, field)) {
+      return res.status(404).json({
+        success: false,
+        message: `${field} is not locked`,
+      })
+    }
+
+    provenanceService.unlock(content, field)
+    await content.save()
+
+    res.json({
+      success: true,
+      message: `${field} unlocked`,
+      data: { field, value: content.get(field), lockedFields: content.lockedFields },
+    })
+  } catch (error) {
+    console.error('Error unlocking content field:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking content field',
+    })
+  }
+}
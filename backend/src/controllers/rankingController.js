@@ -0,0 +1,118 @@
+import { validationResult } from 'express-validator'
+import Job from '../models/Job.js'
+import jobService from '../services/jobService.js'
+import rankingService from '../services/rankingService.js'
+import rankingScoreService from '../services/rankingScoreService.js'
+
+/**
+ * Queue a re-score of all content. A repair that is due but hasn't started will see the
+ * change anyway; one already running may have passed some titles, so another follows it.
+ */
+const queueRepair = async (createdBy) => {
+  const pending = await Job.findOne({
+    name: 'repair-ranking-scores',
+    status: 'queued',
+    runAt: { $lte: new Date() },
+  })
+  return pending || jobService.enqueue('repair-ranking-scores', {}, { createdBy })
+}
+
+// List all ranking profiles (built-in and stored)
+export const getRankingProfiles = async (req, res) => {
+  try {
+    const profiles = await rankingService.listProfiles()
+    res.json({
+      success: true,
+      data: { profiles },
+    })
+  } catch (error) {
+    console.error('Error getting ranking profiles:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving ranking profiles',
+    })
+  }
+}
+
+// Create or update a ranking profile
+export const saveRankingProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { name } = req.params
+    const { description, weights, recencyHalfLifeDays, userRatingConfidenceCount, sourceBoosts } =
+      req.body
+
+    // Start from the current profile so partial updates keep other settings
+    const current = await rankingService.getProfile(name)
+    const data = {
+      description: description ?? current?.description ?? '',
+      weights: { ...current?.weights, ...weights },
+      recencyHalfLifeDays: recencyHalfLifeDays ?? current?.recencyHalfLifeDays,
+      userRatingConfidenceCount: userRatingConfidenceCount ?? current?.userRatingConfidenceCount,
+      sourceBoosts: { ...current?.sourceBoosts, ...sourceBoosts },
+    }
+
+    const profile = await rankingService.saveProfile(name, data, req.user._id)
+
+    // Index the new score field and re-score content in the background
+    await rankingScoreService.ensureIndexes([profile])
+    const job = await queueRepair(req.user._id)
+
+    res.json({
+      success: true,
+      message: `Ranking profile "${profile.name}" saved`,
+      data: { profile, job },
+    })
+  } catch (error) {
+    console.error('Error saving ranking profile:', error)
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error saving ranking profile',
+    })
+  }
+}
+
+// Delete a stored profile; built-in profiles fall back to their defaults
+export const deleteRankingProfile = async (req, res) => {
+  try {
+    const { name } = req.params
+    const deleted = await rankingService.deleteProfile(name)
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ranking profile not found',
+      })
+    }
+
+    // Drop the profile's score field, or rescore with the built-in defaults
+    await rankingScoreService.dropIndexes(name)
+    const job = await queueRepair(req.user._id)
+
+    res.json({
+      success: true,
+      message: `Ranking profile "${name}" deleted`,
+      data: { job },
+    })
+  } catch (error) {
+    console.error('Error deleting ranking profile:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting ranking profile',
+    })
+  }
+}
@@ -0,0 +1,76 @@
+import { validationResult } from 'express-validator'
+import Job from '../models/Job.js'
+import jobService from '../services/jobService.js'
+import refreshService from '../services/refreshService.js'
+
+// The last refresh runs with their counts and failures, what is due and what was removed
+export const getRefreshStatus = async (req, res) => {
+  try {
+    const status = await refreshService.status()
+
+    res.json({
+      success: true,
+      data: status,
+    })
+  } catch (error) {
+    console.error('Error getting refresh status:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving refresh status',
+    })
+  }
+}
+
+/**
+ * Queue a refresh run as a refresh-catalog job. Runs take as long as their request budgets
+ * allow; their progress shows in the status. With dryRun, list what a run would refresh
+ * instead.
+ */
+export const runRefresh = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { dryRun = false } = req.body
+    if (dryRun) {
+      const plan = await refreshService.plan()
+      return res.json({
+        success: true,
+        data: { dryRun: true, plan },
+      })
+    }
+
+    // The nightly run stays queued for the next night, so only runs due now count
+    const pending = await Job.findOne({
+      name: 'refresh-catalog',
+      $or: [{ status: 'running' }, { status: 'queued', runAt: { $lte: new Date() } }],
+    })
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'A refresh is already running or about to',
+        data: { job: pending },
+      })
+    }
+
+    const job = await jobService.enqueue('refresh-catalog', {}, { createdBy: req.user._id })
+
+    res.status(202).json({
+      success: true,
+      message: 'Refresh queued',
+      data: { job },
+    })
+  } catch (error) {
+    console.error('Error starting refresh:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error starting refresh',
+    })
+  }
+}
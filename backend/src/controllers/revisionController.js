@@ -0,0 +1,216 @@
+import { validationResult } from 'express-validator'
+import Content from '../models/Content.js'
+import ContentRedirect from '../models/ContentRedirect.js'
+import ContentRevision from '../models/ContentRevision.js'
+import revisionService from '../services/revisionService.js'
+
+const paginate = (req) => {
+  const page = parseInt(req.query.page) || 1
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+  return { page, limit }
+}
+
+const pagination = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: limit,
+})
+
+// Revision list of one title, newest first, without snapshots
+export const getContentRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { page, limit } = paginate(req)
+    const query = { content: req.params.id }
+
+    const [revisions, total] = await Promise.all([
+      ContentRevision.find(query)
+        .select('-snapshot')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ContentRevision.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: { revisions, pagination: pagination(page, limit, total) },
+    })
+  } catch (error) {
+    console.error('Error getting content revisions:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving content revisions',
+    })
+  }
+}
+
+// One revision with its snapshot, and what changed on the title since
+export const getContentRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const revision = await ContentRevision.findOne({
+      _id: req.params.revisionId,
+      content: req.params.id,
+    }).lean()
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      })
+    }
+
+    const current = await Content.findById(req.params.id).setOptions({ withDeleted: true }).lean()
+    res.json({
+      success: true,
+      data: {
+        revision,
+        exists: Boolean(current),
+        changesSince: revisionService.diff(
+          revision.snapshot,
+          current && revisionService.snapshot(current),
+        ),
+      },
+    })
+  } catch (error) {
+    console.error('Error getting content revision:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving content revision',
+    })
+  }
+}
+
+// Revisions across all titles, e.g. `?action=delete` to find deleted titles
+export const getRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { page, limit } = paginate(req)
+    const query = {}
+    if (req.query.action) query.action = req.query.action
+    if (req.query.actorKind) query['actor.kind'] = req.query.actorKind
+
+    const [revisions, total] = await Promise.all([
+      ContentRevision.find(query)
+        .select('-changes')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ContentRevision.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        revisions: revisions.map(({ snapshot, ...revision }) => ({
+          ...revision,
+          title: snapshot.title,
+          contentType: snapshot.contentType,
+          slug: snapshot.slug,
+        })),
+        pagination: pagination(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error('Error getting revisions:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving revisions',
+    })
+  }
+}
+
+/**
+ * Put a title back as it was at a revision. Deleted titles are recreated under their old
+ * ID; watchlist entries and ratings moved by a merge stay with the kept title.
+ */
+export const restoreContentRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const revision = await ContentRevision.findOne({
+      _id: req.params.revisionId,
+      content: req.params.id,
+    }).lean()
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      })
+    }
+
+    const content = await revisionService.run(
+      { action: 'restore', restoredFrom: revision._id },
+      async () => {
+        const existing = await Content.findById(req.params.id).setOptions({ withDeleted: true })
+        if (existing) {
+          existing.set(revisionService.restorableValues(revision.snapshot, existing.toObject()))
+          existing.lastUpdated = new Date()
+          return existing.save()
+        }
+
+        const restored = await new Content(revision.snapshot).save()
+        await ContentRedirect.deleteMany({ from: restored._id })
+        return restored
+      },
+    )
+
+    res.json({
+      success: true,
+      message: `${content.title} restored`,
+      data: { content },
+    })
+  } catch (error) {
+    console.error('Error restoring content revision:', error)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another title now has the same slug or external ID',
+      })
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      })
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring content revision',
+    })
+  }
+}
@@ -0,0 +1,69 @@
+import Content from '../models/Content.js'
+import seasonService from '../services/seasonService.js'
+
+const chartFields =
+  'title slug originalTitle posterPath contentType format releaseDate airingSeason unifiedScore popularity malScore malStatus malEpisodes episodeCount genres studios'
+
+async function sendSeasonChart(req, res, { year, season }) {
+  const sort = req.query.sort || seasonService.defaultSort
+  const type = req.query.type || 'all'
+
+  if (!seasonService.sortOptions[sort]) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid sort. Use one of: ${Object.keys(seasonService.sortOptions).join(', ')}`,
+    })
+  }
+  if (!['all', 'movie', 'tv'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid content type',
+    })
+  }
+
+  const content = await Content.find(seasonService.buildQuery({ year, season }, type))
+    .select(chartFields)
+    .sort(seasonService.sortOptions[sort])
+    .lean()
+
+  res.json({
+    success: true,
+    data: seasonService.buildChart({ year, season }, content, sort),
+  })
+}
+
+// Get titles that started airing in a broadcast season
+export const getSeason = async (req, res) => {
+  try {
+    const year = parseInt(req.params.year)
+    const season = String(req.params.season).toLowerCase()
+
+    if (!seasonService.isValidYear(year) || !seasonService.isValidSeason(season)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid season. Use /seasons/:year/:season with one of: ${seasonService.seasons.join(', ')}`,
+      })
+    }
+
+    await sendSeasonChart(req, res, { year, season })
+  } catch (error) {
+    console.error('Error getting season chart:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching season',
+    })
+  }
+}
+
+// Shortcut for the season airing now
+export const getCurrentSeason = async (req, res) => {
+  try {
+    await sendSeasonChart(req, res, seasonService.getCurrent())
+  } catch (error) {
+    console.error('Error getting current season chart:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching current season',
+    })
+  }
+}
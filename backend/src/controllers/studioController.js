@@ -0,0 +1,173 @@
+import Content from '../models/Content.js'
+import studioService from '../services/studioService.js'
+
+// The studio index scans every title, so keep it for a few minutes
+const indexCacheTimeout = 10 * 60 * 1000
+let indexCache = null
+
+const titleFields = {
+  title: 1,
+  slug: 1,
+  posterPath: 1,
+  contentType: 1,
+  format: 1,
+  releaseDate: 1,
+  unifiedScore: 1,
+  genres: 1,
+}
+
+// Year a title came out, preferring its broadcast season
+const yearExpression = { $ifNull: ['$airingSeason.year', { $year: '$releaseDate' }] }
+
+async function getStudioIndex() {
+  if (indexCache && Date.now() - indexCache.timestamp < indexCacheTimeout) {
+    return indexCache.data
+  }
+
+  const [nameCounts, slugCounts] = await Promise.all([
+    Content.aggregate([
+      {
+        $project: {
+          names: {
+            $setUnion: [{ $ifNull: ['$studios', []] }, { $ifNull: ['$productionCompanies', []] }],
+          },
+        },
+      },
+      { $unwind: '$names' },
+      { $group: { _id: '$names', count: { $sum: 1 } } },
+      { $project: { _id: 0, name: '$_id', count: 1 } },
+    ]),
+    // Counted per slug so a title crediting two spellings of one studio counts once
+    Content.aggregate([
+      { $unwind: '$studioSlugs' },
+      { $group: { _id: '$studioSlugs', count: { $sum: 1 } } },
+    ]),
+  ])
+
+  const titleCounts = new Map(slugCounts.map(({ _id, count }) => [_id, count]))
+  const data = studioService
+    .groupNames(nameCounts)
+    .map((studio) => ({ ...studio, titleCount: titleCounts.get(studio.slug) || 0 }))
+    .filter((studio) => studio.titleCount > 0)
+    .sort((a, b) => b.titleCount - a.titleCount || a.name.localeCompare(b.name))
+
+  indexCache = { data, timestamp: Date.now() }
+  return data
+}
+
+// List studios with how many titles each has
+export const getStudios = async (req, res) => {
+  try {
+    const query = studioService.normalize(req.query.q || '')
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+
+    let studios = await getStudioIndex()
+    if (query) {
+      studios = studios.filter(
+        (studio) =>
+          studio.slug.includes(query.replace(/ /g, '-')) ||
+          [studio.name, ...studio.aliases].some((name) =>
+            studioService.normalize(name).includes(query),
+          ),
+      )
+    }
+
+    res.json({
+      success: true,
+      data: studios.slice(0, limit),
+      total: studios.length,
+    })
+  } catch (error) {
+    console.error('Error getting studios:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching studios',
+    })
+  }
+}
+
+// Get a studio's titles and catalog stats
+export const getStudio = async (req, res) => {
+  try {
+    // Accept any spelling; "mappa-co-ltd" resolves to "mappa"
+    const slug = studioService.slugify(String(req.params.slug).replace(/-/g, ' '))
+
+    const [result] = await Content.aggregate([
+      { $match: { studioSlugs: slug } },
+      {
+        $facet: {
+          titles: [{ $sort: { releaseDate: -1, _id: 1 } }, { $project: titleFields }],
+          summary: [
+            {
+              $group: {
+                _id: null,
+                titleCount: { $sum: 1 },
+                averageScore: { $avg: '$unifiedScore' },
+                movies: { $sum: { $cond: [{ $eq: ['$contentType', 'movie'] }, 1, 0] } },
+                tvShows: { $sum: { $cond: [{ $eq: ['$contentType', 'tv'] }, 1, 0] } },
+                firstYear: { $min: yearExpression },
+                latestYear: { $max: yearExpression },
+              },
+            },
+          ],
+          byYear: [
+            { $match: { releaseDate: { $ne: null } } },
+            {
+              $group: {
+                _id: yearExpression,
+                titles: { $sum: 1 },
+                averageScore: { $avg: '$unifiedScore' },
+              },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, year: '$_id', titles: 1, averageScore: 1 } },
+          ],
+          topGenres: [
+            { $unwind: '$genres' },
+            { $group: { _id: { $ifNull: ['$genres.name', '$genres'] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 10 },
+            { $project: { _id: 0, name: '$_id', count: 1 } },
+          ],
+        },
+      },
+    ])
+
+    if (!result || result.titles.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Studio not found',
+      })
+    }
+
+    const studio = (await getStudioIndex()).find((entry) => entry.slug === slug)
+    const summary = result.summary[0]
+    delete summary._id
+    const round = (score) => (score == null ? null : Math.round(score * 100) / 100)
+
+    res.json({
+      success: true,
+      data: {
+        slug,
+        name: studio?.name || slug,
+        aliases: studio?.aliases || [],
+        stats: {
+          ...summary,
+          averageScore: round(summary.averageScore),
+          byYear: result.byYear.map((year) => ({
+            ...year,
+            averageScore: round(year.averageScore),
+          })),
+          topGenres: result.topGenres,
+        },
+        titles: result.titles,
+      },
+    })
+  } catch (error) {
+    console.error('Error getting studio:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching studio',
+    })
+  }
+}
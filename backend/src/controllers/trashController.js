@@ -0,0 +1,151 @@
+import { validationResult } from 'express-validator'
+import Content from '../models/Content.js'
+import trashService from '../services/trashService.js'
+
+// Trashed titles, most recently trashed first, with the date each will be purged
+export const getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const query = { deletedAt: { $ne: null } }
+
+    const [contents, total] = await Promise.all([
+      Content.find(query)
+        .select(
+          'title originalTitle contentType format releaseDate posterPath slug tmdbId malId deletedAt deletedBy deletionReason',
+        )
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('deletedBy', 'username')
+        .lean(),
+      Content.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        contents: contents.map((content) => ({
+          ...content,
+          purgeAt: trashService.purgeDate(content),
+        })),
+        retentionDays: trashService.retentionDays,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Error getting trash:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving trash',
+    })
+  }
+}
+
+// Move a title to the trash
+export const trashContent = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const content = await Content.findById(req.params.id)
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      })
+    }
+
+    await trashService.trash(content, { userId: req.user._id, reason: req.body.reason })
+
+    res.json({
+      success: true,
+      message: `${content.title} moved to the trash`,
+      data: { contentId: content._id, purgeAt: trashService.purgeDate(content) },
+    })
+  } catch (error) {
+    console.error('Error trashing content:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error moving content to the trash',
+    })
+  }
+}
+
+// Take a title out of the trash
+export const restoreContent = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const content = await Content.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found in the trash',
+      })
+    }
+
+    await trashService.restore(content)
+
+    res.json({
+      success: true,
+      message: `${content.title} restored`,
+      data: { contentId: content._id, slug: content.slug },
+    })
+  } catch (error) {
+    console.error('Error restoring content:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring content',
+    })
+  }
+}
+
+// Purge titles past the retention period; `dryRun` only lists them
+export const purgeTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { dryRun = false } = req.body
+    const result = await trashService.purgeExpired({ dryRun })
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${result.expired.length} titles would be purged`
+        : `${result.purged} titles purged`,
+      data: result,
+    })
+  } catch (error) {
+    console.error('Error purging trash:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error purging trash',
+    })
+  }
+}
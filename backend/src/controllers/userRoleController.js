@@ -0,0 +1,210 @@
+import { validationResult } from 'express-validator'
+import RoleChange from '../models/RoleChange.js'
+import User from '../models/User.js'
+import permissionService from '../services/permissionService.js'
+
+const userFields = 'username email roles createdAt lastLogin'
+
+// Answer 400 for roles that can't be granted or revoked; true when the role is fine
+const checkGrantable = (role, res) => {
+  if (permissionService.grantableRoles.includes(role)) return true
+
+  res.status(400).json({
+    success: false,
+    message: `Role must be one of: ${permissionService.grantableRoles.join(', ')}`,
+  })
+  return false
+}
+
+// Keep an audit record of a role change; the change itself has already been made
+const recordChange = async (req, user, action) => {
+  try {
+    await RoleChange.create({
+      user: user._id,
+      role: req.params.role,
+      action,
+      changedBy: req.user._id,
+    })
+  } catch (error) {
+    console.error('Error recording role change:', error)
+  }
+}
+
+// Roles and the permissions each grants
+export const getRoles = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: permissionService.roles.map((role) => ({
+        role,
+        permissions: permissionService.rolePermissions[role],
+      })),
+    },
+  })
+}
+
+// Users with their roles, optionally only those with a role or matching a name
+export const getUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+    const query = {}
+    if (req.query.role) query.roles = req.query.role
+    if (req.query.q) {
+      const escaped = req.query.q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      query.$or = [
+        { username: { $regex: escaped, $options: 'i' } },
+        { email: { $regex: escaped, $options: 'i' } },
+      ]
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(userFields)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+        },
+      },
+    })
+  } catch (error) {
+    console.error('Error getting users:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving users',
+    })
+  }
+}
+
+export const grantRole = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { role } = req.params
+    if (!checkGrantable(role, res)) return
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      // Accounts from before roles existed get the user role stored too
+      { $addToSet: { roles: { $each: ['user', role] } } },
+      { new: true },
+    ).select(userFields)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      })
+    }
+
+    await recordChange(req, user, 'grant')
+    res.json({
+      success: true,
+      message: `${user.username} is now ${role === 'admin' ? 'an' : 'a'} ${role}`,
+      data: { user },
+    })
+  } catch (error) {
+    console.error('Error granting role:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error granting role',
+    })
+  }
+}
+
+// Take a role away; the last admin keeps theirs so the admin routes stay reachable
+export const revokeRole = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+      })
+    }
+
+    const { role } = req.params
+    if (!checkGrantable(role, res)) return
+
+    const user = await User.findById(req.params.id).select(userFields)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      })
+    }
+    if (!user.roles.includes(role)) {
+      return res.status(404).json({
+        success: false,
+        message: `${user.username} is not ${role === 'admin' ? 'an' : 'a'} ${role}`,
+      })
+    }
+
+    // Pull the role only while the user still has it, so a repeated revoke does nothing
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, roles: role },
+      { $pull: { roles: role } },
+    )
+    if (!modifiedCount) {
+      return res.status(404).json({
+        success: false,
+        message: `${user.username} is not ${role === 'admin' ? 'an' : 'a'} ${role}`,
+      })
+    }
+
+    // Look for another admin after the write rather than before it: two admins revoking
+    // each other at once would each still see the other, and both would lose the role
+    if (role === 'admin' && !(await User.exists({ roles: 'admin' }))) {
+      await User.updateOne({ _id: user._id }, { $addToSet: { roles: 'admin' } })
+      return res.status(409).json({
+        success: false,
+        message: 'The last admin cannot lose the admin role',
+      })
+    }
+
+    user.roles.pull(role)
+
+    await recordChange(req, user, 'revoke')
+    res.json({
+      success: true,
+      message: `${user.username} is no longer ${role === 'admin' ? 'an' : 'a'} ${role}`,
+      data: { user },
+    })
+  } catch (error) {
+    console.error('Error revoking role:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking role',
+    })
+  }
+}
@@ -0,0 +1,30 @@
+import permissionService from '../services/permissionService.js'
+import { logSecurityEvent, SECURITY_EVENTS } from './securityLogger.js'
+
+// Only let users whose roles grant `permission` through; runs after authentication
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required',
+    })
+  }
+
+  if (!permissionService.can(req.user, permission)) {
+    logSecurityEvent(SECURITY_EVENTS.UNAUTHORIZED_ACCESS, {
+      userId: req.user._id,
+      permission,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+    })
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do this',
+    })
+  }
+
+  next()
+}
+
+export default requirePermission
@@ -0,0 +1,11 @@
+import revisionService from '../services/revisionService.js'
+
+// Attribute content revisions made while handling the request to the signed-in user
+export const revisionActor = (req, res, next) => {
+  revisionService.run(
+    { actor: { kind: 'admin', user: req.user._id, name: req.user.username } },
+    next,
+  )
+}
+
+export default revisionActor
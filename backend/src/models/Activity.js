@@ -0,0 +1,48 @@
+import mongoose from 'mongoose'
+
+// Kept a little longer than the widest trending window
+const retentionDays = 45
+
+// In-app user activity on a piece of content, used to rank trending content
+const activitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['watchlist_add', 'status_watching', 'status_completed', 'vote'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Old activity no longer counts towards any window
+activitySchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 })
+activitySchema.index({ content: 1, createdAt: -1 })
+
+// Record activity events, optionally as part of a transaction
+activitySchema.statics.record = function (events, session = null) {
+  const list = (Array.isArray(events) ? events : [events]).filter(Boolean)
+  if (list.length === 0) return Promise.resolve([])
+  return this.create(list, { session, ordered: true })
+}
+
+// Activity events implied by a watchlist status change
+activitySchema.statics.forStatusChange = function (user, content, previousStatus, status) {
+  if (!status || status === previousStatus) return null
+  if (status === 'watching') return { user, content, type: 'status_watching' }
+  if (status === 'completed') return { user, content, type: 'status_completed' }
+  return null
+}
+
+export default mongoose.model('Activity', activitySchema)
@@ -1,4 +1,13 @@
 import mongoose from 'mongoose'
+import titleMatchService from '../services/titleMatchService.js'
+import titleNormalizationService from '../services/titleNormalizationService.js'
+import rankingService from '../services/rankingService.js'
+import seasonService from '../services/seasonService.js'
+import studioService from '../services/studioService.js'
+import formatService from '../services/formatService.js'
+import contentIdService from '../services/contentIdService.js'
+import revisionService from '../services/revisionService.js'
+import ContentRedirect from './ContentRedirect.js'
 
 const ContentSchema = new mongoose.Schema(
   {
@@ -19,22 +28,47 @@ const ContentSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Release format within the type (OVA, ONA, special, ...); see formatService
+    format: {
+      type: String,
+      enum: formatService.formats,
+    },
 
     // Media Information
     posterPath: String,
     backdropPath: String,
     releaseDate: Date,
+    // Broadcast season the title started in (from MAL start_season, else the release date)
+    airingSeason: {
+      year: Number,
+      season: {
+        type: String,
+        enum: ['winter', 'spring', 'summer', 'fall'],
+      },
+    },
     runtime: Number, // For movies
     episodeCount: Number, // For TV shows
     seasonCount: Number, // For TV shows
+    // When the Season/Episode collections were last filled for this show
+    episodesSyncedAt: Date,
+    // Episode fetches that found nothing since the last sync, and when the last one was;
+    // further attempts back off (see episodeService)
+    episodeSyncFailures: Number,
+    episodeSyncFailedAt: Date,
 
-    // Internal ID for unified content management
+    // Canonical ID derived from the external IDs at creation, then kept (see contentIdService)
     internalId: {
       type: String,
       unique: true,
       required: true,
       index: true,
     },
+    // URL slug such as "spirited-away-2001"; kept once assigned so links don't break
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
 
     // External IDs (for reference only, not used for deduplication)
     tmdbId: {
@@ -52,6 +86,8 @@ const ContentSchema = new mongoose.Schema(
     voteAverage: Number,
     voteCount: Number,
     popularity: Number,
+    // TMDB's production status ("Returning Series", "Ended", ...)
+    tmdbStatus: String,
     unifiedScore: Number, // Combined score from TMDB and MAL
 
     // User-generated ratings (from your app users)
@@ -94,11 +130,27 @@ const ContentSchema = new mongoose.Schema(
       type: String,
       enum: ['g', 'pg', 'pg_13', 'r', 'r+', 'rx'],
     },
+    // MAL entries mapped onto this series' seasons (see SeriesMapping); the MAL fields
+    // above then summarise all of them
+    malSeasons: [
+      {
+        _id: false,
+        malId: Number,
+        seasonNumber: Number,
+        episodeOffset: Number,
+        title: String,
+        malScore: Number,
+        malScoredBy: Number,
+        malRank: Number,
+        malStatus: String,
+        malEpisodes: Number,
+      },
+    ],
 
-    // Genres (unified from both sources)
+    // Canonical genre references (see Genre model); source IDs are mapped on ingestion
     genres: [
       {
-        id: Number,
+        slug: String,
         name: String,
       },
     ],
@@ -106,10 +158,47 @@ const ContentSchema = new mongoose.Schema(
     // Studios/Production Companies
     studios: [String],
     productionCompanies: [String],
+    // Normalized slugs for both, so aliases of one studio match (maintained on save)
+    studioSlugs: {
+      type: [String],
+      select: false,
+    },
 
     // Alternative Titles
     alternativeTitles: [String],
 
+    // Title trigrams used to find fuzzy search candidates (maintained on save)
+    searchGrams: {
+      type: [String],
+      select: false,
+    },
+    // Normalized title, original title and alternative titles (maintained on save)
+    normalizedTitles: {
+      type: [String],
+      select: false,
+    },
+    // Prefix keys for typeahead suggestions (maintained on save)
+    suggestKeys: {
+      type: [String],
+      select: false,
+    },
+
+    // Ranking score per profile name, so browse listings can sort on an index (maintained on save)
+    rankingScores: {
+      type: Map,
+      of: Number,
+      select: false,
+    },
+    // Signature of the profile settings the scores were computed with, and when
+    rankingSignature: {
+      type: String,
+      select: false,
+    },
+    rankingScoredAt: {
+      type: Date,
+      select: false,
+    },
+
     // Relationship Information
     franchise: String, // Name of the franchise this content belongs to
     relationships: {
@@ -120,17 +209,69 @@ const ContentSchema = new mongoose.Schema(
     },
 
     // Data Source Tracking
+    // lastUpdated is when the source's data was last stored, checkedAt when the refresh last
+    // asked for it, removedAt when the source stopped knowing the title (see refreshService)
     dataSources: {
       tmdb: {
         hasData: { type: Boolean, default: false },
         lastUpdated: Date,
+        checkedAt: Date,
+        removedAt: Date,
       },
       mal: {
         hasData: { type: Boolean, default: false },
         lastUpdated: Date,
+        checkedAt: Date,
+        removedAt: Date,
       },
     },
 
+    // Per tracked field: where the stored value came from and what each source returned
+    // (see provenanceService)
+    provenance: {
+      type: Map,
+      of: new mongoose.Schema(
+        {
+          source: {
+            type: String,
+            enum: ['tmdb', 'mal', 'manual'],
+          },
+          fetchedAt: Date,
+          tmdb: {
+            value: mongoose.Schema.Types.Mixed,
+            fetchedAt: Date,
+          },
+          mal: {
+            value: mongoose.Schema.Types.Mixed,
+            fetchedAt: Date,
+          },
+        },
+        { _id: false },
+      ),
+      select: false,
+    },
+    // Fields an admin pinned to a manual value; syncs don't overwrite them
+    lockedFields: [
+      {
+        _id: false,
+        field: String,
+        reason: String,
+        lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        lockedAt: Date,
+      },
+    ],
+
+    // Soft deletion: trashed titles are left out of every read until restored or purged
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deletionReason: String,
+
     // Metadata
     lastUpdated: {
       type: Date,
@@ -152,13 +293,238 @@ ContentSchema.index({ contentType: 1, voteAverage: -1 })
 ContentSchema.index({ contentType: 1, malScore: -1 })
 ContentSchema.index({ contentType: 1, unifiedScore: -1 })
 ContentSchema.index({ unifiedScore: -1, popularity: -1 })
-ContentSchema.index({ genres: 1, contentType: 1 })
+ContentSchema.index({ 'genres.slug': 1, contentType: 1 })
 ContentSchema.index({ title: 'text', overview: 'text' })
 // Indexes for relationship queries
 ContentSchema.index({ contentType: 1, tmdbId: 1 })
 ContentSchema.index({ contentType: 1, malId: 1 })
+ContentSchema.index({ 'malSeasons.malId': 1 })
 ContentSchema.index({ contentType: 1, title: 1 })
 ContentSchema.index({ contentType: 1, originalTitle: 1 })
+ContentSchema.index({ searchGrams: 1 })
+ContentSchema.index({ contentType: 1, normalizedTitles: 1 })
+ContentSchema.index({ suggestKeys: 1 })
+ContentSchema.index({ studioSlugs: 1 })
+ContentSchema.index({ format: 1, contentType: 1 })
+ContentSchema.index({ 'airingSeason.year': 1, 'airingSeason.season': 1, contentType: 1 })
+ContentSchema.index({ deletedAt: 1 })
+// Titles due for a catalogue refresh from each source (see refreshService)
+for (const source of ['tmdb', 'mal']) {
+  ContentSchema.index({
+    [`dataSources.${source}.hasData`]: 1,
+    [`dataSources.${source}.checkedAt`]: 1,
+  })
+}
+// Browse sorts for the built-in ranking profiles; custom profiles get theirs when saved
+for (const name of Object.keys(rankingService.builtInProfiles)) {
+  ContentSchema.index({ contentType: 1, [`rankingScores.${name}`]: -1, _id: -1 })
+  ContentSchema.index({ [`rankingScores.${name}`]: -1, _id: -1 })
+}
+
+// Give new titles their canonical ID and a slug. Runs before validation since internalId is
+// required. The ID is assigned once: external IDs filled in later (by a merge, an admin edit
+// or a sync) don't change it, so links and references to it keep working.
+ContentSchema.pre('validate', async function () {
+  if (this.isNew || !this.internalId) {
+    const internalId = this.internalId || contentIdService.internalId(this)
+    const holder = await this.constructor
+      .findOne({ internalId, _id: { $ne: this._id } })
+      .setOptions({ withDeleted: true })
+      .select('contentType tmdbId malId')
+      .lean()
+    // A title whose external IDs changed since keeps its ID; one that still has them is a
+    // duplicate, left for the unique index to reject
+    const kept = holder && !contentIdService.carries(holder, internalId)
+    this.internalId = kept ? `local-${this._id}` : internalId
+  }
+  if (!this.slug) {
+    this.slug = await this.constructor.uniqueSlug(contentIdService.slugBase(this), this._id)
+  }
+})
+
+// Keep search keys in sync with the title fields
+ContentSchema.pre('save', function (next) {
+  if (
+    this.isNew ||
+    this.isModified('title') ||
+    this.isModified('originalTitle') ||
+    this.isModified('alternativeTitles')
+  ) {
+    this.searchGrams = titleMatchService.buildSearchGrams(this)
+    this.normalizedTitles = titleNormalizationService.normalizeAll(
+      titleMatchService.getTitles(this),
+    )
+    this.suggestKeys = titleMatchService.buildSuggestKeys(this)
+  }
+  next()
+})
+
+// Content from before formats were tracked gets the plain format for its type
+ContentSchema.pre('save', function (next) {
+  if (!this.format) {
+    this.format = this.contentType
+  }
+  next()
+})
+
+// Keep studio slugs in sync with the credited studios
+ContentSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('studios') || this.isModified('productionCompanies')) {
+    this.studioSlugs = studioService.getSlugs(this)
+  }
+  next()
+})
+
+// Fall back to the release date when MAL didn't give a broadcast season
+ContentSchema.pre('save', function (next) {
+  const derived = !this.malId && this.isModified('releaseDate')
+  if (this.releaseDate && (derived || !this.airingSeason?.season)) {
+    this.airingSeason = seasonService.fromDate(this.releaseDate)
+  }
+  next()
+})
+
+// Keep materialised ranking scores in sync with their inputs
+ContentSchema.pre('save', async function () {
+  const inputsChanged =
+    this.isNew || rankingService.inputFields.some((field) => this.isModified(field))
+  if (!inputsChanged) return
+
+  const { profiles, signature } = await rankingService.getScoringProfiles()
+  const now = new Date()
+  this.rankingScores = rankingService.computeScores(profiles, this, now)
+  this.rankingSignature = signature
+  this.rankingScoredAt = now
+})
+
+// Leave trashed titles out of reads, unless the query passes the `withDeleted` option or
+// filters on deletedAt itself (as the trash listing does)
+ContentSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function () {
+  const options = this.getOptions()
+  const withDeleted = options.withDeleted
+  delete options.withDeleted
+  if (withDeleted || 'deletedAt' in this.getFilter()) return
+
+  this.where({ deletedAt: null })
+})
+
+/**
+ * Aggregations on Content leave trashed titles out the same way: a `{ deletedAt: null }`
+ * $match is put in front of the pipeline. To see trashed titles, pass the `withDeleted`
+ * option, or make the first stage a $match on deletedAt (the trash listing matches
+ * `deletedAt: { $ne: null }`); a $match on deletedAt further down doesn't count.
+ * The hook only runs for `Content.aggregate`: a $lookup, $graphLookup or $unionWith into
+ * contents from another model's pipeline reads trashed titles too, so build lookups with
+ * `Content.lookup`, which filters them out.
+ */
+ContentSchema.pre('aggregate', function () {
+  const withDeleted = this.options.withDeleted
+  delete this.options.withDeleted
+  const [first] = this.pipeline()
+  if (withDeleted || (first?.$match && 'deletedAt' in first.$match)) return
+
+  this.pipeline().unshift({ $match: { deletedAt: null } })
+})
+
+// Record every create, edit and delete as a revision (see revisionService).
+// Bulk writes bypass these hooks; they only backfill derived fields.
+ContentSchema.pre('save', async function () {
+  const fields = this.modifiedPaths().map((field) => field.split('.')[0])
+  if (!this.isNew && !fields.some((field) => revisionService.isDiffed(field))) return
+
+  const before = this.isNew
+    ? null
+    : await this.constructor
+        .findById(this._id, revisionService.snapshotProjection())
+        .setOptions({ withDeleted: true })
+        .session(this.$session())
+        .lean()
+  this.$locals.revision = { before: before && revisionService.snapshot(before) }
+})
+
+ContentSchema.post('save', async function () {
+  const pending = this.$locals.revision
+  if (!pending) return
+  delete this.$locals.revision
+
+  const after = revisionService.snapshot(this)
+  await revisionService.record(
+    pending.before ? 'update' : 'create',
+    [{ before: pending.before, after }],
+    this.$session(),
+  )
+})
+
+const updateQueries = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne']
+const deleteQueries = ['deleteOne', 'deleteMany', 'findOneAndDelete']
+const bulkQueries = ['updateMany', 'deleteMany']
+
+// Snapshots of what a write is about to change, without internal fields. A single-document
+// write loads the one document it changes; a bulk write is refused above maxBulkRevisions.
+ContentSchema.pre([...updateQueries, ...deleteQueries], async function () {
+  if (updateQueries.includes(this.op) && !revisionService.updateTouchesDiffed(this.getUpdate())) {
+    return
+  }
+
+  const { sort, session = null } = this.getOptions()
+  const limit = bulkQueries.includes(this.op) ? revisionService.maxBulkRevisions + 1 : 1
+  const query = this.model
+    .find(this.getFilter(), revisionService.snapshotProjection())
+    .setOptions({ withDeleted: true })
+    .limit(limit)
+    .session(session)
+  // findOneAndUpdate and findOneAndDelete change the first match in their sort order
+  if (sort) query.sort(sort)
+  const before = await query.lean()
+
+  if (before.length > revisionService.maxBulkRevisions) {
+    throw new Error(
+      `${this.op} would change more than ${revisionService.maxBulkRevisions} titles at once; ` +
+        'write them in batches so their revisions can be recorded',
+    )
+  }
+  this._revisionBefore = before
+})
+
+ContentSchema.post([...updateQueries, ...deleteQueries], async function () {
+  const before = this._revisionBefore
+  if (!before?.length) return
+
+  const session = this.getOptions().session || null
+  const ids = before.map((content) => content._id)
+
+  if (deleteQueries.includes(this.op)) {
+    // Only which titles are gone is needed
+    const remaining = await this.model
+      .find({ _id: { $in: ids } })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .session(session)
+      .lean()
+    const kept = new Set(remaining.map((content) => String(content._id)))
+    const deleted = before.filter((content) => !kept.has(String(content._id)))
+    await revisionService.record(
+      'delete',
+      deleted.map((content) => ({ before: revisionService.snapshot(content), after: null })),
+      session,
+    )
+  } else {
+    const current = await this.model
+      .find({ _id: { $in: ids } }, revisionService.snapshotProjection())
+      .setOptions({ withDeleted: true })
+      .session(session)
+      .lean()
+    const byId = new Map(current.map((content) => [String(content._id), content]))
+    await revisionService.record(
+      'update',
+      before.map((content) => ({
+        before: revisionService.snapshot(content),
+        after: revisionService.snapshot(byId.get(String(content._id)) || content),
+      })),
+      session,
+    )
+  }
+})
 
 // Virtual for display title
 ContentSchema.virtual('displayTitle').get(function () {
@@ -198,11 +564,11 @@ ContentSchema.methods.isComplete = function () {
 ContentSchema.methods.getUnifiedGenres = function () {
   const genreMap = new Map()
 
-  // Add TMDB genres
+  // Add genres, keyed by canonical slug
   if (this.genres && Array.isArray(this.genres)) {
     this.genres.forEach((genre) => {
       if (typeof genre === 'object' && genre.name) {
-        genreMap.set(genre.name.toLowerCase(), genre)
+        genreMap.set(genre.slug || genre.name.toLowerCase(), genre)
       } else if (typeof genre === 'string') {
         genreMap.set(genre.toLowerCase(), { name: genre })
       }
@@ -212,20 +578,71 @@ ContentSchema.methods.getUnifiedGenres = function () {
   return Array.from(genreMap.values())
 }
 
+// Projection removing internal keys; aggregations don't apply `select: false`
+ContentSchema.statics.internalFieldsProjection = function () {
+  return {
+    searchGrams: 0,
+    normalizedTitles: 0,
+    suggestKeys: 0,
+    studioSlugs: 0,
+    rankingScores: 0,
+    rankingSignature: 0,
+    rankingScoredAt: 0,
+    provenance: 0,
+  }
+}
+
+// A $lookup stage into contents that leaves trashed titles out; lookups don't run the
+// aggregate hook above. Stages in `pipeline` run on the titles found.
+ContentSchema.statics.lookup = function ({ pipeline = [], ...options }) {
+  return {
+    $lookup: {
+      from: this.collection.name,
+      ...options,
+      pipeline: [{ $match: { deletedAt: null } }, ...pipeline],
+    },
+  }
+}
+
+// First free slug for a base: the base itself, then "-2", "-3", ...
+// Slugs of merged-away and trashed titles stay reserved.
+ContentSchema.statics.uniqueSlug = async function (base, excludeId = null) {
+  // Bases only hold [a-z0-9-], so they are safe inside the pattern
+  const pattern = new RegExp(`^${base}(-\\d+)?$`)
+  const [taken, redirected] = await Promise.all([
+    this.find({ slug: pattern, _id: { $ne: excludeId } })
+      .setOptions({ withDeleted: true })
+      .select('slug')
+      .lean(),
+    ContentRedirect.find({ fromSlug: pattern }).select('fromSlug').lean(),
+  ])
+  const slugs = new Set([
+    ...taken.map((content) => content.slug),
+    ...redirected.map((redirect) => redirect.fromSlug),
+  ])
+
+  let slug = base
+  for (let suffix = 2; slugs.has(slug); suffix++) {
+    slug = `${base}-${suffix}`
+  }
+  return slug
+}
+
 // Static method to find content by external ID
 ContentSchema.statics.findByExternalId = function (id, source = 'tmdb') {
-  const query = source === 'tmdb' ? { tmdbId: id } : { malId: id }
+  const query =
+    source === 'tmdb' ? { tmdbId: id } : { $or: [{ malId: id }, { 'malSeasons.malId': id }] }
   return this.findOne(query)
 }
 
 // Static method to find similar content
 ContentSchema.statics.findSimilar = function (content, limit = 10) {
-  const genreIds = content.genres ? content.genres.map((g) => g.id || g) : []
+  const genreSlugs = (content.genres || []).map((genre) => genre.slug).filter(Boolean)
 
   return this.find({
     _id: { $ne: content._id },
     contentType: content.contentType,
-    genres: { $in: genreIds },
+    'genres.slug': { $in: genreSlugs },
   })
     .sort({ popularity: -1 })
     .limit(limit)
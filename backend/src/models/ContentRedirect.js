@@ -0,0 +1,39 @@
+import mongoose from 'mongoose'
+
+// Left behind when a title is merged into another, so its old ID and slug still resolve
+const contentRedirectSchema = new mongoose.Schema(
+  {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    fromSlug: {
+      type: String,
+      index: true,
+    },
+    fromInternalId: String,
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true,
+      index: true,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Surviving title for an old ID or slug, or null
+contentRedirectSchema.statics.resolve = async function ({ id, slug }) {
+  const query = id ? { from: id } : { fromSlug: slug }
+  const redirect = await this.findOne(query).sort({ createdAt: -1 }).lean()
+  return redirect ? redirect.to : null
+}
+
+export default mongoose.model('ContentRedirect', contentRedirectSchema)
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose'
+
+// One recorded change to a title: who made it, which fields changed, and the title as it
+// was afterwards (before, for deletions), so any revision can be restored
+const contentRevisionSchema = new mongoose.Schema(
+  {
+    // Not a required reference, as the title may have been deleted since
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'merge', 'delete', 'restore', 'purge'],
+      required: true,
+    },
+    actor: {
+      kind: {
+        type: String,
+        enum: ['admin', 'user', 'script', 'sync', 'job', 'system'],
+        required: true,
+      },
+      // Script or job name, or the admin's username
+      name: String,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // The other title of a merge
+    relatedContent: mongoose.Schema.Types.ObjectId,
+    // The revision a restore went back to
+    restoredFrom: mongoose.Schema.Types.ObjectId,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  },
+)
+
+contentRevisionSchema.index({ content: 1, createdAt: -1 })
+contentRevisionSchema.index({ action: 1, createdAt: -1 })
+
+export default mongoose.model('ContentRevision', contentRevisionSchema)
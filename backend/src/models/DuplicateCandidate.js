@@ -0,0 +1,67 @@
+import mongoose from 'mongoose'
+
+// A pair of titles that may be the same, queued for an admin to review.
+// Reviewed pairs are kept, so a rejected pair is never proposed again.
+const duplicateCandidateSchema = new mongoose.Schema(
+  {
+    // Stored in ObjectId order, so each pair has one document
+    contentA: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true,
+    },
+    contentB: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true,
+    },
+
+    // Overall likelihood (0..1) and the signals it was computed from
+    score: {
+      type: Number,
+      required: true,
+    },
+    signals: {
+      _id: false,
+      title: Number,
+      year: Number,
+      type: Number,
+      length: Number,
+      externalIds: Number,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'merged', 'rejected'],
+      default: 'pending',
+    },
+    // The title that was kept when the pair was merged
+    primary: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+    },
+    note: {
+      type: String,
+      maxlength: 300,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+duplicateCandidateSchema.index({ contentA: 1, contentB: 1 }, { unique: true })
+duplicateCandidateSchema.index({ contentB: 1 })
+duplicateCandidateSchema.index({ status: 1, score: -1 })
+
+// Same pair in the stored order
+duplicateCandidateSchema.statics.orderPair = function (idA, idB) {
+  return String(idA) < String(idB) ? [idA, idB] : [idB, idA]
+}
+
+export default mongoose.model('DuplicateCandidate', duplicateCandidateSchema)
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose'
+
+// A single episode, numbered within its season
+const episodeSchema = new mongoose.Schema(
+  {
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true,
+    },
+    season: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Season',
+      required: true,
+    },
+    seasonNumber: {
+      type: Number,
+      required: true,
+    },
+    episodeNumber: {
+      type: Number,
+      required: true,
+    },
+    title: String,
+    airDate: Date,
+    runtime: Number, // Minutes
+    synopsis: String,
+    stillPath: String,
+
+    // Only MAL flags these
+    filler: {
+      type: Boolean,
+      default: false,
+    },
+    recap: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+episodeSchema.index({ content: 1, seasonNumber: 1, episodeNumber: 1 }, { unique: true })
+
+export default mongoose.model('Episode', episodeSchema)
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose'
+
+// How one source labels a genre. Sources number genres independently, so IDs only mean
+// something together with their source (TMDB 10 and MAL 10 are different genres)
+const genreMappingSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ['tmdb', 'mal'],
+      required: true,
+    },
+    externalId: Number,
+    name: String,
+  },
+  { _id: false },
+)
+
+// Canonical genre that content references by slug, whatever source it came from
+const genreSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9-]+$/, 'Genre slug may only contain letters, numbers and dashes'],
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // One source genre may map to several canonical ones ("Action & Adventure")
+    mappings: [genreMappingSchema],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+genreSchema.index({ 'mappings.source': 1, 'mappings.externalId': 1 })
+
+export default mongoose.model('Genre', genreSchema)
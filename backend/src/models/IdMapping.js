@@ -0,0 +1,47 @@
+import mongoose from 'mongoose'
+
+// Cross-reference between a MAL entry and the TMDB title it is the same as.
+// A null tmdbId records that the entry has no TMDB counterpart, so it is never merged by title.
+const idMappingSchema = new mongoose.Schema(
+  {
+    malId: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    tmdbId: {
+      type: Number,
+      default: null,
+    },
+    // TMDB numbers movies and TV separately
+    tmdbType: {
+      type: String,
+      enum: ['movie', 'tv'],
+      required: function () {
+        return this.tmdbId != null
+      },
+    },
+
+    // Dataset imports never overwrite mappings an admin has set
+    source: {
+      type: String,
+      enum: ['dataset', 'admin'],
+      required: true,
+    },
+    note: {
+      type: String,
+      maxlength: 300,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+idMappingSchema.index({ tmdbType: 1, tmdbId: 1 })
+
+export default mongoose.model('IdMapping', idMappingSchema)
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose'
+
+// One run of a background job (see jobService). Recurring jobs queue their next run when
+// a run finishes, so each run keeps its own history.
+const jobSchema = new mongoose.Schema(
+  {
+    // The handler that runs the job
+    name: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'queued',
+    },
+    // When the job may run next: its delay, or the backoff after a failed attempt
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Milliseconds before the first retry; each later retry waits twice as long
+    backoff: {
+      type: Number,
+      default: 60 * 1000,
+    },
+
+    // The worker holding the job and until when; a worker that stops renewing its lease
+    // (because its process died) loses the job to the next worker that polls
+    lockedBy: String,
+    lockedUntil: Date,
+
+    // Set on recurring jobs: milliseconds from one scheduled run to the next, counted from
+    // when the run was scheduled for, so retries and slow runs don't shift the schedule
+    every: Number,
+    scheduledFor: Date,
+    // Identifies a recurring job across its runs
+    scheduleKey: String,
+
+    startedAt: Date,
+    finishedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    lastError: String,
+    failures: [
+      {
+        _id: false,
+        attempt: Number,
+        message: String,
+        at: Date,
+      },
+    ],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Polling for due jobs, and expired leases
+jobSchema.index({ status: 1, runAt: 1 })
+jobSchema.index({ status: 1, lockedUntil: 1 })
+jobSchema.index({ name: 1, createdAt: -1 })
+// Only one queued run per recurring job, however many instances schedule it
+jobSchema.index({ scheduleKey: 1 }, { unique: true, partialFilterExpression: { status: 'queued' } })
+
+export default mongoose.model('Job', jobSchema)
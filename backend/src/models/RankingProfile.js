@@ -0,0 +1,57 @@
+import mongoose from 'mongoose'
+
+const weight = { type: Number, default: 0, min: -10, max: 10 }
+
+// Named, admin-editable ranking profile used to order content listings
+const rankingProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9-]+$/, 'Profile name may only contain letters, numbers and dashes'],
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: 300,
+    },
+
+    // Each component is scaled to roughly 0-10 before its weight is applied
+    weights: {
+      unifiedScore: weight,
+      popularity: weight,
+      recency: weight,
+      userRatings: weight,
+      source: weight,
+    },
+
+    // Tuning for individual components
+    recencyHalfLifeDays: {
+      type: Number,
+      default: 365,
+      min: 1,
+    },
+    userRatingConfidenceCount: {
+      type: Number,
+      default: 20,
+      min: 1,
+    },
+    sourceBoosts: {
+      tmdb: { type: Number, default: 0, min: 0, max: 10 },
+      mal: { type: Number, default: 0, min: 0, max: 10 },
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+export default mongoose.model('RankingProfile', rankingProfileSchema)
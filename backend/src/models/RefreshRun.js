@@ -0,0 +1,52 @@
+import mongoose from 'mongoose'
+
+const sourceCounts = {
+  tmdb: { type: Number, default: 0 },
+  mal: { type: Number, default: 0 },
+}
+
+// One run of the automatic catalogue refresh (see refreshService)
+const refreshRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running',
+    },
+    // What started the run: the schedule, an admin, a script or a job
+    trigger: {
+      type: String,
+      default: 'schedule',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+
+    // Requests each source was allowed, titles that were due, and what happened to them
+    budget: sourceCounts,
+    due: sourceCounts,
+    refreshed: sourceCounts,
+    removed: sourceCounts,
+    failed: sourceCounts,
+    failures: [
+      {
+        _id: false,
+        content: { type: mongoose.Schema.Types.ObjectId, ref: 'Content' },
+        title: String,
+        source: String,
+        message: String,
+      },
+    ],
+    // Why the whole run stopped, if it did
+    error: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+refreshRunSchema.index({ startedAt: -1 })
+
+export default mongoose.model('RefreshRun', refreshRunSchema)
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose'
+
+// A role an admin granted or revoked, kept as an audit trail of who can do what
+const roleChangeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['grant', 'revoke'],
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+roleChangeSchema.index({ user: 1, createdAt: -1 })
+
+export default mongoose.model('RoleChange', roleChangeSchema)
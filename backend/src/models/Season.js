@@ -0,0 +1,43 @@
+import mongoose from 'mongoose'
+
+// One season of a TV show. Season 0 holds specials, as on TMDB
+const seasonSchema = new mongoose.Schema(
+  {
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content',
+      required: true,
+    },
+    seasonNumber: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    name: String,
+    overview: String,
+    airDate: Date,
+    posterPath: String,
+    episodeCount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Where the episode list came from
+    source: {
+      type: String,
+      enum: ['tmdb', 'mal'],
+      required: true,
+    },
+    lastSynced: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+seasonSchema.index({ content: 1, seasonNumber: 1 }, { unique: true })
+
+export default mongoose.model('Season', seasonSchema)
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose'
+
+// Links one MAL entry (a cour or season, which MAL lists separately) to a season of a TMDB series
+const seriesMappingSchema = new mongoose.Schema(
+  {
+    malId: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    tmdbId: {
+      type: Number,
+      required: true,
+    },
+    seasonNumber: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Episodes of the TMDB season that come before this entry's first episode,
+    // for seasons MAL splits into several parts
+    episodeOffset: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    title: String,
+
+    // Built-in mappings are seeded by the service; manual ones are never overwritten by it
+    source: {
+      type: String,
+      enum: ['builtin', 'manual'],
+      default: 'manual',
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+seriesMappingSchema.index({ tmdbId: 1, seasonNumber: 1, episodeOffset: 1 })
+
+export default mongoose.model('SeriesMapping', seriesMappingSchema)
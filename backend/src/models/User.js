@@ -1,5 +1,6 @@
 import mongoose from 'mongoose'
 import bcrypt from 'bcryptjs'
+import permissionService from '../services/permissionService.js'
 
 const userSchema = new mongoose.Schema(
   {
@@ -51,6 +52,12 @@ const userSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Access roles (see permissionService); admins grant and revoke them
+    roles: {
+      type: [{ type: String, enum: permissionService.roles }],
+      default: ['user'],
+    },
+
     // Watchlist information
     watchlist: [
       {
@@ -131,6 +138,10 @@ const userSchema = new mongoose.Schema(
   },
 )
 
+// Finding who rated or lists a title, for rating recounts, merges and purges
+userSchema.index({ 'ratings.content': 1 })
+userSchema.index({ 'watchlist.content': 1 })
+
 // Hash password before saving it in database
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next()
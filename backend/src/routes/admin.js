@@ -1,14 +1,28 @@
 import express from 'express'
+import { body, param, query } from 'express-validator'
 import authMiddleware from '../middleware/auth.js'
+import { requirePermission } from '../middleware/permissions.js'
+import revisionActor from '../middleware/revisionActor.js'
 import { manuallyBanIP, unbanIP, getBanStats, getActiveBans } from '../middleware/ipBan.js'
+import * as contentAdminController from '../controllers/contentAdminController.js'
+import * as duplicateController from '../controllers/duplicateController.js'
+import * as idMappingController from '../controllers/idMappingController.js'
+import * as jobController from '../controllers/jobController.js'
+import * as provenanceController from '../controllers/provenanceController.js'
+import * as rankingController from '../controllers/rankingController.js'
+import * as refreshController from '../controllers/refreshController.js'
+import * as revisionController from '../controllers/revisionController.js'
+import * as trashController from '../controllers/trashController.js'
+import * as userRoleController from '../controllers/userRoleController.js'
 
 const router = express.Router()
 
 // Admin-only routes for IP ban management
-router.use(authMiddleware) // Require authentication
+router.use(authMiddleware) // Require authentication; each route checks a permission
+router.use(revisionActor) // Attribute content edits to the admin
 
 // Get ban statistics
-router.get('/ban-stats', async (req, res) => {
+router.get('/ban-stats', requirePermission('bans:read'), async (req, res) => {
   try {
     const stats = await getBanStats()
     res.json({
@@ -25,7 +39,7 @@ router.get('/ban-stats', async (req, res) => {
 })
 
 // Get all active bans
-router.get('/active-bans', async (req, res) => {
+router.get('/active-bans', requirePermission('bans:read'), async (req, res) => {
   try {
     const bans = await getActiveBans()
     res.json({
@@ -42,7 +56,7 @@ router.get('/active-bans', async (req, res) => {
 })
 
 // Manually ban an IP
-router.post('/ban-ip', async (req, res) => {
+router.post('/ban-ip', requirePermission('bans:write'), async (req, res) => {
   try {
     const { ip, reason = 'manual', duration } = req.body
 
@@ -70,7 +84,7 @@ router.post('/ban-ip', async (req, res) => {
 })
 
 // Unban an IP
-router.post('/unban-ip', async (req, res) => {
+router.post('/unban-ip', requirePermission('bans:write'), async (req, res) => {
   try {
     const { ip } = req.body
 
@@ -96,4 +110,353 @@ router.post('/unban-ip', async (req, res) => {
   }
 })
 
+// Ranking profiles
+router.get(
+  '/ranking-profiles',
+  requirePermission('content:read'),
+  rankingController.getRankingProfiles,
+)
+router.put(
+  '/ranking-profiles/:name',
+  requirePermission('rankings:write'),
+  [
+    param('name')
+      .matches(/^[a-zA-Z0-9-]+$/)
+      .withMessage('Profile name may only contain letters, numbers and dashes'),
+    body('description').optional().isString().isLength({ max: 300 }),
+    body('weights').optional().isObject(),
+    body('weights.*')
+      .isFloat({ min: -10, max: 10 })
+      .withMessage('Weights must be numbers between -10 and 10'),
+    body('recencyHalfLifeDays').optional().isFloat({ min: 1 }),
+    body('userRatingConfidenceCount').optional().isInt({ min: 1 }),
+    body('sourceBoosts').optional().isObject(),
+    body('sourceBoosts.*')
+      .isFloat({ min: 0, max: 10 })
+      .withMessage('Source boosts must be numbers between 0 and 10'),
+  ],
+  rankingController.saveRankingProfile,
+)
+router.delete(
+  '/ranking-profiles/:name',
+  requirePermission('rankings:write'),
+  rankingController.deleteRankingProfile,
+)
+
+// TMDB/MAL ID cross-references used to merge titles during ingestion
+router.get('/id-mappings', requirePermission('content:read'), idMappingController.getIdMappings)
+router.put(
+  '/id-mappings/:malId',
+  requirePermission('content:edit'),
+  [
+    param('malId').isInt({ min: 1 }).withMessage('MAL ID must be a positive integer'),
+    body('tmdbId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('TMDB ID must be a positive integer or null'),
+    body('tmdbType')
+      .if(body('tmdbId').exists({ values: 'null' }))
+      .isIn(['movie', 'tv'])
+      .withMessage('TMDB type must be movie or tv'),
+    body('note').optional().isString().isLength({ max: 300 }),
+  ],
+  idMappingController.saveIdMapping,
+)
+router.delete(
+  '/id-mappings/:malId',
+  requirePermission('content:edit'),
+  idMappingController.deleteIdMapping,
+)
+
+// Review queue of likely duplicate titles
+router.get('/duplicates', requirePermission('content:read'), duplicateController.getDuplicates)
+router.post(
+  '/duplicates/scan',
+  requirePermission('content:merge'),
+  [
+    body('threshold')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Threshold must be between 0 and 1'),
+    body('dryRun').optional().isBoolean(),
+  ],
+  duplicateController.scanDuplicates,
+)
+router.post(
+  '/duplicates/:id/accept',
+  requirePermission('content:merge'),
+  [
+    param('id').isMongoId().withMessage('Invalid candidate ID'),
+    body('primaryId').optional().isMongoId().withMessage('Invalid primary content ID'),
+    body('fields').optional().isObject(),
+    body('fields.*')
+      .isIn(['primary', 'secondary'])
+      .withMessage('Each field must be taken from the primary or the secondary title'),
+    body('note').optional().isString().isLength({ max: 300 }),
+  ],
+  duplicateController.acceptDuplicate,
+)
+router.post(
+  '/duplicates/:id/reject',
+  requirePermission('content:merge'),
+  [
+    param('id').isMongoId().withMessage('Invalid candidate ID'),
+    body('note').optional().isString().isLength({ max: 300 }),
+  ],
+  duplicateController.rejectDuplicate,
+)
+
+// Field sources, TMDB/MAL conflicts and admin locks of a title
+router.get(
+  '/content/:id/sources',
+  requirePermission('content:read'),
+  [param('id').isMongoId().withMessage('Invalid content ID')],
+  provenanceController.getContentSources,
+)
+router.put(
+  '/content/:id/locks/:field',
+  requirePermission('content:edit'),
+  [
+    param('id').isMongoId().withMessage('Invalid content ID'),
+    body('value').exists().withMessage('A value is required'),
+    body('reason').optional().isString().isLength({ max: 300 }),
+  ],
+  provenanceController.lockField,
+)
+router.delete(
+  '/content/:id/locks/:field',
+  requirePermission('content:edit'),
+  [param('id').isMongoId().withMessage('Invalid content ID')],
+  provenanceController.unlockField,
+)
+
+// Revision history of titles, and restoring earlier revisions
+router.get(
+  '/revisions',
+  requirePermission('content:read'),
+  [
+    query('action')
+      .optional()
+      .isIn(['create', 'update', 'merge', 'delete', 'restore', 'purge'])
+      .withMessage('Invalid revision action'),
+    query('actorKind')
+      .optional()
+      .isIn(['admin', 'user', 'script', 'sync', 'job', 'system'])
+      .withMessage('Invalid actor kind'),
+  ],
+  revisionController.getRevisions,
+)
+router.get(
+  '/content/:id/revisions',
+  requirePermission('content:read'),
+  [param('id').isMongoId().withMessage('Invalid content ID')],
+  revisionController.getContentRevisions,
+)
+router.get(
+  '/content/:id/revisions/:revisionId',
+  requirePermission('content:read'),
+  [
+    param('id').isMongoId().withMessage('Invalid content ID'),
+    param('revisionId').isMongoId().withMessage('Invalid revision ID'),
+  ],
+  revisionController.getContentRevision,
+)
+router.post(
+  '/content/:id/revisions/:revisionId/restore',
+  requirePermission('content:edit'),
+  [
+    param('id').isMongoId().withMessage('Invalid content ID'),
+    param('revisionId').isMongoId().withMessage('Invalid revision ID'),
+  ],
+  revisionController.restoreContentRevision,
+)
+
+// Content fields accepted when creating or editing a title; the schema validates the rest
+const contentFields = [
+  body('title').optional().isString().trim().notEmpty().isLength({ max: 300 }),
+  body(['originalTitle', 'tagline', 'franchise'])
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 300 }),
+  body('overview').optional({ values: 'null' }).isString().isLength({ max: 5000 }),
+  body('contentType').optional().isIn(['movie', 'tv']).withMessage('Type must be movie or tv'),
+  body('format').optional().isString(),
+  body(['posterPath', 'backdropPath']).optional({ values: 'null' }).isString(),
+  body('releaseDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Release date must be a date'),
+  body('airingSeason.year').optional().isInt({ min: 1900, max: 2100 }),
+  body('airingSeason.season').optional().isIn(['winter', 'spring', 'summer', 'fall']),
+  body(['runtime', 'episodeCount', 'seasonCount', 'voteCount', 'malScoredBy'])
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Counts must be whole numbers of 0 or more'),
+  body(['tmdbId', 'malId'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('External IDs must be positive integers'),
+  body(['voteAverage', 'malScore'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Scores must be between 0 and 10'),
+  body('popularity').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body(['genres', 'studios', 'productionCompanies', 'alternativeTitles']).optional().isArray(),
+  body(['studios.*', 'productionCompanies.*', 'alternativeTitles.*']).isString().trim().notEmpty(),
+  body('genres.*').custom((genre) => typeof genre === 'string' || typeof genre?.slug === 'string'),
+  body('lock').optional().isBoolean(),
+]
+
+// Admin content management: create, edit, bulk edit and re-fetch titles
+router.get(
+  '/content',
+  requirePermission('content:read'),
+  [query('type').optional().isIn(['movie', 'tv']).withMessage('Type must be movie or tv')],
+  contentAdminController.getAdminContent,
+)
+router.post(
+  '/content',
+  requirePermission('content:edit'),
+  [
+    body('title').exists().withMessage('A title is required'),
+    body('contentType').exists().withMessage('A content type is required'),
+    ...contentFields,
+  ],
+  contentAdminController.createContent,
+)
+router.post(
+  '/content/bulk',
+  requirePermission('content:edit'),
+  [
+    body('ids')
+      .isArray({ min: 1, max: 500 })
+      .withMessage('Between 1 and 500 content IDs are required'),
+    body('ids.*').isMongoId().withMessage('Invalid content ID'),
+    body('franchise').optional({ values: 'null' }).isString().isLength({ max: 300 }),
+    body(['studios.add', 'studios.remove', 'genres.add', 'genres.remove']).optional().isArray(),
+    body(['studios.add.*', 'studios.remove.*', 'genres.add.*', 'genres.remove.*'])
+      .isString()
+      .trim()
+      .notEmpty(),
+  ],
+  contentAdminController.bulkEditContent,
+)
+router.get(
+  '/content/:id',
+  requirePermission('content:read'),
+  [param('id').isMongoId().withMessage('Invalid content ID')],
+  contentAdminController.getAdminContentById,
+)
+router.patch(
+  '/content/:id',
+  requirePermission('content:edit'),
+  [param('id').isMongoId().withMessage('Invalid content ID'), ...contentFields],
+  contentAdminController.updateContent,
+)
+router.post(
+  '/content/:id/refetch',
+  requirePermission('content:edit'),
+  [
+    param('id').isMongoId().withMessage('Invalid content ID'),
+    body('source').isIn(['tmdb', 'mal']).withMessage('Source must be tmdb or mal'),
+  ],
+  contentAdminController.refetchContent,
+)
+
+// Trash: soft-deleted titles, restored on request or purged after the retention period
+router.delete(
+  '/content/:id',
+  requirePermission('content:delete'),
+  [
+    param('id').isMongoId().withMessage('Invalid content ID'),
+    body('reason').optional().isString().isLength({ max: 300 }),
+  ],
+  trashController.trashContent,
+)
+router.get('/trash', requirePermission('content:read'), trashController.getTrash)
+router.post(
+  '/trash/:id/restore',
+  requirePermission('content:delete'),
+  [param('id').isMongoId().withMessage('Invalid content ID')],
+  trashController.restoreContent,
+)
+router.post(
+  '/trash/purge',
+  requirePermission('content:delete'),
+  [body('dryRun').optional().isBoolean()],
+  trashController.purgeTrash,
+)
+
+// Automatic catalogue refresh
+router.get('/refresh/status', requirePermission('content:read'), refreshController.getRefreshStatus)
+router.post(
+  '/refresh/run',
+  requirePermission('content:edit'),
+  [body('dryRun').optional().isBoolean()],
+  refreshController.runRefresh,
+)
+
+// Background jobs: list, queue, retry and cancel
+router.get(
+  '/jobs',
+  requirePermission('jobs:read'),
+  [
+    query('status')
+      .optional()
+      .isIn(['queued', 'running', 'completed', 'failed', 'cancelled'])
+      .withMessage('Invalid status'),
+    query('name').optional().isString(),
+  ],
+  jobController.getJobs,
+)
+router.get(
+  '/jobs/:id',
+  requirePermission('jobs:read'),
+  [param('id').isMongoId().withMessage('Invalid job ID')],
+  jobController.getJob,
+)
+router.post(
+  '/jobs',
+  requirePermission('jobs:write'),
+  [
+    body('name').isString().withMessage('Job name is required'),
+    body('data').optional().isObject(),
+    body('delay').optional().isInt({ min: 0 }).withMessage('Delay is in seconds').toInt(),
+  ],
+  jobController.createJob,
+)
+router.post(
+  '/jobs/:id/retry',
+  requirePermission('jobs:write'),
+  [param('id').isMongoId().withMessage('Invalid job ID')],
+  jobController.retryJob,
+)
+router.post(
+  '/jobs/:id/cancel',
+  requirePermission('jobs:write'),
+  [param('id').isMongoId().withMessage('Invalid job ID')],
+  jobController.cancelJob,
+)
+
+// Roles and the permissions they grant
+router.get('/roles', requirePermission('users:read'), userRoleController.getRoles)
+router.get(
+  '/users',
+  requirePermission('users:read'),
+  [query('role').optional().isIn(['user', 'moderator', 'admin']).withMessage('Invalid role')],
+  userRoleController.getUsers,
+)
+router.put(
+  '/users/:id/roles/:role',
+  requirePermission('roles:write'),
+  [param('id').isMongoId().withMessage('Invalid user ID')],
+  userRoleController.grantRole,
+)
+router.delete(
+  '/users/:id/roles/:role',
+  requirePermission('roles:write'),
+  [param('id').isMongoId().withMessage('Invalid user ID')],
+  userRoleController.revokeRole,
+)
+
 export default router
@@ -2,11 +2,16 @@ import express from 'express'
 import { body } from 'express-validator'
 import contentController from '../controllers/contentController.js'
 import * as authController from '../controllers/authController.js'
+import * as episodeController from '../controllers/episodeController.js'
 import * as feedbackController from '../controllers/feedbackController.js'
+import * as genreController from '../controllers/genreController.js'
+import * as seasonController from '../controllers/seasonController.js'
+import * as studioController from '../controllers/studioController.js'
 import authMiddleware, { refreshAccessToken, revokeRefreshToken } from '../middleware/auth.js'
 import upload, { handleUploadError } from '../middleware/upload.js'
 import { bruteForceProtection } from '../middleware/antiBot.js'
 import { validateObjectId } from '../middleware/security.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -51,13 +56,27 @@ router.post('/auth/revoke', revokeRefreshToken)
 // Public routes
 router.get('/content', contentController.getContent)
 router.get('/popular', contentController.getPopularContent)
+router.get('/trending', contentController.getTrendingContent)
 router.get('/search', contentController.searchContent)
+router.get('/search/suggest', contentController.getSearchSuggestions)
 router.get('/stats', contentController.getDatabaseStats)
+router.get('/content/by-slug/:slug', contentController.getContentBySlug)
 router.get('/content/:id', validateObjectId, contentController.getContentById)
 router.get('/content/external/:id', contentController.getContentByExternalId)
 router.get('/content/:id/similar', validateObjectId, contentController.getSimilarContent)
+router.get('/content/:id/seasons', validateObjectId, episodeController.getSeasons)
+router.get(
+  '/content/:id/seasons/:seasonNumber/episodes',
+  validateObjectId,
+  episodeController.getSeasonEpisodes,
+)
 router.get('/content/:contentId/related', validateObjectId, contentController.getRelatedContent)
 router.get('/franchise/:franchiseName', contentController.getFranchiseContent)
+router.get('/seasons/current', seasonController.getCurrentSeason)
+router.get('/seasons/:year/:season', seasonController.getSeason)
+router.get('/studios', studioController.getStudios)
+router.get('/studios/:slug', studioController.getStudio)
+router.get('/genres', genreController.getGenres)
 
 // AI search route
 router.post(
@@ -73,9 +92,14 @@ router.post(
   contentController.aiChat,
 )
 
-// Beta feedback routes (public)
+// Beta feedback routes (anyone can submit; reading needs feedback:read)
 router.post('/feedback', feedbackController.submitFeedback)
-router.get('/feedback', feedbackController.getFeedback)
+router.get(
+  '/feedback',
+  authMiddleware,
+  requirePermission('feedback:read'),
+  feedbackController.getFeedback,
+)
 
 // Protected routes (require authentication)
 router.use(authMiddleware)
@@ -120,6 +144,18 @@ router.post(
   contentController.addToWatchlist,
 )
 
+router.post(
+  '/watchlist/bulk',
+  [
+    body('contentIds')
+      .isArray({ min: 1, max: 200 })
+      .withMessage('contentIds must be a list of 1 to 200 content IDs'),
+    body('contentIds.*').isMongoId().withMessage('Valid content IDs are required'),
+    body('status').optional().isIn(['plan_to_watch', 'watching', 'completed', 'dropped']),
+  ],
+  contentController.bulkAddToWatchlist,
+)
+
 router.get('/watchlist', contentController.getWatchlist)
 router.delete('/watchlist/:contentId', validateObjectId, contentController.removeFromWatchlist)
 router.put(
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import SeriesMapping from '../models/SeriesMapping.js'
+import contentMergeService from '../services/contentMergeService.js'
+import scoreService from '../services/scoreService.js'
+import seriesMappingService from '../services/seriesMappingService.js'
+import unifiedContentService from '../services/unifiedContentService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Fold a standalone MAL entry into the series season it belongs to, in one transaction that
+// leaves a redirect behind. Its watchlist progress is counted from the start of the season;
+// users who track both keep the further-progressed entry and the latest rating.
+const foldIntoSeries = async (standalone, series, mapping) => {
+  const { movedUsers } = await contentMergeService.absorb(series, standalone, {
+    adjustEntry: (entry) => {
+      entry.currentSeason = mapping.seasonNumber || 1
+      // Progress was counted from the start of this MAL entry, not of the season
+      if (entry.currentEpisode > 0) {
+        entry.currentEpisode += mapping.episodeOffset
+      }
+      entry.totalEpisodes =
+        seriesMappingService.seasonEpisodeCount(series.malSeasons, mapping.seasonNumber) ||
+        entry.totalEpisodes
+      entry.totalSeasons = series.seasonCount || entry.totalSeasons
+    },
+  })
+  return movedUsers
+}
+
+// Seed the built-in series mappings, then store each mapped MAL entry as a season of
+// its TMDB series. MAL entries stored as titles of their own are folded into the series.
+// Pass --dry-run to only report what would change.
+async function applySeriesMappings() {
+  const dryRun = process.argv.includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    if (!dryRun) {
+      const seeded = await seriesMappingService.seed()
+      console.log(`Seeded ${seeded} new series mappings`)
+    }
+
+    const stored = await SeriesMapping.find().sort({ tmdbId: 1, seasonNumber: 1 }).lean()
+    // A dry run doesn't seed, so include the built-in mappings that would be added
+    const unseeded = seriesMappingService.builtin.filter(
+      (mapping) => !stored.some((entry) => entry.malId === mapping.malId),
+    )
+    const mappings = dryRun ? [...stored, ...unseeded] : stored
+    const tmdbIds = [...new Set(mappings.map((mapping) => mapping.tmdbId))]
+    console.log(`Found ${mappings.length} mappings across ${tmdbIds.length} series`)
+
+    let attached = 0
+    let folded = 0
+    let movedUsers = 0
+
+    for (const tmdbId of tmdbIds) {
+      const series = await Content.findOne({ tmdbId, contentType: 'tv' })
+      if (!series) {
+        console.log(`TMDB series ${tmdbId} is not in the database, skipping`)
+        continue
+      }
+
+      const standalones = []
+      for (const mapping of mappings.filter((entry) => entry.tmdbId === tmdbId)) {
+        const standalone = await Content.findOne({ malId: mapping.malId, _id: { $ne: series._id } })
+
+        let malContent = standalone
+        if (!malContent) {
+          const anime = await unifiedContentService.getMalAnimeDetails(mapping.malId)
+          malContent = anime && unifiedContentService.convertMalToContent(anime)
+        }
+        if (!malContent) {
+          console.log(`No MAL data for ${mapping.title || mapping.malId}, skipping`)
+          continue
+        }
+
+        seriesMappingService.attach(series, mapping, malContent)
+        attached++
+        if (standalone) {
+          standalones.push({ standalone, mapping })
+        }
+      }
+
+      console.log(
+        `${series.title}: ${series.malSeasons.length} MAL entries, ${standalones.length} to fold`,
+      )
+      if (dryRun) {
+        folded += standalones.length
+        continue
+      }
+
+      for (const { standalone, mapping } of standalones) {
+        movedUsers += await foldIntoSeries(standalone, series, mapping)
+        folded++
+      }
+
+      series.unifiedScore = scoreService.forContent(series) || series.voteAverage || 0
+      series.dataSources.mal = { hasData: true, lastUpdated: new Date() }
+      // Season lists are rebuilt from the mapped MAL entries if TMDB has none
+      series.episodesSyncedAt = null
+      series.episodeSyncFailures = undefined
+      series.episodeSyncFailedAt = undefined
+      await series.save()
+    }
+
+    console.log(`\n${attached} MAL entries mapped, ${folded} standalone titles folded`)
+    console.log(`${movedUsers} users had watchlist entries or ratings moved`)
+    console.log(dryRun ? 'Dry run, nothing written' : 'Series mappings applied')
+  } catch (error) {
+    console.error('Error applying series mappings:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the migration
+applySeriesMappings()
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import seasonService from '../services/seasonService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Set the broadcast season on content saved before it was tracked
+async function backfillAiringSeasons() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const allContent = await Content.find(
+      { 'airingSeason.season': { $exists: false }, releaseDate: { $ne: null } },
+      'releaseDate',
+    ).lean()
+    console.log(`Found ${allContent.length} content items without an airing season`)
+
+    const batchSize = 500
+    let updated = 0
+
+    for (let i = 0; i < allContent.length; i += batchSize) {
+      const operations = allContent.slice(i, i + batchSize).map((content) => ({
+        updateOne: {
+          filter: { _id: content._id },
+          update: { $set: { airingSeason: seasonService.fromDate(content.releaseDate) } },
+        },
+      }))
+
+      await Content.bulkWrite(operations)
+      updated += operations.length
+      console.log(`Updated ${updated}/${allContent.length}`)
+    }
+
+    await Content.createIndexes()
+    console.log('Airing season backfill complete')
+  } catch (error) {
+    console.error('Error backfilling airing seasons:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the backfill
+backfillAiringSeasons()
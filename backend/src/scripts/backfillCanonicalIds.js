@@ -0,0 +1,105 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import contentIdService from '../services/contentIdService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Replace the old timestamped internal IDs with canonical ones and give every title a slug.
+// Popular titles are handled first, so they get the slug without a numeric suffix.
+// Pass --dry-run to only report what would change.
+async function backfillCanonicalIds() {
+  const dryRun = process.argv.includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    // Trashed titles hold their IDs and slugs too
+    const allContent = await Content.find(
+      {},
+      'title originalTitle alternativeTitles releaseDate contentType tmdbId malId internalId slug',
+    )
+      .setOptions({ withDeleted: true })
+      .sort({ popularity: -1, _id: 1 })
+      .lean()
+    console.log(`Found ${allContent.length} content items`)
+
+    // Titles that already have a canonical ID keep it, even if their external IDs changed
+    const claimed = new Set(
+      allContent
+        .filter((content) => contentIdService.isCanonical(content.internalId))
+        .map((content) => content.internalId),
+    )
+    const slugs = new Set(allContent.map((content) => content.slug).filter(Boolean))
+
+    const duplicates = []
+    let operations = []
+    let changedIds = 0
+    let newSlugs = 0
+
+    const flush = async () => {
+      if (operations.length > 0 && !dryRun) {
+        await Content.bulkWrite(operations)
+      }
+      operations = []
+    }
+
+    for (const content of allContent) {
+      const update = {}
+
+      const internalId = contentIdService.internalId(content)
+      if (!contentIdService.isCanonical(content.internalId)) {
+        if (claimed.has(internalId)) {
+          // Another stored title has the same external IDs; left for duplicate review
+          duplicates.push(content)
+        } else {
+          claimed.add(internalId)
+          update.internalId = internalId
+          changedIds++
+        }
+      }
+
+      if (!content.slug) {
+        const base = contentIdService.slugBase(content)
+        let slug = base
+        for (let suffix = 2; slugs.has(slug); suffix++) {
+          slug = `${base}-${suffix}`
+        }
+        slugs.add(slug)
+        update.slug = slug
+        newSlugs++
+      }
+
+      if (Object.keys(update).length > 0) {
+        operations.push({ updateOne: { filter: { _id: content._id }, update: { $set: update } } })
+      }
+      if (operations.length >= 500) await flush()
+    }
+    await flush()
+
+    console.log(`${changedIds} internal IDs replaced, ${newSlugs} slugs assigned`)
+    if (duplicates.length > 0) {
+      console.log(`${duplicates.length} titles share external IDs with another title:`)
+      for (const content of duplicates) {
+        console.log(
+          `  ${content.title} (${content._id}) -> ${contentIdService.internalId(content)}`,
+        )
+      }
+    }
+    console.log(dryRun ? 'Dry run, nothing written' : 'Canonical ID backfill complete')
+
+    if (!dryRun) {
+      await Content.createIndexes()
+    }
+  } catch (error) {
+    console.error('Error backfilling canonical IDs:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the backfill
+backfillCanonicalIds()
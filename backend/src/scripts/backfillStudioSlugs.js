@@ -0,0 +1,45 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import studioService from '../services/studioService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Recompute studio slugs for all content (run after changing studio aliases)
+async function backfillStudioSlugs() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const allContent = await Content.find({}, 'studios productionCompanies').lean()
+    console.log(`Found ${allContent.length} content items`)
+
+    const batchSize = 500
+    let updated = 0
+
+    for (let i = 0; i < allContent.length; i += batchSize) {
+      const operations = allContent.slice(i, i + batchSize).map((content) => ({
+        updateOne: {
+          filter: { _id: content._id },
+          update: { $set: { studioSlugs: studioService.getSlugs(content) } },
+        },
+      }))
+
+      await Content.bulkWrite(operations)
+      updated += operations.length
+      console.log(`Updated ${updated}/${allContent.length}`)
+    }
+
+    await Content.createIndexes()
+    console.log('Studio slug backfill complete')
+  } catch (error) {
+    console.error('Error backfilling studio slugs:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the backfill
+backfillStudioSlugs()
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import titleMatchService from '../services/titleMatchService.js'
+import titleNormalizationService from '../services/titleNormalizationService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Backfill search keys for content saved before they existed (or after normalization changes)
+async function buildSearchIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const allContent = await Content.find({}, 'title originalTitle alternativeTitles').lean()
+    console.log(`Found ${allContent.length} content items to index`)
+
+    const batchSize = 500
+    let indexed = 0
+
+    for (let i = 0; i < allContent.length; i += batchSize) {
+      const operations = allContent.slice(i, i + batchSize).map((content) => ({
+        updateOne: {
+          filter: { _id: content._id },
+          update: {
+            $set: {
+              searchGrams: titleMatchService.buildSearchGrams(content),
+              normalizedTitles: titleNormalizationService.normalizeAll(
+                titleMatchService.getTitles(content),
+              ),
+              suggestKeys: titleMatchService.buildSuggestKeys(content),
+            },
+          },
+        },
+      }))
+
+      await Content.bulkWrite(operations)
+      indexed += operations.length
+      console.log(`Indexed ${indexed}/${allContent.length}`)
+    }
+
+    // Make sure the search key indexes exist
+    await Content.createIndexes()
+    console.log('Search index build complete')
+  } catch (error) {
+    console.error('Error building search index:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the build
+buildSearchIndex()
@@ -1,27 +1,28 @@
 import mongoose from 'mongoose'
 import dotenv from 'dotenv'
 import Content from '../models/Content.js'
+import trashService from '../services/trashService.js'
 
 dotenv.config()
 
-const connectDB = async () => {
+// Move TMDB titles with too few votes to the trash, where they can be restored until
+// they are purged. Titles with MAL data are kept: MAL-only titles have no TMDB votes at all.
+// Pass --min-votes=<n> to change the threshold (default 100), --dry-run to only report.
+const cleanupLowVoteContent = async () => {
+  const dryRun = process.argv.includes('--dry-run')
+  const minVotesArg = process.argv.find((arg) => arg.startsWith('--min-votes='))
+  const minVotes = minVotesArg ? parseInt(minVotesArg.split('=')[1]) : 100
+
   try {
     await mongoose.connect(process.env.MONGODB_URI)
     console.log('Database connected')
-  } catch (error) {
-    console.error('Database connection failed:', error.message)
-    process.exit(1)
-  }
-}
-
-const cleanupLowVoteContent = async () => {
-  await connectDB()
-  console.log('Cleaning up low-vote content...')
+    console.log(`Looking for TMDB titles with fewer than ${minVotes} votes...`)
 
-  try {
-    // Find content with low vote counts
     const lowVoteContent = await Content.find({
-      $or: [{ voteCount: { $lt: 100 } }, { voteCount: { $exists: false } }],
+      tmdbId: { $ne: null },
+      malId: null,
+      'malSeasons.0': { $exists: false },
+      $or: [{ voteCount: { $lt: minVotes } }, { voteCount: null }],
     }).select('title voteCount voteAverage contentType')
 
     console.log(`Found ${lowVoteContent.length} items with low vote counts:`)
@@ -31,33 +32,34 @@ const cleanupLowVoteContent = async () => {
       )
     })
 
-    if (lowVoteContent.length > 0) {
-      // Delete low-vote content
-      const result = await Content.deleteMany({
-        $or: [{ voteCount: { $lt: 100 } }, { voteCount: { $exists: false } }],
-      })
+    if (dryRun) {
+      console.log('\nDry run: nothing was moved to the trash')
+      return
+    }
 
-      console.log(`\nDeleted ${result.deletedCount} low-vote content items`)
+    for (const item of lowVoteContent) {
+      await trashService.trash(item, { reason: `Fewer than ${minVotes} TMDB votes` })
+    }
+    console.log(
+      `\nMoved ${lowVoteContent.length} low-vote items to the trash; they are purged after ${trashService.retentionDays} days`,
+    )
 
-      // Show remaining counts
-      const remainingCounts = await Content.aggregate([
-        {
-          $group: {
-            _id: '$contentType',
-            count: { $sum: 1 },
-          },
+    const remainingCounts = await Content.aggregate([
+      {
+        $group: {
+          _id: '$contentType',
+          count: { $sum: 1 },
         },
-      ])
+      },
+    ])
 
-      console.log('\nRemaining content by type:')
-      remainingCounts.forEach((item) => {
-        console.log(`- ${item._id}: ${item.count} items`)
-      })
-    } else {
-      console.log('No low-vote content found to clean up')
-    }
+    console.log('\nRemaining content by type:')
+    remainingCounts.forEach((item) => {
+      console.log(`- ${item._id}: ${item.count} items`)
+    })
   } catch (error) {
     console.error('Error cleaning up content:', error)
+    process.exitCode = 1
   } finally {
     await mongoose.disconnect()
     console.log('Database disconnected')
@@ -1,32 +1,31 @@
-import RefreshToken from '../models/RefreshToken.js'
+import mongoose from 'mongoose'
 import dotenv from 'dotenv'
-import connectDB from '../../config/database.js'
+import maintenanceService from '../services/maintenanceService.js'
 
 dotenv.config()
 
-// Cleanup expired and old revoked refresh tokens
+// Cleanup expired and old revoked refresh tokens; --dry-run only counts them.
+// The cleanup-tokens job runs the same cleanup daily.
 const cleanupTokens = async () => {
+  const dryRun = process.argv.includes('--dry-run')
+
   try {
-    await connectDB()
+    await mongoose.connect(process.env.MONGODB_URI)
 
-    const result = await RefreshToken.deleteMany({
-      $or: [
-        { expiresAt: { $lt: new Date() } },
-        {
-          isRevoked: true,
-          createdAt: { $lt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }, // 30 days old
-        },
-      ],
-    })
+    const { matched, deleted } = await maintenanceService.cleanupTokens({ dryRun })
 
-    console.log(`Cleaned up ${result.deletedCount} expired/revoked tokens`)
-    process.exit(0)
+    console.log(
+      dryRun
+        ? `Dry run: ${matched} expired/revoked tokens would be cleaned up`
+        : `Cleaned up ${deleted} expired/revoked tokens`,
+    )
   } catch (error) {
     console.error('Error cleaning up tokens:', error)
-    process.exit(1)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
   }
 }
 
 // Run cleanup
 cleanupTokens()
-
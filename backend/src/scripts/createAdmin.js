@@ -0,0 +1,81 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+import User from '../models/User.js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const option = (name) => {
+  const arg = process.argv.find((item) => item.startsWith(`--${name}=`))
+  return arg ? arg.slice(name.length + 3) : undefined
+}
+
+// Bootstrap the first admin: --email=<email> [--username=<name>]. The password comes from
+// ADMIN_PASSWORD, or a random one is printed. An existing account with the email is promoted.
+// Later admins are granted at PUT /admin/users/:id/roles/admin.
+const createAdmin = async () => {
+  const email = option('email') || process.env.ADMIN_EMAIL
+  const username = option('username') || process.env.ADMIN_USERNAME || 'admin'
+
+  if (!email) {
+    console.error('Usage: npm run create-admin -- --email=<email> [--username=<name>]')
+    process.exitCode = 1
+    return
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/findanimation')
+    console.log('Connected to MongoDB')
+
+    const admins = await User.countDocuments({ roles: 'admin' })
+    const existingUser = await User.findOne({ email: email.toLowerCase() })
+
+    if (existingUser?.roles.includes('admin')) {
+      console.log(`${existingUser.username} is already an admin`)
+      return
+    }
+    if (admins > 0) {
+      console.log(`There are already ${admins} admins; grant the role from the admin API instead`)
+      return
+    }
+
+    if (existingUser) {
+      await User.updateOne(
+        { _id: existingUser._id },
+        { $addToSet: { roles: { $each: ['user', 'admin'] } } },
+      )
+      console.log(`${existingUser.username} is now an admin`)
+      return
+    }
+
+    // The model hashes the password on save; the random one meets its rules
+    const password =
+      process.env.ADMIN_PASSWORD || `${crypto.randomBytes(12).toString('hex')}aA1!`
+
+    const admin = new User({
+      username,
+      email,
+      password,
+      roles: ['user', 'admin'],
+      createdAt: new Date(),
+    })
+
+    await admin.save()
+    console.log('Admin user created successfully!')
+    console.log(`Username: ${username}`)
+    console.log(`Email: ${email}`)
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`Password: ${password}`)
+      console.log('Change this password after signing in')
+    }
+  } catch (error) {
+    console.error('Error creating admin user:', error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+    console.log('Disconnected from MongoDB')
+  }
+}
+
+createAdmin()
@@ -1,88 +1,52 @@
 import mongoose from 'mongoose'
 import dotenv from 'dotenv'
-import Content from '../models/Content.js'
+import duplicateService from '../services/duplicateService.js'
 
 dotenv.config()
 
+// Score every title against the others and queue likely duplicates for review at
+// /admin/duplicates. Pass --dry-run to only list them, --threshold=0.8 to be stricter.
 async function findDuplicates() {
+  const dryRun = process.argv.includes('--dry-run')
+  const thresholdArg = process.argv.find((arg) => arg.startsWith('--threshold='))
+  const threshold = thresholdArg ? parseFloat(thresholdArg.split('=')[1]) : undefined
+
   try {
     await mongoose.connect(process.env.MONGODB_URI)
     console.log('Database connected')
 
-    // Find potential duplicates for Ne Zha
-    const nezhaItems = await Content.find({
-      $or: [{ title: { $regex: /nezha/i } }, { title: { $regex: /ne zha/i } }],
-    }).lean()
-
-    console.log('\nNe Zha items:')
-    nezhaItems.forEach((item) => {
-      const year = item.releaseDate ? new Date(item.releaseDate).getFullYear() : 'N/A'
-      console.log(
-        `- ${item.title} (${year}) - ${item.contentType} - Genres: ${(item.genres || []).map((g) => g.name || g).join(', ')} - ID: ${item._id}`,
-      )
-    })
-
-    // Find potential duplicates for A Silent Voice
-    const silentVoiceItems = await Content.find({
-      $or: [
-        { title: { $regex: /silent voice/i } },
-        { title: { $regex: /koe no katachi/i } },
-        { title: { $regex: /a silent voice/i } },
-      ],
-    }).lean()
+    const stats = await duplicateService.scan({ threshold, dryRun })
 
-    console.log('\nA Silent Voice items:')
-    silentVoiceItems.forEach((item) => {
-      const year = item.releaseDate ? new Date(item.releaseDate).getFullYear() : 'N/A'
-      console.log(
-        `- ${item.title} (${year}) - ${item.contentType} - Genres: ${(item.genres || []).map((g) => g.name || g).join(', ')} - ID: ${item._id}`,
-      )
-    })
+    console.log(`Compared ${stats.compared} pairs across ${stats.titles} titles`)
+    console.log(`${stats.reviewed} pairs were already reviewed and skipped`)
 
-    // Find all potential duplicates based on similar titles
-    console.log('\nSearching for potential duplicates across all content...')
-    const allContent = await Content.find({}).lean()
-    const titleGroups = {}
-
-    allContent.forEach((item) => {
-      // Normalize title for comparison
-      const normalizedTitle = item.title
-        .toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .trim()
-
-      if (!titleGroups[normalizedTitle]) {
-        titleGroups[normalizedTitle] = []
-      }
-      titleGroups[normalizedTitle].push(item)
-    })
-
-    // Find groups with multiple items
-    const duplicateGroups = Object.entries(titleGroups).filter(([, items]) => items.length > 1)
-
-    if (duplicateGroups.length > 0) {
-      console.log(`\n📋 Found ${duplicateGroups.length} potential duplicate groups:\n`)
-      duplicateGroups.forEach(([, items]) => {
-        console.log(`\n"${items[0].title}" (${items.length} items):`)
-        items.forEach((item) => {
-          const year = item.releaseDate ? new Date(item.releaseDate).getFullYear() : 'N/A'
+    if (stats.found.length > 0) {
+      console.log(`\n📋 Found ${stats.found.length} likely duplicates:\n`)
+      for (const { contentA, contentB, score } of stats.found) {
+        const describe = (item) => {
+          const year = duplicateService.year(item) || 'N/A'
           const sources = []
           if (item.tmdbId) sources.push('TMDB')
           if (item.malId) sources.push('MAL')
-          console.log(
-            `  - ${item.title} (${year}) [${sources.join(' + ')}] - ${item.contentType} - ID: ${item._id}`,
-          )
-        })
-      })
+          return `${item.title} (${year}) [${sources.join(' + ')}] - ${item.contentType} - ID: ${item._id}`
+        }
+        console.log(`  ${score.toFixed(2)}  ${describe(contentA)}`)
+        console.log(`        ${describe(contentB)}`)
+      }
     } else {
-      console.log('\nNo duplicate titles found!')
+      console.log('\nNo likely duplicates found!')
     }
 
+    console.log(
+      dryRun
+        ? '\nDry run, queue unchanged'
+        : `\n${stats.added} pairs added to the review queue, ${stats.removed} stale pairs removed`,
+    )
+  } catch (error) {
+    console.error('Error finding duplicates:', error)
+  } finally {
     await mongoose.disconnect()
     console.log('\nDatabase disconnected')
-  } catch (error) {
-    console.error('Error:', error)
-    process.exit(1)
   }
 }
 
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import { readFile } from 'fs/promises'
+import idMappingService from '../services/idMappingService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Import a TMDB/MAL cross-reference dataset: a JSON array of rows such as
+// { "malId": 5114, "tmdbId": 31911, "tmdbType": "tv" } or anime-lists style
+// { "mal_id": 5114, "themoviedb_id": 31911, "type": "TV" }.
+// Usage: npm run import-id-mappings -- <file.json> [--dry-run]
+async function importIdMappings() {
+  const dryRun = process.argv.includes('--dry-run')
+  const file = process.argv.slice(2).find((arg) => !arg.startsWith('--'))
+
+  if (!file) {
+    console.error('Usage: node src/scripts/importIdMappings.js <file.json> [--dry-run]')
+    process.exitCode = 1
+    return
+  }
+
+  try {
+    const rows = JSON.parse(await readFile(file, 'utf8'))
+    if (!Array.isArray(rows)) {
+      throw new Error('Dataset must be a JSON array')
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const stats = await idMappingService.importDataset(rows, { dryRun })
+
+    console.log(`${stats.rows} rows read, ${stats.invalid} without usable IDs`)
+    console.log(`${stats.keptAdmin} mappings set by an admin left unchanged`)
+    console.log(
+      dryRun ? `${stats.written} mappings would be written` : `${stats.written} mappings written`,
+    )
+  } catch (error) {
+    console.error('Error importing ID mappings:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the import
+importIdMappings()
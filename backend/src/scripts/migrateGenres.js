@@ -0,0 +1,99 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import genreService from '../services/genreService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Seed the genre taxonomy and rewrite content genres as canonical references.
+// Safe to re-run; pass --dry-run to only report what would change.
+async function migrateGenres() {
+  const dryRun = process.argv.includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    if (!dryRun) {
+      const seeded = await genreService.seed()
+      console.log(`Seeded ${seeded} new genres`)
+    }
+
+    // Read raw documents: the old `{ id, name }` shape is no longer in the schema
+    const allContent = await Content.collection
+      .find({}, { projection: { genres: 1, tmdbId: 1, malId: 1 } })
+      .toArray()
+    console.log(`Found ${allContent.length} content items`)
+
+    const batchSize = 500
+    let changed = 0
+    let operations = []
+
+    for (const content of allContent) {
+      // Source IDs are only trustworthy when the item came from a single source
+      let source = null
+      if (content.tmdbId && !content.malId) source = 'tmdb'
+      if (content.malId && !content.tmdbId) source = 'mal'
+      const genres = genreService.resolve(source, content.genres)
+
+      const current = (content.genres || []).map((genre) => genre?.slug)
+      if (
+        current.length === genres.length &&
+        genres.every((genre, index) => genre.slug === current[index])
+      ) {
+        continue
+      }
+
+      changed++
+      operations.push({
+        updateOne: {
+          filter: { _id: content._id },
+          update: { $set: { genres } },
+        },
+      })
+
+      if (operations.length >= batchSize) {
+        if (!dryRun) await Content.bulkWrite(operations)
+        operations = []
+        console.log(`Processed ${changed} changed items`)
+      }
+    }
+
+    if (operations.length > 0 && !dryRun) {
+      await Content.bulkWrite(operations)
+    }
+
+    const unmapped = [...genreService.unmapped.keys()]
+    console.log(`\n${changed} of ${allContent.length} items need canonical genres`)
+    if (unmapped.length > 0) {
+      console.log(`Genres without a mapping: ${unmapped.join(', ')}`)
+    }
+
+    if (dryRun) {
+      console.log('Dry run, nothing written')
+      return
+    }
+
+    const added = await genreService.saveUnmapped()
+    console.log(`Added ${added} genres found only in content`)
+
+    // The old index covered the raw genre objects
+    try {
+      await Content.collection.dropIndex('genres_1_contentType_1')
+      console.log('Dropped old genre index')
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound') throw error
+    }
+    await Content.createIndexes()
+    console.log('Genre migration complete')
+  } catch (error) {
+    console.error('Error migrating genres:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the migration
+migrateGenres()
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import trashService from '../services/trashService.js'
+
+dotenv.config()
+
+// Delete titles that have been in the trash longer than the retention period
+// (CONTENT_TRASH_RETENTION_DAYS, 30 by default). Pass --dry-run to only list them.
+async function purgeTrash() {
+  const dryRun = process.argv.includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const { expired, purged } = await trashService.purgeExpired({ dryRun })
+
+    if (expired.length === 0) {
+      console.log('No trashed titles are past the retention period')
+      return
+    }
+
+    console.log(
+      `${expired.length} titles trashed more than ${trashService.retentionDays} days ago:`,
+    )
+    for (const item of expired) {
+      const reason = item.deletionReason ? ` - ${item.deletionReason}` : ''
+      console.log(
+        `- ${item.title} (${item.contentType}), trashed ${item.deletedAt.toISOString().slice(0, 10)}${reason}`,
+      )
+    }
+
+    console.log(dryRun ? '\nDry run: nothing was purged' : `\nPurged ${purged} titles`)
+  } catch (error) {
+    console.error('Error purging trash:', error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+purgeTrash()
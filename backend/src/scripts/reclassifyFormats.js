@@ -0,0 +1,113 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import formatService from '../services/formatService.js'
+import provenanceService from '../services/provenanceService.js'
+import unifiedContentService from '../services/unifiedContentService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Matches the format markers MAL puts in titles ("... OVA", "... Specials")
+const titlePatterns = [
+  [/\bova\b|\boad\b/i, 'ova'],
+  [/\bona\b/i, 'ona'],
+  [/\bspecials?\b/i, 'special'],
+  [/\bmusic video\b|\bmv\b/i, 'music'],
+]
+
+// Best guess without asking MAL: title markers, then the old episode-count rule
+const guessMalFormat = (content) => {
+  const title = [content.title, content.originalTitle].filter(Boolean).join(' ')
+  const match = titlePatterns.find(([pattern]) => pattern.test(title))
+  if (match) return match[1]
+
+  return formatService.fromMal({ num_episodes: content.malEpisodes, status: content.malStatus })
+}
+
+// Set `format` on existing content, asking MAL for each anime's media type.
+// Pass --offline to guess from stored data instead, --dry-run to only report.
+async function reclassifyFormats() {
+  const dryRun = process.argv.includes('--dry-run')
+  const offline = process.argv.includes('--offline') || !unifiedContentService.hasMalKey
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+    if (offline) {
+      console.log('Not querying MAL; formats are guessed from stored data')
+    }
+
+    const allContent = await Content.find(
+      {},
+      'title originalTitle contentType format tmdbId malId malEpisodes malStatus',
+    ).lean()
+    console.log(`Found ${allContent.length} content items`)
+
+    const counts = {}
+    let operations = []
+    let changed = 0
+    let retyped = 0
+
+    const flush = async () => {
+      if (operations.length > 0 && !dryRun) {
+        await Content.bulkWrite(operations)
+      }
+      operations = []
+    }
+
+    for (const [index, content] of allContent.entries()) {
+      let format = content.contentType
+
+      if (content.malId) {
+        const anime = offline ? null : await unifiedContentService.getMalAnimeDetails(content.malId)
+        format = anime ? formatService.fromMal(anime) : guessMalFormat(content)
+      }
+      // Formats an admin locked stay as they are
+      if (provenanceService.isLocked(content, 'format')) {
+        format = content.format
+      }
+
+      counts[format] = (counts[format] || 0) + 1
+      const update = {}
+      if (content.format !== format) update.format = format
+
+      // MAL-only titles follow their format; merged titles keep the type TMDB lists them under
+      const contentType = formatService.getContentType(format)
+      if (!content.tmdbId && content.contentType !== contentType) {
+        update.contentType = contentType
+        retyped++
+      }
+
+      if (Object.keys(update).length > 0) {
+        changed++
+        operations.push({ updateOne: { filter: { _id: content._id }, update: { $set: update } } })
+      }
+
+      if (operations.length >= 500) await flush()
+      if ((index + 1) % 100 === 0) {
+        console.log(`Processed ${index + 1}/${allContent.length}`)
+      }
+    }
+    await flush()
+
+    console.log('\nFormats:')
+    for (const [format, count] of Object.entries(counts)) {
+      console.log(`  ${formatService.labels[format]}: ${count}`)
+    }
+    console.log(`${changed} items reclassified, ${retyped} moved between movies and TV`)
+    console.log(dryRun ? 'Dry run, nothing written' : 'Format migration complete')
+
+    if (!dryRun) {
+      await Content.createIndexes()
+    }
+  } catch (error) {
+    console.error('Error reclassifying formats:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the migration
+reclassifyFormats()
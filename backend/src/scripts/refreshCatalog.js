@@ -0,0 +1,55 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import refreshService from '../services/refreshService.js'
+
+dotenv.config()
+
+// Refresh titles whose TMDB or MAL data is older than their refresh interval, within the
+// request budgets (see refreshService). Pass --dry-run to only list what would be refreshed.
+async function refreshCatalog() {
+  const dryRun = process.argv.includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    if (dryRun) {
+      const plan = await refreshService.plan()
+      for (const [source, { budget, due, titles }] of Object.entries(plan)) {
+        console.log(`\n${source.toUpperCase()}: ${due} titles due, budget ${budget}`)
+        for (const item of titles) {
+          const checked = item.lastChecked
+            ? new Date(item.lastChecked).toISOString().slice(0, 10)
+            : 'never'
+          console.log(`- ${item.title} (${item.tier}), last checked ${checked}`)
+        }
+      }
+      console.log('\nDry run: nothing was refreshed')
+      return
+    }
+
+    const run = await refreshService.run({ trigger: 'script' })
+
+    for (const source of refreshService.sources) {
+      console.log(
+        `${source.toUpperCase()}: ${run.due[source]} due, ${run.refreshed[source]} refreshed, ${run.removed[source]} removed, ${run.failed[source]} failed (budget ${run.budget[source]})`,
+      )
+    }
+    for (const failure of run.failures) {
+      console.log(`- ${failure.title} (${failure.source}): ${failure.message}`)
+    }
+
+    if (run.status === 'failed') {
+      console.error(`Refresh failed: ${run.error}`)
+      process.exitCode = 1
+    }
+  } catch (error) {
+    console.error('Error refreshing catalog:', error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+refreshCatalog()
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import rankingService from '../services/rankingService.js'
+import rankingScoreService from '../services/rankingScoreService.js'
+
+// Load environment variables
+dotenv.config()
+
+// Detect and rewrite stale materialised ranking scores.
+// Pass --dry-run to only report what would change.
+async function repairRankingScores() {
+  const dryRun = process.argv.includes('--dry-run')
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const report = await rankingScoreService.repair({ dryRun, log: console.log })
+
+    console.log(`\nChecked ${report.checked} content items`)
+    console.log(`  Missing scores:       ${report.stale.missing}`)
+    console.log(`  Old profile settings: ${report.stale.signature}`)
+    console.log(`  Expired (recency):    ${report.stale.expired}`)
+    console.log(`  Inputs changed:       ${report.stale.mismatched}`)
+    console.log(dryRun ? 'Dry run, nothing written' : `Repaired ${report.repaired}`)
+
+    if (!dryRun) {
+      // Schema indexes cover built-in profiles; custom profiles need theirs created here
+      await Content.createIndexes()
+      const { profiles } = await rankingService.getScoringProfiles()
+      await rankingScoreService.ensureIndexes(profiles.filter((profile) => !profile.isBuiltIn))
+      console.log('Ranking indexes up to date')
+    }
+  } catch (error) {
+    console.error('Error repairing ranking scores:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the repair
+repairRankingScores()
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import Content from '../models/Content.js'
+import episodeService from '../services/episodeService.js'
+
+// Load environment variables
+dotenv.config()
+
+const parseArgs = () => {
+  const args = process.argv.slice(2)
+  const limitArg = args.find((arg) => arg.startsWith('--limit='))
+
+  return {
+    force: args.includes('--force'),
+    limit: limitArg ? parseInt(limitArg.split('=')[1]) : 0,
+  }
+}
+
+// Fill the Season/Episode collections for TV shows that have no episode data yet,
+// or whose data is due a refresh. Pass --force to refetch every show.
+async function syncEpisodes() {
+  const { force, limit } = parseArgs()
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Database connected')
+
+    const shows = (
+      await Content.find({ contentType: 'tv' })
+        .select(
+          'title contentType tmdbId malId malStatus malSeasons episodesSyncedAt episodeSyncFailures episodeSyncFailedAt',
+        )
+        .sort({ popularity: -1 })
+        .lean()
+    ).filter((show) => force || episodeService.needsSync(show))
+
+    const selected = limit > 0 ? shows.slice(0, limit) : shows
+    console.log(`Syncing episodes for ${selected.length} TV shows`)
+
+    let synced = 0
+    let failed = 0
+    for (const [index, show] of selected.entries()) {
+      const ok = await episodeService.sync(show)
+      if (ok) {
+        synced++
+      } else {
+        failed++
+        console.log(`No episode data available for ${show.title}`)
+      }
+
+      if ((index + 1) % 25 === 0) {
+        console.log(`Processed ${index + 1}/${selected.length}`)
+      }
+    }
+
+    console.log(`\nSynced ${synced} shows, ${failed} without episode data`)
+  } catch (error) {
+    console.error('Error syncing episodes:', error)
+  } finally {
+    await mongoose.disconnect()
+    console.log('Database disconnected')
+  }
+}
+
+// Run the sync
+syncEpisodes()
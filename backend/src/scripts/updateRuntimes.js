@@ -16,6 +16,8 @@ async function updateRuntimes() {
     const malMovies = await Content.find({
       malId: { $exists: true },
       contentType: 'movie',
+      // Runtimes an admin locked stay as they are
+      'lockedFields.field': { $ne: 'runtime' },
       $or: [
         { runtime: null },
         { runtime: { $lt: 60 } }, // Update movies with runtime less than 60 minutes
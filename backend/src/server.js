@@ -3,6 +3,7 @@ import cors from 'cors'
 import helmet from 'helmet'
 import rateLimit from 'express-rate-limit'
 import dotenv from 'dotenv'
+import mongoose from 'mongoose'
 import connectDB from '../config/database.js'
 import apiRoutes from './routes/api.js'
 import adminRoutes from './routes/admin.js'
@@ -15,10 +16,16 @@ import {
   apiProtection,
 } from './middleware/antiBot.js'
 import { checkIPBan } from './middleware/ipBan.js'
+import { defineJobs, scheduleJobs } from './services/jobHandlers.js'
+import jobService from './services/jobService.js'
+import revisionService from './services/revisionService.js'
 
 // Load environment variables
 dotenv.config()
 
+// Content changes outside admin requests come from the API itself
+revisionService.setDefaultActor({ kind: 'system', name: 'api' })
+
 // Validate required environment variables (only in production)
 if (process.env.NODE_ENV === 'production') {
   const requiredEnvVars = ['JWT_SECRET', 'MONGODB_URI']
@@ -73,6 +80,14 @@ connectDB().catch((error) => {
   }
 })
 
+// Background jobs: nightly maintenance and jobs queued from the admin API. Recurring jobs
+// are queued once the database is up; the worker waits for it too.
+defineJobs()
+mongoose.connection.once('open', () => {
+  scheduleJobs().catch((error) => console.error('Error scheduling jobs:', error))
+})
+jobService.start()
+
 // Trust proxy for accurate IP addresses (important for rate limiting)
 app.set('trust proxy', 1)
 
@@ -0,0 +1,184 @@
+import Content from '../models/Content.js'
+import genreService from './genreService.js'
+import provenanceService from './provenanceService.js'
+import scoreService from './scoreService.js'
+import studioService from './studioService.js'
+
+class ContentAdminService {
+  constructor() {
+    // Fields admins can set through the content API; everything else is derived or synced
+    this.editableFields = [
+      'title',
+      'originalTitle',
+      'overview',
+      'tagline',
+      'contentType',
+      'format',
+      'posterPath',
+      'backdropPath',
+      'releaseDate',
+      'airingSeason',
+      'runtime',
+      'episodeCount',
+      'seasonCount',
+      'tmdbId',
+      'malId',
+      'voteAverage',
+      'voteCount',
+      'popularity',
+      'malScore',
+      'malScoredBy',
+      'genres',
+      'studios',
+      'productionCompanies',
+      'alternativeTitles',
+      'franchise',
+    ]
+    // Ratings the unified score is computed from
+    this.scoreFields = ['voteAverage', 'voteCount', 'malScore', 'malScoredBy']
+  }
+
+  isEditable(field) {
+    return this.editableFields.includes(field)
+  }
+
+  // Same fallbacks as ingestion when there are too few votes for a weighted score
+  refreshScore(content) {
+    content.unifiedScore =
+      scoreService.forContent(content) || content.voteAverage || content.malScore || 0
+  }
+
+  // Whether a value differs from the stored one (genres by slug)
+  differs(content, field, value) {
+    const key = (item) =>
+      field === 'genres' ? (item || []).map((genre) => genre.slug) : (item ?? null)
+    return (
+      JSON.stringify(key(provenanceService.plain(content.get(field)))) !==
+      JSON.stringify(key(value))
+    )
+  }
+
+  // Store admin-entered values that differ from the stored ones; genres are mapped onto
+  // the taxonomy like source genres
+  apply(content, data) {
+    for (const [field, value] of Object.entries(data)) {
+      if (!this.isEditable(field)) continue
+
+      const stored = field === 'genres' ? genreService.resolve(null, value) : value
+      if (!this.differs(content, field, stored)) continue
+
+      provenanceService.edit(content, field, stored)
+      if (field === 'franchise') {
+        content.set('relationships.franchise', value)
+      }
+    }
+  }
+
+  // Validate and save, then keep genres admins introduced
+  async save(content) {
+    content.lastUpdated = new Date()
+    await content.save()
+    await genreService.saveUnmapped()
+    return content
+  }
+
+  // A title entered by hand; the schema decides what is required
+  async create(data, { lock = false, userId = null } = {}) {
+    await genreService.refresh()
+
+    const content = new Content()
+    this.apply(content, data)
+    if (lock) this.lockFields(content, Object.keys(data), userId)
+    this.refreshScore(content)
+    return this.save(content)
+  }
+
+  /**
+   * Change some fields of a title. With `lock`, the changed fields that syncs would
+   * overwrite are locked; locks that already exist stay either way.
+   */
+  async update(content, data, { lock = false, userId = null } = {}) {
+    await genreService.refresh()
+
+    this.apply(content, data)
+    if (lock) this.lockFields(content, Object.keys(data), userId)
+    if (this.scoreFields.some((field) => field in data)) {
+      this.refreshScore(content)
+    }
+    return this.save(content)
+  }
+
+  lockFields(content, fields, userId) {
+    for (const field of fields.filter((item) => provenanceService.isTracked(item))) {
+      provenanceService.lock(content, field, content.get(field), userId, 'Edited by an admin')
+    }
+  }
+
+  // Names with one studio's aliases counted once, in the order first seen
+  editNames(names = [], { add = [], remove = [] }) {
+    const removed = new Set(remove.map((name) => studioService.slugify(name)))
+    const seen = new Set()
+    return [...names, ...add].filter((name) => {
+      const slug = studioService.slugify(name)
+      if (removed.has(slug) || seen.has(slug)) return false
+      seen.add(slug)
+      return true
+    })
+  }
+
+  /**
+   * Edit franchise, studios and genres of many titles at once. `changes` holds any of
+   * `franchise` (a name, or null to clear it), `studios: { add, remove }` and
+   * `genres: { add, remove }`. Returns counts, titles that failed validation and the IDs
+   * that weren't found.
+   */
+  async bulkEdit(ids, changes) {
+    await genreService.refresh()
+
+    const contents = await Content.find({ _id: { $in: ids } }).select('+provenance')
+    const removedGenres = new Set(
+      genreService.resolve(null, changes.genres?.remove).map((genre) => genre.slug),
+    )
+
+    let updated = 0
+    const failed = []
+    for (const content of contents) {
+      const data = {}
+      if (changes.franchise !== undefined) {
+        data.franchise = changes.franchise
+      }
+      if (changes.studios) {
+        data.studios = this.editNames(content.studios, changes.studios)
+      }
+      if (changes.genres) {
+        data.genres = [...content.genres, ...(changes.genres.add || [])].filter(
+          (genre) => !removedGenres.has(genre.slug),
+        )
+      }
+
+      this.apply(content, data)
+      if (!content.isModified()) continue
+
+      // One invalid title doesn't stop the others
+      try {
+        content.lastUpdated = new Date()
+        await content.save()
+        updated++
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error
+        failed.push({ contentId: content._id, message: error.message })
+      }
+    }
+    await genreService.saveUnmapped()
+
+    const found = new Set(contents.map((content) => String(content._id)))
+    return {
+      matched: contents.length,
+      updated,
+      failed,
+      missing: ids.filter((id) => !found.has(String(id))),
+    }
+  }
+}
+
+export default new ContentAdminService()
@@ -0,0 +1,61 @@
+class ContentIdService {
+  constructor() {
+    this.maxSlugLength = 80
+    this.slugPattern = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+    this.internalIdPattern = /^(?:tmdb-(?:movie|tv)-\d+|mal-\d+|local-[0-9a-f]{24})$/
+  }
+
+  /**
+   * Canonical ID derived from the external IDs, so re-importing a title gives it the same ID.
+   * TMDB numbers movies and TV separately, hence the type; TMDB wins when a title has both.
+   * Titles keep the ID they were created with (see the Content model).
+   */
+  internalId(content) {
+    if (content.tmdbId) return `tmdb-${content.contentType}-${content.tmdbId}`
+    if (content.malId) return `mal-${content.malId}`
+    return `local-${content._id}`
+  }
+
+  // Whether an ID has the canonical form, as opposed to the old timestamped ones
+  isCanonical(internalId) {
+    return typeof internalId === 'string' && this.internalIdPattern.test(internalId)
+  }
+
+  // Whether a title's external IDs are the ones a canonical ID was derived from
+  carries(content, internalId) {
+    return (
+      (content.tmdbId && internalId === `tmdb-${content.contentType}-${content.tmdbId}`) ||
+      (content.malId && internalId === `mal-${content.malId}`) ||
+      false
+    )
+  }
+
+  slugify(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[.'’]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, this.maxSlugLength)
+      .replace(/-+$/, '')
+  }
+
+  // Title and release year, e.g. "spirited-away-2001". Titles without Latin letters
+  // (or alternatives with them) fall back to the canonical ID.
+  slugBase(content) {
+    const titles = [content.title, content.originalTitle, ...(content.alternativeTitles || [])]
+    const title = titles.map((text) => this.slugify(text)).find(Boolean)
+    const base = title || this.internalId(content)
+
+    const year = content.releaseDate ? new Date(content.releaseDate).getUTCFullYear() : null
+    return year ? `${base}-${year}` : base
+  }
+
+  isSlug(value) {
+    return typeof value === 'string' && this.slugPattern.test(value)
+  }
+}
+
+export default new ContentIdService()
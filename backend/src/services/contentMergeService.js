@@ -0,0 +1,298 @@
+import mongoose from 'mongoose'
+import Activity from '../models/Activity.js'
+import Content from '../models/Content.js'
+import ContentRedirect from '../models/ContentRedirect.js'
+import Episode from '../models/Episode.js'
+import Season from '../models/Season.js'
+import User from '../models/User.js'
+import genreService from './genreService.js'
+import provenanceService from './provenanceService.js'
+import revisionService from './revisionService.js'
+import scoreService from './scoreService.js'
+
+class ContentMergeService {
+  constructor() {
+    // Fields an admin can take from either title when merging
+    this.choosableFields = [
+      'title',
+      'originalTitle',
+      'overview',
+      'tagline',
+      'posterPath',
+      'backdropPath',
+      'releaseDate',
+      'runtime',
+      'episodeCount',
+      'seasonCount',
+      'format',
+      'franchise',
+    ]
+
+    // Fields copied from the merged-away title when the kept one has no value
+    this.fillableFields = [
+      ...this.choosableFields,
+      'tmdbId',
+      'voteAverage',
+      'voteCount',
+      'popularity',
+      'malId',
+      'malScore',
+      'malScoredBy',
+      'malRank',
+      'malStatus',
+      'malEpisodes',
+      'malSource',
+      'malRating',
+    ]
+
+    this.relationshipFields = ['sequels', 'prequels', 'related']
+  }
+
+  isEmpty(value) {
+    return value == null || value === ''
+  }
+
+  union(...lists) {
+    return [...new Set(lists.flat().filter(Boolean))]
+  }
+
+  /**
+   * Merge `secondary` into `primary` in one transaction, leaving a redirect in its place.
+   * `fields` picks the title a field is taken from, e.g. `{ overview: 'secondary' }`;
+   * other fields keep the primary's value and only fall back to the secondary's when the
+   * primary has none. Both titles must be loaded with `+provenance`.
+   */
+  async merge(primary, secondary, { fields = {}, userId = null } = {}) {
+    for (const [field, side] of Object.entries(fields)) {
+      if (side === 'secondary' && this.choosableFields.includes(field)) {
+        primary.set(field, secondary.get(field))
+      }
+    }
+    for (const field of this.fillableFields) {
+      if (this.isEmpty(primary.get(field)) && !this.isEmpty(secondary.get(field))) {
+        primary.set(field, secondary.get(field))
+      }
+    }
+
+    const titles = this.union(
+      primary.alternativeTitles,
+      secondary.title,
+      secondary.originalTitle,
+      secondary.alternativeTitles,
+    )
+    primary.alternativeTitles = titles.filter((title) => title !== primary.title)
+    primary.studios = this.union(primary.studios, secondary.studios)
+    primary.productionCompanies = this.union(
+      primary.productionCompanies,
+      secondary.productionCompanies,
+    )
+    primary.genres = genreService.resolve(null, [...primary.genres, ...secondary.genres])
+
+    const malIds = new Set(primary.malSeasons.map((season) => season.malId))
+    for (const season of secondary.malSeasons) {
+      if (!malIds.has(season.malId)) primary.malSeasons.push(season)
+    }
+
+    // Source values carry over where the kept title has none; locks go with chosen values
+    for (const [field, entry] of secondary.provenance || []) {
+      const kept = provenanceService.entry(primary, field)
+      for (const source of provenanceService.sources) {
+        if (!kept[source]?.fetchedAt && entry[source]?.fetchedAt) kept[source] = entry[source]
+      }
+    }
+    for (const lock of secondary.lockedFields) {
+      if (fields[lock.field] === 'secondary' && !provenanceService.isLocked(primary, lock.field)) {
+        primary.lockedFields.push(lock.toObject())
+      }
+    }
+
+    for (const source of ['tmdb', 'mal']) {
+      if (!primary.dataSources?.[source]?.hasData && secondary.dataSources?.[source]?.hasData) {
+        primary.set(`dataSources.${source}`, secondary.dataSources[source])
+      }
+    }
+
+    for (const field of this.relationshipFields) {
+      const ids = this.union(
+        primary.relationships?.[field]?.map(String),
+        secondary.relationships?.[field]?.map(String),
+      )
+      primary.set(
+        `relationships.${field}`,
+        ids.filter((id) => id !== String(primary._id) && id !== String(secondary._id)),
+      )
+    }
+
+    return this.absorb(primary, secondary, { userId })
+  }
+
+  /**
+   * In one transaction, point watchlist entries, ratings, activity and relationships at
+   * `primary`, leave a redirect in place of `secondary` and delete it. `adjustEntry` rewrites
+   * a moved watchlist entry before it is compared with one the user already has, e.g. to
+   * count progress from the start of a series rather than of a season.
+   */
+  async absorb(primary, secondary, { userId = null, adjustEntry } = {}) {
+    for (const field of this.relationshipFields) {
+      const ids = primary.relationships?.[field] || []
+      primary.set(
+        `relationships.${field}`,
+        ids.filter((id) => String(id) !== String(secondary._id)),
+      )
+    }
+
+    const session = await mongoose.startSession()
+    session.startTransaction()
+
+    try {
+      // Revisions of both titles, and of titles whose relationships move, are marked as merge
+      const context = { action: 'merge', merge: { primary: primary._id, secondary: secondary._id } }
+      const movedUsers = await revisionService.run(context, async () => {
+        const moved = await this.moveReferences(primary, secondary, session, adjustEntry)
+
+        // Episode lists are rebuilt from the merged external IDs
+        await Season.deleteMany({ content: secondary._id }, { session })
+        await Episode.deleteMany({ content: secondary._id }, { session })
+        primary.episodesSyncedAt = null
+        primary.episodeSyncFailures = undefined
+        primary.episodeSyncFailedAt = undefined
+
+        // Old links to the merged-away title, and titles merged into it earlier, lead here
+        await ContentRedirect.updateMany(
+          { to: secondary._id },
+          { $set: { to: primary._id } },
+          { session },
+        )
+        await ContentRedirect.create(
+          [
+            {
+              from: secondary._id,
+              fromSlug: secondary.slug,
+              fromInternalId: secondary.internalId,
+              to: primary._id,
+              mergedBy: userId,
+            },
+          ],
+          { session },
+        )
+
+        // Deleted first, as the kept title may take over its external IDs
+        await Content.deleteOne({ _id: secondary._id }, { session })
+
+        await this.recountUserRatings(primary, session)
+        primary.unifiedScore =
+          scoreService.forContent(primary) || primary.voteAverage || primary.malScore || 0
+        primary.lastUpdated = new Date()
+        await primary.save({ session })
+
+        return moved
+      })
+
+      await session.commitTransaction()
+      return { movedUsers }
+    } catch (error) {
+      await session.abortTransaction()
+      throw error
+    } finally {
+      session.endSession()
+      // The kept title may be saved again later, outside this session
+      primary.$session(null)
+    }
+  }
+
+  // Progress of a watchlist entry, for keeping the further one of two
+  progress(entry) {
+    return [
+      entry.status === 'completed' ? 1 : 0,
+      entry.currentSeason || 0,
+      entry.currentEpisode || 0,
+    ]
+  }
+
+  isFurther(entry, other) {
+    const a = this.progress(entry)
+    const b = this.progress(other)
+    const index = a.findIndex((value, i) => value !== b[i])
+    return index !== -1 && a[index] > b[index]
+  }
+
+  /**
+   * Point watchlist entries, ratings, activity and relationships at the kept title.
+   * A user who had both titles keeps the entry with more progress and the latest rating.
+   */
+  async moveReferences(primary, secondary, session, adjustEntry) {
+    const users = await User.find({
+      $or: [{ 'watchlist.content': secondary._id }, { 'ratings.content': secondary._id }],
+    }).session(session)
+
+    for (const user of users) {
+      const moved = user.watchlist.find((item) => item.content?.equals(secondary._id))
+      const kept = user.watchlist.find((item) => item.content?.equals(primary._id))
+      if (moved && adjustEntry) adjustEntry(moved)
+      if (moved && kept) {
+        const [winner, loser] = this.isFurther(moved, kept) ? [moved, kept] : [kept, moved]
+        winner.addedAt = new Date(Math.min(winner.addedAt, loser.addedAt))
+        winner.notes = winner.notes || loser.notes
+        winner.rating = winner.rating || loser.rating
+        user.watchlist.pull(loser._id)
+        winner.content = primary._id
+      } else if (moved) {
+        moved.content = primary._id
+      }
+
+      const movedRating = user.ratings.find((item) => item.content?.equals(secondary._id))
+      const keptRating = user.ratings.find((item) => item.content?.equals(primary._id))
+      if (movedRating && keptRating) {
+        const [latest, older] =
+          movedRating.watchedAt > keptRating.watchedAt
+            ? [movedRating, keptRating]
+            : [keptRating, movedRating]
+        latest.review = latest.review || older.review
+        user.ratings.pull(older._id)
+        latest.content = primary._id
+      } else if (movedRating) {
+        movedRating.content = primary._id
+      }
+
+      await user.save({ session })
+    }
+
+    await Activity.updateMany(
+      { content: secondary._id },
+      { $set: { content: primary._id } },
+      { session },
+    )
+
+    for (const field of this.relationshipFields) {
+      const path = `relationships.${field}`
+      await Content.updateMany(
+        { [path]: secondary._id },
+        { $addToSet: { [path]: primary._id } },
+        { session },
+      )
+      await Content.updateMany(
+        { [path]: secondary._id },
+        { $pull: { [path]: secondary._id } },
+        { session },
+      )
+    }
+
+    return users.length
+  }
+
+  // Recount a title's user ratings after ratings were moved onto it
+  async recountUserRatings(content, session = null) {
+    // Users who rated the title are found through the index before their ratings are unwound
+    const [stats] = await User.aggregate([
+      { $match: { 'ratings.content': content._id } },
+      { $unwind: '$ratings' },
+      { $match: { 'ratings.content': content._id } },
+      { $group: { _id: null, average: { $avg: '$ratings.rating' }, count: { $sum: 1 } } },
+    ]).session(session)
+
+    content.userRatingAverage = stats ? stats.average : null
+    content.userRatingCount = stats ? stats.count : 0
+  }
+}
+
+export default new ContentMergeService()
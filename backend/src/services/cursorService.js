@@ -0,0 +1,146 @@
+import mongoose from 'mongoose'
+
+class CursorService {
+  /**
+   * Encode the sort-key values of a document into an opaque cursor.
+   * `scope` ties the cursor to one sort order so it can't be replayed against another.
+   */
+  encode(doc, sortSpec, direction, scope) {
+    const values = Object.keys(sortSpec).map((field) =>
+      this.serializeValue(this.getValue(doc, field)),
+    )
+    const payload = { s: scope, d: direction, v: values }
+    return Buffer.from(JSON.stringify(payload)).toString('base64url')
+  }
+
+  /**
+   * Decode a cursor. Returns null when it is malformed or was issued for a different scope.
+   */
+  decode(cursor, sortSpec, scope) {
+    try {
+      const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+      const fieldCount = Object.keys(sortSpec).length
+
+      if (
+        payload.s !== scope ||
+        !['next', 'prev'].includes(payload.d) ||
+        !Array.isArray(payload.v) ||
+        payload.v.length !== fieldCount
+      ) {
+        return null
+      }
+
+      return {
+        direction: payload.d,
+        values: payload.v.map((value) => this.deserializeValue(value)),
+      }
+    } catch {
+      return null
+    }
+  }
+
+  getValue(doc, field) {
+    return field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc)
+  }
+
+  // JSON loses Date and ObjectId types, so tag them
+  serializeValue(value) {
+    if (value === undefined || value === null) return null
+    if (value instanceof Date) return { $date: value.toISOString() }
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() }
+    return value
+  }
+
+  deserializeValue(value) {
+    if (value && typeof value === 'object') {
+      if (value.$date) return new Date(value.$date)
+      if (value.$oid) return new mongoose.Types.ObjectId(value.$oid)
+      throw new Error('Invalid cursor value')
+    }
+    return value
+  }
+
+  /**
+   * Sort order to use for a page. Paging backwards walks the index in reverse.
+   */
+  getSort(sortSpec, direction) {
+    if (direction !== 'prev') return sortSpec
+    return Object.fromEntries(Object.entries(sortSpec).map(([field, order]) => [field, -order]))
+  }
+
+  /**
+   * Keyset condition selecting documents strictly after (or before) the cursor position.
+   * Uses $expr comparisons so nulls and missing values order the same way $sort does.
+   */
+  buildMatch(sortSpec, { direction, values }) {
+    const fields = Object.entries(sortSpec)
+    const fieldValue = (field) => ({ $ifNull: [`$${field}`, null] })
+
+    const branches = fields.map(([field, order], index) => {
+      const forward = direction === 'prev' ? -order : order
+      const equalities = fields.slice(0, index).map(([previousField], i) => ({
+        $eq: [fieldValue(previousField), { $literal: values[i] }],
+      }))
+      const operator = forward === 1 ? '$gt' : '$lt'
+      const comparison = { [operator]: [fieldValue(field), { $literal: values[index] }] }
+      return { $and: [...equalities, comparison] }
+    })
+
+    return { $expr: { $or: branches } }
+  }
+
+  /**
+   * Same keyset condition written with plain query operators, so it can use an index on the
+   * sort fields. Missing values sort lowest, so they are only included when walking downwards.
+   */
+  buildIndexMatch(sortSpec, { direction, values }) {
+    const fields = Object.entries(sortSpec)
+
+    const branches = fields.flatMap(([field, order], index) => {
+      const forward = direction === 'prev' ? -order : order
+      const equalities = Object.fromEntries(
+        fields.slice(0, index).map(([previousField], i) => [previousField, values[i]]),
+      )
+
+      if (values[index] === null) {
+        // Nothing sorts below null; everything non-null sorts above it
+        return forward === 1 ? [{ ...equalities, [field]: { $ne: null } }] : []
+      }
+
+      const operator = forward === 1 ? '$gt' : '$lt'
+      return [
+        { ...equalities, [field]: { [operator]: values[index] } },
+        ...(forward === -1 && field !== '_id' ? [{ ...equalities, [field]: null }] : []),
+      ]
+    })
+
+    return { $or: branches }
+  }
+
+  /**
+   * Trim the extra lookahead row and build next/prev cursors for a page of results.
+   * Results must have been fetched with limit + 1 using getSort(sortSpec, direction).
+   */
+  paginate(results, { sortSpec, limit, direction = 'next', hasPrevious = false, scope }) {
+    const hasMore = results.length > limit
+    let items = results.slice(0, limit)
+    if (direction === 'prev') items = items.reverse()
+
+    const hasNextPage = direction === 'prev' ? true : hasMore
+    const hasPrevPage = direction === 'prev' ? hasMore : hasPrevious
+
+    return {
+      items,
+      hasNextPage: hasNextPage && items.length > 0,
+      hasPrevPage: hasPrevPage && items.length > 0,
+      nextCursor:
+        hasNextPage && items.length > 0
+          ? this.encode(items[items.length - 1], sortSpec, 'next', scope)
+          : null,
+      prevCursor:
+        hasPrevPage && items.length > 0 ? this.encode(items[0], sortSpec, 'prev', scope) : null,
+    }
+  }
+}
+
+export default new CursorService()
@@ -0,0 +1,294 @@
+import Content from '../models/Content.js'
+import DuplicateCandidate from '../models/DuplicateCandidate.js'
+import contentMergeService from './contentMergeService.js'
+import idMappingService from './idMappingService.js'
+import titleMatchService from './titleMatchService.js'
+
+class DuplicateService {
+  constructor() {
+    // Share of each signal in a pair's score; every signal is 0..1, 0.5 when unknown
+    this.weights = {
+      title: 0.4,
+      year: 0.2,
+      type: 0.15,
+      length: 0.1,
+      externalIds: 0.15,
+    }
+    // Pairs scoring below this aren't queued
+    this.threshold = 0.75
+    // Titles sharing only a word are compared while the word is this rare
+    this.maxBlockSize = 50
+
+    this.fields =
+      'title originalTitle alternativeTitles contentType releaseDate runtime episodeCount malEpisodes tmdbId malId'
+  }
+
+  year(content) {
+    return content.releaseDate ? new Date(content.releaseDate).getUTCFullYear() : null
+  }
+
+  // Best trigram similarity between any title of one and any title of the other
+  titleSignal(a, b) {
+    let best = 0
+    for (const titleA of titleMatchService.getTitles(a)) {
+      for (const titleB of titleMatchService.getTitles(b)) {
+        best = Math.max(best, titleMatchService.gramSimilarity(titleA, titleB))
+      }
+    }
+    return best
+  }
+
+  yearSignal(a, b) {
+    const yearA = this.year(a)
+    const yearB = this.year(b)
+    if (!yearA || !yearB) return 0.5
+
+    const difference = Math.abs(yearA - yearB)
+    if (difference === 0) return 1
+    return difference === 1 ? 0.6 : 0
+  }
+
+  // Runtime for movies, episode count for shows
+  lengthSignal(a, b) {
+    if (a.contentType !== b.contentType) return 0.5
+
+    if (a.contentType === 'movie') {
+      if (!a.runtime || !b.runtime) return 0.5
+      const difference = Math.abs(a.runtime - b.runtime)
+      if (difference <= 5) return 1
+      return difference <= 20 ? 0.5 : 0
+    }
+
+    const episodesA = a.episodeCount || a.malEpisodes
+    const episodesB = b.episodeCount || b.malEpisodes
+    if (!episodesA || !episodesB) return 0.5
+    const difference = Math.abs(episodesA - episodesB)
+    if (difference === 0) return 1
+    if (difference <= 2) return 0.7
+    return difference <= 10 ? 0.3 : 0
+  }
+
+  // 1 when the IDs or the ID cross-reference table link the pair, null when they
+  // say the titles differ
+  async externalIdSignal(a, b) {
+    const sameTmdb = a.tmdbId && a.tmdbId === b.tmdbId && a.contentType === b.contentType
+    if (sameTmdb || (a.malId && a.malId === b.malId)) return 1
+    if ((a.tmdbId && b.tmdbId) || (a.malId && b.malId)) return null
+
+    for (const [mal, tmdb] of [
+      [a, b],
+      [b, a],
+    ]) {
+      if (!mal.malId || !tmdb.tmdbId) continue
+      const mapping = await idMappingService.findForMal(mal.malId)
+      if (mapping?.tmdbId === tmdb.tmdbId && mapping.tmdbType === tmdb.contentType) return 1
+    }
+    if (await idMappingService.contradicts(a, b)) return null
+
+    return 0.5
+  }
+
+  /**
+   * Score how likely two titles are the same, 0..1. Returns null for pairs the external
+   * IDs rule out.
+   */
+  async scorePair(a, b) {
+    const externalIds = await this.externalIdSignal(a, b)
+    if (externalIds === null) return null
+
+    const signals = {
+      title: this.titleSignal(a, b),
+      year: this.yearSignal(a, b),
+      type: a.contentType === b.contentType ? 1 : 0,
+      length: this.lengthSignal(a, b),
+      externalIds,
+    }
+
+    let score = Object.entries(this.weights).reduce(
+      (sum, [signal, weight]) => sum + signals[signal] * weight,
+      0,
+    )
+    // A shared external ID settles it
+    if (externalIds === 1) score = Math.max(score, 0.95)
+
+    const round = (value) => Math.round(value * 1000) / 1000
+    return {
+      score: round(score),
+      signals: Object.fromEntries(
+        Object.entries(signals).map(([signal, value]) => [signal, round(value)]),
+      ),
+    }
+  }
+
+  // Keys that put titles worth comparing into the same block: each title without spaces,
+  // its longest word, and the external IDs
+  blockingKeys(content) {
+    const keys = new Set()
+    for (const title of titleMatchService.getTitles(content)) {
+      const compacted = titleMatchService.compact(title)
+      if (compacted) keys.add(`title:${compacted}`)
+
+      const longest = titleMatchService
+        .tokenize(title)
+        .reduce((word, token) => (token.length > word.length ? token : word), '')
+      if (longest.length >= 4) keys.add(`word:${longest}`)
+    }
+    if (content.tmdbId) keys.add(`tmdb:${content.contentType}:${content.tmdbId}`)
+    if (content.malId) keys.add(`mal:${content.malId}`)
+    return keys
+  }
+
+  // Index pairs of titles that share a block
+  candidatePairs(contents) {
+    const blocks = new Map()
+    contents.forEach((content, index) => {
+      for (const key of this.blockingKeys(content)) {
+        if (!blocks.has(key)) blocks.set(key, [])
+        blocks.get(key).push(index)
+      }
+    })
+
+    const pairs = new Set()
+    for (const [key, members] of blocks) {
+      if (members.length < 2) continue
+      if (key.startsWith('word:') && members.length > this.maxBlockSize) continue
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.add(`${members[i]}:${members[j]}`)
+        }
+      }
+    }
+    return [...pairs].map((pair) => pair.split(':').map(Number))
+  }
+
+  pairKey(idA, idB) {
+    return DuplicateCandidate.orderPair(idA, idB).map(String).join(':')
+  }
+
+  /**
+   * Score all titles against each other and queue the likely duplicates. Reviewed pairs
+   * are left alone; pending pairs that no longer score high enough leave the queue.
+   */
+  async scan({ threshold = this.threshold, dryRun = false } = {}) {
+    const contents = await Content.find({}, this.fields).lean()
+    const queued = await DuplicateCandidate.find({}, 'contentA contentB status').lean()
+    const byPair = new Map(
+      queued.map((entry) => [this.pairKey(entry.contentA, entry.contentB), entry]),
+    )
+
+    const pairs = this.candidatePairs(contents)
+    const found = []
+    let reviewed = 0
+
+    for (const [i, j] of pairs) {
+      const [a, b] =
+        String(contents[i]._id) < String(contents[j]._id)
+          ? [contents[i], contents[j]]
+          : [contents[j], contents[i]]
+
+      const existing = byPair.get(this.pairKey(a._id, b._id))
+      if (existing && existing.status !== 'pending') {
+        reviewed++
+        continue
+      }
+
+      const result = await this.scorePair(a, b)
+      if (!result || result.score < threshold) continue
+
+      found.push({ contentA: a, contentB: b, existing, ...result })
+    }
+
+    const kept = new Set(
+      found.filter((entry) => entry.existing).map((entry) => String(entry.existing._id)),
+    )
+    const stale = queued.filter(
+      (entry) => entry.status === 'pending' && !kept.has(String(entry._id)),
+    )
+
+    if (!dryRun) {
+      const operations = found.map(({ contentA, contentB, existing, score, signals }) =>
+        existing
+          ? { updateOne: { filter: { _id: existing._id }, update: { $set: { score, signals } } } }
+          : {
+              insertOne: {
+                document: { contentA: contentA._id, contentB: contentB._id, score, signals },
+              },
+            },
+      )
+      if (operations.length > 0) await DuplicateCandidate.bulkWrite(operations)
+      if (stale.length > 0) {
+        await DuplicateCandidate.deleteMany({ _id: { $in: stale.map((entry) => entry._id) } })
+      }
+    }
+
+    return {
+      titles: contents.length,
+      compared: pairs.length - reviewed,
+      reviewed,
+      found,
+      added: found.filter((entry) => !entry.existing).length,
+      removed: stale.length,
+    }
+  }
+
+  async reject(candidate, userId, note) {
+    candidate.status = 'rejected'
+    candidate.note = note
+    candidate.resolvedBy = userId
+    candidate.resolvedAt = new Date()
+    return candidate.save()
+  }
+
+  /**
+   * Merge a queued pair into `primary` (one of its two titles); see contentMergeService
+   * for `fields`.
+   */
+  async accept(candidate, primary, secondary, { fields = {}, note } = {}, userId) {
+    const result = await contentMergeService.merge(primary, secondary, { fields, userId })
+
+    candidate.status = 'merged'
+    candidate.primary = primary._id
+    candidate.note = note
+    candidate.resolvedBy = userId
+    candidate.resolvedAt = new Date()
+    await candidate.save()
+
+    await this.carryOver(secondary._id, primary._id)
+    return result
+  }
+
+  // Pairs with a merged-away title: rejections carry over to the kept title, pending
+  // pairs are dropped and proposed again against it by the next scan
+  async carryOver(fromId, toId) {
+    const involved = { $or: [{ contentA: fromId }, { contentB: fromId }] }
+    const rejected = await DuplicateCandidate.find({ ...involved, status: 'rejected' }).lean()
+
+    for (const entry of rejected) {
+      const otherId = entry.contentA.equals(fromId) ? entry.contentB : entry.contentA
+      if (otherId.equals(toId)) continue
+
+      const [contentA, contentB] = DuplicateCandidate.orderPair(toId, otherId)
+      const existing = await DuplicateCandidate.findOne({ contentA, contentB })
+      if (existing?.status === 'merged') continue
+
+      await DuplicateCandidate.updateOne(
+        { contentA, contentB },
+        {
+          $set: {
+            status: 'rejected',
+            note: entry.note,
+            resolvedBy: entry.resolvedBy,
+            resolvedAt: entry.resolvedAt,
+          },
+          $setOnInsert: { score: entry.score, signals: entry.signals },
+        },
+        { upsert: true },
+      )
+    }
+
+    await DuplicateCandidate.deleteMany({ ...involved, status: 'pending' })
+  }
+}
+
+export default new DuplicateService()
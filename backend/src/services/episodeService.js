@@ -0,0 +1,257 @@
+import Content from '../models/Content.js'
+import Episode from '../models/Episode.js'
+import Job from '../models/Job.js'
+import Season from '../models/Season.js'
+import jobService from './jobService.js'
+import unifiedContentService from './unifiedContentService.js'
+
+class EpisodeService {
+  constructor() {
+    // Shows still airing gain episodes, so their lists are refetched this often
+    this.airingRefreshInterval = 24 * 60 * 60 * 1000
+    // After a fetch finds nothing, wait this long before trying again, doubling with each
+    // failure up to the maximum
+    this.failureBackoff = 60 * 60 * 1000
+    this.maxFailureBackoff = 7 * 24 * 60 * 60 * 1000
+
+    // Content fields a sync reads
+    this.syncFields =
+      'contentType tmdbId malId malStatus malSeasons episodesSyncedAt episodeSyncFailures episodeSyncFailedAt'
+
+    // In-flight syncs by content ID, so concurrent requests share one fetch
+    this.syncing = new Map()
+  }
+
+  // When a show whose last fetch found nothing may be fetched again, or null
+  retryAt(content) {
+    if (!content.episodeSyncFailedAt) return null
+
+    const backoff = Math.min(
+      this.failureBackoff * 2 ** ((content.episodeSyncFailures || 1) - 1),
+      this.maxFailureBackoff,
+    )
+    return new Date(new Date(content.episodeSyncFailedAt).getTime() + backoff)
+  }
+
+  needsSync(content) {
+    if (content.contentType !== 'tv') return false
+    const retryAt = this.retryAt(content)
+    if (retryAt && Date.now() < retryAt.getTime()) return false
+    if (!content.episodesSyncedAt) return true
+
+    const age = Date.now() - new Date(content.episodesSyncedAt).getTime()
+    return content.malStatus === 'currently_airing' && age > this.airingRefreshInterval
+  }
+
+  /**
+   * Fetch a show's seasons and episodes and store them.
+   * TMDB is preferred since it splits seasons; MAL lists a single season per entry.
+   * Returns false when no source could be read, leaving stored data untouched and recording
+   * the failure so the next attempt backs off.
+   */
+  sync(content) {
+    const key = String(content._id)
+    if (!this.syncing.has(key)) {
+      const run = this.syncContent(content).finally(() => this.syncing.delete(key))
+      this.syncing.set(key, run)
+    }
+    return this.syncing.get(key)
+  }
+
+  // Sync a show by ID, as the sync-episodes job does; false when it's gone or isn't a show
+  async syncById(contentId) {
+    const content = await Content.findById(contentId).select(this.syncFields).lean()
+    if (!content || content.contentType !== 'tv') return false
+    return this.sync(content)
+  }
+
+  /**
+   * Queue a sync-episodes job for a show, so requests never wait on TMDB or Jikan.
+   * Returns the job, or the one already queued or running for the show.
+   */
+  async queueSync(content) {
+    const pending = await Job.findOne({
+      name: 'sync-episodes',
+      'data.content': content._id,
+      status: { $in: ['queued', 'running'] },
+    })
+    return pending || jobService.enqueue('sync-episodes', { content: content._id })
+  }
+
+  async syncContent(content) {
+    let seasons = null
+    if (content.tmdbId) {
+      seasons = await this.fetchTmdbSeasons(content.tmdbId)
+    }
+    if (!seasons && content.malSeasons?.length > 0) {
+      seasons = await this.fetchMappedMalSeasons(content.malSeasons)
+    }
+    if (!seasons && content.malId) {
+      seasons = await this.fetchMalSeasons(content.malId)
+    }
+    if (!seasons) {
+      await Content.updateOne(
+        { _id: content._id },
+        { $set: { episodeSyncFailedAt: new Date() }, $inc: { episodeSyncFailures: 1 } },
+      )
+      return false
+    }
+
+    await this.save(content._id, seasons)
+    return true
+  }
+
+  async fetchTmdbSeasons(tmdbId) {
+    const details = await unifiedContentService.getTmdbContentDetails(tmdbId, 'tv')
+    if (!details?.seasons) return null
+
+    const seasons = []
+    for (const summary of details.seasons) {
+      const season = await unifiedContentService.getTmdbSeasonDetails(tmdbId, summary.season_number)
+      if (!season) return null
+
+      seasons.push({
+        seasonNumber: season.season_number,
+        name: season.name,
+        overview: season.overview || '',
+        airDate: season.air_date || null,
+        posterPath: season.poster_path || null,
+        source: 'tmdb',
+        episodes: (season.episodes || []).map((episode) => ({
+          episodeNumber: episode.episode_number,
+          title: episode.name,
+          airDate: episode.air_date || null,
+          runtime: episode.runtime || null,
+          synopsis: episode.overview || '',
+          stillPath: episode.still_path || null,
+        })),
+      })
+    }
+
+    return seasons
+  }
+
+  async fetchMalSeasons(malId) {
+    const episodes = await unifiedContentService.getMalEpisodes(malId)
+    if (!episodes) return null
+
+    const details = await unifiedContentService.getMalAnimeDetails(malId)
+    const runtime = details?.average_episode_duration
+      ? Math.round(details.average_episode_duration / 60)
+      : null
+
+    return [
+      {
+        seasonNumber: 1,
+        name: 'Season 1',
+        overview: '',
+        airDate: episodes[0]?.aired || null,
+        posterPath: null,
+        source: 'mal',
+        episodes: episodes.map((episode) => ({
+          episodeNumber: episode.mal_id,
+          title: episode.title,
+          airDate: episode.aired || null,
+          runtime,
+          synopsis: '',
+          stillPath: null,
+          filler: !!episode.filler,
+          recap: !!episode.recap,
+        })),
+      },
+    ]
+  }
+
+  // Build seasons from the MAL entries mapped onto a series, numbering each part's
+  // episodes after the parts before it in the same season
+  async fetchMappedMalSeasons(malSeasons) {
+    const seasons = new Map()
+    for (const entry of malSeasons) {
+      const [season] = (await this.fetchMalSeasons(entry.malId)) || []
+      if (!season) return null
+
+      const episodes = season.episodes.map((episode) => ({
+        ...episode,
+        episodeNumber: episode.episodeNumber + (entry.episodeOffset || 0),
+      }))
+
+      const existing = seasons.get(entry.seasonNumber)
+      if (existing) {
+        existing.episodes.push(...episodes)
+      } else {
+        seasons.set(entry.seasonNumber, {
+          ...season,
+          seasonNumber: entry.seasonNumber,
+          name: entry.seasonNumber === 0 ? 'Specials' : `Season ${entry.seasonNumber}`,
+          episodes,
+        })
+      }
+    }
+
+    return [...seasons.values()]
+  }
+
+  // Upsert seasons and episodes, removing any the source no longer lists
+  async save(contentId, seasons) {
+    const now = new Date()
+
+    if (seasons.length > 0) {
+      await Season.bulkWrite(
+        seasons.map(({ episodes, ...season }) => ({
+          updateOne: {
+            filter: { content: contentId, seasonNumber: season.seasonNumber },
+            update: { $set: { ...season, episodeCount: episodes.length, lastSynced: now } },
+            upsert: true,
+          },
+        })),
+      )
+    }
+
+    const seasonNumbers = seasons.map((season) => season.seasonNumber)
+    await Season.deleteMany({ content: contentId, seasonNumber: { $nin: seasonNumbers } })
+
+    const seasonIds = new Map(
+      (await Season.find({ content: contentId }).select('seasonNumber').lean()).map((season) => [
+        season.seasonNumber,
+        season._id,
+      ]),
+    )
+
+    const operations = seasons.flatMap((season) =>
+      season.episodes.map((episode) => ({
+        updateOne: {
+          filter: {
+            content: contentId,
+            seasonNumber: season.seasonNumber,
+            episodeNumber: episode.episodeNumber,
+          },
+          update: { $set: { ...episode, season: seasonIds.get(season.seasonNumber) } },
+          upsert: true,
+        },
+      })),
+    )
+    if (operations.length > 0) {
+      await Episode.bulkWrite(operations)
+    }
+
+    // Anything not written above is gone upstream
+    const kept = seasons.map((season) => ({
+      seasonNumber: season.seasonNumber,
+      episodeNumber: { $in: season.episodes.map((episode) => episode.episodeNumber) },
+    }))
+    await Episode.deleteMany({
+      content: contentId,
+      ...(kept.length > 0 ? { $nor: kept } : {}),
+    })
+
+    await Content.updateOne(
+      { _id: contentId },
+      {
+        $set: { episodesSyncedAt: now },
+        $unset: { episodeSyncFailures: 1, episodeSyncFailedAt: 1 },
+      },
+    )
+  }
+}
+
+export default new EpisodeService()
@@ -0,0 +1,74 @@
+class FormatService {
+  constructor() {
+    // Release formats; `contentType` stays the broad movie/TV split used for routing and ranking
+    this.formats = ['tv', 'movie', 'ova', 'ona', 'special', 'tv_special', 'short', 'music', 'promo']
+
+    this.labels = {
+      tv: 'TV Series',
+      movie: 'Movie',
+      ova: 'OVA',
+      ona: 'ONA',
+      special: 'Special',
+      tv_special: 'TV Special',
+      short: 'Short',
+      music: 'Music Video',
+      promo: 'Promotional',
+    }
+
+    // MAL `media_type` values; commercials and PVs are both promotional clips
+    this.malMediaTypes = {
+      tv: 'tv',
+      movie: 'movie',
+      ova: 'ova',
+      ona: 'ona',
+      special: 'special',
+      tv_special: 'tv_special',
+      music: 'music',
+      cm: 'promo',
+      pv: 'promo',
+    }
+
+    // Series with episodes shorter than this are shorts
+    this.shortEpisodeMinutes = 15
+  }
+
+  isValidFormat(format) {
+    return this.formats.includes(format)
+  }
+
+  getContentType(format) {
+    return format === 'movie' ? 'movie' : 'tv'
+  }
+
+  /**
+   * Format of a MAL anime entry. Entries fetched without `media_type` fall back to the
+   * old episode-count guess, so they come out no worse than before.
+   */
+  fromMal(anime) {
+    const format = this.malMediaTypes[anime.media_type]
+    if (!format) {
+      const isMovie = anime.num_episodes === 1 && anime.status === 'finished_airing'
+      return isMovie ? 'movie' : 'tv'
+    }
+
+    const minutes = anime.average_episode_duration ? anime.average_episode_duration / 60 : null
+    if (format === 'tv' && minutes && minutes < this.shortEpisodeMinutes) {
+      return 'short'
+    }
+    return format
+  }
+
+  // Format of a TMDB title; TMDB has no anime formats, only episode runtimes to spot shorts
+  fromTmdb(tmdbData, contentType) {
+    if (contentType === 'movie') return 'movie'
+
+    const runtimes = tmdbData.episode_run_time || []
+    const minutes = runtimes.length > 0 ? Math.min(...runtimes) : null
+    if (minutes && minutes < this.shortEpisodeMinutes) {
+      return 'short'
+    }
+    return 'tv'
+  }
+}
+
+export default new FormatService()
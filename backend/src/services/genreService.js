@@ -0,0 +1,241 @@
+import Genre from '../models/Genre.js'
+
+const tmdb = (externalId, name) => ({ source: 'tmdb', externalId, name })
+const mal = (externalId, name) => ({ source: 'mal', externalId, name })
+
+class GenreService {
+  constructor() {
+    // Built-in taxonomy, seeded into the Genre collection by the migration.
+    // Source genres not listed here resolve by name and are added to the collection as they appear.
+    this.taxonomy = [
+      {
+        slug: 'action',
+        name: 'Action',
+        mappings: [tmdb(28, 'Action'), tmdb(10759, 'Action & Adventure'), mal(1, 'Action')],
+      },
+      {
+        slug: 'adventure',
+        name: 'Adventure',
+        mappings: [tmdb(12, 'Adventure'), tmdb(10759, 'Action & Adventure'), mal(2, 'Adventure')],
+      },
+      { slug: 'animation', name: 'Animation', mappings: [tmdb(16, 'Animation')] },
+      { slug: 'comedy', name: 'Comedy', mappings: [tmdb(35, 'Comedy'), mal(4, 'Comedy')] },
+      { slug: 'crime', name: 'Crime', mappings: [tmdb(80, 'Crime')] },
+      { slug: 'documentary', name: 'Documentary', mappings: [tmdb(99, 'Documentary')] },
+      { slug: 'drama', name: 'Drama', mappings: [tmdb(18, 'Drama'), mal(8, 'Drama')] },
+      { slug: 'family', name: 'Family', mappings: [tmdb(10751, 'Family')] },
+      { slug: 'kids', name: 'Kids', mappings: [tmdb(10762, 'Kids'), mal(15, 'Kids')] },
+      {
+        slug: 'fantasy',
+        name: 'Fantasy',
+        mappings: [tmdb(14, 'Fantasy'), tmdb(10765, 'Sci-Fi & Fantasy'), mal(10, 'Fantasy')],
+      },
+      {
+        slug: 'science-fiction',
+        name: 'Science Fiction',
+        mappings: [
+          tmdb(878, 'Science Fiction'),
+          tmdb(10765, 'Sci-Fi & Fantasy'),
+          mal(24, 'Sci-Fi'),
+        ],
+      },
+      { slug: 'history', name: 'History', mappings: [tmdb(36, 'History'), mal(13, 'Historical')] },
+      { slug: 'horror', name: 'Horror', mappings: [tmdb(27, 'Horror'), mal(14, 'Horror')] },
+      { slug: 'music', name: 'Music', mappings: [tmdb(10402, 'Music'), mal(19, 'Music')] },
+      { slug: 'mystery', name: 'Mystery', mappings: [tmdb(9648, 'Mystery'), mal(7, 'Mystery')] },
+      { slug: 'romance', name: 'Romance', mappings: [tmdb(10749, 'Romance'), mal(22, 'Romance')] },
+      { slug: 'thriller', name: 'Thriller', mappings: [tmdb(53, 'Thriller'), mal(41, 'Suspense')] },
+      { slug: 'war', name: 'War', mappings: [tmdb(10752, 'War'), tmdb(10768, 'War & Politics')] },
+      { slug: 'western', name: 'Western', mappings: [tmdb(37, 'Western')] },
+      { slug: 'tv-movie', name: 'TV Movie', mappings: [tmdb(10770, 'TV Movie')] },
+      { slug: 'news', name: 'News', mappings: [tmdb(10763, 'News')] },
+      { slug: 'reality', name: 'Reality', mappings: [tmdb(10764, 'Reality')] },
+      { slug: 'soap', name: 'Soap', mappings: [tmdb(10766, 'Soap')] },
+      { slug: 'talk', name: 'Talk', mappings: [tmdb(10767, 'Talk')] },
+      { slug: 'slice-of-life', name: 'Slice of Life', mappings: [mal(36, 'Slice of Life')] },
+      { slug: 'sports', name: 'Sports', mappings: [mal(30, 'Sports')] },
+      { slug: 'supernatural', name: 'Supernatural', mappings: [mal(37, 'Supernatural')] },
+      { slug: 'psychological', name: 'Psychological', mappings: [mal(40, 'Psychological')] },
+      { slug: 'mecha', name: 'Mecha', mappings: [mal(18, 'Mecha')] },
+      { slug: 'military', name: 'Military', mappings: [mal(38, 'Military')] },
+      { slug: 'school', name: 'School', mappings: [mal(23, 'School')] },
+      { slug: 'isekai', name: 'Isekai', mappings: [mal(62, 'Isekai')] },
+      { slug: 'iyashikei', name: 'Iyashikei', mappings: [mal(63, 'Iyashikei')] },
+      { slug: 'martial-arts', name: 'Martial Arts', mappings: [mal(17, 'Martial Arts')] },
+      { slug: 'space', name: 'Space', mappings: [mal(29, 'Space')] },
+      { slug: 'super-power', name: 'Super Power', mappings: [mal(31, 'Super Power')] },
+      { slug: 'detective', name: 'Detective', mappings: [mal(39, 'Detective')] },
+      { slug: 'mythology', name: 'Mythology', mappings: [mal(6, 'Mythology')] },
+      { slug: 'parody', name: 'Parody', mappings: [mal(20, 'Parody')] },
+      { slug: 'samurai', name: 'Samurai', mappings: [mal(21, 'Samurai')] },
+      { slug: 'vampire', name: 'Vampire', mappings: [mal(32, 'Vampire')] },
+      { slug: 'racing', name: 'Racing', mappings: [mal(3, 'Racing')] },
+      { slug: 'harem', name: 'Harem', mappings: [mal(35, 'Harem')] },
+      { slug: 'gourmet', name: 'Gourmet', mappings: [mal(47, 'Gourmet')] },
+      { slug: 'workplace', name: 'Workplace', mappings: [mal(48, 'Workplace')] },
+      { slug: 'avant-garde', name: 'Avant Garde', mappings: [mal(5, 'Avant Garde')] },
+      { slug: 'award-winning', name: 'Award Winning', mappings: [mal(46, 'Award Winning')] },
+      { slug: 'boys-love', name: 'Boys Love', mappings: [mal(28, 'Boys Love')] },
+      { slug: 'girls-love', name: 'Girls Love', mappings: [mal(26, 'Girls Love')] },
+      { slug: 'ecchi', name: 'Ecchi', mappings: [mal(9, 'Ecchi')] },
+      { slug: 'shounen', name: 'Shounen', mappings: [mal(27, 'Shounen')] },
+      { slug: 'shoujo', name: 'Shoujo', mappings: [mal(25, 'Shoujo')] },
+      { slug: 'seinen', name: 'Seinen', mappings: [mal(42, 'Seinen')] },
+      { slug: 'josei', name: 'Josei', mappings: [mal(43, 'Josei')] },
+    ]
+
+    // Collection mappings are reloaded at most this often
+    this.cacheTimeout = 10 * 60 * 1000
+    this.loadedAt = 0
+
+    // Source genres seen during ingestion that no mapping covers yet, by slug
+    this.unmapped = new Map()
+
+    this.index(this.taxonomy)
+  }
+
+  normalizeName(name) {
+    return String(name || '')
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+  }
+
+  slugify(name) {
+    return this.normalizeName(name).replace(/ /g, '-')
+  }
+
+  // Build lookups from a list of canonical genres with their source mappings
+  index(genres) {
+    this.genres = new Map()
+    this.byId = new Map()
+    this.byName = new Map()
+
+    const add = (lookup, key, slug) => {
+      if (!lookup.has(key)) lookup.set(key, [])
+      if (!lookup.get(key).includes(slug)) lookup.get(key).push(slug)
+    }
+
+    for (const genre of genres) {
+      this.genres.set(genre.slug, { slug: genre.slug, name: genre.name })
+      add(this.byName, this.normalizeName(genre.name), genre.slug)
+
+      for (const mapping of genre.mappings || []) {
+        if (mapping.externalId != null) {
+          add(this.byId, `${mapping.source}:${mapping.externalId}`, genre.slug)
+        }
+        if (mapping.name) {
+          add(this.byName, this.normalizeName(mapping.name), genre.slug)
+        }
+      }
+    }
+  }
+
+  // Load admin-maintained mappings from the collection, falling back to the built-in taxonomy
+  async refresh({ force = false } = {}) {
+    if (!force && Date.now() - this.loadedAt < this.cacheTimeout) return
+
+    const genres = await Genre.find().lean()
+    if (genres.length > 0) {
+      this.index(genres)
+    }
+    this.loadedAt = Date.now()
+  }
+
+  /**
+   * Convert source genres into canonical `{ slug, name }` references.
+   * Matches the source's ID first and falls back to the name, since IDs collide across sources.
+   * Pass a null source for genres of unknown origin; those match by name only.
+   */
+  resolve(source, genres) {
+    const resolved = new Map()
+
+    for (const genre of genres || []) {
+      if (!genre) continue
+
+      // Already canonical
+      if (genre.slug) {
+        resolved.set(genre.slug, { slug: genre.slug, name: genre.name })
+        continue
+      }
+
+      const name = typeof genre === 'string' ? genre : genre.name
+      const externalId = typeof genre === 'object' ? genre.id : null
+
+      let slugs = source && externalId != null ? this.byId.get(`${source}:${externalId}`) : null
+      if (!slugs && name) {
+        slugs = this.byName.get(this.normalizeName(name))
+      }
+
+      if (!slugs) {
+        const slug = this.slugify(name)
+        if (!slug) continue
+
+        this.trackUnmapped(slug, name, source, externalId)
+        resolved.set(slug, { slug, name })
+        continue
+      }
+
+      for (const slug of slugs) {
+        resolved.set(slug, this.genres.get(slug))
+      }
+    }
+
+    return [...resolved.values()]
+  }
+
+  trackUnmapped(slug, name, source, externalId) {
+    if (this.genres.has(slug)) return
+
+    const entry = this.unmapped.get(slug) || { slug, name, mappings: [] }
+    if (source && !entry.mappings.some((mapping) => mapping.source === source)) {
+      entry.mappings.push({ source, externalId: externalId ?? undefined, name })
+    }
+    this.unmapped.set(slug, entry)
+  }
+
+  // Upsert the built-in taxonomy, keeping names and mappings admins have changed
+  async seed() {
+    const result = await Genre.bulkWrite(
+      this.taxonomy.map((genre) => ({
+        updateOne: {
+          filter: { slug: genre.slug },
+          update: {
+            $setOnInsert: { slug: genre.slug, name: genre.name },
+            $addToSet: { mappings: { $each: genre.mappings } },
+          },
+          upsert: true,
+        },
+      })),
+    )
+    await this.refresh({ force: true })
+    return result.upsertedCount
+  }
+
+  // Add genres first seen during ingestion to the collection so they show up in the taxonomy
+  async saveUnmapped() {
+    const genres = [...this.unmapped.values()]
+    this.unmapped.clear()
+    if (genres.length === 0) return 0
+
+    await Genre.bulkWrite(
+      genres.map((genre) => ({
+        updateOne: {
+          filter: { slug: genre.slug },
+          update: {
+            $setOnInsert: { slug: genre.slug, name: genre.name },
+            $addToSet: { mappings: { $each: genre.mappings } },
+          },
+          upsert: true,
+        },
+      })),
+    )
+    await this.refresh({ force: true })
+    return genres.length
+  }
+}
+
+export default new GenreService()
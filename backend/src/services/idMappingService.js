@@ -0,0 +1,116 @@
+import IdMapping from '../models/IdMapping.js'
+
+class IdMappingService {
+  constructor() {
+    this.importBatchSize = 1000
+  }
+
+  findForMal(malId) {
+    return IdMapping.findOne({ malId }).lean()
+  }
+
+  findForTmdb(tmdbId, tmdbType) {
+    return IdMapping.find({ tmdbId, tmdbType }).lean()
+  }
+
+  /**
+   * Whether the table says two titles are different, e.g. a MAL entry mapped to another
+   * TMDB title. Used to veto title-based matches.
+   */
+  async contradicts(content, candidate) {
+    for (const [a, b] of [
+      [content, candidate],
+      [candidate, content],
+    ]) {
+      if (a.malId && b.tmdbId) {
+        const mapping = await this.findForMal(a.malId)
+        if (mapping && (mapping.tmdbId !== b.tmdbId || mapping.tmdbType !== b.contentType)) {
+          return true
+        }
+      }
+      if (a.tmdbId && b.malId) {
+        const mappings = await this.findForTmdb(a.tmdbId, a.contentType)
+        if (mappings.length > 0 && !mappings.some((mapping) => mapping.malId === b.malId)) {
+          return true
+        }
+      }
+    }
+    return false
+  }
+
+  /**
+   * One row of an offline dataset. Accepts our own `{ malId, tmdbId, tmdbType }` rows and
+   * anime-lists style `{ mal_id, themoviedb_id, type }` rows, where `type` is the MAL format.
+   */
+  parseDatasetRow(row) {
+    const malId = Number(row.malId ?? row.mal_id)
+    const tmdbId = Number(row.tmdbId ?? row.tmdb_id ?? row.themoviedb_id)
+    if (!Number.isInteger(malId) || !Number.isInteger(tmdbId) || malId <= 0 || tmdbId <= 0) {
+      return null
+    }
+
+    const type = String(row.tmdbType ?? row.tmdb_type ?? row.type ?? '').toLowerCase()
+    return { malId, tmdbId, tmdbType: type === 'movie' ? 'movie' : 'tv' }
+  }
+
+  // Upsert dataset rows; mappings set by an admin are left alone
+  async importDataset(rows, { dryRun = false } = {}) {
+    const mappings = new Map()
+    let invalid = 0
+    for (const row of rows) {
+      const mapping = this.parseDatasetRow(row)
+      if (mapping) {
+        mappings.set(mapping.malId, mapping)
+      } else {
+        invalid++
+      }
+    }
+
+    const adminIds = new Set(
+      (await IdMapping.find({ source: 'admin' }).select('malId').lean()).map(
+        (mapping) => mapping.malId,
+      ),
+    )
+    const entries = [...mappings.values()].filter((mapping) => !adminIds.has(mapping.malId))
+
+    if (!dryRun) {
+      for (let i = 0; i < entries.length; i += this.importBatchSize) {
+        await IdMapping.bulkWrite(
+          entries.slice(i, i + this.importBatchSize).map((mapping) => ({
+            updateOne: {
+              filter: { malId: mapping.malId },
+              update: { $set: { ...mapping, source: 'dataset' } },
+              upsert: true,
+            },
+          })),
+        )
+      }
+    }
+
+    return {
+      rows: rows.length,
+      invalid,
+      keptAdmin: mappings.size - entries.length,
+      written: entries.length,
+    }
+  }
+
+  // Create or replace a mapping by hand
+  save(malId, { tmdbId = null, tmdbType, note = '' }, userId) {
+    const fields = { tmdbId, note, source: 'admin', updatedBy: userId }
+    const update =
+      tmdbId == null ? { $set: fields, $unset: { tmdbType: 1 } } : { $set: { ...fields, tmdbType } }
+
+    return IdMapping.findOneAndUpdate({ malId }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+    })
+  }
+
+  remove(malId) {
+    return IdMapping.findOneAndDelete({ malId })
+  }
+}
+
+export default new IdMappingService()
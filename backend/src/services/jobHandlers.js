@@ -0,0 +1,101 @@
+import episodeService from './episodeService.js'
+import jobService from './jobService.js'
+import maintenanceService from './maintenanceService.js'
+import populateService from './populateService.js'
+import rankingScoreService from './rankingScoreService.js'
+import refreshService from './refreshService.js'
+import trashService from './trashService.js'
+
+const hour = 60 * 60 * 1000
+const day = 24 * hour
+
+// The next time the clock shows hour:minute (server time)
+const nextTimeOfDay = (hours, minutes = 0) => {
+  const next = new Date()
+  next.setHours(hours, minutes, 0, 0)
+  if (next <= new Date()) next.setDate(next.getDate() + 1)
+  return next
+}
+
+// The maintenance work the backend runs as jobs; each also has a script in src/scripts.
+// Handlers pass their signal on, so cancelled jobs and jobs whose lease was lost stop.
+export const defineJobs = () => {
+  jobService.define(
+    'populate-unified',
+    async ({ tmdbLimit = 100, malLimit = 100, skipTmdb = false, skipMal = false }, { signal }) => {
+      // Clearing the catalogue stays a script-only option
+      const stats = await populateService.populateDatabase({
+        tmdbLimit,
+        malLimit,
+        skipTmdb,
+        skipMal,
+        signal,
+      })
+      return { ...stats }
+    },
+    // Hours of rate-limited requests; a retry starts over, so only one
+    { maxAttempts: 1, lease: 5 * 60 * 1000 },
+  )
+
+  jobService.define(
+    'refresh-catalog',
+    async (data, { signal }) => {
+      const run = await refreshService.run({ trigger: 'job', signal })
+      if (run.status === 'failed') throw new Error(run.error)
+      return {
+        run: run._id,
+        refreshed: run.refreshed,
+        removed: run.removed,
+        failed: run.failed,
+      }
+    },
+    { lease: 5 * 60 * 1000 },
+  )
+
+  // Queued when a show's seasons are asked for and due a fetch; a fetch that finds nothing
+  // backs off on its own (see episodeService), so only errors are retried
+  jobService.define('sync-episodes', async ({ content }) => ({
+    synced: await episodeService.syncById(content),
+  }))
+
+  jobService.define('purge-trash', async ({ dryRun = false }, { signal }) => {
+    const { expired, purged } = await trashService.purgeExpired({ dryRun, signal })
+    return { expired: expired.length, purged }
+  })
+
+  jobService.define('repair-ranking-scores', async (data, { signal }) => {
+    const { checked, repaired, stale } = await rankingScoreService.repair({ signal })
+    return { checked, repaired, stale }
+  })
+
+  jobService.define('cleanup-tokens', ({ dryRun = false }) =>
+    maintenanceService.cleanupTokens({ dryRun }),
+  )
+
+  jobService.define('update-weighted-scores', async ({ dryRun = false }, { signal }) => {
+    const { checked, updated, changed } = await maintenanceService.updateWeightedScores({
+      dryRun,
+      signal,
+    })
+    return { checked, updated, changed: changed.length }
+  })
+
+  jobService.define('calculate-user-ratings', async ({ dryRun = false }, { signal }) => {
+    const { rated, updated, missing, failed } = await maintenanceService.recalculateUserRatings({
+      dryRun,
+      signal,
+    })
+    return { rated, updated, missing: missing.length, failed }
+  })
+
+  jobService.define('purge-jobs', () => jobService.purgeFinished())
+}
+
+// Nightly maintenance, spread out so the runs don't overlap much
+export const scheduleJobs = async () => {
+  await jobService.schedule('refresh-catalog', day, { firstRunAt: nextTimeOfDay(3) })
+  await jobService.schedule('cleanup-tokens', day, { firstRunAt: nextTimeOfDay(4) })
+  await jobService.schedule('repair-ranking-scores', day, { firstRunAt: nextTimeOfDay(4, 30) })
+  await jobService.schedule('purge-trash', day, { firstRunAt: nextTimeOfDay(5) })
+  await jobService.schedule('purge-jobs', day, { firstRunAt: nextTimeOfDay(5, 30) })
+}
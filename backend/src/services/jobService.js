@@ -0,0 +1,367 @@
+import { randomBytes } from 'crypto'
+import { hostname } from 'os'
+import mongoose from 'mongoose'
+import Job from '../models/Job.js'
+import revisionService from './revisionService.js'
+
+class JobService {
+  constructor() {
+    // How often workers look for due jobs
+    this.pollInterval = parseInt(process.env.JOB_POLL_MS) || 5000
+    // Jobs this process runs at once, whatever their kind
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2
+    // Days finished jobs are kept
+    this.retentionDays = parseInt(process.env.JOB_RETENTION_DAYS) || 30
+    this.day = 24 * 60 * 60 * 1000
+
+    this.workerId = `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`
+    this.handlers = new Map()
+    // Jobs this process is running, by ID, with the controller that aborts them
+    this.active = new Map()
+    this.timer = null
+    this.polling = false
+  }
+
+  /**
+   * Register the handler for a kind of job. The handler gets the job's data and
+   * `{ job, signal }`; `signal` aborts when the job is cancelled or its lease is lost.
+   * What it returns is stored as the job's result. Options:
+   * - concurrency: runs of this kind at once across all instances (default 1)
+   * - maxAttempts: attempts before the job fails for good (default 3)
+   * - backoff: milliseconds before the first retry, doubling after each attempt (default 1 minute)
+   * - lease: milliseconds a worker holds the job between renewals (default 1 minute)
+   */
+  define(name, handler, options = {}) {
+    this.handlers.set(name, {
+      handler,
+      concurrency: 1,
+      maxAttempts: 3,
+      backoff: 60 * 1000,
+      lease: 60 * 1000,
+      ...options,
+    })
+  }
+
+  isDefined(name) {
+    return this.handlers.has(name)
+  }
+
+  names() {
+    return [...this.handlers.keys()]
+  }
+
+  definition(name) {
+    const definition = this.handlers.get(name)
+    if (!definition) throw new Error(`Unknown job: ${name}`)
+    return definition
+  }
+
+  // Queue a job to run once, now or after `delay` milliseconds or at `runAt`
+  async enqueue(name, data = {}, { delay = 0, runAt, createdBy } = {}) {
+    const definition = this.definition(name)
+
+    return Job.create({
+      name,
+      data,
+      runAt: runAt || new Date(Date.now() + delay),
+      maxAttempts: definition.maxAttempts,
+      backoff: definition.backoff,
+      createdBy,
+    })
+  }
+
+  /**
+   * Run a job every `every` milliseconds, the first time at `firstRunAt`. Instances all
+   * schedule their recurring jobs on start; only the first one queues a run.
+   */
+  async schedule(name, every, { data = {}, firstRunAt = new Date(), key = name } = {}) {
+    const definition = this.definition(name)
+
+    const pending = await Job.findOne({ scheduleKey: key, status: { $in: ['queued', 'running'] } })
+    if (pending) {
+      if (pending.every !== every) {
+        await Job.updateOne({ _id: pending._id }, { $set: { every } })
+      }
+      return pending
+    }
+
+    try {
+      return await Job.create({
+        name,
+        data,
+        runAt: firstRunAt,
+        scheduledFor: firstRunAt,
+        every,
+        scheduleKey: key,
+        maxAttempts: definition.maxAttempts,
+        backoff: definition.backoff,
+      })
+    } catch (error) {
+      if (error.code !== 11000) throw error
+      return Job.findOne({ scheduleKey: key, status: 'queued' })
+    }
+  }
+
+  // Queue the run after a recurring job's run, at the first scheduled time still ahead
+  async queueNext(job) {
+    if (!job.every || !job.scheduleKey) return null
+
+    const now = Date.now()
+    let next = (job.scheduledFor || job.runAt).getTime() + job.every
+    while (next <= now) next += job.every
+
+    try {
+      return await Job.create({
+        name: job.name,
+        data: job.data,
+        runAt: new Date(next),
+        scheduledFor: new Date(next),
+        every: job.every,
+        scheduleKey: job.scheduleKey,
+        maxAttempts: job.maxAttempts,
+        backoff: job.backoff,
+      })
+    } catch (error) {
+      // Another instance queued it already
+      if (error.code !== 11000) throw error
+      return null
+    }
+  }
+
+  // Start polling for due jobs in this process
+  start() {
+    if (this.timer) return
+    this.timer = setInterval(() => this.poll(), this.pollInterval)
+    console.log(`Job worker ${this.workerId} started`)
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  // Claim and start due jobs while this process and each kind of job have room
+  async poll() {
+    if (this.polling || mongoose.connection.readyState !== 1) return
+    this.polling = true
+
+    try {
+      for (const [name, definition] of this.handlers) {
+        while (this.active.size < this.concurrency && (await this.hasRoom(name, definition))) {
+          const job = await this.claim(name, definition)
+          if (!job) break
+          // Another instance may have claimed one in the meantime
+          if (!(await this.withinLimit(job, definition))) {
+            await this.release(job)
+            break
+          }
+          this.execute(job, definition)
+        }
+      }
+    } catch (error) {
+      console.error('Error polling jobs:', error)
+    } finally {
+      this.polling = false
+    }
+  }
+
+  async hasRoom(name, definition) {
+    const running = await Job.countDocuments({
+      name,
+      status: 'running',
+      lockedUntil: { $gt: new Date() },
+    })
+    return running < definition.concurrency
+  }
+
+  /**
+   * Take the next due job of a kind, or a running one whose worker stopped renewing its
+   * lease. The update is atomic, so only one worker gets each job. The start time comes from
+   * the database server, so all instances order claims the same way.
+   */
+  async claim(name, definition) {
+    const now = new Date()
+    return Job.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + definition.lease),
+        },
+        $currentDate: { startedAt: true },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true },
+    )
+  }
+
+  // Whether a claimed job is among the first `concurrency` running jobs of its kind
+  async withinLimit(job, definition) {
+    const ahead = await Job.countDocuments({
+      name: job.name,
+      status: 'running',
+      lockedUntil: { $gt: new Date() },
+      $or: [
+        { startedAt: { $lt: job.startedAt } },
+        { startedAt: job.startedAt, _id: { $lt: job._id } },
+      ],
+    })
+    return ahead < definition.concurrency
+  }
+
+  // Give back a claimed job that this worker won't run, as if it had never been claimed
+  async release(job) {
+    await Job.updateOne(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      {
+        $set: { status: 'queued' },
+        $unset: { lockedBy: 1, lockedUntil: 1, startedAt: 1 },
+        $inc: { attempts: -1 },
+      },
+    )
+  }
+
+  /**
+   * Extend this worker's lease. The job is aborted when it was cancelled or taken over
+   * meanwhile, and when the lease ran out because renewals failed, as another worker may
+   * then claim it.
+   */
+  async renew(job, definition, controller, lease) {
+    if (Date.now() >= lease.until) {
+      controller.abort()
+      return
+    }
+
+    const until = Date.now() + definition.lease
+    const { matchedCount } = await Job.updateOne(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      { $set: { lockedUntil: new Date(until) } },
+    )
+    if (matchedCount === 0) controller.abort()
+    else lease.until = until
+  }
+
+  async execute(job, definition) {
+    const id = String(job._id)
+    const controller = new AbortController()
+    const lease = { until: job.lockedUntil.getTime() }
+    this.active.set(id, { job, controller })
+
+    const renewal = setInterval(() => {
+      this.renew(job, definition, controller, lease).catch((error) =>
+        console.error(`Error renewing lease of job ${job.name} (${id}):`, error),
+      )
+    }, definition.lease / 3)
+
+    try {
+      let result
+      let failure = null
+      try {
+        // A worker died holding the job on its last attempt
+        if (job.attempts > job.maxAttempts) {
+          throw new Error('The worker running the job stopped before it finished')
+        }
+        result = await revisionService.run({ actor: { kind: 'job', name: job.name } }, () =>
+          definition.handler(job.data || {}, { job, signal: controller.signal }),
+        )
+      } catch (error) {
+        console.error(`Job ${job.name} (${id}) failed:`, error)
+        failure = error
+      }
+
+      const finished = failure ? await this.fail(job, failure) : await this.complete(job, result)
+      if (finished && ['completed', 'failed'].includes(finished.status)) {
+        await this.queueNext(finished)
+      }
+    } catch (error) {
+      console.error(`Error finishing job ${job.name} (${id}):`, error)
+    } finally {
+      clearInterval(renewal)
+      this.active.delete(id)
+    }
+  }
+
+  // Store the result, unless the job was cancelled or taken over while it ran
+  async complete(job, result) {
+    return Job.findOneAndUpdate(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      {
+        $set: { status: 'completed', result, finishedAt: new Date() },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      },
+      { new: true },
+    )
+  }
+
+  // Queue the job again after its backoff, or fail it for good after its last attempt
+  async fail(job, error) {
+    const now = new Date()
+    const retry = job.attempts < job.maxAttempts
+    const update = retry
+      ? { status: 'queued', runAt: new Date(now.getTime() + job.backoff * 2 ** (job.attempts - 1)) }
+      : { status: 'failed', finishedAt: now }
+
+    return Job.findOneAndUpdate(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      {
+        $set: { ...update, lastError: error.message },
+        $push: { failures: { attempt: job.attempts, message: error.message, at: now } },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      },
+      { new: true },
+    )
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's handler is aborted through its signal;
+   * whatever it still does isn't recorded. A recurring job skips this run only.
+   */
+  async cancel(id, userId = null) {
+    const job = await Job.findOneAndUpdate(
+      { _id: id, status: { $in: ['queued', 'running'] } },
+      {
+        $set: { status: 'cancelled', finishedAt: new Date(), cancelledBy: userId },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      },
+      { new: true },
+    )
+    if (!job) return null
+
+    this.active.get(String(job._id))?.controller.abort()
+    await this.queueNext(job)
+    return job
+  }
+
+  /**
+   * Queue a failed or cancelled job again with fresh attempts. A run of a recurring job is
+   * retried once, on its own; the schedule carries on as it was.
+   */
+  async retry(id) {
+    return Job.findOneAndUpdate(
+      { _id: id, status: { $in: ['failed', 'cancelled'] } },
+      {
+        $set: { status: 'queued', runAt: new Date(), attempts: 0 },
+        $unset: { every: 1, scheduleKey: 1, finishedAt: 1, cancelledBy: 1 },
+      },
+      { new: true },
+    )
+  }
+
+  // Delete finished jobs older than the retention period
+  async purgeFinished(now = new Date()) {
+    const { deletedCount } = await Job.deleteMany({
+      status: { $in: ['completed', 'failed', 'cancelled'] },
+      finishedAt: { $lt: new Date(now.getTime() - this.retentionDays * this.day) },
+    })
+    return { deleted: deletedCount }
+  }
+}
+
+export default new JobService()
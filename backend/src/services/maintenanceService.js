@@ -0,0 +1,97 @@
+import Content from '../models/Content.js'
+import RefreshToken from '../models/RefreshToken.js'
+import User from '../models/User.js'
+import scoreService from './scoreService.js'
+
+// Housekeeping shared by the maintenance scripts and their jobs
+class MaintenanceService {
+  constructor() {
+    // Revoked refresh tokens are kept this long before they are deleted
+    this.revokedTokenDays = 30
+  }
+
+  // Delete expired refresh tokens and old revoked ones; with dryRun, only count them
+  async cleanupTokens({ dryRun = false } = {}) {
+    const query = {
+      $or: [
+        { expiresAt: { $lt: new Date() } },
+        {
+          isRevoked: true,
+          createdAt: { $lt: new Date(Date.now() - this.revokedTokenDays * 24 * 60 * 60 * 1000) },
+        },
+      ],
+    }
+
+    if (dryRun) {
+      return { matched: await RefreshToken.countDocuments(query), deleted: 0 }
+    }
+
+    const result = await RefreshToken.deleteMany(query)
+    return { matched: result.deletedCount, deleted: result.deletedCount }
+  }
+
+  // Recompute every title's unified score from its stored ratings; aborting `signal` stops
+  // after the title being saved
+  async updateWeightedScores({ dryRun = false, signal } = {}) {
+    const contents = await Content.find({})
+    const changed = []
+
+    for (const content of contents) {
+      signal?.throwIfAborted()
+      const score = scoreService.forContent(content)
+      if (content.unifiedScore === score) continue
+
+      changed.push({ _id: content._id, title: content.title, before: content.unifiedScore, score })
+      if (!dryRun) {
+        content.unifiedScore = score
+        await content.save()
+      }
+    }
+
+    return { checked: contents.length, updated: dryRun ? 0 : changed.length, changed }
+  }
+
+  // Recount every rated title's user ratings and recompute its unified score; aborting
+  // `signal` stops after the title being saved
+  async recalculateUserRatings({ dryRun = false, signal } = {}) {
+    const stats = await User.aggregate([
+      { $unwind: '$ratings' },
+      {
+        $group: {
+          _id: '$ratings.content',
+          average: { $avg: '$ratings.rating' },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+
+    let updated = 0
+    const missing = []
+    const failed = []
+    for (const { _id, average, count } of stats) {
+      signal?.throwIfAborted()
+      const content = await Content.findById(_id)
+      if (!content) {
+        missing.push(_id)
+        continue
+      }
+
+      content.userRatingAverage = average
+      content.userRatingCount = count
+      content.unifiedScore = scoreService.forContent(content)
+      if (dryRun || !content.isModified()) continue
+
+      // One invalid title doesn't stop the others
+      try {
+        await content.save()
+        updated++
+      } catch (error) {
+        failed.push({ contentId: _id, message: error.message })
+      }
+    }
+
+    return { rated: stats.length, updated, missing, failed }
+  }
+}
+
+export default new MaintenanceService()
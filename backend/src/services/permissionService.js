@@ -0,0 +1,43 @@
+class PermissionService {
+  constructor() {
+    // Every account has the user role; moderator and admin are granted by admins
+    this.roles = ['user', 'moderator', 'admin']
+    this.grantableRoles = ['moderator', 'admin']
+
+    this.permissions = [
+      'bans:read',
+      'bans:write',
+      'content:read',
+      'content:edit',
+      'content:merge',
+      'content:delete',
+      'rankings:write',
+      'feedback:read',
+      'users:read',
+      'roles:write',
+      'jobs:read',
+      'jobs:write',
+    ]
+    this.rolePermissions = {
+      user: [],
+      moderator: ['bans:read', 'bans:write', 'content:read', 'content:edit', 'feedback:read'],
+      admin: this.permissions,
+    }
+  }
+
+  // Roles of a user; accounts from before roles existed are plain users
+  rolesOf(user) {
+    return user?.roles?.length ? user.roles : ['user']
+  }
+
+  permissionsOf(user) {
+    const permissions = this.rolesOf(user).flatMap((role) => this.rolePermissions[role] || [])
+    return [...new Set(permissions)]
+  }
+
+  can(user, permission) {
+    return this.permissionsOf(user).includes(permission)
+  }
+}
+
+export default new PermissionService()
@@ -0,0 +1,874 @@
+import Content from '../models/Content.js'
+import unifiedContentService from './unifiedContentService.js'
+import genreService from './genreService.js'
+import idMappingService from './idMappingService.js'
+import provenanceService from './provenanceService.js'
+import relationshipService from './relationshipService.js'
+import scoreService from './scoreService.js'
+import seriesMappingService from './seriesMappingService.js'
+import titleNormalizationService from './titleNormalizationService.js'
+
+// Adds and updates titles from TMDB's and MAL's listings (the populate-unified script and job)
+class PopulateService {
+  constructor() {
+    this.stats = this.emptyStats()
+    this.batchSize = 10
+    this.clearBatchSize = 500
+    this.delayBetweenBatches = 1000
+  }
+
+  emptyStats() {
+    return {
+      totalProcessed: 0,
+      newAdded: 0,
+      updated: 0,
+      merged: 0,
+      errors: 0,
+      skipped: 0,
+    }
+  }
+
+  async delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+  }
+
+  // Delete every title, trashed ones too, in batches small enough to record their revisions
+  async clearContent() {
+    const nextBatch = () =>
+      Content.find({})
+        .setOptions({ withDeleted: true })
+        .select('_id')
+        .limit(this.clearBatchSize)
+        .lean()
+
+    let batch = await nextBatch()
+    while (batch.length > 0) {
+      await Content.deleteMany({ _id: { $in: batch.map((content) => content._id) } })
+      batch = await nextBatch()
+    }
+  }
+
+  // Expects a database connection; returns the run's statistics. Aborting `signal` stops
+  // the run after the title being saved.
+  async populateDatabase(options = {}) {
+    const {
+      tmdbLimit = 50,
+      malLimit = 50,
+      skipTmdb = false,
+      skipMal = false,
+      clear = false,
+      signal,
+    } = options
+
+    this.stats = this.emptyStats()
+    console.log('Starting unified database population...')
+    console.log(`Target: ${tmdbLimit} TMDB items, ${malLimit} MAL items`)
+
+    try {
+      await genreService.refresh()
+
+      // Clear existing content if requested
+      if (clear) {
+        await this.clearContent()
+        console.log('Cleared existing content')
+      }
+
+      // Populate TMDB content
+      if (!skipTmdb) {
+        await this.populateTmdbContent(tmdbLimit, signal)
+      }
+
+      // Populate MAL content
+      if (!skipMal) {
+        await this.populateMalContent(malLimit, signal)
+      }
+      signal?.throwIfAborted()
+
+      const newGenres = await genreService.saveUnmapped()
+      if (newGenres > 0) {
+        console.log(`Added ${newGenres} new genres to the taxonomy`)
+      }
+
+      // Get final statistics
+      await this.printFinalStats()
+
+      console.log('Database population completed successfully!')
+      return this.stats
+    } catch (error) {
+      console.error('Database population failed:', error)
+      throw error
+    }
+  }
+
+  async populateTmdbContent(limit, signal) {
+    console.log('Populating TMDB animated content...')
+
+    let processed = 0
+    const pages = Math.ceil(limit / 20) // TMDB returns 20 per page
+
+    for (let page = 1; page <= pages && processed < limit; page++) {
+      signal?.throwIfAborted()
+      try {
+        console.log(`Processing TMDB page ${page}/${pages}`)
+
+        // Get movies
+        const movies = await unifiedContentService.getTmdbAnimatedMovies(page, 10)
+        for (const movie of movies) {
+          if (processed >= limit || signal?.aborted) break
+          await this.saveTmdbContent(movie, 'movie')
+          processed++
+        }
+
+        // Get TV shows
+        const tvShows = await unifiedContentService.getTmdbAnimatedTVShows(page, 10)
+        for (const tvShow of tvShows) {
+          if (processed >= limit || signal?.aborted) break
+          await this.saveTmdbContent(tvShow, 'tv')
+          processed++
+        }
+
+        await this.delay(500) // Rate limiting
+      } catch (error) {
+        console.error(`Error processing TMDB page ${page}:`, error.message)
+        this.stats.errors++
+      }
+    }
+
+    console.log(`TMDB population completed: ${processed} items processed`)
+  }
+
+  async populateMalContent(limit, signal) {
+    console.log('Populating MAL content (movies + TV shows)...')
+
+    let processed = 0
+    const movieLimit = Math.floor(limit / 2) // Half for movies
+    const tvLimit = limit - movieLimit // Half for TV shows
+
+    // Fetch MAL movies
+    console.log(`Fetching ${movieLimit} MAL movies...`)
+    const batches = Math.ceil(movieLimit / this.batchSize)
+    for (let batch = 0; batch < batches && processed < movieLimit; batch++) {
+      signal?.throwIfAborted()
+      try {
+        const offset = batch * this.batchSize
+        const batchLimit = Math.min(this.batchSize, movieLimit - processed)
+
+        console.log(`Processing MAL movies batch ${batch + 1}/${batches} (${batchLimit} items)`)
+
+        const movies = await unifiedContentService.getMalTopAnimeMovies(batchLimit, offset)
+
+        for (const movie of movies) {
+          if (processed >= movieLimit || signal?.aborted) break
+          await this.saveMalContent(movie)
+          processed++
+        }
+
+        await this.delay(this.delayBetweenBatches)
+      } catch (error) {
+        console.error(`Error processing MAL movies batch ${batch + 1}:`, error.message)
+        this.stats.errors++
+      }
+    }
+
+    // Fetch MAL TV shows
+    console.log(`Fetching ${tvLimit} MAL TV shows...`)
+    const tvBatches = Math.ceil(tvLimit / this.batchSize)
+    for (let batch = 0; batch < tvBatches && processed < limit; batch++) {
+      signal?.throwIfAborted()
+      try {
+        const offset = batch * this.batchSize
+        const batchLimit = Math.min(this.batchSize, tvLimit - (processed - movieLimit))
+
+        console.log(`Processing MAL TV batch ${batch + 1}/${tvBatches} (${batchLimit} items)`)
+
+        const tvShows = await unifiedContentService.getMalTopAnime(batchLimit, offset)
+
+        for (const tvShow of tvShows) {
+          if (processed >= limit || signal?.aborted) break
+          await this.saveMalContent(tvShow)
+          processed++
+        }
+
+        await this.delay(this.delayBetweenBatches)
+      } catch (error) {
+        console.error(`Error processing MAL TV batch ${batch + 1}:`, error.message)
+        this.stats.errors++
+      }
+    }
+
+    console.log(`MAL population completed: ${processed} items processed`)
+  }
+
+  async saveTmdbContent(tmdbData, contentType) {
+    try {
+      this.stats.totalProcessed++
+
+      // Get detailed TMDB information including genres
+      const detailedTmdbData = await unifiedContentService.getTmdbContentDetails(
+        tmdbData.id,
+        contentType,
+      )
+      if (!detailedTmdbData) {
+        console.log(`Could not get detailed info for TMDB ${contentType}: ${tmdbData.title}`)
+        this.stats.skipped++
+        return
+      }
+
+      const contentData = unifiedContentService.convertTmdbToContent(detailedTmdbData, contentType)
+
+      // Skip if convertTmdbToContent returned null (insufficient votes or null data)
+      if (!contentData) {
+        this.stats.skipped++
+        return
+      }
+
+      // Match by external IDs first, by title only when the IDs are unknown
+      const duplicates = await this.findLinkedContent(contentData)
+
+      if (duplicates.length > 0) {
+        const duplicate = duplicates[0] // Take the first match
+        const existingContent = duplicate.content
+
+        // Merge TMDB data into existing content
+        await this.mergeTmdbIntoExisting(existingContent, contentData, detailedTmdbData)
+        this.stats.merged++
+        console.log(
+          `Merged TMDB data into existing content (${duplicate.reason}): ${contentData.title}`,
+        )
+      } else {
+        // Create new content with unified score and relationships
+        contentData.unifiedScore = scoreService.calculateUnifiedScore(
+          contentData.voteAverage,
+          contentData.voteCount,
+          null,
+          null,
+          null,
+          0,
+        )
+        // If calculation returns null, fallback to voteAverage
+        if (!contentData.unifiedScore && contentData.voteAverage) {
+          contentData.unifiedScore = contentData.voteAverage
+        }
+
+        // Initialize user rating fields
+        contentData.userRatingAverage = null
+        contentData.userRatingCount = 0
+
+        // Process relationships for new content
+        const relationships = await relationshipService.detectRelationshipsFromExternalData(
+          detailedTmdbData,
+          'tmdb',
+        )
+        if (relationships.franchise) {
+          contentData.franchise = relationships.franchise.name
+          contentData.relationships = {
+            sequels: [],
+            prequels: [],
+            related: [],
+            franchise: relationships.franchise.name,
+          }
+        }
+
+        // Deduplicate genres before saving new content
+        if (contentData.genres) {
+          contentData.genres = this.deduplicateGenres(contentData.genres)
+        }
+
+        const newContent = new Content()
+        provenanceService.assign(newContent, 'tmdb', contentData)
+        await newContent.save()
+        this.stats.newAdded++
+        console.log(`Added TMDB ${contentType}: ${contentData.title}`)
+      }
+    } catch (error) {
+      console.error(`Error saving TMDB content:`, error.message)
+      this.stats.errors++
+    }
+  }
+
+  /**
+   * Existing content that incoming data belongs to. The same TMDB ID, or a MAL entry the ID
+   * cross-reference table links to, decides without looking at titles. A title the table
+   * covers is never matched by title, so a mapping with no TMDB counterpart stays standalone.
+   * Trashed titles are matched too: they keep getting updates but aren't added again.
+   */
+  async findLinkedContent(contentData) {
+    if (contentData.tmdbId) {
+      const sameTmdb = await Content.findOne({
+        tmdbId: contentData.tmdbId,
+        contentType: contentData.contentType,
+      })
+        .setOptions({ withDeleted: true })
+        .select('+provenance')
+      if (sameTmdb) {
+        return [{ content: sameTmdb, reason: 'tmdb_id' }]
+      }
+
+      const mappings = await idMappingService.findForTmdb(
+        contentData.tmdbId,
+        contentData.contentType,
+      )
+      if (mappings.length > 0) {
+        const malIds = mappings.map((mapping) => mapping.malId)
+        const linked = await Content.findOne({
+          $or: [{ malId: { $in: malIds } }, { 'malSeasons.malId': { $in: malIds } }],
+          tmdbId: null,
+        })
+          .setOptions({ withDeleted: true })
+          .select('+provenance')
+        return linked ? [{ content: linked, reason: 'id_mapping' }] : []
+      }
+    }
+
+    if (contentData.malId) {
+      const mapping = await idMappingService.findForMal(contentData.malId)
+      if (mapping) {
+        if (mapping.tmdbId == null) return []
+        const linked = await Content.findOne({
+          tmdbId: mapping.tmdbId,
+          contentType: mapping.tmdbType,
+        })
+          .setOptions({ withDeleted: true })
+          .select('+provenance')
+        return linked ? [{ content: linked, reason: 'id_mapping' }] : []
+      }
+    }
+
+    return this.findDuplicateContent(contentData)
+  }
+
+  // Title-based deduplication, for titles the ID cross-reference table doesn't cover
+  async findDuplicateContent(contentData) {
+    const duplicates = []
+
+    // Script-normalized titles catch romaji/kana/kanji and long-vowel spelling differences
+    const normalizedTitles = titleNormalizationService.normalizeAll([
+      contentData.title,
+      contentData.originalTitle,
+      ...(contentData.alternativeTitles || []),
+    ])
+    if (normalizedTitles.length > 0) {
+      const byNormalizedTitle = await Content.find({
+        normalizedTitles: { $in: normalizedTitles },
+        contentType: contentData.contentType,
+      })
+        .setOptions({ withDeleted: true })
+        .select('+provenance')
+        .limit(5)
+
+      for (const candidate of byNormalizedTitle) {
+        if (
+          this.isLikelySameContent(contentData, candidate) &&
+          !(await idMappingService.contradicts(contentData, candidate))
+        ) {
+          duplicates.push({ content: candidate, reason: 'title_match' })
+        }
+      }
+    }
+
+    const titleVariations = this.generateTitleVariations(contentData.title)
+
+    for (const title of titleVariations) {
+      const byTitle = await Content.findOne({
+        $or: [
+          { title: { $regex: new RegExp(title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') } },
+          {
+            alternativeTitles: {
+              $regex: new RegExp(title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'),
+            },
+          },
+        ],
+        contentType: contentData.contentType,
+      })
+        .setOptions({ withDeleted: true })
+        .select('+provenance')
+
+      if (byTitle && !duplicates.some((d) => d.content._id.equals(byTitle._id))) {
+        // Additional fact checking to ensure it's the same content
+        if (
+          this.isLikelySameContent(contentData, byTitle) &&
+          !(await idMappingService.contradicts(contentData, byTitle))
+        ) {
+          duplicates.push({ content: byTitle, reason: 'title_match' })
+        }
+      }
+    }
+
+    return duplicates
+  }
+
+  // Generate title variations for better matching
+  generateTitleVariations(title) {
+    const variations = [title]
+
+    // Normalize title (remove special chars, lowercase for comparison)
+    const normalized = title.toLowerCase().trim()
+    variations.push(normalized)
+
+    // Remove common suffixes/prefixes
+    const cleaned = normalized
+      .replace(/\s*\(.*?\)\s*/g, '') // Remove parentheses
+      .replace(/\s*:.*$/g, '') // Remove colons and everything after
+      .replace(/\s*-\s*.*$/g, '') // Remove dashes and everything after
+      .replace(/\s*season\s*\d+.*$/gi, '') // Remove season info
+      .replace(/\s*movie.*$/gi, '') // Remove "Movie" suffix
+      .replace(/\s*the\s+/gi, '') // Remove "The" prefix
+      .replace(/[^\w\s]/g, '') // Remove special characters
+      .trim()
+
+    if (cleaned !== normalized && cleaned.length > 2) {
+      variations.push(cleaned)
+    }
+
+    // Also try with original title (in case it's in alternativeTitles)
+    const originalCleaned = title
+      .replace(/\s*\(.*?\)\s*/g, '')
+      .replace(/\s*:.*$/g, '')
+      .replace(/\s*-\s*.*$/g, '')
+      .trim()
+
+    if (originalCleaned !== title && originalCleaned.length > 2) {
+      variations.push(originalCleaned.toLowerCase())
+    }
+
+    return [...new Set(variations)].filter((v) => v && v.length > 2)
+  }
+
+  // Fact checking to determine if content is likely the same
+  // Made more lenient to catch TMDB/MAL duplicates
+  isLikelySameContent(newContent, existingContent) {
+    // If either content is missing release date, skip year check (more lenient)
+    if (newContent.releaseDate && existingContent.releaseDate) {
+      const newYear = new Date(newContent.releaseDate).getFullYear()
+      const existingYear = new Date(existingContent.releaseDate).getFullYear()
+      const yearDiff = Math.abs(newYear - existingYear)
+
+      // More lenient: Movies within 2 years, TV shows within 3 years
+      const maxYearDiff = newContent.contentType === 'movie' ? 2 : 3
+      if (yearDiff > maxYearDiff) {
+        console.log(
+          `Year mismatch: ${newContent.title} (${newYear}) vs ${existingContent.title} (${existingYear})`,
+        )
+        return false
+      }
+    }
+    // If one is missing release date, continue (don't reject match)
+
+    // Series with mapped MAL seasons only take MAL entries through their mappings;
+    // an unmapped cour would otherwise replace the series' MAL data
+    if (newContent.malId && existingContent.malSeasons?.length > 0) {
+      console.log(
+        `Unmapped MAL entry: ${newContent.title} is not a season of ${existingContent.title}`,
+      )
+      return false
+    }
+
+    // Check content type
+    if (newContent.contentType !== existingContent.contentType) {
+      console.log(
+        `Content type mismatch: ${newContent.title} (${newContent.contentType}) vs ${existingContent.title} (${existingContent.contentType})`,
+      )
+      return false
+    }
+
+    // More lenient genre checking - if genres exist, check overlap, but don't require strict match
+    const newGenres = genreService.resolve(null, newContent.genres).map((g) => g.slug)
+    const existingGenres = genreService.resolve(null, existingContent.genres).map((g) => g.slug)
+    
+    // If both have genres, check for overlap (more lenient)
+    if (newGenres.length > 0 && existingGenres.length > 0) {
+      const commonGenres = newGenres.filter((g) => existingGenres.includes(g))
+      // Require at least 1 common genre (more lenient than before)
+      if (commonGenres.length === 0) {
+        console.log(
+          `No common genres: ${newContent.title} vs ${existingContent.title}`,
+        )
+        console.log(`   New genres: ${newGenres.join(', ')}`)
+        console.log(`   Existing genres: ${existingGenres.join(', ')}`)
+        return false
+      }
+    }
+    // If one has no genres, continue (don't reject match)
+
+    // More lenient episode count check for TV shows (within 10 episodes instead of 5)
+    if (newContent.contentType === 'tv') {
+      const newEpisodes = newContent.episodeCount || newContent.malEpisodes
+      const existingEpisodes = existingContent.episodeCount || existingContent.malEpisodes
+      if (newEpisodes && existingEpisodes && Math.abs(newEpisodes - existingEpisodes) > 10) {
+        console.log(
+          `Episode count mismatch: ${newContent.title} (${newEpisodes}) vs ${existingContent.title} (${existingEpisodes})`,
+        )
+        return false
+      }
+    }
+    // If one is missing episode count, continue (don't reject match)
+
+    // More lenient runtime check for movies (within 45 minutes instead of 30)
+    if (newContent.contentType === 'movie') {
+      const newRuntime = newContent.runtime
+      const existingRuntime = existingContent.runtime
+      if (newRuntime && existingRuntime && Math.abs(newRuntime - existingRuntime) > 45) {
+        console.log(
+          `Runtime mismatch: ${newContent.title} (${newRuntime}min) vs ${existingContent.title} (${existingRuntime}min)`,
+        )
+        return false
+      }
+    }
+    // If one is missing runtime, continue (don't reject match)
+
+    console.log(`Content match confirmed: ${newContent.title} ≈ ${existingContent.title}`)
+    return true
+  }
+
+  async saveMalContent(malData) {
+    try {
+      this.stats.totalProcessed++
+
+      const contentData = unifiedContentService.convertMalToContent(malData)
+      const malId = malData.node?.id || malData.id
+
+      // Entries mapped to a season of a TMDB series become that season, not a title of their own
+      if (await this.attachMappedSeason(malId, contentData)) {
+        return
+      }
+
+      // Check if content already exists by malId
+      const existingContent = await Content.findOne({ malId: malId })
+        .setOptions({ withDeleted: true })
+        .select('+provenance')
+
+      if (existingContent) {
+        // Update existing content, except fields an admin locked
+        provenanceService.assign(existingContent, 'mal', contentData)
+        // Deduplicate genres when updating
+        if (existingContent.genres) {
+          existingContent.genres = this.deduplicateGenres(existingContent.genres)
+        }
+        existingContent.lastUpdated = new Date()
+        await existingContent.save()
+        this.stats.updated++
+        console.log(`Updated MAL content: ${contentData.title}`)
+      } else {
+        // Use the ID cross-reference table, falling back to title matching
+        const duplicates = await this.findLinkedContent(contentData)
+
+        if (duplicates.length > 0) {
+          const duplicate = duplicates[0] // Take the first match
+          const existingContent = duplicate.content
+
+          await this.mergeMalIntoExisting(existingContent, contentData)
+          this.stats.merged++
+          console.log(
+            `Merged MAL data into existing content (${duplicate.reason}): ${contentData.title}`,
+          )
+        } else {
+          // Create new content with MAL priority for anime and relationships
+          const relationships = await relationshipService.detectRelationshipsFromExternalData(
+            malData,
+            'mal',
+          )
+
+          const contentWithRelationships = {
+            ...contentData,
+            unifiedScore:
+              scoreService.calculateUnifiedScore(
+                null,
+                null,
+                contentData.malScore,
+                contentData.malScoredBy,
+                null,
+                0,
+              ) ||
+              contentData.malScore ||
+              0,
+            userRatingAverage: null,
+            userRatingCount: 0,
+            dataSources: {
+              mal: { hasData: true, lastUpdated: new Date() },
+              tmdb: { hasData: false },
+            },
+            lastUpdated: new Date(),
+          }
+
+          if (relationships.franchise) {
+            contentWithRelationships.franchise = relationships.franchise.name
+            contentWithRelationships.relationships = {
+              sequels: [],
+              prequels: [],
+              related: [],
+              franchise: relationships.franchise.name,
+            }
+          }
+
+          // Deduplicate genres before saving new content
+          if (contentWithRelationships.genres) {
+            contentWithRelationships.genres = this.deduplicateGenres(
+              contentWithRelationships.genres,
+            )
+          }
+
+          const newContent = new Content()
+          provenanceService.assign(newContent, 'mal', contentWithRelationships)
+          await newContent.save()
+          this.stats.newAdded++
+          console.log(`Added MAL ${contentData.contentType}: ${contentData.title}`)
+        }
+      }
+    } catch (error) {
+      console.error(`Error saving MAL content:`, error.message)
+      this.stats.errors++
+    }
+  }
+
+  // Store a mapped MAL entry on its TMDB series; false if it isn't mapped or the series isn't stored
+  async attachMappedSeason(malId, contentData) {
+    const mapping = await seriesMappingService.findByMalId(malId)
+    if (!mapping) return false
+
+    const series = await Content.findOne({ tmdbId: mapping.tmdbId, contentType: 'tv' }).setOptions({
+      withDeleted: true,
+    })
+    if (!series) return false
+
+    seriesMappingService.attach(series, mapping, contentData)
+    series.unifiedScore = scoreService.forContent(series) || series.voteAverage || 0
+    series.dataSources.mal = {
+      hasData: true,
+      lastUpdated: new Date(),
+    }
+    series.lastUpdated = new Date()
+    await series.save()
+
+    this.stats.merged++
+    console.log(
+      `Mapped MAL entry ${contentData.title} to season ${mapping.seasonNumber} of ${series.title}`,
+    )
+    return true
+  }
+
+  // Enhanced merge method for TMDB data
+  // Helper function to deduplicate genres by canonical slug
+  // (older documents may still hold raw source genres, which are mapped by name)
+  deduplicateGenres(genres) {
+    return genreService.resolve(null, genres)
+  }
+
+  async mergeTmdbIntoExisting(existingContent, tmdbData, detailedTmdbData) {
+    // Keep what TMDB says about the shared fields, even where the stored values stay
+    provenanceService.record(existingContent, 'tmdb', tmdbData)
+
+    // Merge TMDB-specific fields
+    existingContent.tmdbId = tmdbData.tmdbId
+    existingContent.voteAverage = tmdbData.voteAverage
+    existingContent.voteCount = tmdbData.voteCount
+    existingContent.popularity = tmdbData.popularity
+
+    // Merge arrays
+    provenanceService.set(
+      existingContent,
+      'studios',
+      [...new Set([...(existingContent.studios || []), ...(tmdbData.studios || [])])],
+      'tmdb',
+    )
+    existingContent.alternativeTitles = [
+      ...new Set([
+        ...(existingContent.alternativeTitles || []),
+        ...(tmdbData.alternativeTitles || []),
+      ]),
+    ]
+    // Properly deduplicate genres by canonical slug
+    provenanceService.set(
+      existingContent,
+      'genres',
+      this.deduplicateGenres([...(existingContent.genres || []), ...(tmdbData.genres || [])]),
+      'tmdb',
+    )
+
+    // Calculate unified score with weighted calculation (including user ratings)
+    if (existingContent.malScore && tmdbData.voteAverage) {
+      existingContent.unifiedScore = scoreService.calculateUnifiedScore(
+        tmdbData.voteAverage,
+        tmdbData.voteCount,
+        existingContent.malScore,
+        existingContent.malScoredBy,
+        existingContent.userRatingAverage,
+        existingContent.userRatingCount,
+      )
+    } else {
+      existingContent.unifiedScore = tmdbData.voteAverage || existingContent.malScore || 0
+    }
+
+    // Process relationships during merge
+    await relationshipService.processRelationshipsDuringMerge(
+      existingContent,
+      detailedTmdbData,
+      'tmdb',
+    )
+
+    // Update data sources
+    existingContent.dataSources.tmdb = {
+      hasData: true,
+      lastUpdated: new Date(),
+    }
+
+    existingContent.lastUpdated = new Date()
+    await existingContent.save()
+  }
+
+  // Enhanced merge method that prioritizes MAL for anime
+  async mergeMalIntoExisting(existingContent, malData) {
+    // Keep what MAL says about the shared fields, even where the stored values stay
+    provenanceService.record(existingContent, 'mal', malData)
+
+    // For anime content, prioritize MAL data but be conservative about overwriting
+    // (locked fields are never overwritten)
+    const isAnime = this.isAnimeContent(malData)
+
+    if (isAnime) {
+      // Only overwrite title if MAL title is significantly different and more complete
+      // Don't overwrite English titles with Japanese titles unless the English title is missing
+      if (!existingContent.title || existingContent.title.length < malData.title.length) {
+        provenanceService.set(existingContent, 'title', malData.title, 'mal')
+      }
+
+      // Only overwrite overview if existing one is empty or much shorter
+      if (!existingContent.overview || existingContent.overview.length < malData.overview.length) {
+        provenanceService.set(existingContent, 'overview', malData.overview, 'mal')
+      }
+
+      // Only overwrite poster if existing one is missing
+      if (!existingContent.posterPath) {
+        provenanceService.set(existingContent, 'posterPath', malData.posterPath, 'mal')
+      }
+
+      // Only overwrite release date if existing one is missing
+      if (!existingContent.releaseDate) {
+        provenanceService.set(existingContent, 'releaseDate', malData.releaseDate, 'mal')
+      }
+    }
+
+    // Always merge MAL-specific fields
+    existingContent.malId = malData.malId
+    existingContent.malScore = malData.malScore
+    existingContent.malScoredBy = malData.malScoredBy
+    existingContent.malRank = malData.malRank
+    existingContent.malStatus = malData.malStatus
+    existingContent.malEpisodes = malData.malEpisodes
+    existingContent.malSource = malData.malSource
+    existingContent.malRating = malData.malRating
+    // MAL's broadcast season is more precise than a TMDB first air date
+    if (malData.airingSeason) {
+      provenanceService.set(existingContent, 'airingSeason', malData.airingSeason, 'mal')
+    }
+    // TMDB only knows movie or TV; MAL can tell an OVA or special apart
+    if (malData.format) {
+      provenanceService.set(existingContent, 'format', malData.format, 'mal')
+    }
+
+    // Merge arrays
+    provenanceService.set(
+      existingContent,
+      'studios',
+      [...new Set([...(existingContent.studios || []), ...(malData.studios || [])])],
+      'mal',
+    )
+    existingContent.alternativeTitles = [
+      ...new Set([
+        ...(existingContent.alternativeTitles || []),
+        ...(malData.alternativeTitles || []),
+      ]),
+    ]
+    // Properly deduplicate genres by canonical slug
+    provenanceService.set(
+      existingContent,
+      'genres',
+      this.deduplicateGenres([...(existingContent.genres || []), ...(malData.genres || [])]),
+      'mal',
+    )
+
+    // Calculate unified score with MAL priority (including user ratings)
+    if (existingContent.voteAverage && malData.malScore) {
+      existingContent.unifiedScore = scoreService.calculateUnifiedScore(
+        existingContent.voteAverage,
+        existingContent.voteCount,
+        malData.malScore,
+        malData.malScoredBy,
+        existingContent.userRatingAverage,
+        existingContent.userRatingCount,
+      )
+    } else {
+      existingContent.unifiedScore = malData.malScore || existingContent.voteAverage || 0
+    }
+
+    // Process relationships during merge
+    await relationshipService.processRelationshipsDuringMerge(existingContent, malData, 'mal')
+
+    // Preserve existing dataSources and add MAL data
+    if (!existingContent.dataSources) {
+      existingContent.dataSources = {}
+    }
+    existingContent.dataSources.mal = {
+      hasData: true,
+      lastUpdated: new Date(),
+    }
+    existingContent.lastUpdated = new Date()
+
+    await existingContent.save()
+  }
+
+  // Check if content is anime (Japanese animation)
+  isAnimeContent(contentData) {
+    const animeKeywords = ['anime', 'manga', 'japanese', 'japan']
+    const title = (contentData.title || '').toLowerCase()
+    const overview = (contentData.overview || '').toLowerCase()
+    const studios = (contentData.studios || []).map((s) => s.toLowerCase())
+
+    return animeKeywords.some(
+      (keyword) =>
+        title.includes(keyword) ||
+        overview.includes(keyword) ||
+        studios.some((studio) => studio.includes(keyword)),
+    )
+  }
+
+  async printFinalStats() {
+    console.log('\nPopulation Statistics:')
+    console.log(`   Total processed: ${this.stats.totalProcessed}`)
+    console.log(`   New content added: ${this.stats.newAdded}`)
+    console.log(`   Content updated: ${this.stats.updated}`)
+    console.log(`   Content merged: ${this.stats.merged}`)
+    console.log(`   Errors: ${this.stats.errors}`)
+    console.log(`   Skipped: ${this.stats.skipped}`)
+
+    // Database statistics
+    const totalContent = await Content.countDocuments()
+    const tmdbOnlyContent = await Content.countDocuments({
+      tmdbId: { $exists: true },
+      malId: { $exists: false },
+    })
+    const malOnlyContent = await Content.countDocuments({
+      malId: { $exists: true },
+      tmdbId: { $exists: false },
+    })
+    const mergedContent = await Content.countDocuments({
+      tmdbId: { $exists: true },
+      malId: { $exists: true },
+    })
+
+    console.log('\nDatabase Statistics:')
+    console.log(`   Total content: ${totalContent}`)
+    console.log(`   TMDB-only content: ${tmdbOnlyContent}`)
+    console.log(`   MAL-only content: ${malOnlyContent}`)
+    console.log(`   Merged content: ${mergedContent}`)
+
+    // Content type breakdown
+    const movies = await Content.countDocuments({ contentType: 'movie' })
+    const tvShows = await Content.countDocuments({ contentType: 'tv' })
+
+    console.log('\nContent Type Breakdown:')
+    console.log(`   Movies: ${movies}`)
+    console.log(`   TV Shows: ${tvShows}`)
+  }
+}
+
+export default new PopulateService()
@@ -0,0 +1,168 @@
+class ProvenanceService {
+  constructor() {
+    // Fields whose origin is tracked per source, and which admins can lock
+    this.trackedFields = [
+      'title',
+      'originalTitle',
+      'overview',
+      'posterPath',
+      'backdropPath',
+      'releaseDate',
+      'runtime',
+      'episodeCount',
+      'seasonCount',
+      'format',
+      'airingSeason',
+      'genres',
+      'studios',
+    ]
+    this.sources = ['tmdb', 'mal']
+    this.seasonLength = 92 * 24 * 60 * 60 * 1000
+  }
+
+  isTracked(field) {
+    return this.trackedFields.includes(field)
+  }
+
+  isLocked(content, field) {
+    return (content.lockedFields || []).some((lock) => lock.field === field)
+  }
+
+  // Plain value for storing and comparing (mongoose arrays and subdocuments included)
+  plain(value) {
+    if (value == null) return null
+    if (typeof value.toObject === 'function') return value.toObject()
+    if (Array.isArray(value)) return value.map((item) => this.plain(item))
+    return value
+  }
+
+  // A field's provenance entry, created when missing
+  entry(content, field) {
+    if (!content.isSelected('provenance')) {
+      throw new Error('Content must be loaded with +provenance to track field sources')
+    }
+    if (!content.provenance) content.provenance = {}
+    if (!content.provenance.get(field)) content.provenance.set(field, {})
+    return content.provenance.get(field)
+  }
+
+  /**
+   * Remember what a source says about each tracked field in `data`, whether or not the
+   * value ends up stored. Documents must be loaded with `+provenance`.
+   */
+  record(content, source, data, fetchedAt = new Date()) {
+    for (const field of this.trackedFields) {
+      if (data[field] === undefined) continue
+      this.entry(content, field)[source] = { value: this.plain(data[field]), fetchedAt }
+    }
+  }
+
+  /**
+   * Store a field's value on behalf of a source, unless an admin locked the field.
+   * Returns whether the value was stored.
+   */
+  set(content, field, value, source, fetchedAt = new Date()) {
+    if (this.isLocked(content, field)) return false
+
+    content.set(field, value)
+    if (this.isTracked(field)) {
+      Object.assign(this.entry(content, field), { source, fetchedAt })
+    }
+    return true
+  }
+
+  // Overwrite content with everything a source returned, except locked fields
+  assign(content, source, data, fetchedAt = new Date()) {
+    this.record(content, source, data, fetchedAt)
+    for (const [field, value] of Object.entries(data)) {
+      if (field === 'dataSources') {
+        // Only this source's entry; the other source's stays as it is
+        content.set(`dataSources.${source}`, value[source])
+      } else {
+        this.set(content, field, value, source, fetchedAt)
+      }
+    }
+  }
+
+  // Store an admin's value; the next sync overwrites it unless the field is locked
+  edit(content, field, value) {
+    content.set(field, value)
+    if (this.isTracked(field)) {
+      Object.assign(this.entry(content, field), { source: 'manual', fetchedAt: new Date() })
+    }
+  }
+
+  // Pin a field to a manual value that syncs leave alone
+  lock(content, field, value, userId, reason) {
+    this.edit(content, field, value)
+
+    content.lockedFields = (content.lockedFields || []).filter((lock) => lock.field !== field)
+    content.lockedFields.push({ field, reason, lockedBy: userId, lockedAt: new Date() })
+  }
+
+  // Release a lock and go back to the most recently fetched source value, if there is one
+  unlock(content, field) {
+    content.lockedFields = (content.lockedFields || []).filter((lock) => lock.field !== field)
+
+    const entry = content.provenance?.get(field)
+    const latest = this.sources
+      .map((source) => ({ source, ...this.plain(entry?.[source]) }))
+      .filter((fetched) => fetched.fetchedAt)
+      .sort((a, b) => b.fetchedAt - a.fetchedAt)[0]
+    if (latest) {
+      this.set(content, field, latest.value, latest.source, latest.fetchedAt)
+    }
+  }
+
+  // Comparable form: text ignoring case and spacing, lists as sorted sets
+  comparable(value) {
+    if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase()
+    if (Array.isArray(value)) {
+      return JSON.stringify(
+        value.map((item) => (typeof item === 'object' ? item.slug || item.name : item)).sort(),
+      )
+    }
+    if (typeof value === 'object') return JSON.stringify(value)
+    return value
+  }
+
+  // Whether two sources agree on a field. MAL dates are the first day of the broadcast
+  // season, so release dates agree within a season.
+  agree(field, a, b) {
+    if (field === 'releaseDate') {
+      return Math.abs(new Date(a) - new Date(b)) <= this.seasonLength
+    }
+    return this.comparable(a) === this.comparable(b)
+  }
+
+  /**
+   * Where each tracked field's stored value came from, what each source says about it,
+   * and whether it is locked
+   */
+  report(content) {
+    return this.trackedFields.map((field) => {
+      const entry = this.plain(content.provenance?.get(field)) || {}
+      const lock = (content.lockedFields || []).find((item) => item.field === field)
+      return {
+        field,
+        value: this.plain(content.get(field)),
+        source: entry.source || null,
+        fetchedAt: entry.fetchedAt || null,
+        locked: lock ? this.plain(lock) : null,
+        tmdb: entry.tmdb || null,
+        mal: entry.mal || null,
+      }
+    })
+  }
+
+  // Tracked fields where TMDB and MAL disagree
+  conflicts(content) {
+    const known = (fetched) => fetched && fetched.value != null && fetched.value !== ''
+    return this.report(content).filter(
+      ({ field, tmdb, mal }) =>
+        known(tmdb) && known(mal) && !this.agree(field, tmdb.value, mal.value),
+    )
+  }
+}
+
+export default new ProvenanceService()
@@ -0,0 +1,140 @@
+import Content from '../models/Content.js'
+import rankingService from './rankingService.js'
+
+class RankingScoreService {
+  constructor() {
+    this.batchSize = 500
+    // Floating point noise allowed when comparing a stored score with a recomputed one
+    this.tolerance = 1e-6
+  }
+
+  getIndexSpecs(profile) {
+    const field = rankingService.getScoreField(profile)
+    return [
+      { contentType: 1, [field]: -1, _id: -1 },
+      { [field]: -1, _id: -1 },
+    ]
+  }
+
+  /**
+   * Create the browse indexes for profiles that are not declared on the schema
+   */
+  async ensureIndexes(profiles) {
+    for (const profile of profiles) {
+      for (const spec of this.getIndexSpecs(profile)) {
+        await Content.collection.createIndex(spec, { background: true })
+      }
+    }
+  }
+
+  async dropIndexes(name) {
+    const key = String(name).toLowerCase()
+    if (rankingService.builtInProfiles[key]) return
+
+    for (const spec of this.getIndexSpecs({ name: key })) {
+      try {
+        await Content.collection.dropIndex(spec)
+      } catch (error) {
+        // Already gone
+        if (error.codeName !== 'IndexNotFound') throw error
+      }
+    }
+  }
+
+  /**
+   * Why a document's stored scores can't be trusted, or null if they are current
+   */
+  getStaleReason(doc, { profiles, signature, decays, now }) {
+    if (!doc.rankingScores || !doc.rankingScoredAt) return 'missing'
+    if (doc.rankingSignature !== signature) return 'signature'
+
+    const scoredAt = new Date(doc.rankingScoredAt)
+    if (decays && now.getTime() - scoredAt.getTime() > rankingService.maxScoreAge) {
+      return 'expired'
+    }
+
+    // Recompute as of when it was scored; a difference means the inputs changed behind the hook
+    const expected = rankingService.computeScores(profiles, doc, scoredAt)
+    const mismatched = profiles.some((profile) => {
+      const stored = doc.rankingScores[profile.name]
+      return (
+        typeof stored !== 'number' || Math.abs(stored - expected[profile.name]) > this.tolerance
+      )
+    })
+    return mismatched ? 'mismatched' : null
+  }
+
+  /**
+   * Scan all content, detect stale ranking scores and rewrite them.
+   * With dryRun the scan only reports what it would repair. Aborting `signal` stops the scan.
+   */
+  async repair({ dryRun = false, log = () => {}, signal } = {}) {
+    const { profiles, signature } = await rankingService.getScoringProfiles()
+    const context = {
+      profiles,
+      signature,
+      decays: rankingService.hasTimeDecay(profiles),
+      now: new Date(),
+    }
+
+    const report = {
+      checked: 0,
+      stale: { missing: 0, signature: 0, expired: 0, mismatched: 0 },
+      repaired: 0,
+      dryRun,
+    }
+
+    const cursor = Content.find({})
+      .select([
+        ...rankingService.inputFields,
+        'rankingScores',
+        'rankingSignature',
+        'rankingScoredAt',
+      ])
+      .lean()
+      .cursor({ batchSize: this.batchSize })
+
+    let operations = []
+    const flush = async () => {
+      if (operations.length === 0) return
+      if (!dryRun) {
+        await Content.bulkWrite(operations, { ordered: false })
+        report.repaired += operations.length
+      }
+      operations = []
+      log(`Checked ${report.checked}, ${dryRun ? 'found' : 'repaired'} ${this.countStale(report)}`)
+    }
+
+    for await (const doc of cursor) {
+      signal?.throwIfAborted()
+      report.checked++
+      const reason = this.getStaleReason(doc, context)
+      if (!reason) continue
+
+      report.stale[reason]++
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: {
+            $set: {
+              rankingScores: rankingService.computeScores(profiles, doc, context.now),
+              rankingSignature: signature,
+              rankingScoredAt: context.now,
+            },
+          },
+        },
+      })
+
+      if (operations.length >= this.batchSize) await flush()
+    }
+    await flush()
+
+    return report
+  }
+
+  countStale(report) {
+    return Object.values(report.stale).reduce((total, count) => total + count, 0)
+  }
+}
+
+export default new RankingScoreService()
@@ -0,0 +1,339 @@
+import crypto from 'crypto'
+import RankingProfile from '../models/RankingProfile.js'
+
+class RankingService {
+  constructor() {
+    this.defaultProfileName = 'default'
+    this.components = ['unifiedScore', 'popularity', 'recency', 'userRatings', 'source']
+    // Content fields the score depends on; changing any of them means re-scoring
+    this.inputFields = [
+      'unifiedScore',
+      'popularity',
+      'releaseDate',
+      'userRatingAverage',
+      'userRatingCount',
+      'tmdbId',
+      'malId',
+    ]
+    // Recency decays continuously, so stored scores are refreshed at least this often
+    this.maxScoreAge = 24 * 60 * 60 * 1000
+
+    // Built-in profiles, used until an admin saves an override with the same name
+    this.builtInProfiles = {
+      default: {
+        description: 'Rating first, with a small boost for popular titles and TMDB coverage',
+        weights: { unifiedScore: 1, popularity: 0.3, recency: 0, userRatings: 0.2, source: 0.5 },
+        sourceBoosts: { tmdb: 2, mal: 0 },
+      },
+      popular: {
+        description: 'What people are watching right now',
+        weights: { unifiedScore: 0.3, popularity: 1, recency: 0.3, userRatings: 0.1, source: 0 },
+      },
+      'top-rated': {
+        description: 'Highest rated across TMDB, MAL and our users',
+        weights: { unifiedScore: 1, popularity: 0.1, recency: 0, userRatings: 0.5, source: 0 },
+      },
+      fresh: {
+        description: 'Recent releases, still favouring well rated ones',
+        weights: { unifiedScore: 0.5, popularity: 0.2, recency: 1, userRatings: 0.1, source: 0 },
+        recencyHalfLifeDays: 180,
+      },
+    }
+
+    // Profiles are read on every listing request, so cache them briefly
+    this.cache = new Map()
+    this.cacheTimeout = 60 * 1000
+  }
+
+  /**
+   * Fill in defaults so built-in and stored profiles have the same shape
+   */
+  normalizeProfile(name, data = {}, isBuiltIn = false) {
+    return {
+      name,
+      description: data.description || '',
+      weights: Object.fromEntries(
+        this.components.map((component) => [component, data.weights?.[component] ?? 0]),
+      ),
+      recencyHalfLifeDays: data.recencyHalfLifeDays || 365,
+      userRatingConfidenceCount: data.userRatingConfidenceCount || 20,
+      sourceBoosts: {
+        tmdb: data.sourceBoosts?.tmdb ?? 0,
+        mal: data.sourceBoosts?.mal ?? 0,
+      },
+      isBuiltIn,
+      updatedAt: data.updatedAt || null,
+    }
+  }
+
+  /**
+   * Look up a profile by name; stored profiles override built-ins. Returns null if unknown.
+   */
+  async getProfile(name = this.defaultProfileName) {
+    const key = String(name).toLowerCase()
+    const cached = this.cache.get(key)
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.data
+    }
+
+    const stored = await RankingProfile.findOne({ name: key }).lean()
+    let profile = null
+    if (stored) {
+      profile = this.normalizeProfile(key, stored, !!this.builtInProfiles[key])
+    } else if (this.builtInProfiles[key]) {
+      profile = this.normalizeProfile(key, this.builtInProfiles[key], true)
+    }
+
+    this.cache.set(key, { data: profile, timestamp: Date.now() })
+    return profile
+  }
+
+  /**
+   * All profiles, stored overrides merged over built-ins
+   */
+  async listProfiles() {
+    const stored = await RankingProfile.find({}).sort({ name: 1 }).lean()
+    const profiles = new Map(
+      Object.entries(this.builtInProfiles).map(([name, data]) => [
+        name,
+        this.normalizeProfile(name, data, true),
+      ]),
+    )
+
+    for (const profile of stored) {
+      profiles.set(
+        profile.name,
+        this.normalizeProfile(profile.name, profile, !!this.builtInProfiles[profile.name]),
+      )
+    }
+
+    return [...profiles.values()]
+  }
+
+  async saveProfile(name, data, userId) {
+    const profile = await RankingProfile.findOneAndUpdate(
+      { name: String(name).toLowerCase() },
+      { ...data, name: String(name).toLowerCase(), updatedBy: userId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true },
+    )
+    this.cache.clear()
+    return this.normalizeProfile(
+      profile.name,
+      profile.toObject(),
+      !!this.builtInProfiles[profile.name],
+    )
+  }
+
+  async deleteProfile(name) {
+    const result = await RankingProfile.deleteOne({ name: String(name).toLowerCase() })
+    this.cache.clear()
+    return result.deletedCount > 0
+  }
+
+  /**
+   * Aggregation expressions for each score component, each scaled to roughly 0-10
+   */
+  buildComponentExpressions(profile) {
+    const msPerDay = 24 * 60 * 60 * 1000
+
+    return {
+      unifiedScore: { $ifNull: ['$unifiedScore', 0] },
+      // TMDB popularity is unbounded; log scale so 10,000 maps to 10
+      popularity: {
+        $min: [
+          10,
+          { $multiply: [{ $log10: { $add: [{ $ifNull: ['$popularity', 0] }, 1] } }, 2.5] },
+        ],
+      },
+      // Exponential decay by release age
+      recency: {
+        $cond: [
+          { $ifNull: ['$releaseDate', false] },
+          {
+            $multiply: [
+              10,
+              {
+                $pow: [
+                  0.5,
+                  {
+                    $divide: [
+                      { $max: [0, { $subtract: ['$$NOW', '$releaseDate'] }] },
+                      msPerDay * profile.recencyHalfLifeDays,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+          0,
+        ],
+      },
+      // Our users' average, discounted until enough people have rated
+      userRatings: {
+        $multiply: [
+          { $ifNull: ['$userRatingAverage', 0] },
+          {
+            $min: [
+              1,
+              {
+                $divide: [{ $ifNull: ['$userRatingCount', 0] }, profile.userRatingConfidenceCount],
+              },
+            ],
+          },
+        ],
+      },
+      source: {
+        $add: [
+          {
+            $cond: [{ $ne: [{ $ifNull: ['$tmdbId', null] }, null] }, profile.sourceBoosts.tmdb, 0],
+          },
+          { $cond: [{ $ne: [{ $ifNull: ['$malId', null] }, null] }, profile.sourceBoosts.mal, 0] },
+        ],
+      },
+    }
+  }
+
+  /**
+   * Pipeline stages that add `rankingScore`, computed live (and `rankingBreakdown` when
+   * explaining). Lists are sorted on the stored score instead, which lags the live one by
+   * the recency decay since it was stored, or until a repair catches up with a profile
+   * change, so the breakdown reports the stored score and when it was stored as well.
+   */
+  buildScoreStages(profile, { explain = false } = {}) {
+    const expressions = this.buildComponentExpressions(profile)
+    const active = this.components.filter((component) => profile.weights[component] !== 0)
+
+    const stages = [
+      {
+        $addFields: {
+          rankingComponents: Object.fromEntries(
+            active.map((component) => [component, expressions[component]]),
+          ),
+        },
+      },
+      {
+        $addFields: {
+          rankingScore: {
+            $add: [
+              0,
+              ...active.map((component) => ({
+                $multiply: [`$rankingComponents.${component}`, profile.weights[component]],
+              })),
+            ],
+          },
+        },
+      },
+    ]
+
+    if (explain) {
+      stages.push({
+        $addFields: {
+          rankingBreakdown: {
+            profile: profile.name,
+            storedScore: { $ifNull: [`$${this.getScoreField(profile)}`, null] },
+            storedAt: { $ifNull: ['$rankingScoredAt', null] },
+            components: Object.fromEntries(
+              active.map((component) => [
+                component,
+                {
+                  value: `$rankingComponents.${component}`,
+                  weight: { $literal: profile.weights[component] },
+                  contribution: {
+                    $multiply: [`$rankingComponents.${component}`, profile.weights[component]],
+                  },
+                },
+              ]),
+            ),
+          },
+        },
+      })
+    }
+
+    stages.push({ $project: { rankingComponents: 0 } })
+    return stages
+  }
+
+  /**
+   * Same components as buildComponentExpressions, computed in JS for materialising scores
+   */
+  computeComponents(profile, doc, now = new Date()) {
+    const msPerDay = 24 * 60 * 60 * 1000
+    const releaseDate = doc.releaseDate ? new Date(doc.releaseDate) : null
+    const age = releaseDate ? Math.max(0, now.getTime() - releaseDate.getTime()) : 0
+
+    return {
+      unifiedScore: doc.unifiedScore ?? 0,
+      popularity: Math.min(10, Math.log10((doc.popularity ?? 0) + 1) * 2.5),
+      recency: releaseDate ? 10 * Math.pow(0.5, age / (msPerDay * profile.recencyHalfLifeDays)) : 0,
+      userRatings:
+        (doc.userRatingAverage ?? 0) *
+        Math.min(1, (doc.userRatingCount ?? 0) / profile.userRatingConfidenceCount),
+      source:
+        (doc.tmdbId != null ? profile.sourceBoosts.tmdb : 0) +
+        (doc.malId != null ? profile.sourceBoosts.mal : 0),
+    }
+  }
+
+  computeScore(profile, doc, now = new Date()) {
+    const components = this.computeComponents(profile, doc, now)
+    return this.components.reduce(
+      (score, component) => score + components[component] * profile.weights[component],
+      0,
+    )
+  }
+
+  // Scores for every profile, keyed by profile name
+  computeScores(profiles, doc, now = new Date()) {
+    return Object.fromEntries(
+      profiles.map((profile) => [profile.name, this.computeScore(profile, doc, now)]),
+    )
+  }
+
+  /**
+   * Profiles used for materialised scores, plus a signature of their settings.
+   * Content scored under a different signature is stale.
+   */
+  async getScoringProfiles() {
+    const cached = this.cache.get('scoring:all')
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.data
+    }
+
+    const profiles = await this.listProfiles()
+    const data = { profiles, signature: this.getSignature(profiles) }
+    this.cache.set('scoring:all', { data, timestamp: Date.now() })
+    return data
+  }
+
+  getSignature(profiles) {
+    const settings = profiles
+      .map(({ name, weights, recencyHalfLifeDays, userRatingConfidenceCount, sourceBoosts }) => ({
+        name,
+        weights,
+        recencyHalfLifeDays,
+        userRatingConfidenceCount,
+        sourceBoosts,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+
+    return crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex').slice(0, 16)
+  }
+
+  // Whether stored scores drift with time (any profile weighting recency)
+  hasTimeDecay(profiles) {
+    return profiles.some((profile) => profile.weights.recency !== 0)
+  }
+
+  // Field holding a profile's materialised score on Content
+  getScoreField(profile) {
+    return `rankingScores.${profile.name}`
+  }
+
+  // Changes whenever the profile is edited, so old cursors stop matching
+  getVersion(profile) {
+    const updatedAt = profile.updatedAt ? new Date(profile.updatedAt).getTime() : 0
+    return `${profile.name}@${updatedAt}`
+  }
+}
+
+export default new RankingService()
@@ -0,0 +1,373 @@
+import Content from '../models/Content.js'
+import RefreshRun from '../models/RefreshRun.js'
+import contentAdminService from './contentAdminService.js'
+import genreService from './genreService.js'
+import provenanceService from './provenanceService.js'
+import revisionService from './revisionService.js'
+import unifiedContentService from './unifiedContentService.js'
+
+const day = 24 * 60 * 60 * 1000
+
+class RefreshService {
+  constructor() {
+    // Days between refreshes of airing (or upcoming), recently released and finished titles
+    this.intervals = {
+      airing: (parseFloat(process.env.REFRESH_AIRING_DAYS) || 1) * day,
+      recent: (parseFloat(process.env.REFRESH_RECENT_DAYS) || 7) * day,
+      finished: (parseFloat(process.env.REFRESH_FINISHED_DAYS) || 30) * day,
+    }
+    // Titles released within this many days count as recent
+    this.recentPeriod = (parseFloat(process.env.REFRESH_RECENT_PERIOD_DAYS) || 90) * day
+    // Minutes a run may spend on each source; with the request delays this sets its budget
+    this.runMinutes = parseFloat(process.env.REFRESH_RUN_MINUTES) || 30
+
+    this.sources = ['tmdb', 'mal']
+    this.airingStatuses = {
+      mal: ['currently_airing', 'not_yet_aired'],
+      tmdb: ['Returning Series', 'In Production', 'Planned', 'Post Production'],
+    }
+    // What makes a title the same title; a refresh never changes these
+    this.identityFields = ['contentType', 'internalId', 'tmdbId', 'malId']
+    this.listFields =
+      'title contentType releaseDate malStatus tmdbStatus tmdbId malId dataSources.tmdb dataSources.mal'
+
+    this.running = null
+  }
+
+  // Requests a run may make to a source: REFRESH_<SOURCE>_BUDGET, or what fits in the run
+  // time at the source's request delay
+  budget(source) {
+    const configured = parseInt(process.env[`REFRESH_${source.toUpperCase()}_BUDGET`])
+    if (configured >= 0) return configured
+
+    const delay =
+      source === 'tmdb' ? unifiedContentService.tmdbDelay : unifiedContentService.malDelay
+    return Math.floor((this.runMinutes * 60 * 1000) / Math.max(delay, 1))
+  }
+
+  hasKey(source) {
+    return source === 'tmdb' ? unifiedContentService.hasTmdbKey : unifiedContentService.hasMalKey
+  }
+
+  externalId(content, source) {
+    return source === 'tmdb' ? content.tmdbId : content.malId
+  }
+
+  tier(content, now = new Date()) {
+    if (
+      this.airingStatuses.mal.includes(content.malStatus) ||
+      this.airingStatuses.tmdb.includes(content.tmdbStatus)
+    ) {
+      return 'airing'
+    }
+    if (content.releaseDate && now - new Date(content.releaseDate) < this.recentPeriod) {
+      return 'recent'
+    }
+    return 'finished'
+  }
+
+  // Filter for titles in a tier, matching what `tier` decides for one title
+  tierQuery(tier, now = new Date()) {
+    const airing = {
+      $or: [
+        { malStatus: { $in: this.airingStatuses.mal } },
+        { tmdbStatus: { $in: this.airingStatuses.tmdb } },
+      ],
+    }
+    const recent = { releaseDate: { $gt: new Date(now - this.recentPeriod) } }
+
+    if (tier === 'airing') return airing
+    if (tier === 'recent') return { $nor: [airing], ...recent }
+    return { $nor: [airing, recent] }
+  }
+
+  // Filter for titles whose data from a source was last checked more than `interval` ago
+  staleQuery(source, interval, now = new Date()) {
+    const cutoff = new Date(now - interval)
+    const checkedAt = `dataSources.${source}.checkedAt`
+    const lastUpdated = `dataSources.${source}.lastUpdated`
+    return {
+      $or: [
+        { [checkedAt]: { $lte: cutoff } },
+        { [checkedAt]: null, [lastUpdated]: { $lte: cutoff } },
+        { [checkedAt]: null, [lastUpdated]: null },
+      ],
+    }
+  }
+
+  // Filter for titles whose data from a source is older than their tier allows. Titles the
+  // source removed are only checked again at the finished interval.
+  dueQuery(source, now = new Date()) {
+    const removedAt = `dataSources.${source}.removedAt`
+    return {
+      [`dataSources.${source}.hasData`]: true,
+      [source === 'tmdb' ? 'tmdbId' : 'malId']: { $ne: null },
+      $or: [
+        { [removedAt]: { $ne: null }, ...this.staleQuery(source, this.intervals.finished, now) },
+        ...Object.keys(this.intervals).map((tier) => ({
+          [removedAt]: null,
+          $and: [this.tierQuery(tier, now), this.staleQuery(source, this.intervals[tier], now)],
+        })),
+      ],
+    }
+  }
+
+  // Titles due for a source, stalest first, at most `limit` of them
+  async findDue(source, limit, now = new Date()) {
+    const fields = Object.fromEntries(this.listFields.split(' ').map((field) => [field, 1]))
+    return Content.aggregate([
+      { $match: this.dueQuery(source, now) },
+      { $project: fields },
+      {
+        $addFields: {
+          lastChecked: {
+            $ifNull: [`$dataSources.${source}.checkedAt`, `$dataSources.${source}.lastUpdated`],
+          },
+        },
+      },
+      { $sort: { lastChecked: 1, _id: 1 } },
+      { $limit: limit },
+    ])
+  }
+
+  // Titles per source and tier that are due, for the status endpoint and dry runs
+  async dueSummary(now = new Date()) {
+    const summary = {}
+    for (const source of this.sources) {
+      const due = this.dueQuery(source, now)
+      const tiers = Object.keys(this.intervals)
+      const [total, ...counts] = await Promise.all([
+        Content.countDocuments(due),
+        ...tiers.map((tier) => Content.countDocuments({ $and: [due, this.tierQuery(tier, now)] })),
+      ])
+      summary[source] = { total, ...Object.fromEntries(tiers.map((tier, i) => [tier, counts[i]])) }
+    }
+    return summary
+  }
+
+  // A source's current data for a title, in content form; null when the source no longer
+  // has the title. Other errors are thrown.
+  async fetch(content, source) {
+    try {
+      if (source === 'tmdb') {
+        const details = await unifiedContentService.fetchTmdbContentDetails(
+          content.tmdbId,
+          content.contentType,
+        )
+        return unifiedContentService.convertTmdbToContent(details, content.contentType, {
+          minVotes: 0,
+        })
+      }
+      const details = await unifiedContentService.fetchMalAnimeDetails(content.malId)
+      return unifiedContentService.convertMalToContent(details)
+    } catch (error) {
+      if (error.response?.status === 404) return null
+      throw error
+    }
+  }
+
+  /**
+   * Store a source's data on a title. Locked fields are never changed. Unless `overwrite`,
+   * tracked fields only take the source's value when the stored one came from that source,
+   * from an unlocked admin edit, or is empty, so titles with data from both sources don't
+   * flip between them.
+   */
+  apply(content, source, data, { overwrite = false } = {}) {
+    const fetchedAt = new Date()
+    for (const field of this.identityFields) {
+      delete data[field]
+    }
+
+    if (overwrite) {
+      provenanceService.assign(content, source, data, fetchedAt)
+    } else {
+      provenanceService.record(content, source, data, fetchedAt)
+      for (const [field, value] of Object.entries(data)) {
+        if (field === 'dataSources') continue
+        if (field === 'alternativeTitles') {
+          content.alternativeTitles = [...new Set([...content.alternativeTitles, ...value])]
+          continue
+        }
+        if (provenanceService.isTracked(field)) {
+          const storedFrom = content.provenance?.get(field)?.source
+          const stored = content.get(field)
+          const empty = stored == null || stored === '' || stored.length === 0
+          if (storedFrom && ![source, 'manual'].includes(storedFrom) && !empty) continue
+        }
+        provenanceService.set(content, field, value, source, fetchedAt)
+      }
+    }
+
+    content.set(`dataSources.${source}`, {
+      hasData: true,
+      lastUpdated: fetchedAt,
+      checkedAt: fetchedAt,
+      removedAt: null,
+    })
+    contentAdminService.refreshScore(content)
+    content.lastUpdated = fetchedAt
+  }
+
+  /**
+   * Fetch a title from one source again and store what it says. Returns 'refreshed', or
+   * 'removed' when the source no longer has the title, which is flagged rather than deleted.
+   * Titles must be loaded with `+provenance`.
+   */
+  async refresh(content, source, { overwrite = false } = {}) {
+    await genreService.refresh()
+
+    const data = await this.fetch(content, source)
+    if (!data) {
+      const now = new Date()
+      content.set(`dataSources.${source}.checkedAt`, now)
+      if (!content.dataSources[source].removedAt) {
+        content.set(`dataSources.${source}.removedAt`, now)
+      }
+      await content.save()
+      return 'removed'
+    }
+
+    this.apply(content, source, data, { overwrite })
+    await content.save()
+    await genreService.saveUnmapped()
+    return 'refreshed'
+  }
+
+  // What a run would refresh now: each source's budget and the titles within it
+  async plan(now = new Date()) {
+    const plan = {}
+    for (const source of this.sources) {
+      const budget = this.hasKey(source) ? this.budget(source) : 0
+      const [due, titles] = await Promise.all([
+        Content.countDocuments(this.dueQuery(source, now)),
+        budget > 0 ? this.findDue(source, budget, now) : [],
+      ])
+      plan[source] = {
+        budget,
+        due,
+        titles: titles.map((content) => ({
+          _id: content._id,
+          title: content.title,
+          tier: this.tier(content, now),
+          lastChecked: content.lastChecked,
+        })),
+      }
+    }
+    return plan
+  }
+
+  // Titles a source no longer has, most recently flagged first
+  async findRemoved(limit = 50) {
+    const query = {
+      $or: this.sources.map((source) => ({ [`dataSources.${source}.removedAt`]: { $ne: null } })),
+    }
+    const [contents, total] = await Promise.all([
+      Content.find(query)
+        .select('title contentType tmdbId malId dataSources.tmdb dataSources.mal')
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .lean(),
+      Content.countDocuments(query),
+    ])
+
+    return {
+      total,
+      contents: contents.map((content) => ({
+        _id: content._id,
+        title: content.title,
+        contentType: content.contentType,
+        removedFrom: this.sources.filter((source) => content.dataSources?.[source]?.removedAt),
+      })),
+    }
+  }
+
+  // Recent runs, what is due per source and tier, and titles flagged as removed
+  async status() {
+    const [runs, due, removed] = await Promise.all([
+      RefreshRun.find().sort({ startedAt: -1 }).limit(10).lean(),
+      this.dueSummary(),
+      this.findRemoved(),
+    ])
+
+    return {
+      running: !!this.running,
+      lastRun: runs[0] || null,
+      runs,
+      due,
+      removed,
+      intervals: Object.fromEntries(
+        Object.entries(this.intervals).map(([tier, interval]) => [tier, interval / day]),
+      ),
+      budgets: Object.fromEntries(
+        this.sources.map((source) => [source, this.hasKey(source) ? this.budget(source) : 0]),
+      ),
+    }
+  }
+
+  /**
+   * Refresh every title that is due, stalest first, up to each source's budget. Only one run
+   * happens at a time; starting another while one is going returns the running one.
+   * Aborting `signal` stops the run after the title being refreshed.
+   */
+  async run({ trigger = 'schedule', signal } = {}) {
+    if (this.running) return this.running
+
+    const run = await RefreshRun.create({ trigger })
+    this.running = run
+
+    try {
+      await revisionService.run({ actor: { kind: 'sync', name: 'refresh' } }, async () => {
+        for (const source of this.sources) {
+          if (!this.hasKey(source)) continue
+          await this.runSource(run, source, signal)
+        }
+      })
+      run.status = 'completed'
+    } catch (error) {
+      console.error('Catalog refresh failed:', error)
+      run.status = 'failed'
+      run.error = signal?.aborted ? 'Stopped before it finished' : error.message
+    } finally {
+      run.finishedAt = new Date()
+      await run.save()
+      this.running = null
+    }
+
+    return run
+  }
+
+  async runSource(run, source, signal) {
+    const budget = this.budget(source)
+    const now = new Date()
+    const [due, titles] = await Promise.all([
+      Content.countDocuments(this.dueQuery(source, now)),
+      budget > 0 ? this.findDue(source, budget, now) : [],
+    ])
+    run.budget[source] = budget
+    run.due[source] = due
+
+    for (const item of titles) {
+      signal?.throwIfAborted()
+      const content = await Content.findById(item._id).select('+provenance')
+      if (!content) continue
+
+      try {
+        const result = await this.refresh(content, source)
+        run[result][source]++
+      } catch (error) {
+        run.failed[source]++
+        run.failures.push({
+          content: content._id,
+          title: content.title,
+          source,
+          message: error.response?.status
+            ? `${source.toUpperCase()} answered ${error.response.status}`
+            : error.message,
+        })
+      }
+    }
+    await run.save()
+  }
+}
+
+export default new RefreshService()
@@ -1,4 +1,5 @@
 import Content from '../models/Content.js'
+import titleNormalizationService from './titleNormalizationService.js'
 
 class RelationshipService {
   constructor() {
@@ -239,12 +240,10 @@ class RelationshipService {
         return []
       }
 
-      // Extract genre names
-      const genreNames = content.genres
-        .map((genre) => (typeof genre === 'string' ? genre : genre.name))
-        .filter(Boolean)
+      // Extract canonical genre slugs
+      const genreSlugs = content.genres.map((genre) => genre.slug).filter(Boolean)
 
-      if (genreNames.length === 0) return []
+      if (genreSlugs.length === 0) return []
 
       // Find content with similar genres and similar runtime/episode count
       const runtimeRange = content.runtime
@@ -264,7 +263,7 @@ class RelationshipService {
       const recommendations = await Content.find({
         _id: { $ne: content._id },
         contentType: content.contentType,
-        $or: [{ 'genres.name': { $in: genreNames } }, { genres: { $in: genreNames } }],
+        'genres.slug': { $in: genreSlugs },
         ...(runtimeRange && { runtime: runtimeRange }),
         ...(episodeRange && { episodeCount: episodeRange }),
       })
@@ -426,6 +425,7 @@ class RelationshipService {
       $or: [
         { title: { $regex: `^${this.escapeRegex(baseTitle)}`, $options: 'i' } },
         { originalTitle: { $regex: `^${this.escapeRegex(baseTitle)}`, $options: 'i' } },
+        this.normalizedTitlePrefixQuery(baseTitle),
       ],
     })
       .lean() // Use lean() for faster queries
@@ -441,7 +441,8 @@ class RelationshipService {
     const related = []
 
     for (const [, franchiseData] of Object.entries(this.franchiseMap)) {
-      if (this.isInFranchise(content.title, franchiseData.titles)) {
+      const titles = [content.title, content.originalTitle, ...(content.alternativeTitles || [])]
+      if (titles.some((title) => title && this.isInFranchise(title, franchiseData.titles))) {
         // Optimize: Combine all searches into a single query using $or
         const allMatches = await Content.find({
           _id: { $ne: content._id },
@@ -452,6 +453,11 @@ class RelationshipService {
               $or: [
                 { title: { $regex: this.escapeRegex(title), $options: 'i' } },
                 { originalTitle: { $regex: this.escapeRegex(title), $options: 'i' } },
+                {
+                  normalizedTitles: {
+                    $regex: this.escapeRegex(titleNormalizationService.normalize(title)),
+                  },
+                },
               ],
             })),
             // Search by TMDB IDs (only if there are any)
@@ -529,6 +535,7 @@ class RelationshipService {
       $or: [
         { title: { $regex: `^${this.escapeRegex(baseTitle)}`, $options: 'i' } },
         { originalTitle: { $regex: `^${this.escapeRegex(baseTitle)}`, $options: 'i' } },
+        this.normalizedTitlePrefixQuery(baseTitle),
       ],
     }).limit(5)
 
@@ -587,9 +594,10 @@ class RelationshipService {
    * Check if content belongs to a franchise
    */
   isInFranchise(title, franchiseTitles) {
-    const titleLower = title.toLowerCase()
+    // Compare script-normalized forms so romaji/kana variants and punctuation don't matter
+    const titleLower = titleNormalizationService.normalize(title)
     return franchiseTitles.some((franchiseTitle) => {
-      const franchiseLower = franchiseTitle.toLowerCase()
+      const franchiseLower = titleNormalizationService.normalize(franchiseTitle)
       // More strict matching: title must start with franchise name or contain it as a complete word
       return (
         titleLower === franchiseLower ||
@@ -670,6 +678,15 @@ class RelationshipService {
     return date.getFullYear()
   }
 
+  /**
+   * Anchored prefix match on normalized titles (can use the normalizedTitles index)
+   */
+  normalizedTitlePrefixQuery(title) {
+    const normalized = titleNormalizationService.normalize(title)
+    if (!normalized) return { normalizedTitles: { $in: [] } }
+    return { normalizedTitles: { $regex: `^${this.escapeRegex(normalized)}` } }
+  }
+
   /**
    * Escape regex special characters
    */
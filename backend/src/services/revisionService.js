@@ -0,0 +1,156 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import path from 'path'
+import ContentRevision from '../models/ContentRevision.js'
+
+class RevisionService {
+  constructor() {
+    // Who is changing content: set per admin request, per job run, or once per script
+    this.context = new AsyncLocalStorage()
+    this.defaultActor = {
+      kind: 'script',
+      name: path.basename(process.argv[1] || 'unknown', '.js'),
+    }
+
+    // Kept out of snapshots: derived from other fields and rebuilt on save
+    this.internalFields = [
+      '_id',
+      '__v',
+      'searchGrams',
+      'normalizedTitles',
+      'suggestKeys',
+      'studioSlugs',
+      'rankingScores',
+      'rankingSignature',
+      'rankingScoredAt',
+      'provenance',
+    ]
+    // Kept in snapshots but not diffed: scores and bookkeeping that change on every sync
+    // or vote. Changes to only these don't make a revision, and restores leave them alone.
+    this.volatileFields = [
+      'voteAverage',
+      'voteCount',
+      'popularity',
+      'unifiedScore',
+      'userRatingAverage',
+      'userRatingCount',
+      'malScore',
+      'malScoredBy',
+      'malRank',
+      'episodesSyncedAt',
+      'episodeSyncFailures',
+      'episodeSyncFailedAt',
+      'dataSources',
+      'lastUpdated',
+      'createdAt',
+      'updatedAt',
+    ]
+    // Titles one updateMany or deleteMany may change; larger writes are refused, as their
+    // snapshots would all be held in memory at once, and must be done in batches
+    this.maxBulkRevisions = 1000
+  }
+
+  setDefaultActor(actor) {
+    this.defaultActor = actor
+  }
+
+  // Run `fn` with extra context (actor, action, ...) for the revisions it causes
+  run(context, fn) {
+    return this.context.run({ ...this.context.getStore(), ...context }, fn)
+  }
+
+  current() {
+    return { actor: this.defaultActor, ...this.context.getStore() }
+  }
+
+  isDiffed(field) {
+    return !this.internalFields.includes(field) && !this.volatileFields.includes(field)
+  }
+
+  // Whether a query update (`{ $set: {...} }`, a replacement or a pipeline) may change a diffed field
+  updateTouchesDiffed(update) {
+    if (!update || Array.isArray(update)) return true
+
+    const fields = Object.entries(update).flatMap(([key, value]) =>
+      key.startsWith('$') ? Object.keys(value || {}) : [key],
+    )
+    return fields.some((field) => this.isDiffed(field.split('.')[0]))
+  }
+
+  // Projection loading only what a snapshot keeps
+  snapshotProjection() {
+    return Object.fromEntries(
+      this.internalFields.filter((field) => field !== '_id').map((field) => [field, 0]),
+    )
+  }
+
+  // Plain snapshot of a content document without internal fields
+  snapshot(content) {
+    const plain = typeof content.toObject === 'function' ? content.toObject() : { ...content }
+    for (const field of this.internalFields) {
+      if (field !== '_id') delete plain[field]
+    }
+    return plain
+  }
+
+  // Fields whose values differ between two snapshots
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+    const changes = []
+    for (const field of fields) {
+      if (!this.isDiffed(field)) continue
+
+      const a = before?.[field] ?? null
+      const b = after?.[field] ?? null
+      if (JSON.stringify(a) !== JSON.stringify(b)) {
+        changes.push({ field, before: a, after: b })
+      }
+    }
+    return changes
+  }
+
+  // Record one revision per content document; `before`/`after` are snapshots, or null
+  async record(action, entries, session = null) {
+    const { actor, merge, restoredFrom } = this.current()
+    const revisions = []
+
+    for (const { before, after } of entries) {
+      const snapshot = after || before
+      const changes = this.diff(before, after)
+      if (before && after && changes.length === 0) continue
+
+      const revision = {
+        content: snapshot._id,
+        action: this.current().action || action,
+        actor,
+        changes,
+        snapshot,
+        restoredFrom,
+      }
+      if (merge) {
+        revision.relatedContent = snapshot._id.equals(merge.primary)
+          ? merge.secondary
+          : merge.primary
+      }
+      revisions.push(revision)
+    }
+
+    if (revisions.length > 0) {
+      await ContentRevision.insertMany(revisions, { session })
+    }
+  }
+
+  /**
+   * Restorable field values of a snapshot: every diffed field, unset where the snapshot
+   * has none, so restoring also clears fields added since
+   */
+  restorableValues(snapshot, current = {}) {
+    const fields = new Set([...Object.keys(snapshot), ...Object.keys(current)])
+    return Object.fromEntries(
+      [...fields]
+        .filter((field) => this.isDiffed(field))
+        .map((field) => [field, snapshot[field] ?? undefined]),
+    )
+  }
+}
+
+export default new RevisionService()
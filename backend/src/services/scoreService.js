@@ -0,0 +1,58 @@
+class ScoreService {
+  // Calculate unified score including user ratings
+  calculateUnifiedScore(
+    tmdbScore,
+    tmdbVotes,
+    malScore,
+    malVotes,
+    userRatingAverage,
+    userRatingCount,
+  ) {
+    const scores = []
+    const weights = []
+
+    // Determine if we have multiple sources (for threshold flexibility)
+    const hasMultipleSources =
+      (tmdbScore && malScore) || (tmdbScore && userRatingAverage) || (malScore && userRatingAverage)
+
+    // For single-source: use any votes. For multi-source: require > 10 votes for quality
+    if (tmdbScore && tmdbVotes && (hasMultipleSources ? tmdbVotes > 10 : tmdbVotes > 0)) {
+      scores.push(tmdbScore)
+      weights.push(Math.log10(Math.max(tmdbVotes, 1)))
+    }
+
+    // For single-source: use any votes. For multi-source: require > 100 votes for quality
+    if (malScore && malVotes && (hasMultipleSources ? malVotes > 100 : malVotes > 0)) {
+      scores.push(malScore)
+      weights.push(Math.log10(Math.max(malVotes, 1)))
+    }
+
+    // User ratings count from 5 ratings, with less weight than external sources
+    if (userRatingAverage && userRatingCount >= 5) {
+      scores.push(userRatingAverage)
+      weights.push(Math.log10(Math.max(userRatingCount, 1)) * 0.8)
+    }
+
+    if (scores.length === 0) return null
+
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0)
+    if (totalWeight === 0) return scores.reduce((sum, s) => sum + s, 0) / scores.length
+
+    const weightedSum = scores.reduce((sum, score, i) => sum + score * weights[i], 0)
+    return weightedSum / totalWeight
+  }
+
+  // Unified score of a content document from its stored ratings
+  forContent(content) {
+    return this.calculateUnifiedScore(
+      content.voteAverage,
+      content.voteCount,
+      content.malScore,
+      content.malScoredBy,
+      content.userRatingAverage,
+      content.userRatingCount,
+    )
+  }
+}
+
+export default new ScoreService()
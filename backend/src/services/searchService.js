@@ -0,0 +1,469 @@
+import crypto from 'crypto'
+import Content from '../models/Content.js'
+import cursorService from './cursorService.js'
+import titleMatchService from './titleMatchService.js'
+import titleNormalizationService from './titleNormalizationService.js'
+
+class SearchService {
+  constructor() {
+    // Query parameters that accept comma-separated lists
+    this.listFilters = ['format', 'genre', 'studio', 'malSource', 'malRating', 'malStatus']
+
+    // Bucket boundaries used for range facets
+    this.runtimeBoundaries = [0, 30, 60, 90, 120, 150]
+    this.episodeBoundaries = [1, 2, 13, 27, 51, 101]
+    this.scoreThresholds = [9, 8, 7, 6, 5]
+
+    // Text matching: candidate pool size, minimum trigram overlap and hit score
+    this.maxCandidates = 500
+    this.minGramOverlap = 0.3
+    this.minMatchScore = 0.45
+    // Overview-only matches rank below any title match
+    this.overviewBoost = 0.4
+
+    // Sort options for faceted results
+    this.sortOptions = {
+      relevance: { popularity: -1, unifiedScore: -1, _id: -1 },
+      score: { unifiedScore: -1, _id: -1 },
+      popularity: { popularity: -1, malScoredBy: -1, _id: -1 },
+      alphabetical: { title: 1, _id: 1 },
+      newest: { releaseDate: -1, _id: -1 },
+      oldest: { releaseDate: 1, _id: 1 },
+    }
+    // Relevance order when results come from a text query
+    this.matchSort = { searchScore: -1, popularity: -1, _id: -1 }
+  }
+
+  /**
+   * Parse facet filters from request query parameters
+   */
+  parseFilters(params = {}) {
+    const filters = {}
+
+    if (params.type && params.type !== 'all') {
+      filters.type = params.type
+    }
+
+    for (const key of this.listFilters) {
+      const values = this.parseList(params[key])
+      if (values.length > 0) {
+        filters[key] = values
+      }
+    }
+
+    const numericFilters = [
+      'yearMin',
+      'yearMax',
+      'minScore',
+      'runtimeMin',
+      'runtimeMax',
+      'episodesMin',
+      'episodesMax',
+    ]
+    for (const key of numericFilters) {
+      const value = parseFloat(params[key])
+      if (!isNaN(value)) {
+        filters[key] = value
+      }
+    }
+
+    return filters
+  }
+
+  parseList(value) {
+    if (!value) return []
+    const values = Array.isArray(value) ? value : String(value).split(',')
+    return values.map((v) => v.trim()).filter((v) => v && v !== 'all')
+  }
+
+  hasFilters(filters) {
+    return Object.keys(filters).length > 0
+  }
+
+  /**
+   * Build one $match condition per filter so facets can leave out their own filter
+   */
+  buildConditions(filters) {
+    const conditions = {}
+
+    if (filters.type) {
+      conditions.type = { contentType: filters.type }
+    }
+
+    if (filters.genre) {
+      conditions.genre = { 'genres.slug': { $in: filters.genre } }
+    }
+
+    if (filters.studio) {
+      conditions.studio = {
+        $or: [
+          { studios: { $in: filters.studio } },
+          { productionCompanies: { $in: filters.studio } },
+        ],
+      }
+    }
+
+    for (const key of ['format', 'malSource', 'malRating', 'malStatus']) {
+      if (filters[key]) {
+        conditions[key] = { [key]: { $in: filters[key] } }
+      }
+    }
+
+    if (filters.yearMin !== undefined || filters.yearMax !== undefined) {
+      const range = {}
+      if (filters.yearMin !== undefined) range.$gte = new Date(Date.UTC(filters.yearMin, 0, 1))
+      if (filters.yearMax !== undefined) range.$lt = new Date(Date.UTC(filters.yearMax + 1, 0, 1))
+      conditions.year = { releaseDate: range }
+    }
+
+    if (filters.minScore !== undefined) {
+      conditions.score = { unifiedScore: { $gte: filters.minScore } }
+    }
+
+    if (filters.runtimeMin !== undefined || filters.runtimeMax !== undefined) {
+      conditions.runtime = { runtime: this.buildRange(filters.runtimeMin, filters.runtimeMax) }
+    }
+
+    if (filters.episodesMin !== undefined || filters.episodesMax !== undefined) {
+      // The same count the episodes facet buckets on
+      const episodes = { $ifNull: ['$episodeCount', '$malEpisodes'] }
+      const bounds = [{ $isNumber: episodes }]
+      if (filters.episodesMin !== undefined) bounds.push({ $gte: [episodes, filters.episodesMin] })
+      if (filters.episodesMax !== undefined) bounds.push({ $lte: [episodes, filters.episodesMax] })
+      conditions.episodes = { $expr: { $and: bounds } }
+    }
+
+    return conditions
+  }
+
+  buildRange(min, max) {
+    const range = {}
+    if (min !== undefined) range.$gte = min
+    if (max !== undefined) range.$lte = max
+    return range
+  }
+
+  // Combine all conditions except the one being faceted on
+  combineConditions(conditions, exclude = null) {
+    const parts = Object.entries(conditions)
+      .filter(([key]) => key !== exclude)
+      .map(([, condition]) => condition)
+
+    if (parts.length === 0) return {}
+    if (parts.length === 1) return parts[0]
+    return { $and: parts }
+  }
+
+  /**
+   * Find content whose titles fuzzily match a query, ranked by match score.
+   * Title candidates come from the trigram index, overview matches from the text index.
+   */
+  async findMatches(query) {
+    const grams = titleMatchService.trigrams(query)
+    if (grams.length === 0) return []
+
+    const minOverlap = Math.max(1, Math.floor(grams.length * this.minGramOverlap))
+
+    const [titleCandidates, overviewCandidates] = await Promise.all([
+      Content.aggregate([
+        { $match: { searchGrams: { $in: grams } } },
+        {
+          $project: {
+            title: 1,
+            originalTitle: 1,
+            alternativeTitles: 1,
+            overlap: { $size: { $setIntersection: ['$searchGrams', grams] } },
+          },
+        },
+        { $match: { overlap: { $gte: minOverlap } } },
+        { $sort: { overlap: -1 } },
+        { $limit: this.maxCandidates },
+      ]),
+      Content.find({ $text: { $search: query } }, { textScore: { $meta: 'textScore' } })
+        .sort({ textScore: { $meta: 'textScore' } })
+        .limit(this.maxCandidates)
+        .lean(),
+    ])
+
+    const matches = new Map()
+
+    for (const candidate of titleCandidates) {
+      const { score, matchedTitle } = titleMatchService.scoreContent(query, candidate)
+      if (score >= this.minMatchScore) {
+        matches.set(candidate._id.toString(), { _id: candidate._id, score, matchedTitle })
+      }
+    }
+
+    const topTextScore = overviewCandidates[0]?.textScore || 1
+    for (const candidate of overviewCandidates) {
+      const id = candidate._id.toString()
+      const score = (candidate.textScore / topTextScore) * this.overviewBoost
+      if (!matches.has(id) || matches.get(id).score < score) {
+        matches.set(id, { _id: candidate._id, score, matchedTitle: null })
+      }
+    }
+
+    return [...matches.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates)
+      .map((match) => ({ ...match, score: Math.round(match.score * 1000) / 1000 }))
+  }
+
+  /**
+   * Prefix suggestions for typeahead, most popular first with exact title prefixes on top
+   */
+  async suggest(query, limit = 8) {
+    const prefix = titleNormalizationService.normalize(query)
+    if (!prefix) return []
+
+    const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const candidates = await Content.find({ suggestKeys: { $regex: `^${escaped}` } })
+      .select('title slug originalTitle contentType format releaseDate posterPath popularity')
+      .sort({ popularity: -1 })
+      .limit(limit * 3)
+      .lean()
+
+    const startsWithPrefix = (content) =>
+      titleMatchService.normalize(content.title).startsWith(prefix)
+
+    return candidates
+      .map((content, index) => ({ content, index, titleMatch: startsWithPrefix(content) }))
+      .sort((a, b) => b.titleMatch - a.titleMatch || a.index - b.index)
+      .slice(0, limit)
+      .map(({ content }) => ({
+        _id: content._id,
+        slug: content.slug,
+        title: content.title,
+        year: content.releaseDate ? new Date(content.releaseDate).getFullYear() : null,
+        contentType: content.contentType,
+        format: content.format,
+        posterPath: content.posterPath || null,
+      }))
+  }
+
+  getSortSpec(sort, hasMatches) {
+    if (hasMatches && (sort === 'relevance' || !this.sortOptions[sort])) {
+      return this.matchSort
+    }
+    return this.sortOptions[sort] || this.sortOptions.relevance
+  }
+
+  // Cursors are only valid for the query, filters and sort they were issued for
+  getCursorScope(query, filters, sort) {
+    const fingerprint = crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ query: query || '', filters, sort }))
+      .digest('hex')
+      .slice(0, 12)
+    return `search:${fingerprint}`
+  }
+
+  /**
+   * Decode a search cursor; returns null if it is malformed or belongs to a different search
+   */
+  decodeCursor(cursor, { query, filters, sort }) {
+    const sortSpec = this.getSortSpec(sort, !!query)
+    return cursorService.decode(cursor, sortSpec, this.getCursorScope(query, filters, sort))
+  }
+
+  /**
+   * Run a filtered search with paginated results and facet counts.
+   * When `matches` from findMatches are given, only those documents are searched
+   * and each hit carries its `searchScore` and `matchedTitle`.
+   * Pass a decoded `cursor` for keyset paging; `page` is then only used for display.
+   */
+  async facetedSearch(filters = {}, options = {}) {
+    const {
+      query = '',
+      page = 1,
+      limit = 20,
+      sort = 'relevance',
+      matches = null,
+      cursor = null,
+    } = options
+    const skip = cursor ? 0 : (page - 1) * limit
+    const conditions = this.buildConditions(filters)
+    const sortSpec = this.getSortSpec(sort, !!matches)
+
+    const matchStages = [{ $project: Content.internalFieldsProjection() }]
+
+    if (matches) {
+      const ids = matches.map((match) => match._id)
+      const scores = matches.map((match) => match.score)
+      const titles = matches.map((match) => match.matchedTitle)
+      const position = { $indexOfArray: [ids, '$_id'] }
+
+      matchStages.unshift({ $match: { _id: { $in: ids } } })
+      matchStages.push({
+        $addFields: {
+          searchScore: { $arrayElemAt: [scores, position] },
+          matchedTitle: { $arrayElemAt: [titles, position] },
+        },
+      })
+    }
+
+    const facetMatch = (exclude) => ({ $match: this.combineConditions(conditions, exclude) })
+
+    const [result] = await Content.aggregate([
+      ...matchStages,
+      {
+        $facet: {
+          results: [
+            facetMatch(),
+            ...(cursor ? [{ $match: cursorService.buildMatch(sortSpec, cursor) }] : []),
+            { $sort: cursorService.getSort(sortSpec, cursor?.direction) },
+            { $skip: skip },
+            { $limit: limit + 1 },
+          ],
+          total: [facetMatch(), { $count: 'count' }],
+          type: [facetMatch('type'), ...this.countBy('$contentType')],
+          format: [facetMatch('format'), ...this.countBy('$format')],
+          genre: [
+            facetMatch('genre'),
+            { $unwind: '$genres' },
+            { $group: { _id: { id: '$_id', slug: '$genres.slug' } } },
+            ...this.countBy('$_id.slug'),
+          ],
+          studio: [
+            facetMatch('studio'),
+            {
+              $project: {
+                names: {
+                  $setUnion: [
+                    { $ifNull: ['$studios', []] },
+                    { $ifNull: ['$productionCompanies', []] },
+                  ],
+                },
+              },
+            },
+            { $unwind: '$names' },
+            ...this.countBy('$names', 30),
+          ],
+          malSource: [facetMatch('malSource'), ...this.countBy('$malSource')],
+          malRating: [facetMatch('malRating'), ...this.countBy('$malRating')],
+          malStatus: [facetMatch('malStatus'), ...this.countBy('$malStatus')],
+          year: [
+            facetMatch('year'),
+            { $match: { releaseDate: { $ne: null } } },
+            { $group: { _id: { $year: '$releaseDate' }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+          ],
+          score: [
+            facetMatch('score'),
+            { $match: { unifiedScore: { $ne: null } } },
+            { $project: { score: { $floor: '$unifiedScore' } } },
+            { $group: { _id: '$score', count: { $sum: 1 } } },
+          ],
+          runtime: [
+            facetMatch('runtime'),
+            { $match: { runtime: { $gt: 0 } } },
+            {
+              $bucket: {
+                groupBy: '$runtime',
+                boundaries: this.runtimeBoundaries,
+                default: 'more',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          episodes: [
+            facetMatch('episodes'),
+            { $project: { episodes: { $ifNull: ['$episodeCount', '$malEpisodes'] } } },
+            { $match: { episodes: { $gt: 0 } } },
+            {
+              $bucket: {
+                groupBy: '$episodes',
+                boundaries: this.episodeBoundaries,
+                default: 'more',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+        },
+      },
+    ])
+
+    const total = result.total[0]?.count || 0
+    const totalPages = Math.ceil(total / limit)
+    const { items, nextCursor, prevCursor, hasNextPage, hasPrevPage } = cursorService.paginate(
+      result.results,
+      {
+        sortSpec,
+        limit,
+        direction: cursor?.direction,
+        hasPrevious: !!cursor || skip > 0,
+        scope: this.getCursorScope(query, filters, sort),
+      },
+    )
+
+    return {
+      content: items,
+      facets: this.formatFacets(result),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage,
+        hasPrevPage,
+        nextCursor,
+        prevCursor,
+      },
+    }
+  }
+
+  // Pipeline stages that count documents per value, most common first
+  countBy(field, limit = null) {
+    const stages = [
+      { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]
+    if (limit) stages.push({ $limit: limit })
+    return stages
+  }
+
+  formatFacets(result) {
+    const toValues = (buckets) =>
+      buckets
+        .filter((b) => b._id !== null && b._id !== '')
+        .map((b) => ({ value: b._id, count: b.count }))
+
+    // Score facet is cumulative: "7+" includes everything rated 7 or higher
+    const scoreCounts = new Map(result.score.map((b) => [b._id, b.count]))
+    const score = this.scoreThresholds.map((threshold) => {
+      let count = 0
+      for (const [floor, n] of scoreCounts) {
+        if (floor >= threshold) count += n
+      }
+      return { min: threshold, count }
+    })
+
+    return {
+      type: toValues(result.type),
+      format: toValues(result.format),
+      genre: toValues(result.genre),
+      studio: toValues(result.studio),
+      malSource: toValues(result.malSource),
+      malRating: toValues(result.malRating),
+      malStatus: toValues(result.malStatus),
+      year: toValues(result.year),
+      score,
+      runtime: this.formatBuckets(result.runtime, this.runtimeBoundaries),
+      episodes: this.formatBuckets(result.episodes, this.episodeBoundaries),
+    }
+  }
+
+  // Convert $bucket output into inclusive { min, max } ranges
+  formatBuckets(buckets, boundaries) {
+    return buckets.map((bucket) => {
+      if (bucket._id === 'more') {
+        return { min: boundaries[boundaries.length - 1], max: null, count: bucket.count }
+      }
+      const index = boundaries.indexOf(bucket._id)
+      return { min: bucket._id, max: boundaries[index + 1] - 1, count: bucket.count }
+    })
+  }
+}
+
+export default new SearchService()
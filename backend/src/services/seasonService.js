@@ -0,0 +1,113 @@
+class SeasonService {
+  constructor() {
+    // Broadcast seasons in calendar order, as MAL names them
+    this.seasons = ['winter', 'spring', 'summer', 'fall']
+    this.statusOrder = ['currently_airing', 'not_yet_aired', 'finished_airing', 'unknown']
+    this.typeOrder = ['tv', 'movie']
+
+    this.sortOptions = {
+      score: { unifiedScore: -1, popularity: -1, _id: 1 },
+      popularity: { popularity: -1, unifiedScore: -1, _id: 1 },
+      start: { releaseDate: 1, _id: 1 },
+    }
+    this.defaultSort = 'score'
+
+    // Earliest year worth browsing; anything before predates TV anime
+    this.minYear = 1917
+  }
+
+  isValidSeason(season) {
+    return this.seasons.includes(season)
+  }
+
+  isValidYear(year) {
+    return Number.isInteger(year) && year >= this.minYear && year <= new Date().getFullYear() + 2
+  }
+
+  /**
+   * Season a date falls in. Dates built from MAL start seasons are local midnight on the
+   * first of the month, so shift by half a day before reading the UTC month.
+   */
+  fromDate(date) {
+    if (!date) return null
+    const shifted = new Date(new Date(date).getTime() + 12 * 60 * 60 * 1000)
+    if (Number.isNaN(shifted.getTime())) return null
+
+    return {
+      year: shifted.getUTCFullYear(),
+      season: this.seasons[Math.floor(shifted.getUTCMonth() / 3)],
+    }
+  }
+
+  // MAL's start_season ({ year, season }) takes precedence over the release date
+  fromMalStartSeason(startSeason) {
+    if (!startSeason?.year || !this.isValidSeason(startSeason.season)) return null
+    return { year: startSeason.year, season: startSeason.season }
+  }
+
+  getCurrent(now = new Date()) {
+    return {
+      year: now.getUTCFullYear(),
+      season: this.seasons[Math.floor(now.getUTCMonth() / 3)],
+    }
+  }
+
+  getAdjacent({ year, season }) {
+    const index = this.seasons.indexOf(season)
+    return {
+      previous:
+        index === 0
+          ? { year: year - 1, season: this.seasons[this.seasons.length - 1] }
+          : { year, season: this.seasons[index - 1] },
+      next:
+        index === this.seasons.length - 1
+          ? { year: year + 1, season: this.seasons[0] }
+          : { year, season: this.seasons[index + 1] },
+    }
+  }
+
+  getLabel({ year, season }) {
+    return `${season.charAt(0).toUpperCase()}${season.slice(1)} ${year}`
+  }
+
+  // Content query for titles that started airing in a season
+  buildQuery({ year, season }, type = 'all') {
+    const query = { 'airingSeason.year': year, 'airingSeason.season': season }
+    if (type !== 'all') {
+      query.contentType = type
+    }
+    return query
+  }
+
+  /**
+   * Season chart response: titles grouped by type and then MAL status, plus navigation
+   */
+  buildChart({ year, season }, content, sort = this.defaultSort) {
+    const groups = []
+    for (const contentType of this.typeOrder) {
+      for (const status of this.statusOrder) {
+        const items = content.filter(
+          (item) => item.contentType === contentType && (item.malStatus || 'unknown') === status,
+        )
+        if (items.length > 0) {
+          groups.push({ type: contentType, status, count: items.length, items })
+        }
+      }
+    }
+
+    const current = this.getCurrent()
+    const { previous, next } = this.getAdjacent({ year, season })
+
+    return {
+      season: { year, season, label: this.getLabel({ year, season }) },
+      isCurrent: current.year === year && current.season === season,
+      previous: { ...previous, label: this.getLabel(previous) },
+      next: { ...next, label: this.getLabel(next) },
+      sort,
+      total: content.length,
+      groups,
+    }
+  }
+}
+
+export default new SeasonService()
@@ -0,0 +1,112 @@
+import SeriesMapping from '../models/SeriesMapping.js'
+
+const season = (malId, tmdbId, seasonNumber, title, episodeOffset = 0) => ({
+  malId,
+  tmdbId,
+  seasonNumber,
+  episodeOffset,
+  title,
+})
+
+class SeriesMappingService {
+  constructor() {
+    // Known splits, seeded into the SeriesMapping collection by applySeriesMappings.
+    // MAL lists every cour as its own entry; TMDB folds them into seasons of one series.
+    this.builtin = [
+      // Demon Slayer: Kimetsu no Yaiba
+      season(38000, 85937, 1, 'Kimetsu no Yaiba'),
+      season(49926, 85937, 2, 'Kimetsu no Yaiba: Mugen Ressha-hen'),
+      season(47778, 85937, 2, 'Kimetsu no Yaiba: Yuukaku-hen', 7),
+      season(51019, 85937, 3, 'Kimetsu no Yaiba: Katanakaji no Sato-hen'),
+      season(55701, 85937, 4, 'Kimetsu no Yaiba: Hashira Geiko-hen'),
+      // Attack on Titan
+      season(16498, 1429, 1, 'Shingeki no Kyojin'),
+      season(25777, 1429, 2, 'Shingeki no Kyojin Season 2'),
+      season(35760, 1429, 3, 'Shingeki no Kyojin Season 3'),
+      season(38524, 1429, 3, 'Shingeki no Kyojin Season 3 Part 2', 12),
+      season(40028, 1429, 4, 'Shingeki no Kyojin: The Final Season'),
+      season(48583, 1429, 4, 'Shingeki no Kyojin: The Final Season Part 2', 16),
+      // Spy x Family
+      season(50265, 120089, 1, 'Spy x Family'),
+      season(50602, 120089, 1, 'Spy x Family Part 2', 12),
+      season(53887, 120089, 2, 'Spy x Family Season 2'),
+    ]
+  }
+
+  // Add built-in mappings that aren't in the collection yet; edited ones are left alone
+  async seed() {
+    const result = await SeriesMapping.bulkWrite(
+      this.builtin.map((mapping) => ({
+        updateOne: {
+          filter: { malId: mapping.malId },
+          update: { $setOnInsert: { ...mapping, source: 'builtin' } },
+          upsert: true,
+        },
+      })),
+    )
+    return result.upsertedCount
+  }
+
+  findByMalId(malId) {
+    return SeriesMapping.findOne({ malId }).lean()
+  }
+
+  /**
+   * Store a MAL entry's scores on the series season it maps to, replacing any
+   * previous copy, and refresh the series-wide MAL fields from all its seasons.
+   */
+  attach(series, mapping, malContent) {
+    const entry = {
+      malId: mapping.malId,
+      seasonNumber: mapping.seasonNumber,
+      episodeOffset: mapping.episodeOffset || 0,
+      title: malContent.title || mapping.title,
+      malScore: malContent.malScore,
+      malScoredBy: malContent.malScoredBy,
+      malRank: malContent.malRank,
+      malStatus: malContent.malStatus,
+      malEpisodes: malContent.malEpisodes,
+    }
+
+    series.malSeasons = [
+      ...(series.malSeasons || []).filter((existing) => existing.malId !== mapping.malId),
+      entry,
+    ].sort((a, b) => a.seasonNumber - b.seasonNumber || a.episodeOffset - b.episodeOffset)
+
+    Object.assign(series, this.summarize(series.malSeasons, series.malId))
+  }
+
+  // Series-wide MAL fields from per-season entries; season 0 (specials) doesn't count
+  summarize(malSeasons, malId) {
+    const seasons = malSeasons.filter((entry) => entry.seasonNumber > 0)
+    if (seasons.length === 0) return {}
+
+    const scored = seasons.filter((entry) => entry.malScore && entry.malScoredBy)
+    const votes = scored.reduce((sum, entry) => sum + entry.malScoredBy, 0)
+    const statuses = seasons.map((entry) => entry.malStatus)
+
+    let malStatus = 'finished_airing'
+    if (statuses.includes('currently_airing')) malStatus = 'currently_airing'
+    else if (statuses.every((status) => status === 'not_yet_aired')) malStatus = 'not_yet_aired'
+
+    return {
+      malId: malId || seasons[0].malId,
+      malScore:
+        votes > 0 ? scored.reduce((sum, e) => sum + e.malScore * e.malScoredBy, 0) / votes : null,
+      // The same people score most seasons, so the largest audience stands for the series
+      malScoredBy: scored.length > 0 ? Math.max(...scored.map((entry) => entry.malScoredBy)) : null,
+      malStatus,
+      malEpisodes: seasons.reduce((sum, entry) => sum + (entry.malEpisodes || 0), 0) || null,
+    }
+  }
+
+  // Episodes in one season according to its MAL entries, or null if none are mapped
+  seasonEpisodeCount(malSeasons, seasonNumber) {
+    const parts = (malSeasons || []).filter((entry) => entry.seasonNumber === seasonNumber)
+    if (parts.length === 0) return null
+
+    return Math.max(...parts.map((entry) => entry.episodeOffset + (entry.malEpisodes || 0))) || null
+  }
+}
+
+export default new SeriesMappingService()
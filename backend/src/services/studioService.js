@@ -0,0 +1,96 @@
+class StudioService {
+  constructor() {
+    // Corporate suffixes that don't distinguish studios ("Mappa Co., Ltd." is MAPPA)
+    this.suffixes = new Set([
+      'co',
+      'ltd',
+      'limited',
+      'inc',
+      'incorporated',
+      'llc',
+      'corp',
+      'corporation',
+      'company',
+      'kk',
+      'gmbh',
+    ])
+
+    // Known alternative names, by normalized key
+    this.aliases = {
+      'jc staff': 'jcstaff',
+      pierrot: 'studio pierrot',
+      ghibli: 'studio ghibli',
+      kyoani: 'kyoto animation',
+      'studio bones': 'bones',
+      'studio madhouse': 'madhouse',
+      'studio trigger': 'trigger',
+      'shaft co': 'shaft',
+    }
+  }
+
+  /**
+   * Comparable key for a studio name: accents, case, punctuation and corporate suffixes removed
+   */
+  normalize(name) {
+    if (!name) return ''
+
+    const words = String(name)
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      // Dots and apostrophes join letters ("Production I.G", "J.C.Staff")
+      .replace(/[.'’]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean)
+
+    while (words.length > 1 && this.suffixes.has(words[words.length - 1])) {
+      words.pop()
+    }
+
+    const key = words.join(' ')
+    return this.aliases[key] || key
+  }
+
+  slugify(name) {
+    return this.normalize(name).replace(/ /g, '-')
+  }
+
+  // Slugs for every studio and production company credited on a content item
+  getSlugs(content) {
+    const names = [...(content.studios || []), ...(content.productionCompanies || [])]
+    return [...new Set(names.map((name) => this.slugify(name)).filter(Boolean))]
+  }
+
+  /**
+   * Merge raw name counts into one entry per studio.
+   * The most used spelling becomes the display name; the rest are kept as aliases.
+   */
+  groupNames(nameCounts) {
+    const studios = new Map()
+
+    for (const { name, count } of nameCounts) {
+      const slug = this.slugify(name)
+      if (!slug) continue
+
+      const studio = studios.get(slug) || { slug, names: new Map() }
+      studio.names.set(name, (studio.names.get(name) || 0) + count)
+      studios.set(slug, studio)
+    }
+
+    return [...studios.values()].map(({ slug, names }) => {
+      const ranked = [...names.entries()].sort(
+        ([nameA, countA], [nameB, countB]) => countB - countA || nameA.length - nameB.length,
+      )
+      return {
+        slug,
+        name: ranked[0][0],
+        aliases: ranked.slice(1).map(([name]) => name),
+      }
+    })
+  }
+}
+
+export default new StudioService()
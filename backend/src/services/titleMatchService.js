@@ -0,0 +1,178 @@
+import titleNormalizationService from './titleNormalizationService.js'
+
+class TitleMatchService {
+  constructor() {
+    // Relative weight of each title field when scoring a hit
+    this.fieldBoosts = {
+      title: 1.0,
+      originalTitle: 0.95,
+      alternativeTitles: 0.9,
+    }
+
+    // Minimum similarity for a query token to count as a (typo) match
+    this.tokenThreshold = 0.7
+  }
+
+  // Script-aware normalization shared with ingestion (kana, width, long vowels)
+  normalize(text) {
+    return titleNormalizationService.normalize(text)
+  }
+
+  tokenize(text) {
+    const normalized = this.normalize(text)
+    return normalized ? normalized.split(' ') : []
+  }
+
+  // Title without spaces so "spiderman" and "spider-man" compare equal
+  compact(text) {
+    return this.normalize(text).replace(/ /g, '')
+  }
+
+  // Padded character trigrams of the compacted text
+  trigrams(text) {
+    const compacted = this.compact(text)
+    if (!compacted) return []
+
+    const padded = `  ${compacted} `
+    const grams = new Set()
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3))
+    }
+    return [...grams]
+  }
+
+  /**
+   * Build the trigram keys stored on a content document for candidate lookup
+   */
+  buildSearchGrams(content) {
+    const grams = new Set()
+    for (const title of this.getTitles(content)) {
+      this.trigrams(title).forEach((gram) => grams.add(gram))
+    }
+    return [...grams]
+  }
+
+  /**
+   * Build prefix keys for typeahead: every word-suffix of each normalized title
+   * ("attack on titan", "on titan", "titan") plus the title without spaces
+   */
+  buildSuggestKeys(content) {
+    const keys = new Set()
+    for (const title of this.getTitles(content)) {
+      const tokens = this.tokenize(title)
+      for (let i = 0; i < tokens.length; i++) {
+        keys.add(tokens.slice(i).join(' '))
+      }
+      if (tokens.length > 1) keys.add(tokens.join(''))
+    }
+    return [...keys]
+  }
+
+  getTitles(content) {
+    return [content.title, content.originalTitle, ...(content.alternativeTitles || [])].filter(
+      Boolean,
+    )
+  }
+
+  levenshtein(a, b) {
+    if (a === b) return 0
+    if (!a.length) return b.length
+    if (!b.length) return a.length
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i]
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      }
+      previous = current
+    }
+    return previous[b.length]
+  }
+
+  // Edit-distance similarity between two tokens, 0..1. The last token of a query may still
+  // be being typed, so it also matches as a prefix ("shingeki no kyo").
+  tokenSimilarity(queryToken, titleToken, isLast = false) {
+    if (queryToken === titleToken) return 1
+    if (isLast && queryToken.length >= 3 && titleToken.startsWith(queryToken)) return 0.9
+    // Short tokens are too ambiguous to fuzzy-match
+    if (queryToken.length <= 3) return 0
+
+    const distance = this.levenshtein(queryToken, titleToken)
+    return 1 - distance / Math.max(queryToken.length, titleToken.length)
+  }
+
+  // Dice coefficient over trigrams
+  gramSimilarity(a, b) {
+    const gramsA = this.trigrams(a)
+    const gramsB = new Set(this.trigrams(b))
+    if (gramsA.length === 0 || gramsB.size === 0) return 0
+
+    const shared = gramsA.filter((gram) => gramsB.has(gram)).length
+    return (2 * shared) / (gramsA.length + gramsB.size)
+  }
+
+  /**
+   * Score how well a query matches a single title, 0..1
+   */
+  scoreTitle(query, title) {
+    const normalizedQuery = this.normalize(query)
+    const normalizedTitle = this.normalize(title)
+    if (!normalizedQuery || !normalizedTitle) return 0
+
+    if (normalizedQuery === normalizedTitle) return 1
+
+    const compactQuery = normalizedQuery.replace(/ /g, '')
+    const compactTitle = normalizedTitle.replace(/ /g, '')
+    if (compactQuery === compactTitle) return 0.98
+    if (compactTitle.startsWith(compactQuery)) return 0.9
+    if (compactTitle.includes(compactQuery)) return 0.8
+
+    // Fuzzy: every query token should find a close title token
+    const titleTokens = normalizedTitle.split(' ')
+    const queryTokens = normalizedQuery.split(' ')
+    const tokenScores = queryTokens.map((queryToken, i) => {
+      const isLast = i === queryTokens.length - 1
+      return Math.max(
+        ...titleTokens.map((titleToken) => this.tokenSimilarity(queryToken, titleToken, isLast)),
+      )
+    })
+    const matched = tokenScores.filter((score) => score >= this.tokenThreshold)
+    const tokenScore =
+      matched.length === queryTokens.length
+        ? tokenScores.reduce((sum, score) => sum + score, 0) / queryTokens.length
+        : 0
+
+    // Whole-string trigram overlap catches merged or split words
+    const gramScore = this.gramSimilarity(compactQuery, compactTitle)
+
+    return Math.max(tokenScore, gramScore) * 0.75
+  }
+
+  /**
+   * Score a content document against a query using boosted title fields.
+   * Returns the best field score and which title produced it.
+   */
+  scoreContent(query, content) {
+    const fields = [
+      ['title', [content.title]],
+      ['originalTitle', [content.originalTitle]],
+      ['alternativeTitles', content.alternativeTitles || []],
+    ]
+
+    let best = { score: 0, field: null, matchedTitle: null }
+    for (const [field, titles] of fields) {
+      for (const title of titles) {
+        if (!title) continue
+        const score = this.scoreTitle(query, title) * this.fieldBoosts[field]
+        if (score > best.score) {
+          best = { score, field, matchedTitle: title }
+        }
+      }
+    }
+    return best
+  }
+}
+
+export default new TitleMatchService()
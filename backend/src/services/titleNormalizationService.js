@@ -0,0 +1,149 @@
+class TitleNormalizationService {
+  constructor() {
+    // Modified Hepburn romanisation for hiragana (katakana is shifted onto hiragana first)
+    // prettier-ignore
+    this.kanaMap = {
+      あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+      か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+      さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+      た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+      な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+      は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+      ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+      や: 'ya', ゆ: 'yu', よ: 'yo',
+      ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+      わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+      が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+      ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+      だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+      ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+      ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+      ゔ: 'vu',
+    }
+
+    // Small kana that combine with the previous syllable (きゃ, ファ, ティ...)
+    this.smallYa = { ゃ: 'a', ゅ: 'u', ょ: 'o' }
+    this.smallVowels = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゎ: 'wa' }
+
+    // Spelling variants of long vowels that should compare equal (ō, ou, oo all become o).
+    // Only folded in romaji, so English words like "soul" or "book" keep their spelling.
+    this.longVowelPatterns = [
+      [/ou/g, 'o'],
+      [/oo+/g, 'o'],
+      [/uu+/g, 'u'],
+    ]
+
+    // Runs of kana, with the long vowel mark
+    this.kanaRun = /[\p{Script=Hiragana}\p{Script=Katakana}ー]+/gu
+    // A word made only of Hepburn syllables: an optional consonant (or sh, ch, ts, ky...)
+    // and a vowel, a syllabic n, or a doubled consonant. Short English words such as "moon"
+    // or "route" pass too, which only matters if their folded form is another title's word.
+    this.romajiWord =
+      /^(?:(?:[kgsztdnhbpmr]y?|sh|ch|ts|[jfwyv])?[aeiou]|n(?![aeiouy])|[kgsztdbpcfj](?=[kgsztdbpcfj]))+$/
+  }
+
+  /**
+   * Normalize a title for matching: full-width to half-width, kana to romaji,
+   * accents folded, long vowels folded in romaji, punctuation removed, lowercase
+   */
+  normalize(text) {
+    if (!text) return ''
+
+    const normalized = this.toHalfWidth(text)
+      .replace(this.kanaRun, (run) => this.foldLongVowels(this.kanaToRomaji(run)))
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+
+    return normalized
+      .split(' ')
+      .filter(Boolean)
+      .map((word) => (this.isRomaji(word) ? this.foldLongVowels(word) : word))
+      .join(' ')
+  }
+
+  isRomaji(word) {
+    return this.romajiWord.test(word)
+  }
+
+  foldLongVowels(romaji) {
+    let folded = romaji
+    for (const [pattern, replacement] of this.longVowelPatterns) {
+      folded = folded.replace(pattern, replacement)
+    }
+    return folded
+  }
+
+  // Unique normalized forms of a list of titles
+  normalizeAll(titles) {
+    return [...new Set(titles.map((title) => this.normalize(title)).filter(Boolean))]
+  }
+
+  // Full-width ASCII and half-width katakana to their standard forms
+  toHalfWidth(text) {
+    return String(text).normalize('NFKC')
+  }
+
+  katakanaToHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0x60))
+  }
+
+  /**
+   * Transliterate hiragana and katakana to Hepburn romaji, leaving other characters untouched
+   */
+  kanaToRomaji(text) {
+    const chars = [...this.katakanaToHiragana(text)]
+    let result = ''
+    let doubleNext = false
+
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i]
+
+      if (char === 'っ') {
+        doubleNext = true
+        continue
+      }
+
+      // Long vowel mark repeats the previous vowel
+      if (char === 'ー') {
+        const lastVowel = result.match(/[aeiou]$/)
+        if (lastVowel) result += lastVowel[0]
+        continue
+      }
+
+      let romaji = this.kanaMap[char]
+      if (romaji === undefined) {
+        doubleNext = false
+        result += char
+        continue
+      }
+
+      const next = chars[i + 1]
+      if (this.smallYa[next] && romaji.endsWith('i') && romaji.length > 1) {
+        // きゃ -> kya, しゃ -> sha, ちゃ -> cha, じゃ -> ja
+        const stem = romaji.slice(0, -1)
+        romaji = /(sh|ch|j)$/.test(stem)
+          ? stem + this.smallYa[next]
+          : stem + 'y' + this.smallYa[next]
+        i++
+      } else if (this.smallVowels[next]) {
+        // ファ -> fa, ティ -> ti, チェ -> che, ウィ -> wi
+        const stem = romaji.slice(0, -1) || 'w'
+        romaji = stem + this.smallVowels[next]
+        i++
+      }
+
+      if (doubleNext) {
+        romaji = (romaji.startsWith('ch') ? 't' : romaji[0]) + romaji
+        doubleNext = false
+      }
+
+      result += romaji
+    }
+
+    return result
+  }
+}
+
+export default new TitleNormalizationService()
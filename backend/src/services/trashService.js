@@ -0,0 +1,132 @@
+import mongoose from 'mongoose'
+import Activity from '../models/Activity.js'
+import Content from '../models/Content.js'
+import ContentRedirect from '../models/ContentRedirect.js'
+import DuplicateCandidate from '../models/DuplicateCandidate.js'
+import Episode from '../models/Episode.js'
+import Season from '../models/Season.js'
+import User from '../models/User.js'
+import contentMergeService from './contentMergeService.js'
+import revisionService from './revisionService.js'
+
+class TrashService {
+  constructor() {
+    // Days a title stays in the trash before it is purged for good
+    this.retentionDays = parseInt(process.env.CONTENT_TRASH_RETENTION_DAYS) || 30
+    this.day = 24 * 60 * 60 * 1000
+  }
+
+  purgeDate(content) {
+    return new Date(content.deletedAt.getTime() + this.retentionDays * this.day)
+  }
+
+  // Trashed titles whose retention period is over
+  expiredQuery(now = new Date()) {
+    return {
+      deletedAt: { $ne: null, $lte: new Date(now.getTime() - this.retentionDays * this.day) },
+    }
+  }
+
+  /**
+   * Hide a title everywhere until it is restored or purged. Only the trash fields are written,
+   * so partially loaded titles can be trashed without the save hooks re-deriving the rest.
+   */
+  async trash(content, { userId = null, reason } = {}) {
+    const deletedAt = new Date()
+    await revisionService.run({ action: 'delete' }, () =>
+      Content.updateOne(
+        { _id: content._id },
+        { $set: { deletedAt, deletedBy: userId, deletionReason: reason } },
+      ),
+    )
+    content.deletedAt = deletedAt
+    content.deletedBy = userId
+    content.deletionReason = reason
+    return content
+  }
+
+  async restore(content) {
+    await revisionService.run({ action: 'restore' }, () =>
+      Content.updateOne(
+        { _id: content._id },
+        { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletionReason: 1 } },
+      ),
+    )
+    content.deletedAt = null
+    content.deletedBy = undefined
+    content.deletionReason = undefined
+    return content
+  }
+
+  /**
+   * Delete a trashed title for good, with its episodes, activity, watchlist entries, ratings,
+   * redirects, duplicate candidates and the relationships other titles have to it
+   */
+  async purge(content) {
+    const id = content._id
+    const session = await mongoose.startSession()
+    session.startTransaction()
+
+    try {
+      await revisionService.run({ action: 'purge' }, async () => {
+        await User.updateMany(
+          { $or: [{ 'watchlist.content': id }, { 'ratings.content': id }] },
+          { $pull: { watchlist: { content: id }, ratings: { content: id } } },
+          { session },
+        )
+        await Activity.deleteMany({ content: id }, { session })
+        await Season.deleteMany({ content: id }, { session })
+        await Episode.deleteMany({ content: id }, { session })
+        await ContentRedirect.deleteMany({ to: id }, { session })
+        await DuplicateCandidate.deleteMany(
+          { $or: [{ contentA: id }, { contentB: id }] },
+          { session },
+        )
+
+        for (const field of contentMergeService.relationshipFields) {
+          const path = `relationships.${field}`
+          await Content.updateMany({ [path]: id }, { $pull: { [path]: id } }, { session })
+        }
+
+        await Content.deleteOne({ _id: id }, { session })
+      })
+
+      await session.commitTransaction()
+    } catch (error) {
+      await session.abortTransaction()
+      throw error
+    } finally {
+      session.endSession()
+    }
+  }
+
+  // Purge every title past its retention period; with dryRun, only list them. Aborting
+  // `signal` stops after the title being purged.
+  async purgeExpired({ dryRun = false, now = new Date(), signal } = {}) {
+    const expired = await Content.find(this.expiredQuery(now))
+      .select('title contentType deletedAt deletionReason')
+      .sort({ deletedAt: 1 })
+
+    let purged = 0
+    if (!dryRun) {
+      for (const content of expired) {
+        signal?.throwIfAborted()
+        await this.purge(content)
+        purged++
+      }
+    }
+
+    return {
+      expired: expired.map((content) => ({
+        _id: content._id,
+        title: content.title,
+        contentType: content.contentType,
+        deletedAt: content.deletedAt,
+        deletionReason: content.deletionReason,
+      })),
+      purged,
+    }
+  }
+}
+
+export default new TrashService()
@@ -0,0 +1,114 @@
+import Activity from '../models/Activity.js'
+import Content from '../models/Content.js'
+
+class TrendingService {
+  constructor() {
+    const hour = 60 * 60 * 1000
+
+    // Each window only counts activity inside it; older activity inside it counts less
+    this.windows = {
+      '24h': { duration: 24 * hour, halfLife: 6 * hour },
+      '7d': { duration: 7 * 24 * hour, halfLife: 2 * 24 * hour },
+      '30d': { duration: 30 * 24 * hour, halfLife: 7 * 24 * hour },
+    }
+    this.defaultWindow = '7d'
+
+    // How much each kind of activity says about what people are into right now
+    this.weights = {
+      watchlist_add: 1,
+      status_watching: 2,
+      status_completed: 1.5,
+      vote: 1.5,
+    }
+
+    this.cache = new Map()
+    this.cacheTimeout = 5 * 60 * 1000
+  }
+
+  isValidWindow(window) {
+    return Object.hasOwn(this.windows, window)
+  }
+
+  /**
+   * Content ranked by time-decayed activity within the window.
+   * Each user counts once per activity type per title, so repeated toggling doesn't inflate it.
+   */
+  async getTrending({ window = this.defaultWindow, contentType = 'all', limit = 20 } = {}) {
+    const cacheKey = `${window}:${contentType}:${limit}`
+    const cached = this.cache.get(cacheKey)
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.data
+    }
+
+    const { duration, halfLife } = this.windows[window]
+    const now = new Date()
+    const since = new Date(now.getTime() - duration)
+
+    const results = await Activity.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { content: '$content', user: '$user', type: '$type' },
+          createdAt: { $max: '$createdAt' },
+        },
+      },
+      {
+        $addFields: {
+          weight: {
+            $multiply: [
+              { $switch: { branches: this.buildWeightBranches(), default: 0 } },
+              { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLife] }] },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$_id.content',
+          score: { $sum: '$weight' },
+          users: { $addToSet: '$_id.user' },
+          watchlistAdds: { $sum: { $cond: [{ $eq: ['$_id.type', 'watchlist_add'] }, 1, 0] } },
+          watching: { $sum: { $cond: [{ $eq: ['$_id.type', 'status_watching'] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $eq: ['$_id.type', 'status_completed'] }, 1, 0] } },
+          votes: { $sum: { $cond: [{ $eq: ['$_id.type', 'vote'] }, 1, 0] } },
+        },
+      },
+      { $sort: { score: -1, _id: -1 } },
+      Content.lookup({
+        localField: '_id',
+        foreignField: '_id',
+        as: 'content',
+        pipeline: [{ $project: Content.internalFieldsProjection() }],
+      }),
+      { $unwind: '$content' },
+      ...(contentType !== 'all' ? [{ $match: { 'content.contentType': contentType } }] : []),
+      { $limit: limit },
+    ])
+
+    const data = results.map((result) => ({
+      ...result.content,
+      trending: {
+        score: Math.round(result.score * 100) / 100,
+        users: result.users.length,
+        activity: {
+          watchlistAdds: result.watchlistAdds,
+          watching: result.watching,
+          completed: result.completed,
+          votes: result.votes,
+        },
+      },
+    }))
+
+    this.cache.set(cacheKey, { data, timestamp: Date.now() })
+    return data
+  }
+
+  buildWeightBranches() {
+    return Object.entries(this.weights).map(([type, weight]) => ({
+      case: { $eq: ['$_id.type', type] },
+      then: weight,
+    }))
+  }
+}
+
+export default new TrendingService()
@@ -1,10 +1,15 @@
 import axios from 'axios'
 import dotenv from 'dotenv'
+import contentIdService from './contentIdService.js'
+import formatService from './formatService.js'
+import genreService from './genreService.js'
+import seasonService from './seasonService.js'
 
 dotenv.config()
 
 // https://developer.themoviedb.org/docs/getting-started
 // https://myanimelist.net/apiconfig/references/api/v2
+// https://docs.api.jikan.moe (unofficial MAL API, used for episode lists)
 
 class UnifiedContentService {
   constructor() {
@@ -14,10 +19,17 @@ class UnifiedContentService {
 
     this.tmdbBaseURL = 'https://api.themoviedb.org/3'
     this.malBaseURL = 'https://api.myanimelist.net/v2'
+    this.jikanBaseURL = 'https://api.jikan.moe/v4'
+
+    // Anime fields requested from every MAL endpoint
+    this.malAnimeFields =
+      'id,title,main_picture,alternative_titles,synopsis,mean,rank,popularity,num_episodes,status,start_season,studios,genres,rating,source,num_list_users,media_type,average_episode_duration'
 
     // Configurable delays for rate limiting
     this.tmdbDelay = parseInt(process.env.TMDB_DELAY_MS) || 200
     this.malDelay = parseInt(process.env.MAL_DELAY_MS) || 300
+    // Jikan allows about three requests a second
+    this.jikanDelay = parseInt(process.env.JIKAN_DELAY_MS) || 400
 
     this.tmdbClient = axios.create({
       baseURL: this.tmdbBaseURL,
@@ -32,26 +44,18 @@ class UnifiedContentService {
       timeout: 30000,
     })
 
+    this.jikanClient = axios.create({
+      baseURL: this.jikanBaseURL,
+      timeout: 30000,
+    })
+
     this.hasTmdbKey = !!this.tmdbApiKey
     this.hasMalKey = !!this.malClientId
   }
 
-  // Generate unique internal ID for content
+  // Canonical internal ID, the same every time a title is imported
   generateInternalId(contentData) {
-    const titleSlug = (contentData.title || contentData.originalTitle || 'unknown')
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '-')
-      .substring(0, 50) // Limit length
-    const contentType = contentData.contentType || 'unknown'
-    const tmdbPart = contentData.tmdbId ? `tmdb-${contentData.tmdbId}` : ''
-    const malPart = contentData.malId ? `mal-${contentData.malId}` : ''
-    const externalPart = [tmdbPart, malPart].filter(Boolean).join('-')
-
-    // Use timestamp and random string for uniqueness
-    const timestamp = Date.now()
-    const random = Math.random().toString(36).substring(2, 8)
-
-    return `${contentType}-${titleSlug}${externalPart ? `-${externalPart}` : ''}-${timestamp}-${random}`
+    return contentIdService.internalId(contentData)
   }
 
   // Delay utility for rate limiting
@@ -113,10 +117,33 @@ class UnifiedContentService {
   async getTmdbContentDetails(tmdbId, contentType) {
     if (!this.hasTmdbKey) return null
 
+    try {
+      return await this.fetchTmdbContentDetails(tmdbId, contentType)
+    } catch (error) {
+      console.error(`TMDB ${contentType} details error:`, error.response?.data || error.message)
+      return null
+    }
+  }
+
+  // Details that throw on failure, so callers can tell a removed title (404) from an outage
+  async fetchTmdbContentDetails(tmdbId, contentType) {
+    await this.delay(this.tmdbDelay)
+    const endpoint = contentType === 'movie' ? '/movie' : '/tv'
+    const response = await this.tmdbClient.get(`${endpoint}/${tmdbId}`, {
+      params: {
+        api_key: this.tmdbApiKey,
+      },
+    })
+
+    return response.data
+  }
+
+  async getTmdbSeasonDetails(tmdbId, seasonNumber) {
+    if (!this.hasTmdbKey) return null
+
     try {
       await this.delay(this.tmdbDelay)
-      const endpoint = contentType === 'movie' ? '/movie' : '/tv'
-      const response = await this.tmdbClient.get(`${endpoint}/${tmdbId}`, {
+      const response = await this.tmdbClient.get(`/tv/${tmdbId}/season/${seasonNumber}`, {
         params: {
           api_key: this.tmdbApiKey,
         },
@@ -124,7 +151,7 @@ class UnifiedContentService {
 
       return response.data
     } catch (error) {
-      console.error(`TMDB ${contentType} details error:`, error.response?.data || error.message)
+      console.error('TMDB season details error:', error.response?.data || error.message)
       return null
     }
   }
@@ -143,8 +170,7 @@ class UnifiedContentService {
           ranking_type: 'all',
           limit: Math.min(limit * 3, 300), // Get more to filter for movies
           offset,
-          fields:
-            'id,title,main_picture,alternative_titles,synopsis,mean,rank,popularity,num_episodes,status,start_season,studios,genres,rating,source,num_list_users',
+          fields: this.malAnimeFields,
         },
       })
 
@@ -187,8 +213,7 @@ class UnifiedContentService {
           ranking_type: 'all',
           limit: Math.min(limit, 100),
           offset,
-          fields:
-            'id,title,main_picture,alternative_titles,synopsis,mean,rank,popularity,num_episodes,status,start_season,studios,genres,rating,source,num_list_users',
+          fields: this.malAnimeFields,
         },
       })
 
@@ -203,21 +228,48 @@ class UnifiedContentService {
     if (!this.hasMalKey) return null
 
     try {
-      await this.delay(this.malDelay)
-      const response = await this.malClient.get(`/anime/${malId}`, {
-        params: {
-          fields:
-            'id,title,main_picture,alternative_titles,synopsis,mean,rank,popularity,num_episodes,status,start_season,studios,genres,rating,source,num_list_users',
-        },
-      })
-
-      return response.data
+      return await this.fetchMalAnimeDetails(malId)
     } catch (error) {
       console.error('MAL anime details error:', error.response?.data || error.message)
       return null
     }
   }
 
+  // Details that throw on failure, like fetchTmdbContentDetails
+  async fetchMalAnimeDetails(malId) {
+    await this.delay(this.malDelay)
+    const response = await this.malClient.get(`/anime/${malId}`, {
+      params: {
+        fields: this.malAnimeFields,
+      },
+    })
+
+    return response.data
+  }
+
+  // MAL's official API has no episode list, so read every page from Jikan instead.
+  // Returns null when any page fails so callers don't store a partial list.
+  async getMalEpisodes(malId) {
+    const episodes = []
+
+    try {
+      for (let page = 1; ; page++) {
+        await this.delay(this.jikanDelay)
+        const response = await this.jikanClient.get(`/anime/${malId}/episodes`, {
+          params: { page },
+        })
+
+        episodes.push(...(response.data.data || []))
+        if (!response.data.pagination?.has_next_page) break
+      }
+
+      return episodes
+    } catch (error) {
+      console.error('MAL episodes error:', error.response?.data || error.message)
+      return null
+    }
+  }
+
   async searchMalAnime(query, limit = 20) {
     if (!this.hasMalKey) return []
 
@@ -227,8 +279,7 @@ class UnifiedContentService {
         params: {
           q: query,
           limit: Math.min(limit, 100),
-          fields:
-            'id,title,main_picture,alternative_titles,synopsis,mean,rank,popularity,num_episodes,status,start_season,studios,genres,rating,source,num_list_users',
+          fields: this.malAnimeFields,
         },
       })
 
@@ -240,9 +291,13 @@ class UnifiedContentService {
   }
 
   // Content Conversion Methods
-  convertTmdbToContent(tmdbData, contentType) {
-    // Filter out TMDB content with less than 50 votes or null vote data
-    if (!tmdbData.vote_count || tmdbData.vote_count < 50 || !tmdbData.vote_average) {
+  // Pass minVotes: 0 to convert titles that are already stored whatever their vote count
+  convertTmdbToContent(tmdbData, contentType, { minVotes = 50 } = {}) {
+    // Filter out TMDB content with too few votes or null vote data
+    if (
+      minVotes > 0 &&
+      (!tmdbData.vote_count || tmdbData.vote_count < minVotes || !tmdbData.vote_average)
+    ) {
       return null
     }
 
@@ -251,6 +306,7 @@ class UnifiedContentService {
       originalTitle: tmdbData.original_title || tmdbData.original_name,
       overview: tmdbData.overview,
       contentType,
+      format: formatService.fromTmdb(tmdbData, contentType),
       posterPath: tmdbData.poster_path,
       backdropPath: tmdbData.backdrop_path,
       releaseDate: tmdbData.release_date || tmdbData.first_air_date,
@@ -258,7 +314,11 @@ class UnifiedContentService {
       voteCount: tmdbData.vote_count,
       popularity: tmdbData.popularity,
       tmdbId: tmdbData.id,
-      genres: tmdbData.genres || [],
+      // Detail responses carry genre objects, list responses only genre IDs
+      genres: genreService.resolve(
+        'tmdb',
+        tmdbData.genres || tmdbData.genre_ids?.map((id) => ({ id })),
+      ),
       productionCompanies: tmdbData.production_companies?.map((company) => company.name) || [],
       dataSources: {
         tmdb: {
@@ -268,6 +328,11 @@ class UnifiedContentService {
       },
     }
 
+    // Only detail responses say whether a title is still running
+    if (tmdbData.status) {
+      content.tmdbStatus = tmdbData.status
+    }
+
     // Add runtime/episode info based on content type
     if (contentType === 'movie') {
       content.runtime = tmdbData.runtime
@@ -286,24 +351,16 @@ class UnifiedContentService {
     // Handle MAL API response structure - data might be in malData.node
     const anime = malData.node || malData
 
-    // Filter out music videos
-    if (anime.source === 'music') {
-      return null
-    }
-
-    // Determine content type based on episode count and status
-    // Single episode + finished airing = movie
-    // Multiple episodes or currently airing = TV show
-    const episodes = anime.num_episodes || 0
-    const status = anime.status
-    const isMovie = episodes === 1 && status === 'finished_airing'
-    const finalContentType = isMovie ? 'movie' : 'tv'
+    // MAL's media type says what was released; only theatrical movies are routed as movies
+    const format = formatService.fromMal(anime)
+    const finalContentType = formatService.getContentType(format)
 
     const content = {
       title: anime.title || 'Unknown Title',
       originalTitle: anime.alternative_titles?.en || anime.title || 'Unknown Title',
       overview: anime.synopsis || '',
       contentType: finalContentType, // Use determined content type
+      format,
       posterPath: anime.main_picture?.medium || anime.main_picture?.large,
       malId: anime.id,
       malScore: anime.mean,
@@ -313,7 +370,7 @@ class UnifiedContentService {
       malEpisodes: anime.num_episodes,
       malSource: anime.source,
       malRating: anime.rating,
-      genres: anime.genres?.map((genre) => ({ id: genre.id, name: genre.name })) || [],
+      genres: genreService.resolve('mal', anime.genres),
       studios: anime.studios?.map((studio) => studio.name) || [],
       alternativeTitles: anime.alternative_titles
         ? Object.values(anime.alternative_titles).flat()
@@ -338,6 +395,7 @@ class UnifiedContentService {
               ? 7
               : 10
       content.releaseDate = new Date(year, month - 1, 1)
+      content.airingSeason = seasonService.fromMalStartSeason(anime.start_season)
     }
 
     // Add runtime/episode info based on determined content type
@@ -345,7 +403,7 @@ class UnifiedContentService {
       // Use more accurate runtime estimates for known anime movies
       content.runtime = this.getEstimatedRuntime(anime.title)
     } else {
-      content.episodeCount = episodes
+      content.episodeCount = anime.num_episodes
     }
 
     // Generate internal ID
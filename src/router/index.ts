@@ -21,6 +21,16 @@ const router = createRouter({
       name: 'tv',
       component: () => import('@/views/TVShows.vue'),
     },
+    {
+      path: '/seasons/:year?/:season?',
+      name: 'season',
+      component: () => import('@/views/Season.vue'),
+    },
+    {
+      path: '/studio/:slug',
+      name: 'Studio',
+      component: () => import('@/views/Studio.vue'),
+    },
     {
       path: '/search',
       name: 'search',
@@ -54,6 +64,7 @@ const router = createRouter({
       name: 'register',
       component: () => import('@/views/Register.vue'),
     },
+    // Detail routes take a slug; ObjectId URLs still load and are replaced with the slug
     {
       path: '/movie/:id',
       name: 'MovieDetails',
@@ -64,6 +75,12 @@ const router = createRouter({
       name: 'TVShowDetails',
       component: () => import('@/views/TVShowDetails.vue'),
     },
+    {
+      // Episodic releases other than TV series share the TV show page
+      path: '/:format(ova|ona|special|tv-special|short|music|promo)/:id',
+      name: 'FormatDetails',
+      component: () => import('@/views/TVShowDetails.vue'),
+    },
   ],
 })
 
@@ -4,9 +4,11 @@ import type {
   RegisterData,
   UpdateProfileData,
   WatchlistData,
+  BulkWatchlistData,
   UpdateWatchlistData,
   ContentParams,
 } from '@/types'
+import type { ContentFormat } from '@/types/content'
 
 const API_BASE_URL =
   import.meta.env.VITE_API_URL ||
@@ -73,6 +75,13 @@ export const contentAPI = {
   // Get content by ID
   getContentById: (id: string) => api.get(`/content/${id}`),
 
+  // Get content by URL slug
+  getContentBySlug: (slug: string) => api.get(`/content/by-slug/${slug}`),
+
+  // Detail pages take a slug, or an ObjectId from links made before slugs existed
+  getContentByRouteId: (id: string) =>
+    isObjectId(id) ? api.get(`/content/${id}`) : api.get(`/content/by-slug/${id}`),
+
   // Get content by external ID (TMDB or MAL)
   getContentByExternalId: (id: string, source?: 'tmdb' | 'mal') =>
     api.get(`/content/external/${id}`, {
@@ -83,10 +92,18 @@ export const contentAPI = {
   searchContent: (searchParams: Record<string, string | number>) =>
     api.get('/search', { params: searchParams }),
 
+  // Typeahead title suggestions
+  getSearchSuggestions: (q: string, limit?: number) =>
+    api.get('/search/suggest', { params: limit ? { q, limit } : { q } }),
+
   // Get popular content
   getPopularContent: (params?: { type?: string; limit?: number }) =>
     api.get('/popular', { params }),
 
+  // Get content trending with our users over an activity window
+  getTrendingContent: (params?: { window?: string; type?: string; limit?: number }) =>
+    api.get('/trending', { params }),
+
   // Get similar content
   getSimilarContent: (id: string, limit?: number) =>
     api.get(`/content/${id}/similar`, {
@@ -101,6 +118,29 @@ export const contentAPI = {
 
   // Get database statistics
   getDatabaseStats: () => api.get('/stats'),
+
+  // List studios, optionally filtered by name
+  getStudios: (params?: { q?: string; limit?: number }) => api.get('/studios', { params }),
+
+  // Studio titles and catalog stats
+  getStudio: (slug: string) => api.get(`/studios/${slug}`),
+
+  // Seasons of a TV show, and the episodes of one season
+  getSeasons: (id: string) => api.get(`/content/${id}/seasons`),
+
+  getSeasonEpisodes: (id: string, seasonNumber: number) =>
+    api.get(`/content/${id}/seasons/${seasonNumber}/episodes`),
+
+  // Canonical genre taxonomy with title counts
+  getGenres: () => api.get('/genres'),
+
+  // Seasonal chart: titles that started airing in a broadcast season
+  getSeason: (year: number, season: string, params?: { sort?: string; type?: string }) =>
+    api.get(`/seasons/${year}/${season}`, { params }),
+
+  // Seasonal chart for the season airing now
+  getCurrentSeason: (params?: { sort?: string; type?: string }) =>
+    api.get('/seasons/current', { params }),
 }
 
 // AI API
@@ -119,6 +159,9 @@ export const watchlistAPI = {
   // Add to watchlist
   addToWatchlist: (data: WatchlistData) => api.post('/watchlist', data),
 
+  // Add several titles at once; titles already on the watchlist are skipped
+  bulkAddToWatchlist: (data: BulkWatchlistData) => api.post('/watchlist/bulk', data),
+
   // Get user watchlist
   getWatchlist: () => api.get('/watchlist'),
 
@@ -160,7 +203,7 @@ interface ContentData {
   backdropPath?: string
   contentType?: string
   releaseDate?: string | Date
-  genres?: Array<{ id?: number; name?: string }> | string[]
+  genres?: Array<{ slug?: string; name?: string }> | string[]
   voteAverage?: number
   malScore?: number
   unifiedScore?: number
@@ -213,7 +256,7 @@ export const getContentDisplayInfo = (content: ContentData) => {
 }
 
 // Utility function to format genres
-export const formatGenres = (genres: Array<{ id?: number; name?: string }> | string[]) => {
+export const formatGenres = (genres: Array<{ slug?: string; name?: string }> | string[]) => {
   if (!genres || !Array.isArray(genres)) return []
 
   return genres
@@ -225,9 +268,60 @@ export const formatGenres = (genres: Array<{ id?: number; name?: string }> | str
     .filter((genre) => genre !== 'Animation') // Filter out Animation genre as requested
 }
 
+// Display names for release formats
+export const formatLabels: Record<ContentFormat, string> = {
+  tv: 'TV Series',
+  movie: 'Movie',
+  ova: 'OVA',
+  ona: 'ONA',
+  special: 'Special',
+  tv_special: 'TV Special',
+  short: 'Short',
+  music: 'Music Video',
+  promo: 'Promotional',
+}
+
+// Formats more specific than the movie/TV split get their own label and URL ("/ova/:id")
+const isSpecificFormat = (format?: ContentFormat | null): format is ContentFormat =>
+  !!format && format !== 'tv' && format !== 'movie'
+
 // Utility function to get content type display
-export const getContentTypeDisplay = (contentType: string) => {
+export const getContentTypeDisplay = (contentType: string, format?: ContentFormat | null) => {
+  if (isSpecificFormat(format)) return formatLabels[format]
   return contentType === 'movie' ? 'Movie' : 'TV Show'
 }
 
+export const isObjectId = (value: string) => /^[0-9a-f]{24}$/i.test(value)
+
+// Route to a title's detail page, by slug where the title has one
+export const getDetailsRoute = (item: {
+  _id: string
+  slug?: string
+  contentType: string
+  format?: ContentFormat | null
+}) => {
+  const id = item.slug || item._id
+  if (isSpecificFormat(item.format)) {
+    return {
+      name: 'FormatDetails',
+      params: { format: item.format.replace('_', '-'), id },
+    }
+  }
+  return {
+    name: item.contentType === 'movie' ? 'MovieDetails' : 'TVShowDetails',
+    params: { id },
+  }
+}
+
+// URL slug for a studio name; the API resolves aliases and corporate suffixes
+export const getStudioSlug = (name: string) => {
+  return name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
 export default api
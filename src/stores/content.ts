@@ -1,8 +1,15 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import { contentAPI, watchlistAPI, formatGenres, getContentTypeDisplay } from '@/services/api'
-import type { WatchlistItem } from '@/types'
-import type { UnifiedContent } from '@/types/content'
+import type { WatchlistItem, ContentParams } from '@/types'
+import type {
+  UnifiedContent,
+  SearchFacets,
+  SearchFilters,
+  Pagination,
+  TrendingWindow,
+  ContentFormat,
+} from '@/types/content'
 
 export const useContentStore = defineStore('content', () => {
   // Unified content arrays
@@ -10,18 +17,22 @@ export const useContentStore = defineStore('content', () => {
   const movies = ref<UnifiedContent[]>([])
   const tvShows = ref<UnifiedContent[]>([])
   const searchResults = ref<UnifiedContent[]>([])
+  const searchFacets = ref<SearchFacets | null>(null)
   const currentContent = ref<UnifiedContent | null>(null)
   const watchlist = ref<WatchlistItem[]>([])
   const recommendations = ref<UnifiedContent[]>([])
+  const trending = ref<UnifiedContent[]>([])
+  const trendingWindow = ref<TrendingWindow>('7d')
 
   // State
   const isLoading = ref(false)
   const moviesLoading = ref(false)
   const tvShowsLoading = ref(false)
   const searchLoading = ref(false)
+  const trendingLoading = ref(false)
   const watchlistLoaded = ref(false)
   const error = ref<string | null>(null)
-  const pagination = ref({
+  const pagination = ref<Pagination>({
     currentPage: 1,
     totalPages: 1,
     totalItems: 0,
@@ -31,7 +42,7 @@ export const useContentStore = defineStore('content', () => {
   })
 
   // Separate pagination for movies and TV shows
-  const moviesPagination = ref({
+  const moviesPagination = ref<Pagination>({
     currentPage: 1,
     totalPages: 1,
     totalItems: 0,
@@ -40,7 +51,7 @@ export const useContentStore = defineStore('content', () => {
     hasPrevPage: false,
   })
 
-  const tvShowsPagination = ref({
+  const tvShowsPagination = ref<Pagination>({
     currentPage: 1,
     totalPages: 1,
     totalItems: 0,
@@ -50,7 +61,13 @@ export const useContentStore = defineStore('content', () => {
   })
 
   // Get all content with pagination and filtering
-  const getContent = async (page = 1, contentType?: 'movie' | 'tv' | 'all', limit = 20) => {
+  const getContent = async (
+    page = 1,
+    contentType?: 'movie' | 'tv' | 'all',
+    limit = 20,
+    cursor?: string | null,
+    format?: ContentFormat | 'all',
+  ) => {
     try {
       // Set appropriate loading state
       if (contentType === 'movie') {
@@ -61,10 +78,17 @@ export const useContentStore = defineStore('content', () => {
 
       error.value = null
 
-      const params: Record<string, string | number> = { page, limit }
+      const params: ContentParams = { page, limit }
       if (contentType && contentType !== 'all') {
         params.type = contentType
       }
+      if (format && format !== 'all') {
+        params.format = format
+      }
+      // Cursors keep pages stable while scores change; page is still sent for display
+      if (cursor) {
+        params.cursor = cursor
+      }
 
       const response = await contentAPI.getContent(params)
 
@@ -177,172 +201,40 @@ export const useContentStore = defineStore('content', () => {
     }
   }
 
-  // Search content
+  // Search content with server-side filtering and facet counts
   const searchContent = async (
     query: string,
-    contentType?: 'movie' | 'tv' | 'all',
+    filters: SearchFilters = {},
     page = 1,
     limit = 20,
+    cursor?: string | null,
   ) => {
     try {
       isLoading.value = true
       error.value = null
 
-      // Ensure we have content loaded - if not, load more content
-      if (allContent.value.length < 100) {
-        await getPopularContent('all', 500) // Load up to 500 items for comprehensive search
+      const params: Record<string, string | number> = { page, limit }
+      if (query.trim()) {
+        params.query = query.trim()
       }
-
-      // Search through local database instead of API call
-      let filteredResults = allContent.value
-
-      // Filter by content type if specified
-      if (contentType && contentType !== 'all') {
-        filteredResults = filteredResults.filter((item) => item.contentType === contentType)
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== '' && value !== 'all') {
+          params[key] = value
+        }
       }
-
-      // Enhanced search with better title and genre matching
-      const searchTerm = query.toLowerCase().trim()
-      if (searchTerm) {
-        // Normalize search term for better matching (remove special chars, extra spaces)
-        const normalizedSearchTerm = searchTerm
-          .replace(/[^\w\s]/g, ' ')
-          .replace(/\s+/g, ' ')
-          .trim()
-        const searchWords = normalizedSearchTerm.split(' ')
-
-        filteredResults = filteredResults.filter((item) => {
-          const title = item.title?.toLowerCase() || ''
-          const originalTitle = item.originalTitle?.toLowerCase() || ''
-          const alternativeTitles = (item.alternativeTitles || [])
-            .map((t) => t.toLowerCase())
-            .join(' ')
-          const genres = (item.genres || [])
-            .map((g) => (typeof g === 'string' ? g : g.name || ''))
-            .join(' ')
-            .toLowerCase()
-          const overview = item.overview?.toLowerCase() || ''
-          const studios = (item.studios || []).join(' ').toLowerCase()
-
-          // Normalize titles for comparison
-          const normalizedTitle = title
-            .replace(/[^\w\s]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim()
-          const normalizedOriginalTitle = originalTitle
-            .replace(/[^\w\s]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim()
-
-          // Check if search term appears anywhere
-          const directMatch =
-            title.includes(searchTerm) ||
-            originalTitle.includes(searchTerm) ||
-            alternativeTitles.includes(searchTerm) ||
-            genres.includes(searchTerm) ||
-            overview.includes(searchTerm) ||
-            studios.includes(searchTerm)
-
-          // Check if all search words appear in normalized title (for "spider man" matching "Spider-Man")
-          const allWordsInTitle = searchWords.every(
-            (word) => normalizedTitle.includes(word) || normalizedOriginalTitle.includes(word),
-          )
-
-          return directMatch || allWordsInTitle
-        })
+      if (cursor) {
+        params.cursor = cursor
       }
 
-      // Enhanced sorting by relevance with multiple tiers
-      if (searchTerm) {
-        filteredResults.sort((a, b) => {
-          const aTitle = a.title?.toLowerCase() || ''
-          const bTitle = b.title?.toLowerCase() || ''
-          const aOriginalTitle = a.originalTitle?.toLowerCase() || ''
-          const bOriginalTitle = b.originalTitle?.toLowerCase() || ''
-          const aAlternativeTitles = (a.alternativeTitles || [])
-            .map((t) => t.toLowerCase())
-            .join(' ')
-          const bAlternativeTitles = (b.alternativeTitles || [])
-            .map((t) => t.toLowerCase())
-            .join(' ')
-          const aGenres = (a.genres || [])
-            .map((g) => (typeof g === 'string' ? g : g.name || ''))
-            .join(' ')
-            .toLowerCase()
-          const bGenres = (b.genres || [])
-            .map((g) => (typeof g === 'string' ? g : g.name || ''))
-            .join(' ')
-            .toLowerCase()
-
-          // Priority 1: Exact title match
-          const aExactTitle = aTitle === searchTerm
-          const bExactTitle = bTitle === searchTerm
-          if (aExactTitle && !bExactTitle) return -1
-          if (!aExactTitle && bExactTitle) return 1
-
-          // Priority 2: Title starts with search term
-          const aTitleStarts = aTitle.startsWith(searchTerm)
-          const bTitleStarts = bTitle.startsWith(searchTerm)
-          if (aTitleStarts && !bTitleStarts) return -1
-          if (!aTitleStarts && bTitleStarts) return 1
-
-          // Priority 3: Title contains search term
-          const aTitleContains = aTitle.includes(searchTerm)
-          const bTitleContains = bTitle.includes(searchTerm)
-          if (aTitleContains && !bTitleContains) return -1
-          if (!aTitleContains && bTitleContains) return 1
-
-          // Priority 4: Original title or alternative titles contain search term
-          const aOtherTitles =
-            aOriginalTitle.includes(searchTerm) || aAlternativeTitles.includes(searchTerm)
-          const bOtherTitles =
-            bOriginalTitle.includes(searchTerm) || bAlternativeTitles.includes(searchTerm)
-          if (aOtherTitles && !bOtherTitles) return -1
-          if (!aOtherTitles && bOtherTitles) return 1
-
-          // Priority 5: Genre exact match
-          const aGenreMatch = aGenres.split(' ').some((genre) => genre.toLowerCase() === searchTerm)
-          const bGenreMatch = bGenres.split(' ').some((genre) => genre.toLowerCase() === searchTerm)
-          if (aGenreMatch && !bGenreMatch) return -1
-          if (!aGenreMatch && bGenreMatch) return 1
-
-          // Priority 6: Genre contains search term
-          const aGenreContains = aGenres.includes(searchTerm)
-          const bGenreContains = bGenres.includes(searchTerm)
-          if (aGenreContains && !bGenreContains) return -1
-          if (!aGenreContains && bGenreContains) return 1
-
-          // Final: Sort by unified score
-          return (b.unifiedScore || 0) - (a.unifiedScore || 0)
-        })
-      } else {
-        // If no search term, just sort by unified score
-        filteredResults.sort((a, b) => (b.unifiedScore || 0) - (a.unifiedScore || 0))
-      }
+      const response = await contentAPI.searchContent(params)
 
-      // Implement pagination
-      const startIndex = (page - 1) * limit
-      const endIndex = startIndex + limit
-      const paginatedResults = filteredResults.slice(startIndex, endIndex)
-
-      // Set results
-      searchResults.value = paginatedResults
-      pagination.value = {
-        currentPage: page,
-        totalPages: Math.ceil(filteredResults.length / limit),
-        totalItems: filteredResults.length,
-        itemsPerPage: limit,
-        hasNextPage: page < Math.ceil(filteredResults.length / limit),
-        hasPrevPage: page > 1,
+      if (response.data.success) {
+        searchResults.value = response.data.data.content
+        searchFacets.value = response.data.data.facets
+        pagination.value = response.data.data.pagination
       }
 
-      return {
-        success: true,
-        data: {
-          content: paginatedResults,
-          pagination: pagination.value,
-        },
-      }
+      return response.data
     } catch (err: unknown) {
       console.error('Error searching content:', err)
       error.value = err instanceof Error ? err.message : 'Search failed'
@@ -423,6 +315,26 @@ export const useContentStore = defineStore('content', () => {
     }
   }
 
+  // Add several titles with the same status; returns how many were actually added
+  const bulkAddToWatchlist = async (
+    contentIds: string[],
+    status: 'plan_to_watch' | 'watching' | 'completed' | 'dropped' = 'plan_to_watch',
+  ) => {
+    try {
+      const response = await watchlistAPI.bulkAddToWatchlist({ contentIds, status })
+
+      if (response.data.success) {
+        await loadWatchlist(true)
+      }
+
+      return response.data.data.added.length as number
+    } catch (err: unknown) {
+      console.error('Error in bulkAddToWatchlist:', err)
+      error.value = err instanceof Error ? err.message : 'Failed to add to watchlist'
+      throw err
+    }
+  }
+
   const updateWatchlistItem = async (contentId: string, updates: Partial<WatchlistItem>) => {
     try {
       const response = await watchlistAPI.updateWatchlistItem(contentId, updates)
@@ -437,9 +349,15 @@ export const useContentStore = defineStore('content', () => {
         })
 
         if (itemIndex !== -1) {
-          // Update the specific item with the new data
+          // Update the specific item with the new data; totals come back sized to the current season
           const existingItem = watchlist.value[itemIndex]
-          watchlist.value[itemIndex] = { ...existingItem, ...updates } as WatchlistItem
+          const saved = response.data.data as Partial<WatchlistItem> | undefined
+          watchlist.value[itemIndex] = {
+            ...existingItem,
+            ...updates,
+            totalEpisodes: saved?.totalEpisodes ?? existingItem?.totalEpisodes,
+            totalSeasons: saved?.totalSeasons ?? existingItem?.totalSeasons,
+          } as WatchlistItem
         }
       }
 
@@ -561,9 +479,33 @@ export const useContentStore = defineStore('content', () => {
     window.scrollTo(0, 0)
   }
 
+  // Get content trending with our users over an activity window
+  const getTrendingContent = async (window: TrendingWindow = trendingWindow.value, limit = 8) => {
+    try {
+      trendingLoading.value = true
+      error.value = null
+
+      const response = await contentAPI.getTrendingContent({ window, limit })
+
+      if (response.data.success) {
+        trending.value = response.data.data
+        trendingWindow.value = window
+      }
+
+      return response.data
+    } catch (err: unknown) {
+      console.error('Error fetching trending content:', err)
+      error.value = err instanceof Error ? err.message : 'Failed to fetch trending content'
+      throw err
+    } finally {
+      trendingLoading.value = false
+    }
+  }
+
   // Clear functions
   const clearSearchResults = () => {
     searchResults.value = []
+    searchFacets.value = null
   }
 
   const clearCurrentContent = () => {
@@ -575,8 +517,10 @@ export const useContentStore = defineStore('content', () => {
     movies.value = []
     tvShows.value = []
     searchResults.value = []
+    searchFacets.value = null
     currentContent.value = null
     recommendations.value = []
+    trending.value = []
     watchlist.value = []
     watchlistLoaded.value = false
     error.value = null
@@ -588,13 +532,17 @@ export const useContentStore = defineStore('content', () => {
     movies,
     tvShows,
     searchResults,
+    searchFacets,
     currentContent,
     watchlist,
     recommendations,
+    trending,
+    trendingWindow,
     isLoading,
     moviesLoading,
     tvShowsLoading,
     searchLoading,
+    trendingLoading,
     error,
     pagination,
     moviesPagination,
@@ -603,10 +551,12 @@ export const useContentStore = defineStore('content', () => {
     // Actions
     getContent,
     getPopularContent,
+    getTrendingContent,
     searchContent,
     getContentDetails,
     getSimilarContent,
     addToWatchlist,
+    bulkAddToWatchlist,
     updateWatchlistItem,
     removeFromWatchlist,
     loadWatchlist,
@@ -1,14 +1,29 @@
+// Release format; contentType stays the broad movie/TV split
+export type ContentFormat =
+  | 'tv'
+  | 'movie'
+  | 'ova'
+  | 'ona'
+  | 'special'
+  | 'tv_special'
+  | 'short'
+  | 'music'
+  | 'promo'
+
 // Unified content interface - shared across all components
 export interface UnifiedContent {
   _id: string
+  slug?: string // URL slug, e.g. "spirited-away-2001"
   title: string
   originalTitle?: string
   overview: string
   contentType: 'movie' | 'tv'
+  format?: ContentFormat
   posterPath?: string
   backdropPath?: string
   releaseDate?: string | Date
-  genres: Array<{ id?: number; name?: string }> | string[]
+  airingSeason?: { year: number; season: AiringSeasonName }
+  genres: Array<{ slug?: string; name?: string }> | string[]
   voteAverage?: number
   malScore?: number
   unifiedScore?: number // Combined score from TMDB and MAL
@@ -19,6 +34,7 @@ export interface UnifiedContent {
   episodeCount?: number
   malEpisodes?: number
   seasonCount?: number
+  malSeasons?: MalSeason[] // MAL entries mapped onto this series' seasons
   studios?: string[]
   productionCompanies?: string[]
   alternativeTitles?: string[]
@@ -30,6 +46,9 @@ export interface UnifiedContent {
   }
   franchise?: string
   source?: string // 'tmdb' or 'mal' for external search results
+  searchScore?: number // Match score (0-1) when returned from a text search
+  matchedTitle?: string | null // Title or alternative title the search matched on
+  trending?: TrendingInfo // Present on items returned by /api/trending
   relationships?: {
     sequels: string[]
     prequels: string[]
@@ -42,3 +61,185 @@ export interface UnifiedContent {
 export interface UnifiedContentWithScore extends UnifiedContent {
   unifiedScore: number
 }
+
+// Pagination metadata for listing and search responses.
+// Cursors are opaque; pass them back as `cursor` to fetch the next or previous page.
+export interface Pagination {
+  currentPage: number
+  totalPages: number
+  totalItems: number
+  itemsPerPage: number
+  hasNextPage: boolean
+  hasPrevPage: boolean
+  nextCursor?: string | null
+  prevCursor?: string | null
+}
+
+// Typeahead suggestion returned by /api/search/suggest
+export interface SearchSuggestion {
+  _id: string
+  slug?: string
+  title: string
+  year: number | null
+  contentType: 'movie' | 'tv'
+  format?: ContentFormat
+  posterPath: string | null
+}
+
+// Faceted search filters sent to /api/search
+export interface SearchFilters {
+  type?: 'movie' | 'tv'
+  format?: string
+  genre?: string
+  studio?: string
+  malSource?: string
+  malRating?: string
+  malStatus?: string
+  yearMin?: number
+  yearMax?: number
+  minScore?: number
+  runtimeMin?: number
+  runtimeMax?: number
+  episodesMin?: number
+  episodesMax?: number
+  sort?: 'relevance' | 'score' | 'popularity' | 'alphabetical' | 'newest' | 'oldest'
+}
+
+export interface FacetValue {
+  value: string | number
+  count: number
+}
+
+// Inclusive range bucket; max is null for the open-ended last bucket
+export interface FacetRange {
+  min: number
+  max: number | null
+  count: number
+}
+
+export interface SearchFacets {
+  type: FacetValue[]
+  format: FacetValue[]
+  genre: FacetValue[]
+  studio: FacetValue[]
+  malSource: FacetValue[]
+  malRating: FacetValue[]
+  malStatus: FacetValue[]
+  year: FacetValue[]
+  score: Array<{ min: number; count: number }>
+  runtime: FacetRange[]
+  episodes: FacetRange[]
+}
+
+// Activity windows accepted by /api/trending
+export type TrendingWindow = '24h' | '7d' | '30d'
+
+// Why an item is trending: decayed activity score and distinct users per activity type
+export interface TrendingInfo {
+  score: number
+  users: number
+  activity: {
+    watchlistAdds: number
+    watching: number
+    completed: number
+    votes: number
+  }
+}
+
+export type AiringSeasonName = 'winter' | 'spring' | 'summer' | 'fall'
+
+export interface SeasonRef {
+  year: number
+  season: AiringSeasonName
+  label: string
+}
+
+// One type/status section of a season chart
+export interface SeasonGroup {
+  type: 'movie' | 'tv'
+  status: 'currently_airing' | 'not_yet_aired' | 'finished_airing' | 'unknown'
+  count: number
+  items: UnifiedContent[]
+}
+
+// Response from /api/seasons/:year/:season and /api/seasons/current
+export interface SeasonChart {
+  season: SeasonRef
+  isCurrent: boolean
+  previous: SeasonRef
+  next: SeasonRef
+  sort: 'score' | 'popularity' | 'start'
+  total: number
+  groups: SeasonGroup[]
+}
+
+// Entry in the /api/studios index; aliases are other spellings merged into this studio
+export interface StudioSummary {
+  slug: string
+  name: string
+  aliases: string[]
+  titleCount: number
+}
+
+// Season of a TV show from /api/content/:id/seasons; season 0 holds specials
+export interface ShowSeason {
+  _id: string
+  seasonNumber: number
+  name?: string
+  overview?: string
+  airDate?: string | null
+  posterPath?: string | null
+  episodeCount: number
+  source: 'tmdb' | 'mal'
+}
+
+export interface ShowEpisode {
+  _id: string
+  seasonNumber: number
+  episodeNumber: number
+  title?: string
+  airDate?: string | null
+  runtime?: number | null
+  synopsis?: string
+  stillPath?: string | null
+  filler?: boolean
+  recap?: boolean
+}
+
+// A MAL entry stored as (part of) one season of a TMDB series
+export interface MalSeason {
+  malId: number
+  seasonNumber: number
+  episodeOffset: number
+  title?: string
+  malScore?: number
+  malScoredBy?: number
+  malRank?: number
+  malStatus?: string
+  malEpisodes?: number
+}
+
+// Entry of the canonical genre taxonomy from /api/genres
+export interface GenreSummary {
+  slug: string
+  name: string
+  titleCount: number
+}
+
+// Response from /api/studios/:slug
+export interface StudioDetails {
+  slug: string
+  name: string
+  aliases: string[]
+  stats: {
+    titleCount: number
+    averageScore: number | null
+    movies: number
+    tvShows: number
+    firstYear: number | null
+    latestYear: number | null
+    byYear: Array<{ year: number; titles: number; averageScore: number | null }>
+    topGenres: Array<{ name: string; count: number }>
+  }
+  titles: UnifiedContent[]
+}
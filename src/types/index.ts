@@ -33,8 +33,9 @@ export interface UserRating {
   updatedAt: string
 }
 
+// Canonical genre reference stored on content
 export interface Genre {
-  id: number
+  slug: string
   name: string
   _id?: string
 }
@@ -168,6 +169,11 @@ export interface WatchlistData {
   notes?: string
 }
 
+export interface BulkWatchlistData {
+  contentIds: string[]
+  status?: 'plan_to_watch' | 'watching' | 'completed' | 'dropped'
+}
+
 export interface UpdateWatchlistData {
   status?: 'plan_to_watch' | 'watching' | 'completed' | 'dropped'
   rating?: number
@@ -185,4 +191,8 @@ export interface RateContentData {
 export interface ContentParams {
   page?: number
   limit?: number
+  type?: 'movie' | 'tv'
+  // Comma-separated release formats
+  format?: string
+  cursor?: string
 }